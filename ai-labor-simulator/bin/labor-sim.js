@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * labor-sim - run simulation scenarios from the command line
+ *
+ * Loads scenario JSON files (the createScenario() config plus interventions),
+ * runs them through the aggregate engine or the ABM and writes the exported
+ * results as JSON or CSV. Baseline data is read from disk instead of fetched;
+ * --dataset runs on an imported CSV/JSON dataset (a state, metro or company) instead.
+ *
+ * Usage:
+ *   labor-sim <scenario.json...> [--engine aggregate|abm] [--format json|csv]
+ *             [--out <file|dir>] [--seed <seed>] [--data <baseline.json>]
+ *             [--live <live.json>] [--baseline-only] [--vintage <id|latest>]
+ *             [--dataset <file.csv|json>] [--start-month <YYYY-MM>] [--profile <profile.json>] [--quiet]
+ *   labor-sim --backtest [--profile <profile.json>] [--out <file>]
+ *   labor-sim --calibrate [--seed <seed>] [--out <profile.json>]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { runScenario, runBacktest } from '../src/cli/scenario-runner.js';
+import { baselineVintageId } from '../src/data/vintages.js';
+import { importDataset } from '../src/data/datasets.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+
+const USAGE = `Usage: labor-sim <scenario.json...> [options]
+       labor-sim --backtest | --calibrate [options]
+
+Each scenario file holds one scenario object or an array of them (a batch).
+
+Options:
+  --engine <name>     aggregate (default) or abm; overrides the scenario's "engine"
+  --format <type>     json (default) or csv
+  --out <path>        Output file for a single run, or directory for batches
+                      (defaults to stdout for a single run)
+  --seed <seed>       ABM random seed; overrides the scenario's "seed".
+                      With --calibrate, seeds the parameter search
+  --data <path>       Baseline data file (default: public/data/baseline-data.json)
+  --live <path>       Live data file (default: public/data/live-data.json if present)
+  --baseline-only     Ignore live data, for runs that must not drift as data updates
+  --vintage <id>      Run against a stored data vintage, or "latest"; overrides
+                      the scenario's "data_vintage" (see public/data/vintages/)
+  --dataset <path>    CSV or JSON dataset overriding baseline values (labor market,
+                      wages, sectors, demographics); runs use it as a data profile
+                      named after the file
+  --start-month <m>   Start from a historical month (YYYY-MM) of the time-series
+                      history (public/data/time-series.json); overrides "start_month"
+  --profile <path>    Calibration profile applied to aggregate scenarios and --backtest
+  --backtest          Replay the aggregate engine over historical_trends and score the fit
+  --calibrate         Fit engine parameters to history and write the profile
+  --quiet             Suppress engine progress logs
+  -h, --help          Show this help
+`;
+
+/**
+ * Read and parse a JSON file, naming the file in any error
+ */
+function readJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Turn a scenario name into a safe file name fragment
+ */
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario';
+}
+
+/**
+ * Parse a --seed value, keeping numeric seeds as numbers so "42" matches the UI
+ */
+function parseSeed(value) {
+    if (value === undefined) return undefined;
+    return isNaN(Number(value)) ? value : Number(value);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            engine: { type: 'string' },
+            format: { type: 'string', default: 'json' },
+            out: { type: 'string' },
+            seed: { type: 'string' },
+            data: { type: 'string', default: path.join(DATA_DIR, 'baseline-data.json') },
+            live: { type: 'string' },
+            'baseline-only': { type: 'boolean', default: false },
+            vintage: { type: 'string' },
+            dataset: { type: 'string' },
+            'start-month': { type: 'string' },
+            profile: { type: 'string' },
+            backtest: { type: 'boolean', default: false },
+            calibrate: { type: 'boolean', default: false },
+            quiet: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const historical = values.backtest || values.calibrate;
+
+    if (values.help || (positionals.length === 0 && !historical)) {
+        process.stdout.write(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    // Engine progress logs go to stderr so stdout only ever carries results
+    console.log = values.quiet ? () => {} : (...args) => console.error(...args);
+
+    const baselineData = readJSON(values.data);
+
+    let liveData = null;
+    if (!values['baseline-only']) {
+        const livePath = values.live || path.join(DATA_DIR, 'live-data.json');
+        if (values.live || fs.existsSync(livePath)) {
+            liveData = readJSON(livePath);
+        }
+    }
+
+    // Stored vintages are read on demand, so pinned scenarios re-run on their own data
+    const vintageDir = path.join(path.dirname(values.data), 'vintages');
+    const vintageIndexPath = path.join(vintageDir, 'index.json');
+    const vintages = fs.existsSync(vintageIndexPath)
+        ? { index: readJSON(vintageIndexPath), read: (entry) => readJSON(path.join(vintageDir, entry.file)) }
+        : null;
+    const vintage = values['baseline-only'] ? baselineVintageId(baselineData) : values.vintage;
+
+    // Month-by-month history, for scenarios that start from a past month
+    const timeSeriesPath = path.join(path.dirname(values.data), 'time-series.json');
+    const timeSeries = fs.existsSync(timeSeriesPath) ? readJSON(timeSeriesPath) : null;
+
+    const profile = values.profile ? readJSON(values.profile) : undefined;
+
+    // An imported dataset becomes the data profile every scenario runs on
+    let dataProfiles;
+    let dataProfile;
+    if (values.dataset) {
+        const imported = importDataset(fs.readFileSync(values.dataset, 'utf8'), {
+            baseline: baselineData,
+            format: path.extname(values.dataset).toLowerCase() === '.json' ? 'json' : 'csv'
+        });
+        if (imported.errors.length > 0) {
+            throw new Error(`Invalid dataset ${values.dataset}:\n  ${imported.errors.join('\n  ')}`);
+        }
+        dataProfile = imported.name || path.basename(values.dataset, path.extname(values.dataset));
+        dataProfiles = { [dataProfile]: imported.dataset };
+    }
+
+    if (historical) {
+        const run = await runBacktest({
+            baselineData,
+            liveData,
+            calibrate: values.calibrate,
+            seed: parseSeed(values.seed),
+            profile
+        });
+
+        if (values.out) {
+            fs.writeFileSync(values.out, run.output);
+            console.error(`${values.calibrate ? 'Calibration profile' : 'Backtest'} -> ${values.out}`);
+        } else {
+            process.stdout.write(run.output + '\n');
+        }
+        return;
+    }
+
+    // Every file may hold one scenario or a batch of them
+    const definitions = positionals.flatMap(file => {
+        const content = readJSON(file);
+        return Array.isArray(content) ? content : [content];
+    });
+
+    const isBatch = definitions.length > 1;
+    if (isBatch && !values.out) {
+        throw new Error('Batches write one file per scenario; pass --out <dir>');
+    }
+    if (isBatch) {
+        fs.mkdirSync(values.out, { recursive: true });
+    }
+
+    let failures = 0;
+
+    for (let i = 0; i < definitions.length; i++) {
+        const definition = definitions[i];
+
+        try {
+            const run = await runScenario(definition, {
+                baselineData,
+                liveData,
+                vintages,
+                vintage,
+                dataProfiles,
+                dataProfile,
+                timeSeries,
+                startMonth: values['start-month'],
+                engine: values.engine,
+                format: values.format,
+                seed: parseSeed(values.seed),
+                profile
+            });
+
+            if (!values.out) {
+                process.stdout.write(run.output + '\n');
+            } else {
+                const outPath = isBatch
+                    ? path.join(values.out, `${String(i + 1).padStart(3, '0')}-${slugify(run.name)}.${run.format}`)
+                    : values.out;
+                fs.writeFileSync(outPath, run.output);
+                console.error(`[${i + 1}/${definitions.length}] ${run.name} (${run.engine}, ${run.dataProfile ? `${run.dataProfile}, ` : ''}${run.dataVintage}${run.startMonth ? ` from ${run.startMonth}` : ''}) -> ${outPath}`);
+            }
+        } catch (error) {
+            failures++;
+            console.error(`[${i + 1}/${definitions.length}] ${definition?.name || 'Scenario'} failed: ${error.message}`);
+        }
+    }
+
+    if (failures > 0) {
+        console.error(`${failures} of ${definitions.length} scenario(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run the CLI
+main().catch(error => {
+    console.error(`labor-sim: ${error.message}`);
+    process.exit(1);
+});
@@ -5,6 +5,8 @@
  * They respond to market conditions and competitor behavior.
  */
 
+import { DEFAULT_BEHAVIOR } from '../behavior.js';
+
 // AI adoption status enum
 const AIAdoptionStatus = {
     NONE: 'none',
@@ -29,10 +31,24 @@ const LaborStrategy = {
     BALANCED: 'balanced'
 };
 
+// Neutral policy effects; active interventions overwrite these each month
+const NO_POLICY_EFFECTS = {
+    automationCostMultiplier: 1, // Scales AI implementation cost (robot tax)
+    automationFixedCost: 0,      // Added to AI implementation cost (licensing compliance)
+    adoptionDelay: 0,            // Extra months before a pilot can start (licensing approval)
+    layoffReduction: 0           // Share of planned layoffs avoided (0-1)
+};
+
 class FirmAgent {
     constructor(config = {}) {
+        // Random source (seeded by the engine for reproducible runs)
+        this.rng = config.rng || Math.random;
+
+        // Behavioral constants (shared with every agent in the run)
+        this.behavior = config.behavior || DEFAULT_BEHAVIOR;
+
         // Identity
-        this.id = config.id || `firm_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = config.id || `firm_${this.rng().toString(36).substr(2, 9)}`;
         this.industry = config.industry || this._randomIndustry();
         this.region = config.region || 1;
         this.size = config.size || this._randomSize();
@@ -41,6 +57,7 @@ class FirmAgent {
         this.employees = config.employees || [];
         this.targetHeadcount = config.targetHeadcount || this._getTargetHeadcount();
         this.openPositions = [];
+        this.postingsCreated = 0; // Sequence for stable, reproducible posting IDs
 
         // AI Adoption
         this.aiAdoptionStatus = config.aiAdoptionStatus || AIAdoptionStatus.NONE;
@@ -53,14 +70,19 @@ class FirmAgent {
         // Economics
         this.revenue = config.revenue || this._calculateInitialRevenue();
         this.laborCosts = 0;
-        this.profitMargin = config.profitMargin || (0.05 + Math.random() * 0.15);
+        this.profitMargin = config.profitMargin || (0.05 + this.rng() * 0.15);
+
+        // Demand (1 = normal sales); household spending moves revenue and staffing from these
+        this.baseRevenue = this.revenue;
+        this.baseTargetHeadcount = this.targetHeadcount;
+        this.demandIndex = 1;
 
         // Behavioral
-        this.innovativeness = config.innovativeness || Math.random();
+        this.innovativeness = config.innovativeness || this.rng();
         this.laborStrategy = config.laborStrategy || this._randomLaborStrategy();
 
         // Competition
-        this.marketShare = config.marketShare || Math.random() * 0.1;
+        this.marketShare = config.marketShare || this.rng() * 0.1;
         this.competitors = []; // Will be populated during initialization
         this.competitorAIAdoption = 0; // Observed adoption level of competitors
 
@@ -70,16 +92,20 @@ class FirmAgent {
         // Wage parameters
         this.baseWage = this._calculateBaseWage();
         this.wageAdjustmentRate = 0.02; // Max 2% adjustment per month
+        this.bargainedWageFloor = 0;    // Set once the firm is covered by sectoral bargaining
+
+        // Policy environment, refreshed monthly by the engine's interventions
+        this.policyEffects = { ...NO_POLICY_EFFECTS };
     }
 
     // ========== Initialization Helpers ==========
 
     _randomIndustry() {
-        return Math.floor(Math.random() * 20) + 1;
+        return Math.floor(this.rng() * 20) + 1;
     }
 
     _randomSize() {
-        const rand = Math.random();
+        const rand = this.rng();
         if (rand < 0.70) return FirmSize.SMALL;
         if (rand < 0.90) return FirmSize.MEDIUM;
         if (rand < 0.98) return FirmSize.LARGE;
@@ -88,16 +114,16 @@ class FirmAgent {
 
     _getTargetHeadcount() {
         switch (this.size) {
-            case FirmSize.SMALL: return Math.floor(Math.random() * 45) + 5;
-            case FirmSize.MEDIUM: return Math.floor(Math.random() * 450) + 50;
-            case FirmSize.LARGE: return Math.floor(Math.random() * 4500) + 500;
-            case FirmSize.ENTERPRISE: return Math.floor(Math.random() * 10000) + 5000;
+            case FirmSize.SMALL: return Math.floor(this.rng() * 45) + 5;
+            case FirmSize.MEDIUM: return Math.floor(this.rng() * 450) + 50;
+            case FirmSize.LARGE: return Math.floor(this.rng() * 4500) + 500;
+            case FirmSize.ENTERPRISE: return Math.floor(this.rng() * 10000) + 5000;
             default: return 25;
         }
     }
 
     _randomLaborStrategy() {
-        const rand = Math.random();
+        const rand = this.rng();
         if (rand < 0.4) return LaborStrategy.COST_MINIMIZER;
         if (rand < 0.7) return LaborStrategy.BALANCED;
         return LaborStrategy.TALENT_INVESTOR;
@@ -111,7 +137,7 @@ class FirmAgent {
             [FirmSize.LARGE]: 100,
             [FirmSize.ENTERPRISE]: 1000
         };
-        return (500000 + Math.random() * 500000) * (sizeMultipliers[this.size] || 1);
+        return (500000 + this.rng() * 500000) * (sizeMultipliers[this.size] || 1);
     }
 
     _calculateBaseWage() {
@@ -201,7 +227,7 @@ class FirmAgent {
         this._calculateAIROI(aiCapability);
 
         // Threshold varies by innovativeness
-        const adoptionThreshold = 1.0 + (1 - this.innovativeness) * 0.5;
+        const adoptionThreshold = this.behavior.aiAdoptionRoiThreshold + (1 - this.innovativeness) * 0.5;
 
         // Competitive pressure can lower threshold
         const competitivePressure = this.competitorAIAdoption > 0.3 ? 0.2 : 0;
@@ -216,8 +242,8 @@ class FirmAgent {
                 break;
 
             case AIAdoptionStatus.EXPLORING:
-                // Move to piloting after 3-6 months of exploration
-                if (this.monthsInCurrentStatus >= 3 + Math.floor(Math.random() * 3)) {
+                // Move to piloting after 3-6 months of exploration (plus any approval delay)
+                if (this.monthsInCurrentStatus >= 3 + Math.floor(this.rng() * 3) + this._policy().adoptionDelay) {
                     if (this.aiROI > effectiveThreshold * 0.9) {
                         this.aiAdoptionStatus = AIAdoptionStatus.PILOTING;
                         this.monthsInCurrentStatus = 0;
@@ -228,9 +254,9 @@ class FirmAgent {
 
             case AIAdoptionStatus.PILOTING:
                 // Move to scaling after 6-12 months if successful
-                if (this.monthsInCurrentStatus >= 6 + Math.floor(Math.random() * 6)) {
-                    // 80% success rate for pilots
-                    if (Math.random() < 0.8) {
+                if (this.monthsInCurrentStatus >= 6 + Math.floor(this.rng() * 6)) {
+                    // Most pilots succeed
+                    if (this.rng() < this.behavior.pilotSuccessRate) {
                         this.aiAdoptionStatus = AIAdoptionStatus.SCALING;
                         this.monthsInCurrentStatus = 0;
                         this.automationLevel = 0.3;
@@ -244,10 +270,10 @@ class FirmAgent {
 
             case AIAdoptionStatus.SCALING:
                 // Move to mature after 12-24 months
-                if (this.monthsInCurrentStatus >= 12 + Math.floor(Math.random() * 12)) {
+                if (this.monthsInCurrentStatus >= 12 + Math.floor(this.rng() * 12)) {
                     this.aiAdoptionStatus = AIAdoptionStatus.MATURE;
                     this.monthsInCurrentStatus = 0;
-                    this.automationLevel = 0.6 + Math.random() * 0.3;
+                    this.automationLevel = 0.6 + this.rng() * 0.3;
                 }
                 // Gradually increase automation during scaling
                 this.automationLevel = Math.min(0.6, this.automationLevel + 0.02);
@@ -271,7 +297,9 @@ class FirmAgent {
             [FirmSize.LARGE]: 2,
             [FirmSize.ENTERPRISE]: 5
         };
-        const implementationCost = 100000 * (sizeMultipliers[this.size] || 1);
+        const policy = this._policy();
+        const implementationCost = 100000 * (sizeMultipliers[this.size] || 1) *
+            policy.automationCostMultiplier + policy.automationFixedCost;
 
         // AI capability level affects ROI
         const capabilityMultiplier = aiCapability ? aiCapability.getCurrentLevel() : 0.5;
@@ -289,8 +317,9 @@ class FirmAgent {
         const headcountGap = effectiveHeadcount - currentHeadcount;
 
         if (headcountGap > 5) {
-            // Need to hire
-            this._createJobPostings(Math.ceil(headcountGap * 0.3)); // Hire 30% of gap per month
+            // Need to hire (30% of gap per month), more or less eagerly as sales run above or below normal
+            const postings = Math.ceil(headcountGap * 0.3 * this._hiringAppetite());
+            if (postings > 0) this._createJobPostings(postings);
         } else if (headcountGap < -5) {
             // Need to reduce workforce
             this._planLayoffs(Math.ceil(Math.abs(headcountGap) * 0.2)); // Layoff 20% of excess per month
@@ -303,7 +332,7 @@ class FirmAgent {
     _createJobPostings(count) {
         for (let i = 0; i < count; i++) {
             const posting = {
-                id: `job_${this.id}_${Date.now()}_${i}`,
+                id: `job_${this.id}_${this.postingsCreated++}`,
                 firm: this,
                 firmId: this.id,
                 industry: this.industry,
@@ -325,7 +354,7 @@ class FirmAgent {
     _getTypicalOccupation() {
         // Return a typical occupation ID for this industry
         // Simplified - would map to actual occupation data
-        return this.industry * 5 + Math.floor(Math.random() * 5);
+        return this.industry * 5 + Math.floor(this.rng() * 5);
     }
 
     _calculateOfferWage() {
@@ -339,7 +368,7 @@ class FirmAgent {
         }
 
         // Add some variation
-        wage *= (0.95 + Math.random() * 0.1);
+        wage *= (0.95 + this.rng() * 0.1);
 
         // AI-adopting firms may offer premium for AI skills
         if (this.automationLevel > 0.3) {
@@ -352,9 +381,9 @@ class FirmAgent {
     _getRequiredEducation() {
         // Higher-tech industries need more education
         if ([1, 2, 7].includes(this.industry)) {
-            return Math.random() < 0.7 ? 'bachelors' : 'some_college';
+            return this.rng() < 0.7 ? 'bachelors' : 'some_college';
         }
-        return Math.random() < 0.5 ? 'high_school' : 'some_college';
+        return this.rng() < 0.5 ? 'high_school' : 'some_college';
     }
 
     _getRequiredSkills() {
@@ -377,7 +406,7 @@ class FirmAgent {
 
         const relevantSkills = industrySkills[this.industry] || ['communication'];
         relevantSkills.forEach(skill => {
-            skills[skill] = 0.3 + Math.random() * 0.3;
+            skills[skill] = 0.3 + this.rng() * 0.3;
         });
 
         // AI-adopting firms need AI skills
@@ -389,7 +418,9 @@ class FirmAgent {
     }
 
     _planLayoffs(count) {
-        if (this.employees.length === 0) return;
+        // Job-protection policies absorb part of the planned reduction
+        count = Math.floor(count * (1 - this._policy().layoffReduction));
+        if (this.employees.length === 0 || count <= 0) return;
 
         // Sort employees by layoff priority
         const sortedEmployees = [...this.employees].sort((a, b) => {
@@ -460,6 +491,48 @@ class FirmAgent {
         this.profitMargin = Math.min(0.3, this.profitMargin + automationSavings / this.revenue * 0.1);
     }
 
+    // ========== Demand ==========
+
+    /**
+     * Set this month's demand for the firm's output relative to normal.
+     * Revenue and target headcount follow; hiring pace follows via _hiringAppetite.
+     * @param {number} demandIndex - 1 = demand at the start of the run
+     */
+    applyDemand(demandIndex) {
+        // Checkpoints from before demand feedback have no baselines yet
+        if (this.baseRevenue === undefined) this.baseRevenue = this.revenue;
+        if (this.baseTargetHeadcount === undefined) this.baseTargetHeadcount = this.targetHeadcount;
+
+        const elasticity = this.behavior.demandHeadcountElasticity ?? DEFAULT_BEHAVIOR.demandHeadcountElasticity;
+        this.demandIndex = demandIndex;
+        this.revenue = this.baseRevenue * demandIndex;
+        this.targetHeadcount = Math.max(1, Math.round(this.baseTargetHeadcount * (1 + elasticity * (demandIndex - 1))));
+    }
+
+    /**
+     * Multiplier on monthly postings from demand (0-2)
+     */
+    _hiringAppetite() {
+        const elasticity = this.behavior.demandHiringElasticity ?? DEFAULT_BEHAVIOR.demandHiringElasticity;
+        return Math.max(0, Math.min(2, 1 + elasticity * ((this.demandIndex ?? 1) - 1)));
+    }
+
+    // ========== Policy Environment ==========
+
+    /**
+     * Current policy effects (checkpoints from before interventions had none)
+     */
+    _policy() {
+        return this.policyEffects || NO_POLICY_EFFECTS;
+    }
+
+    /**
+     * Clear last month's policy effects before interventions are re-applied
+     */
+    resetPolicyEffects() {
+        this.policyEffects = { ...NO_POLICY_EFFECTS };
+    }
+
     // ========== Hiring Interface ==========
 
     /**
@@ -523,7 +596,7 @@ class FirmAgent {
      */
     makeOffers(rankedApplicants, position) {
         const offers = [];
-        const maxOffers = Math.min(3, rankedApplicants.length); // Make up to 3 offers per position
+        const maxOffers = Math.min(this.behavior.maxOffersPerPosition, rankedApplicants.length);
 
         for (let i = 0; i < maxOffers; i++) {
             const { applicant, score } = rankedApplicants[i];
@@ -608,7 +681,9 @@ class FirmAgent {
             automationLevel: this.automationLevel,
             averageWage: this.getAverageWage(),
             laborCosts: this.laborCosts,
-            profitMargin: this.profitMargin
+            profitMargin: this.profitMargin,
+            revenue: this.revenue,
+            demandIndex: this.demandIndex ?? 1
         };
     }
 }
@@ -5,6 +5,8 @@
  * Programs enroll workers, track progress, and graduate students with new skills.
  */
 
+import { DEFAULT_BEHAVIOR } from '../behavior.js';
+
 // Program type enum
 const ProgramType = {
     BOOTCAMP: 'bootcamp',
@@ -24,8 +26,14 @@ const ProgramStatus = {
 
 class TrainingProgramAgent {
     constructor(config = {}) {
+        // Random source (seeded by the engine for reproducible runs)
+        this.rng = config.rng || Math.random;
+
+        // Behavioral constants (shared with every agent in the run)
+        this.behavior = config.behavior || DEFAULT_BEHAVIOR;
+
         // Unique identifier
-        this.id = config.id || `prog_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = config.id || `prog_${this.rng().toString(36).substr(2, 9)}`;
 
         // Program type and location
         this.type = config.type || this._randomType();
@@ -46,10 +54,11 @@ class TrainingProgramAgent {
         this.subsidyAvailable = config.subsidyAvailable || 0; // Percentage covered by government
 
         // Quality metrics
-        this.qualityScore = config.qualityScore || (0.5 + Math.random() * 0.4); // 0.5-0.9
+        this.qualityScore = config.qualityScore || (0.5 + this.rng() * 0.4); // 0.5-0.9
+        this.effectiveness = config.effectiveness || 1.0; // Multiplier on skills gained at graduation
         this.completionRate = config.completionRate || this._calculateInitialCompletionRate();
         this.jobPlacementRate = config.jobPlacementRate || this._calculateInitialPlacementRate();
-        this.reputation = config.reputation || this.qualityScore * 0.8 + Math.random() * 0.2;
+        this.reputation = config.reputation || this.qualityScore * 0.8 + this.rng() * 0.2;
 
         // Historical tracking
         this.totalGraduates = 0;
@@ -71,7 +80,7 @@ class TrainingProgramAgent {
     // ========== Initialization Helpers ==========
 
     _randomType() {
-        const rand = Math.random();
+        const rand = this.rng();
         if (rand < 0.25) return ProgramType.BOOTCAMP;
         if (rand < 0.45) return ProgramType.COMMUNITY_COLLEGE;
         if (rand < 0.60) return ProgramType.UNIVERSITY;
@@ -96,30 +105,30 @@ class TrainingProgramAgent {
             [ProgramType.ONLINE]: ['Academy', 'Learning Platform', 'Skills Center']
         };
 
-        const prefix = prefixes[this.type][Math.floor(Math.random() * prefixes[this.type].length)];
-        const suffix = suffixes[this.type][Math.floor(Math.random() * suffixes[this.type].length)];
+        const prefix = prefixes[this.type][Math.floor(this.rng() * prefixes[this.type].length)];
+        const suffix = suffixes[this.type][Math.floor(this.rng() * suffixes[this.type].length)];
 
         return `${prefix} ${suffix}`;
     }
 
     _getDefaultCapacity() {
         const capacities = {
-            [ProgramType.BOOTCAMP]: Math.floor(Math.random() * 30) + 20,           // 20-50
-            [ProgramType.COMMUNITY_COLLEGE]: Math.floor(Math.random() * 200) + 100, // 100-300
-            [ProgramType.UNIVERSITY]: Math.floor(Math.random() * 500) + 200,        // 200-700
-            [ProgramType.EMPLOYER_SPONSORED]: Math.floor(Math.random() * 50) + 10,  // 10-60
-            [ProgramType.ONLINE]: Math.floor(Math.random() * 1000) + 500            // 500-1500 (scalable)
+            [ProgramType.BOOTCAMP]: Math.floor(this.rng() * 30) + 20,           // 20-50
+            [ProgramType.COMMUNITY_COLLEGE]: Math.floor(this.rng() * 200) + 100, // 100-300
+            [ProgramType.UNIVERSITY]: Math.floor(this.rng() * 500) + 200,        // 200-700
+            [ProgramType.EMPLOYER_SPONSORED]: Math.floor(this.rng() * 50) + 10,  // 10-60
+            [ProgramType.ONLINE]: Math.floor(this.rng() * 1000) + 500            // 500-1500 (scalable)
         };
         return capacities[this.type];
     }
 
     _getDefaultDuration() {
         const durations = {
-            [ProgramType.BOOTCAMP]: Math.floor(Math.random() * 3) + 3,              // 3-6 months
-            [ProgramType.COMMUNITY_COLLEGE]: Math.floor(Math.random() * 12) + 12,   // 12-24 months
-            [ProgramType.UNIVERSITY]: Math.floor(Math.random() * 24) + 24,          // 24-48 months
-            [ProgramType.EMPLOYER_SPONSORED]: Math.floor(Math.random() * 4) + 2,    // 2-6 months
-            [ProgramType.ONLINE]: Math.floor(Math.random() * 6) + 3                 // 3-9 months
+            [ProgramType.BOOTCAMP]: Math.floor(this.rng() * 3) + 3,              // 3-6 months
+            [ProgramType.COMMUNITY_COLLEGE]: Math.floor(this.rng() * 12) + 12,   // 12-24 months
+            [ProgramType.UNIVERSITY]: Math.floor(this.rng() * 24) + 24,          // 24-48 months
+            [ProgramType.EMPLOYER_SPONSORED]: Math.floor(this.rng() * 4) + 2,    // 2-6 months
+            [ProgramType.ONLINE]: Math.floor(this.rng() * 6) + 3                 // 3-9 months
         };
         return durations[this.type];
     }
@@ -127,11 +136,11 @@ class TrainingProgramAgent {
     _getDefaultCost() {
         // Monthly cost to student
         const costs = {
-            [ProgramType.BOOTCAMP]: Math.floor(Math.random() * 2000) + 2000,        // $2000-4000/month
-            [ProgramType.COMMUNITY_COLLEGE]: Math.floor(Math.random() * 500) + 300,  // $300-800/month
-            [ProgramType.UNIVERSITY]: Math.floor(Math.random() * 1500) + 1000,       // $1000-2500/month
+            [ProgramType.BOOTCAMP]: Math.floor(this.rng() * 2000) + 2000,        // $2000-4000/month
+            [ProgramType.COMMUNITY_COLLEGE]: Math.floor(this.rng() * 500) + 300,  // $300-800/month
+            [ProgramType.UNIVERSITY]: Math.floor(this.rng() * 1500) + 1000,       // $1000-2500/month
             [ProgramType.EMPLOYER_SPONSORED]: 0,                                      // Free to employee
-            [ProgramType.ONLINE]: Math.floor(Math.random() * 200) + 50               // $50-250/month
+            [ProgramType.ONLINE]: Math.floor(this.rng() * 200) + 50               // $50-250/month
         };
         return costs[this.type];
     }
@@ -139,10 +148,10 @@ class TrainingProgramAgent {
     _getDefaultTargetOccupations() {
         // Return array of occupation IDs this program trains for
         const baseOccupations = [];
-        const numOccupations = Math.floor(Math.random() * 5) + 3; // 3-8 occupations
+        const numOccupations = Math.floor(this.rng() * 5) + 3; // 3-8 occupations
 
         for (let i = 0; i < numOccupations; i++) {
-            baseOccupations.push(Math.floor(Math.random() * 100) + 1);
+            baseOccupations.push(Math.floor(this.rng() * 100) + 1);
         }
 
         return baseOccupations;
@@ -152,35 +161,35 @@ class TrainingProgramAgent {
         // Skills provided based on program type
         const skillSets = {
             [ProgramType.BOOTCAMP]: {
-                programming: 0.4 + Math.random() * 0.2,
-                dataAnalysis: 0.3 + Math.random() * 0.2,
-                technical: 0.3 + Math.random() * 0.2,
-                problemSolving: 0.2 + Math.random() * 0.1
+                programming: 0.4 + this.rng() * 0.2,
+                dataAnalysis: 0.3 + this.rng() * 0.2,
+                technical: 0.3 + this.rng() * 0.2,
+                problemSolving: 0.2 + this.rng() * 0.1
             },
             [ProgramType.COMMUNITY_COLLEGE]: {
-                technical: 0.3 + Math.random() * 0.2,
-                communication: 0.2 + Math.random() * 0.1,
-                customerService: 0.2 + Math.random() * 0.1,
-                manufacturing: 0.2 + Math.random() * 0.2,
-                healthcare: 0.15 + Math.random() * 0.15
+                technical: 0.3 + this.rng() * 0.2,
+                communication: 0.2 + this.rng() * 0.1,
+                customerService: 0.2 + this.rng() * 0.1,
+                manufacturing: 0.2 + this.rng() * 0.2,
+                healthcare: 0.15 + this.rng() * 0.15
             },
             [ProgramType.UNIVERSITY]: {
-                analytical: 0.3 + Math.random() * 0.2,
-                research: 0.3 + Math.random() * 0.2,
-                writing: 0.25 + Math.random() * 0.15,
-                leadership: 0.2 + Math.random() * 0.1,
-                problemSolving: 0.25 + Math.random() * 0.15
+                analytical: 0.3 + this.rng() * 0.2,
+                research: 0.3 + this.rng() * 0.2,
+                writing: 0.25 + this.rng() * 0.15,
+                leadership: 0.2 + this.rng() * 0.1,
+                problemSolving: 0.25 + this.rng() * 0.15
             },
             [ProgramType.EMPLOYER_SPONSORED]: {
-                technical: 0.35 + Math.random() * 0.2,
-                projectManagement: 0.2 + Math.random() * 0.15,
-                communication: 0.15 + Math.random() * 0.1
+                technical: 0.35 + this.rng() * 0.2,
+                projectManagement: 0.2 + this.rng() * 0.15,
+                communication: 0.15 + this.rng() * 0.1
             },
             [ProgramType.ONLINE]: {
-                programming: 0.3 + Math.random() * 0.2,
-                dataAnalysis: 0.25 + Math.random() * 0.15,
-                marketing: 0.2 + Math.random() * 0.1,
-                technical: 0.2 + Math.random() * 0.15
+                programming: 0.3 + this.rng() * 0.2,
+                dataAnalysis: 0.25 + this.rng() * 0.15,
+                marketing: 0.2 + this.rng() * 0.1,
+                technical: 0.2 + this.rng() * 0.15
             }
         };
 
@@ -198,7 +207,7 @@ class TrainingProgramAgent {
         };
 
         const base = baseRates[this.type] || 0.6;
-        return base + (Math.random() * 0.2 - 0.1); // +/- 10%
+        return base + (this.rng() * 0.2 - 0.1); // +/- 10%
     }
 
     _calculateInitialPlacementRate() {
@@ -212,7 +221,7 @@ class TrainingProgramAgent {
         };
 
         const base = baseRates[this.type] || 0.65;
-        return base + (Math.random() * 0.15 - 0.05); // +/- variation
+        return base + (this.rng() * 0.15 - 0.05); // +/- variation
     }
 
     _calculateOperatingCosts() {
@@ -342,8 +351,8 @@ class TrainingProgramAgent {
 
         // Higher priority for unemployed
         if (worker.status === 'unemployed') {
-            priority += 30;
-            priority += Math.min(20, worker.unemploymentDuration * 2);
+            priority += this.behavior.waitlistUnemployedPriority;
+            priority += Math.min(20, worker.unemploymentDuration * this.behavior.waitlistDurationWeight);
         }
 
         // Higher priority for younger workers (more years to benefit)
@@ -423,14 +432,14 @@ class TrainingProgramAgent {
             Object.entries(this.skillsProvided).forEach(([skill, value]) => {
                 const currentSkill = worker.skills[skill] || 0;
                 // Quality affects how much skill is gained
-                const effectiveGain = value * this.qualityScore;
+                const effectiveGain = value * this.qualityScore * this.effectiveness;
                 worker.skills[skill] = Math.min(1, currentSkill + effectiveGain);
             });
         }
 
         // Boost AI augmentation skill
         if (worker.aiAugmentationSkill !== undefined) {
-            worker.aiAugmentationSkill = Math.min(1, worker.aiAugmentationSkill + 0.15 * this.qualityScore);
+            worker.aiAugmentationSkill = Math.min(1, worker.aiAugmentationSkill + 0.15 * this.qualityScore * this.effectiveness);
         }
 
         // Update worker state
@@ -445,7 +454,7 @@ class TrainingProgramAgent {
         }
 
         // Track placement (simplified - actual placement tracked by labor market)
-        if (Math.random() < this.jobPlacementRate) {
+        if (this.rng() < this.jobPlacementRate) {
             this.placementsThisYear++;
         }
 
@@ -476,7 +485,7 @@ class TrainingProgramAgent {
             dropoutProb *= 0.8;
         }
 
-        return Math.random() < dropoutProb;
+        return this.rng() < dropoutProb;
     }
 
     _handleDropout(worker, currentMonth) {
@@ -5,6 +5,8 @@
  * Workers make autonomous decisions about job search, retraining, and relocation.
  */
 
+import { DEFAULT_BEHAVIOR } from '../behavior.js';
+
 // Employment status enum
 const EmploymentStatus = {
     EMPLOYED: 'employed',
@@ -32,11 +34,19 @@ const AIExperience = {
 
 class WorkerAgent {
     constructor(config = {}) {
+        // Random source (seeded by the engine for reproducible runs)
+        this.rng = config.rng || Math.random;
+
+        // Behavioral constants (shared with every agent in the run)
+        this.behavior = config.behavior || DEFAULT_BEHAVIOR;
+
         // Unique identifier
-        this.id = config.id || `worker_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = config.id || `worker_${this.rng().toString(36).substr(2, 9)}`;
 
         // Demographics
         this.age = config.age || this._randomAge();
+        this.ageMonths = config.ageMonths || 0; // Months since the last birthday
+        this.cohort = config.cohort ?? null; // Year of labor-force entry (null for the starting population)
         this.education = config.education || this._randomEducation();
         this.region = config.region || 1; // Default to region 1
 
@@ -45,24 +55,25 @@ class WorkerAgent {
         this.occupation = config.occupation || this._randomOccupation();
         this.industry = config.industry || this._randomIndustry();
         this.employer = config.employer || null;
-        this.tenure = config.tenure || Math.floor(Math.random() * 120); // 0-10 years in months
+        this.tenure = config.tenure || Math.floor(this.rng() * 120); // 0-10 years in months
         this.unemploymentDuration = 0; // Months unemployed
 
         // Skills & Capabilities (0-1 scale)
         this.skills = config.skills || this._initializeSkills();
-        this.aiAugmentationSkill = config.aiAugmentationSkill || Math.random() * 0.5 + 0.1;
-        this.adaptability = config.adaptability || Math.random() * 0.6 + 0.2;
+        this.aiAugmentationSkill = config.aiAugmentationSkill || this.rng() * 0.5 + 0.1;
+        this.adaptability = config.adaptability || this.rng() * 0.6 + 0.2;
 
         // Economics
         this.wage = config.wage || this._calculateInitialWage();
-        this.savings = config.savings || Math.random() * 12; // 0-12 months of expenses
-        this.reservationWage = this.wage * 0.7; // Minimum acceptable wage
+        this.savings = config.savings || this.rng() * 12; // 0-12 months of expenses
+        this.transferIncome = 0; // Cash transfers received this month (dollars)
+        this.reservationWage = this.wage * this.behavior.reservationWageRatio; // Minimum acceptable wage
 
         // Behavioral traits (0-1 scale)
-        this.riskTolerance = config.riskTolerance || Math.random();
-        this.mobilityWillingness = config.mobilityWillingness || Math.random() * 0.5;
-        this.networkSize = config.networkSize || Math.floor(Math.random() * 50) + 5;
-        this.informationLevel = config.informationLevel || Math.random();
+        this.riskTolerance = config.riskTolerance || this.rng();
+        this.mobilityWillingness = config.mobilityWillingness || this.rng() * 0.5;
+        this.networkSize = config.networkSize || Math.floor(this.rng() * 50) + 5;
+        this.informationLevel = config.informationLevel || this.rng();
 
         // Network connections (populated during initialization)
         this.network = [];
@@ -73,11 +84,11 @@ class WorkerAgent {
         this.jobHistory = [];
 
         // Political behavioral factors (initialize BEFORE policy support, since it depends on these)
-        this.politicalEngagement = config.politicalEngagement || Math.random() * 0.6 + 0.2;
-        this.ideologicalPrior = config.ideologicalPrior || (Math.random() * 2 - 1); // -1 to 1
+        this.politicalEngagement = config.politicalEngagement || this.rng() * 0.6 + 0.2;
+        this.ideologicalPrior = config.ideologicalPrior || (this.rng() * 2 - 1); // -1 to 1
         this.economicAnxiety = config.economicAnxiety || 0.2;
-        this.trustInGovernment = config.trustInGovernment || Math.random() * 0.5 + 0.25;
-        this.networkPoliticalInfluence = config.networkPoliticalInfluence || Math.random() * 0.5;
+        this.trustInGovernment = config.trustInGovernment || this.rng() * 0.5 + 0.25;
+        this.networkPoliticalInfluence = config.networkPoliticalInfluence || this.rng() * 0.5;
 
         // Political / Policy Support (0-1 scale) - depends on ideologicalPrior above
         this.policySupport = {
@@ -105,23 +116,26 @@ class WorkerAgent {
         this.activelySearching = false;
         this.jobApplications = [];
         this.jobOffers = [];
+
+        // Guaranteed public job, held while searching for a private one
+        this.publicJob = false;
     }
 
     // ========== Initialization Helpers ==========
 
     _randomAge() {
         // Distribution weighted toward working-age adults
-        const rand = Math.random();
-        if (rand < 0.15) return Math.floor(Math.random() * 7) + 18; // 18-24
-        if (rand < 0.35) return Math.floor(Math.random() * 10) + 25; // 25-34
-        if (rand < 0.55) return Math.floor(Math.random() * 10) + 35; // 35-44
-        if (rand < 0.75) return Math.floor(Math.random() * 10) + 45; // 45-54
-        if (rand < 0.92) return Math.floor(Math.random() * 10) + 55; // 55-64
-        return Math.floor(Math.random() * 6) + 65; // 65-70
+        const rand = this.rng();
+        if (rand < 0.15) return Math.floor(this.rng() * 7) + 18; // 18-24
+        if (rand < 0.35) return Math.floor(this.rng() * 10) + 25; // 25-34
+        if (rand < 0.55) return Math.floor(this.rng() * 10) + 35; // 35-44
+        if (rand < 0.75) return Math.floor(this.rng() * 10) + 45; // 45-54
+        if (rand < 0.92) return Math.floor(this.rng() * 10) + 55; // 55-64
+        return Math.floor(this.rng() * 6) + 65; // 65-70
     }
 
     _randomEducation() {
-        const rand = Math.random();
+        const rand = this.rng();
         if (rand < 0.10) return EducationLevel.NO_DEGREE;
         if (rand < 0.38) return EducationLevel.HIGH_SCHOOL;
         if (rand < 0.58) return EducationLevel.SOME_COLLEGE;
@@ -131,12 +145,12 @@ class WorkerAgent {
 
     _randomOccupation() {
         // Return occupation ID 1-100
-        return Math.floor(Math.random() * 100) + 1;
+        return Math.floor(this.rng() * 100) + 1;
     }
 
     _randomIndustry() {
         // Return industry ID 1-20
-        return Math.floor(Math.random() * 20) + 1;
+        return Math.floor(this.rng() * 20) + 1;
     }
 
     _initializeSkills() {
@@ -153,7 +167,7 @@ class WorkerAgent {
         skillTypes.forEach(skill => {
             // Base skill level influenced by education
             const educationBonus = this._getEducationBonus();
-            skills[skill] = Math.min(1, Math.random() * 0.6 + educationBonus);
+            skills[skill] = Math.min(1, this.rng() * 0.6 + educationBonus);
         });
 
         return skills;
@@ -189,7 +203,7 @@ class WorkerAgent {
         baseWage *= experienceMultiplier;
 
         // Add some randomness
-        baseWage *= (0.8 + Math.random() * 0.4);
+        baseWage *= (0.8 + this.rng() * 0.4);
 
         return Math.round(baseWage);
     }
@@ -214,7 +228,7 @@ class WorkerAgent {
         }
 
         // Add noise
-        baseSupport += (Math.random() - 0.5) * 0.2;
+        baseSupport += (this.rng() - 0.5) * 0.2;
 
         return Math.max(0, Math.min(1, baseSupport));
     }
@@ -270,14 +284,14 @@ class WorkerAgent {
 
     _employedDecisions(displacementRisk, laborMarket) {
         // Threshold based on risk tolerance
-        const searchThreshold = 0.5 - (this.riskTolerance * 0.2);
+        const searchThreshold = this.behavior.searchThreshold - (this.riskTolerance * 0.2);
 
         // Consider job search if displacement risk is high
         if (displacementRisk > searchThreshold) {
             // More likely to search if have savings cushion
             const searchProbability = displacementRisk * (0.5 + this.savings / 24);
 
-            if (Math.random() < searchProbability) {
+            if (this.rng() < searchProbability) {
                 this.activelySearching = true;
             }
         }
@@ -285,7 +299,7 @@ class WorkerAgent {
         // Consider retraining if risk is very high and have savings
         if (displacementRisk > 0.7 && this.savings > 3 && this.age < 55) {
             const retrainROI = this._calculateRetrainingROI();
-            if (retrainROI > 1.2 && Math.random() < 0.1) {
+            if (retrainROI > 1.2 && this.rng() < 0.1) {
                 this._considerRetraining();
             }
         }
@@ -306,19 +320,19 @@ class WorkerAgent {
 
         // Lower reservation wage over time
         if (this.unemploymentDuration > 3) {
-            this.reservationWage *= 0.98;
+            this.reservationWage *= this.behavior.reservationWageDecay;
         }
 
         // Consider retraining after 6 months
         if (this.unemploymentDuration > 6 && this.savings > 2 && this.age < 55) {
-            if (Math.random() < 0.15) {
+            if (this.rng() < this.behavior.retrainingProbability) {
                 this._considerRetraining();
             }
         }
 
         // Consider leaving labor force after 18 months if older
         if (this.unemploymentDuration > 18 && this.age > 55) {
-            if (Math.random() < 0.05) {
+            if (this.rng() < this.behavior.laborForceExitProbability) {
                 this.status = EmploymentStatus.OUT_OF_LABOR_FORCE;
                 this.activelySearching = false;
             }
@@ -346,7 +360,7 @@ class WorkerAgent {
         }
 
         // Risk of dropout due to financial pressure
-        if (this.savings <= 0 && Math.random() < 0.1) {
+        if (this.savings <= 0 && this.rng() < 0.1) {
             this._dropoutRetraining();
         }
 
@@ -356,7 +370,7 @@ class WorkerAgent {
 
     _outOfLaborForceDecisions(laborMarket) {
         // Small chance of re-entering labor force
-        if (Math.random() < 0.02) {
+        if (this.rng() < this.behavior.laborForceReentryProbability) {
             this.status = EmploymentStatus.UNEMPLOYED;
             this.unemploymentDuration = 0;
             this.activelySearching = true;
@@ -431,8 +445,12 @@ class WorkerAgent {
     }
 
     _ageOneMonth() {
-        // Simplified - age increases every 12 months
-        // In a real implementation, track actual month count
+        // Checkpoints from before aging have no month count
+        this.ageMonths = (this.ageMonths || 0) + 1;
+        if (this.ageMonths >= 12) {
+            this.age++;
+            this.ageMonths = 0;
+        }
     }
 
     // ========== Job Market Interactions ==========
@@ -450,7 +468,9 @@ class WorkerAgent {
         const suitableJobs = visibleJobs.filter(job => this._isQualifiedFor(job));
 
         // Apply to top matches (limit based on desperation)
-        const applicationLimit = this.unemploymentDuration > 6 ? 10 : 5;
+        const applicationLimit = this.unemploymentDuration > 6
+            ? this.behavior.desperateApplicationLimit
+            : this.behavior.applicationLimit;
         const applications = suitableJobs.slice(0, applicationLimit);
 
         this.jobApplications = applications.map(job => job.id);
@@ -475,7 +495,7 @@ class WorkerAgent {
         // Check skill match
         if (job.requiredSkills) {
             const skillMatch = Object.entries(job.requiredSkills).every(([skill, level]) => {
-                return (this.skills[skill] || 0) >= level * 0.7; // Allow 70% match
+                return (this.skills[skill] || 0) >= level * this.behavior.skillMatchTolerance; // Partial match is enough
             });
             if (!skillMatch) return false;
         }
@@ -568,9 +588,10 @@ class WorkerAgent {
         this.activelySearching = false;
         this.jobOffers = [];
         this.jobApplications = [];
+        this.publicJob = false;
 
         // Reset reservation wage
-        this.reservationWage = this.wage * 0.7;
+        this.reservationWage = this.wage * this.behavior.reservationWageRatio;
 
         // Reduce economic anxiety
         this.economicAnxiety = Math.max(0, this.economicAnxiety - 0.2);
@@ -618,6 +639,27 @@ class WorkerAgent {
         });
     }
 
+    /**
+     * Leave the labor force for good (the engine removes retirees from the population)
+     */
+    retire() {
+        if (this.employer) {
+            this.jobHistory.push({
+                employer: this.employer.id,
+                occupation: this.occupation,
+                wage: this.wage,
+                tenure: this.tenure,
+                endReason: 'retirement'
+            });
+        }
+
+        this.status = EmploymentStatus.OUT_OF_LABOR_FORCE;
+        this.employer = null;
+        this.retired = true;
+        this.activelySearching = false;
+        this.retrainingProgram = null;
+    }
+
     // ========== Policy Support Updates ==========
 
     _updatePolicySupport() {
@@ -699,6 +741,7 @@ class WorkerAgent {
      */
     receiveUBI(amount) {
         this.savings += amount / this.wage; // Convert to months of expenses
+        this.transferIncome = (this.transferIncome || 0) + amount;
         this.policySupport.ubi = Math.min(1, this.policySupport.ubi + 0.25);
         this.economicAnxiety = Math.max(0, this.economicAnxiety - 0.15);
         this.benefitedFromIntervention = 'ubi';
@@ -0,0 +1,184 @@
+/**
+ * ABM Behavioral Parameters
+ *
+ * Decision constants used by workers, firms, training programs and the labor
+ * market. The defaults are the values the agents were written with; min and max
+ * bound the plausible range and serve as the prior for calibration. An engine
+ * config's `behavior` object overrides any subset of them.
+ */
+
+const BEHAVIOR_PARAMETERS = {
+    // Workers
+    searchThreshold: {
+        name: 'On-the-Job Search Threshold',
+        agent: 'worker',
+        default: 0.5, min: 0, max: 0.8,
+        description: 'Displacement risk above which a risk-neutral employed worker considers searching'
+    },
+    applicationLimit: {
+        name: 'Applications per Month',
+        agent: 'worker',
+        default: 5, min: 1, max: 10, integer: true,
+        description: 'Jobs a searcher applies to in a month'
+    },
+    desperateApplicationLimit: {
+        name: 'Applications per Month (Long-Term Unemployed)',
+        agent: 'worker',
+        default: 10, min: 3, max: 20, integer: true,
+        description: 'Jobs applied to after six months of unemployment'
+    },
+    reservationWageRatio: {
+        name: 'Reservation Wage Ratio',
+        agent: 'worker',
+        default: 0.7, min: 0.5, max: 0.95,
+        description: 'Lowest acceptable wage as a share of the last wage'
+    },
+    reservationWageDecay: {
+        name: 'Reservation Wage Decay',
+        agent: 'worker',
+        default: 0.98, min: 0.9, max: 1,
+        description: 'Monthly factor on the reservation wage after three months unemployed'
+    },
+    skillMatchTolerance: {
+        name: 'Skill Match Tolerance',
+        agent: 'worker',
+        default: 0.7, min: 0.4, max: 1,
+        description: 'Share of each required skill level a worker needs to apply'
+    },
+    retrainingProbability: {
+        name: 'Retraining Probability',
+        agent: 'worker',
+        default: 0.15, min: 0.02, max: 0.4,
+        description: 'Monthly chance the long-term unemployed look for retraining'
+    },
+    laborForceExitProbability: {
+        name: 'Labor Force Exit Probability',
+        agent: 'worker',
+        default: 0.05, min: 0, max: 0.2,
+        description: 'Monthly chance older long-term unemployed workers stop looking'
+    },
+    laborForceReentryProbability: {
+        name: 'Labor Force Re-entry Probability',
+        agent: 'worker',
+        default: 0.02, min: 0, max: 0.1,
+        description: 'Monthly chance a worker outside the labor force starts looking again'
+    },
+    migrationProbability: {
+        name: 'Migration Probability',
+        agent: 'worker',
+        default: 0.05, min: 0, max: 0.2,
+        description: 'Monthly chance an unemployed worker leaves a region under full out-migration pressure'
+    },
+    movingCostMonths: {
+        name: 'Moving Cost',
+        agent: 'worker',
+        default: 1, min: 0.25, max: 4,
+        description: 'Months of savings a move to a neighbouring region costs; farther moves cost more'
+    },
+    householdMoveProbability: {
+        name: 'Household Move Probability',
+        agent: 'worker',
+        default: 0.5, min: 0, max: 1,
+        description: 'Chance a non-working household member follows a mover (household migration only)'
+    },
+    marginalPropensityToConsume: {
+        name: 'Marginal Propensity to Consume',
+        agent: 'worker',
+        default: 0.9, min: 0.5, max: 1,
+        description: 'Share of monthly wage and transfer income a household spends'
+    },
+    wealthSpendingRate: {
+        name: 'Spending out of Savings',
+        agent: 'worker',
+        default: 0.03, min: 0, max: 0.1,
+        description: 'Share of savings a household spends each month'
+    },
+
+    // Firms
+    aiAdoptionRoiThreshold: {
+        name: 'AI Adoption ROI Threshold',
+        agent: 'firm',
+        default: 1.0, min: 0.5, max: 2,
+        description: 'AI return a fully innovative firm needs before exploring adoption'
+    },
+    pilotSuccessRate: {
+        name: 'AI Pilot Success Rate',
+        agent: 'firm',
+        default: 0.8, min: 0.4, max: 1,
+        description: 'Share of AI pilots that move on to scaling'
+    },
+    maxOffersPerPosition: {
+        name: 'Offers per Position',
+        agent: 'firm',
+        default: 3, min: 1, max: 6, integer: true,
+        description: 'Offers a firm makes for each open position'
+    },
+    demandHeadcountElasticity: {
+        name: 'Headcount Response to Demand',
+        agent: 'firm',
+        default: 1, min: 0, max: 2,
+        description: 'Percent change in target headcount per percent change in demand for the firm\'s output'
+    },
+    demandHiringElasticity: {
+        name: 'Hiring Response to Demand',
+        agent: 'firm',
+        default: 3, min: 0, max: 10,
+        description: 'Percent change in monthly postings per percent change in demand (capped at double)'
+    },
+
+    // Training programs
+    waitlistUnemployedPriority: {
+        name: 'Waitlist Priority for the Unemployed',
+        agent: 'training',
+        default: 30, min: 0, max: 60,
+        description: 'Waitlist points for being unemployed'
+    },
+    waitlistDurationWeight: {
+        name: 'Waitlist Priority per Month Unemployed',
+        agent: 'training',
+        default: 2, min: 0, max: 5,
+        description: 'Waitlist points per month of unemployment (capped at 20)'
+    },
+
+    // Labor market
+    visibleJobLimit: {
+        name: 'Visible Jobs per Search',
+        agent: 'market',
+        default: 20, min: 5, max: 40, integer: true,
+        description: 'Best-paying postings a searcher considers each month'
+    }
+};
+
+const DEFAULT_BEHAVIOR = Object.freeze(Object.fromEntries(
+    Object.entries(BEHAVIOR_PARAMETERS).map(([id, param]) => [id, param.default])
+));
+
+/**
+ * Merge behavioral overrides onto the defaults
+ * @param {Object} [overrides] - Parameter values by id
+ * @returns {Object} Complete behavior settings
+ */
+function resolveBehavior(overrides = {}) {
+    const behavior = { ...DEFAULT_BEHAVIOR };
+
+    Object.entries(overrides || {}).forEach(([id, value]) => {
+        if (!BEHAVIOR_PARAMETERS[id]) {
+            throw new Error(`Unknown behavioral parameter "${id}"`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Behavioral parameter "${id}" must be a number`);
+        }
+        behavior[id] = value;
+    });
+
+    return behavior;
+}
+
+// Export for ES modules
+export { BEHAVIOR_PARAMETERS, DEFAULT_BEHAVIOR, resolveBehavior };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.BEHAVIOR_PARAMETERS = BEHAVIOR_PARAMETERS;
+    window.resolveBehavior = resolveBehavior;
+}
@@ -0,0 +1,249 @@
+/**
+ * ABM Checkpoint Codec
+ *
+ * Converts the live ABM object graph (agents, markets, environment, results) to
+ * portable JSON and back. Agents are written once into tables and referenced by
+ * index everywhere else, which keeps the encoding shallow even though worker
+ * networks and firm rosters are densely cross-linked. Any other object that is
+ * reachable twice (shared arrays, job postings held by both a firm and the
+ * market) is written once and referenced by id, so identity survives a restore.
+ */
+
+const CHECKPOINT_FORMAT = 'abm-checkpoint';
+const CHECKPOINT_VERSION = 1;
+
+// Returned by encodeValue for properties that should not be written (functions)
+const SKIP = Symbol('skip');
+
+/**
+ * Encode an object graph
+ * @param {Object} roots - Named root values to encode
+ * @param {Object} options
+ * @param {Object} options.classes - Class constructors by name that may appear in the graph
+ * @param {Object} options.tables - Named arrays of agents to store by index
+ * @param {Function} options.rng - Shared random source, written as a placeholder
+ * @returns {{tables: Object, roots: Object}}
+ */
+function encodeGraph(roots, { classes, tables, rng }) {
+    const classNames = new Map(Object.entries(classes).map(([name, cls]) => [cls, name]));
+    const tableIndex = new Map();
+    const ids = new Map();
+    let nextId = 0;
+
+    Object.entries(tables).forEach(([table, agents]) => {
+        agents.forEach((agent, i) => tableIndex.set(agent, { table, i }));
+    });
+
+    const encodeProps = (obj) => {
+        const props = {};
+        for (const key of Object.keys(obj)) {
+            const encoded = encodeValue(obj[key]);
+            if (encoded !== SKIP) props[key] = encoded;
+        }
+        return props;
+    };
+
+    const encodeValue = (value, isTableEntry = false) => {
+        if (value === undefined) return { $u: 1 };
+        if (typeof value === 'number' && !Number.isFinite(value)) return { $n: String(value) };
+        if (typeof value === 'function') return value === rng ? { $rng: 1 } : SKIP;
+        if (value === null || typeof value !== 'object') return value;
+
+        if (!isTableEntry && tableIndex.has(value)) {
+            const { table, i } = tableIndex.get(value);
+            return { $t: table, i };
+        }
+        if (ids.has(value)) return { $r: ids.get(value) };
+
+        const $id = nextId++;
+        ids.set(value, $id);
+
+        if (Array.isArray(value)) {
+            return { $id, $a: value.map(item => {
+                const encoded = encodeValue(item);
+                return encoded === SKIP ? { $u: 1 } : encoded;
+            }) };
+        }
+        if (value instanceof Map) {
+            return { $id, $m: Array.from(value, ([k, v]) => [encodeValue(k), encodeValue(v)]) };
+        }
+        if (value instanceof Set) {
+            return { $id, $s: Array.from(value, item => encodeValue(item)) };
+        }
+        if (value instanceof Date) {
+            return { $id, $d: value.toISOString() };
+        }
+
+        const proto = Object.getPrototypeOf(value);
+        if (proto === Object.prototype || proto === null) {
+            return { $id, $o: encodeProps(value) };
+        }
+
+        const className = classNames.get(value.constructor);
+        if (!className) {
+            throw new Error(`Cannot checkpoint an instance of ${value.constructor?.name || 'unknown class'}`);
+        }
+        return { $id, $c: className, $o: encodeProps(value) };
+    };
+
+    // Tables first so agent definitions always precede the roots that use them
+    const encodedTables = {};
+    Object.entries(tables).forEach(([table, agents]) => {
+        encodedTables[table] = agents.map(agent => encodeValue(agent, true));
+    });
+
+    const encodedRoots = {};
+    Object.entries(roots).forEach(([name, value]) => {
+        const encoded = encodeValue(value);
+        if (encoded !== SKIP) encodedRoots[name] = encoded;
+    });
+
+    return { tables: encodedTables, roots: encodedRoots };
+}
+
+/**
+ * Decode a graph produced by encodeGraph
+ * @param {{tables: Object, roots: Object}} encoded
+ * @param {Object} options
+ * @param {Object} options.classes - Class constructors by name
+ * @param {Function} options.rng - Random source to inject wherever one was stored
+ * @returns {Object} Decoded roots
+ */
+function decodeGraph(encoded, { classes, rng }) {
+    const objects = new Map();
+
+    const instantiate = (className) => {
+        const cls = classes[className];
+        if (!cls) {
+            throw new Error(`Checkpoint references unknown class ${className}`);
+        }
+        return Object.create(cls.prototype);
+    };
+
+    // Create every agent up front so table references resolve in any order
+    const tables = {};
+    Object.entries(encoded.tables).forEach(([table, entries]) => {
+        tables[table] = entries.map(entry => instantiate(entry.$c));
+    });
+
+    const decodeInto = (target, props) => {
+        for (const key of Object.keys(props)) {
+            target[key] = decodeValue(props[key]);
+        }
+        return target;
+    };
+
+    const decodeValue = (value) => {
+        if (value === null || typeof value !== 'object') return value;
+
+        if ('$u' in value) return undefined;
+        if ('$n' in value) return Number(value.$n);
+        if ('$rng' in value) return rng;
+        if ('$t' in value) return tables[value.$t][value.i];
+        if ('$r' in value) {
+            if (!objects.has(value.$r)) {
+                throw new Error(`Checkpoint reference ${value.$r} appears before its definition`);
+            }
+            return objects.get(value.$r);
+        }
+
+        if ('$a' in value) {
+            const arr = [];
+            objects.set(value.$id, arr);
+            value.$a.forEach(item => arr.push(decodeValue(item)));
+            return arr;
+        }
+        if ('$m' in value) {
+            const map = new Map();
+            objects.set(value.$id, map);
+            value.$m.forEach(([k, v]) => map.set(decodeValue(k), decodeValue(v)));
+            return map;
+        }
+        if ('$s' in value) {
+            const set = new Set();
+            objects.set(value.$id, set);
+            value.$s.forEach(item => set.add(decodeValue(item)));
+            return set;
+        }
+        if ('$d' in value) {
+            const date = new Date(value.$d);
+            objects.set(value.$id, date);
+            return date;
+        }
+
+        const obj = value.$c ? instantiate(value.$c) : {};
+        objects.set(value.$id, obj);
+        return decodeInto(obj, value.$o);
+    };
+
+    Object.entries(encoded.tables).forEach(([table, entries]) => {
+        entries.forEach((entry, i) => {
+            const agent = tables[table][i];
+            objects.set(entry.$id, agent);
+            decodeInto(agent, entry.$o);
+        });
+    });
+
+    const roots = {};
+    Object.entries(encoded.roots).forEach(([name, value]) => {
+        roots[name] = decodeValue(value);
+    });
+
+    return roots;
+}
+
+/**
+ * Check that a value looks like a checkpoint this version can restore
+ * @param {Object} checkpoint
+ */
+function validateCheckpoint(checkpoint) {
+    if (!checkpoint || checkpoint.format !== CHECKPOINT_FORMAT) {
+        throw new Error('Not an ABM checkpoint');
+    }
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+        throw new Error(`Unsupported checkpoint version ${checkpoint.version} (expected ${CHECKPOINT_VERSION})`);
+    }
+    if (!checkpoint.state || !checkpoint.state.tables || !checkpoint.state.roots) {
+        throw new Error('Checkpoint is missing its simulation state');
+    }
+}
+
+/**
+ * Gzip a checkpoint into a compact binary blob (roughly 10x smaller than the JSON).
+ * Uses CompressionStream, available in browsers, workers and Node 18+.
+ * @param {Object} checkpoint
+ * @returns {Promise<Uint8Array>}
+ */
+async function compressCheckpoint(checkpoint) {
+    const stream = new Blob([JSON.stringify(checkpoint)]).stream()
+        .pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Inflate a blob produced by compressCheckpoint
+ * @param {Uint8Array|ArrayBuffer|Blob} data
+ * @returns {Promise<Object>}
+ */
+async function decompressCheckpoint(data) {
+    const blob = data instanceof Blob ? data : new Blob([/** @type {BlobPart} */ (data)]);
+    const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+}
+
+// Export for ES modules
+export {
+    CHECKPOINT_FORMAT,
+    CHECKPOINT_VERSION,
+    encodeGraph,
+    decodeGraph,
+    validateCheckpoint,
+    compressCheckpoint,
+    decompressCheckpoint
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.compressCheckpoint = compressCheckpoint;
+    window.decompressCheckpoint = decompressCheckpoint;
+}
@@ -12,19 +12,43 @@ import { TrainingProgramAgent } from './agents/training-program.js';
 import { LaborMarket } from './market/labor-market.js';
 import { WageDynamics } from './market/wage-dynamics.js';
 import { InformationDiffusion } from './market/information.js';
+import { HouseholdDemand } from './market/demand.js';
+import { FiscalAccounts, summarizeFiscal } from '../simulation/fiscal.js';
+import { InterventionRules } from '../simulation/intervention-rules.js';
 import { AICapabilityFrontier } from './environment/ai-frontier.js';
-import { RegionalMarketSystem } from './environment/regions.js';
+import { RegionalMarketSystem, Region } from './environment/regions.js';
+import { CohortDynamics, summarizeDemographics } from './environment/demographics.js';
+import { createRNG, generateSeed } from '../utils/random.js';
+import { resolveBehavior } from './behavior.js';
+import { applyABMInterventions, createInterventionState } from './interventions.js';
+import { CHECKPOINT_FORMAT, CHECKPOINT_VERSION, encodeGraph, decodeGraph, validateCheckpoint } from './checkpoint.js';
 
 
 class ABMSimulationEngine {
     constructor(config = {}) {
+        // Seeded random source shared by every agent, market and environment module.
+        // A run without an explicit seed still gets one so it can be replayed later.
+        this.seed = config.seed !== undefined && config.seed !== null && config.seed !== ''
+            ? config.seed
+            : generateSeed();
+        this.rng = createRNG(this.seed);
+
         this.config = {
             numWorkers: config.numWorkers || 1000,        // 1K default for fast iteration
             numFirms: config.numFirms || 50,
             numRegions: config.numRegions || 10,
             numTrainingPrograms: config.numTrainingPrograms || 25,
             durationMonths: config.durationMonths || 60,  // 5 years default
-            ...config
+            regionIds: null,                              // Only model these regions (one partition of a run)
+            idPrefix: '',                                 // Keeps agent ids unique across partitions
+            externalAICapability: false,                  // AI frontier is advanced by a partition coordinator
+            householdMigration: false,                    // Non-working contacts may follow a worker who moves
+            demandFeedback: false,                        // Household spending sets firm revenue and hiring
+            demographics: false,                          // Retirements and new entrants (true, or CohortDynamics options)
+            fiscal: null,                                 // Tax rates and financing rule (see simulation/fiscal.js)
+            ...config,
+            behavior: resolveBehavior(config.behavior),   // Agent decision constants (see behavior.js)
+            seed: this.seed
         };
 
         // Agent populations
@@ -36,10 +60,19 @@ class ABMSimulationEngine {
         this.laborMarket = null;
         this.wageDynamics = null;
         this.informationDiffusion = null;
+        this.demand = null;
+
+        // Government budget
+        this.fiscal = null;
+
+        // First and latest national monthly records for trigger rules, set by a
+        // partition coordinator (otherwise rules read this engine's own records)
+        this.ruleRecords = null;
 
         // Environment
         this.aiCapability = null;
         this.regionalSystem = null;
+        this.demographics = null;
 
         // Results collection
         this.results = {
@@ -48,11 +81,16 @@ class ABMSimulationEngine {
             summary: null,
             policySupport: [],
             emergentPatterns: [],
+            ruleLog: [],          // Trigger rule activations (see simulation/intervention-rules.js)
             regionalSnapshots: [],
             wageDistribution: []
         };
 
+        // Running state of interventions (immigration backlog, policy revenue)
+        this.interventionState = createInterventionState();
+
         // Simulation state
+        this.scenario = null;
         this.currentMonth = 0;
         this.isRunning = false;
         this.isPaused = false;
@@ -66,19 +104,22 @@ class ABMSimulationEngine {
      * Initialize the simulation with agents
      */
     async initialize(scenario = {}) {
-        console.log('Initializing ABM simulation...');
+        console.log(`Initializing ABM simulation (seed ${this.seed})...`);
+
+        // Restart the random stream so re-initializing replays the same run
+        this.rng = createRNG(this.seed);
 
         // Create AI capability tracker (use new separate module if available)
         if (typeof AICapabilityFrontier !== 'undefined') {
-            this.aiCapability = new AICapabilityFrontier(scenario);
+            this.aiCapability = new AICapabilityFrontier(scenario, this.rng);
         } else {
             // Fallback to inline implementation
-            this.aiCapability = new AICapabilityFrontierInline(scenario);
+            this.aiCapability = new AICapabilityFrontierInline(scenario, this.rng);
         }
 
         // Initialize regional system (use new module if available)
         if (typeof RegionalMarketSystem !== 'undefined') {
-            this.regionalSystem = new RegionalMarketSystem(this.config.numRegions);
+            this.regionalSystem = new RegionalMarketSystem(this.config.numRegions, this.rng, this.config.regionIds);
         }
 
         // Generate worker population
@@ -106,27 +147,43 @@ class ABMSimulationEngine {
         this.laborMarket = new LaborMarket({
             workers: this.workers,
             firms: this.firms,
-            searchRadius: 2
+            searchRadius: 2,
+            friction: scenario.laborMarketFriction,
+            behavior: this.config.behavior,
+            rng: this.rng
         });
 
         // Initialize wage dynamics (if available)
         if (typeof WageDynamics !== 'undefined') {
-            this.wageDynamics = new WageDynamics();
+            this.wageDynamics = new WageDynamics({ flexibility: scenario.wageFlexibility });
         }
 
         // Initialize information diffusion (if available)
         if (typeof InformationDiffusion !== 'undefined') {
-            this.informationDiffusion = new InformationDiffusion();
+            this.informationDiffusion = new InformationDiffusion({
+                rng: this.rng,
+                baseSpreadRate: scenario.informationSpread
+            });
         }
 
+        // Household spending, measured before any policy pays out
+        this.demand = new HouseholdDemand({ behavior: this.config.behavior });
+        this.demand.setBaseline(this.workers);
+
+        this.fiscal = new FiscalAccounts(this.config.fiscal || {});
+
+        this.demographics = this._createDemographics();
+
         // Reset state
         this.currentMonth = 0;
+        this.interventionState = createInterventionState();
         this.results = {
             monthly: [],
             monthlyData: [], // Alias for monthly (for compatibility)
             summary: null,
             policySupport: [],
             emergentPatterns: [],
+            ruleLog: [],          // Trigger rule activations (see simulation/intervention-rules.js)
             regionalSnapshots: [],
             wageDistribution: []
         };
@@ -137,19 +194,22 @@ class ABMSimulationEngine {
 
     /**
      * Run the full simulation
+     * Continues from the last completed month after a pause or checkpoint restore;
+     * a finished run is re-initialized and replayed from month 0.
      */
-    async runSimulation(scenario = {}) {
-        if (this.workers.length === 0) {
+    async runSimulation(scenario = this.scenario || {}) {
+        if (this.workers.length === 0 || this.results.monthly.length >= this.config.durationMonths) {
             await this.initialize(scenario);
         }
 
+        this.scenario = scenario;
         this.isRunning = true;
         this.isPaused = false;
 
         const startTime = Date.now();
 
         try {
-            for (let month = 0; month < this.config.durationMonths; month++) {
+            for (let month = this.results.monthly.length; month < this.config.durationMonths; month++) {
                 if (!this.isRunning || this.isPaused) break;
 
                 // Run one month of simulation
@@ -199,10 +259,27 @@ class ABMSimulationEngine {
      * Run a single month of simulation
      */
     async _runMonth(month, scenario) {
+        const matchingResults = this._runMonthMatching(month, scenario);
+        this._runMonthAdjustments(month, scenario, matchingResults);
+        return matchingResults;
+    }
+
+    /**
+     * Steps 1-5 of a month: agent decisions through labor market matching.
+     * Partitioned runs exchange cross-partition hires between the two halves.
+     */
+    _runMonthMatching(month, scenario) {
         this.currentMonth = month;
 
-        // 1. Advance AI capabilities
-        this.aiCapability.advance(month, scenario);
+        // Migration is tallied per month, including relocations during matching
+        if (this.regionalSystem) {
+            this.regionalSystem.resetMigration();
+        }
+
+        // 1. Advance AI capabilities (partitions receive a shared frontier instead)
+        if (!this.config.externalAICapability) {
+            this.aiCapability.advance(month, scenario);
+        }
 
         // 2. Firms make AI adoption decisions
         this.firms.forEach(firm => {
@@ -219,32 +296,156 @@ class ABMSimulationEngine {
         this._processTrainingPrograms(month);
 
         // 5. Labor market matching
-        const matchingResults = this.laborMarket.runMonthlyMatching();
+        return this.laborMarket.runMonthlyMatching();
+    }
 
+    /**
+     * Steps 6-14 of a month: wages, interventions, the government budget, household
+     * demand, information, migration, retirements and entry, and regional updates
+     */
+    _runMonthAdjustments(month, scenario, matchingResults) {
         // 6. Wage dynamics adjustment
         if (this.wageDynamics) {
             this.wageDynamics.adjustMarketWages(this.workers, this.firms, this.laborMarket);
         }
 
-        // 7. Apply interventions
-        if (scenario.interventions) {
-            this._applyInterventions(scenario.interventions, month);
-        }
+        // 7. Apply interventions (always, so ended policies lift their effects)
+        this._applyInterventions(scenario.interventions, month, scenario.timeframe);
+
+        // 8. Government budget: taxes on wages, benefits and policy costs
+        this._updateFiscalAccounts();
 
-        // 8. Information diffusion
+        // 9. Household spending (wages, transfers, savings) sets next month's demand for firms
+        this.demand.taxSurcharge = this.fiscal.taxSurcharge;
+        this.demand.update(this.workers, this.firms, this.config.demandFeedback);
+
+        // 10. Information diffusion
         this._diffuseInformation(month, matchingResults);
 
-        // 9. Update regional statistics
+        // 11. Workers relocate between regions
+        if (this.regionalSystem) {
+            this._processMigration();
+        }
+
+        // 12. Workers retire and new graduates enter the labor force
+        if (this.demographics) {
+            this._processDemographics(month, scenario.timeframe);
+        }
+
+        // 13. Update regional statistics
         if (this.regionalSystem) {
             this.regionalSystem.updateAllRegions(this.workers, this.firms);
         }
 
-        // 10. Detect emergent patterns
+        // 14. Detect emergent patterns
         if (month > 0 && month % 6 === 0) {
             this._detectPatterns(month);
         }
+    }
 
-        return matchingResults;
+    /**
+     * Move workers hired into another region there, then let regional pressure
+     * move some of the unemployed
+     */
+    _processMigration() {
+        this.laborMarket.hires.forEach(({ worker, firm }) => {
+            if (worker.region !== firm.region) {
+                this.regionalSystem.relocateWorker(worker, firm.region, 'job');
+            }
+        });
+
+        this.regionalSystem.processMigration(this.workers, {
+            householdMigration: this.config.householdMigration
+        });
+    }
+
+    /**
+     * Retirees leave the population for good; each year's entrants join it
+     * unemployed and searching, with contacts in their region
+     */
+    _processDemographics(month, timeframe) {
+        const { retiring, entrants } = this.demographics.step(this.workers, month, this._startYear(timeframe));
+
+        if (retiring.length > 0) {
+            this.removeWorkers(retiring);
+            retiring.forEach(worker => worker.retire());
+        }
+        if (entrants.length === 0) return;
+
+        const workersByRegion = new Map();
+        this.workers.forEach(worker => {
+            if (!workersByRegion.has(worker.region)) workersByRegion.set(worker.region, []);
+            workersByRegion.get(worker.region).push(worker);
+        });
+
+        entrants.forEach(({ index, age, education, cohort }) => {
+            const region = this.regionalSystem
+                ? this.regionalSystem.selectRegionByPopulation()
+                : this.workers[Math.floor(this.rng() * this.workers.length)]?.region || 1;
+
+            const worker = new WorkerAgent({
+                id: `${this.config.idPrefix}w_e${index}`,
+                rng: this.rng,
+                behavior: this.config.behavior,
+                region,
+                age,
+                education,
+                cohort,
+                status: 'unemployed'
+            });
+            worker.tenure = 0;
+            worker.activelySearching = true;
+
+            const local = workersByRegion.get(region) || [];
+            worker.network = local
+                .slice()
+                .sort(() => this.rng() - 0.5)
+                .slice(0, Math.min(worker.networkSize, 30));
+
+            this.workers.push(worker);
+        });
+    }
+
+    /**
+     * Remove workers from every structure in this engine that refers to them
+     * (retirees, and workers leaving for another partition)
+     */
+    removeWorkers(departing) {
+        const gone = new Set(departing);
+
+        // Compact in place: the labor market shares this array
+        const workers = this.workers;
+        let kept = 0;
+        for (let i = 0; i < workers.length; i++) {
+            if (!gone.has(workers[i])) {
+                workers[kept++] = workers[i];
+            }
+        }
+        workers.length = kept;
+
+        workers.forEach(worker => {
+            if (worker.network.some(contact => gone.has(contact))) {
+                worker.network = worker.network.filter(contact => !gone.has(contact));
+            }
+        });
+
+        departing.forEach(worker => {
+            if (worker.employer) {
+                worker.employer.employees = worker.employer.employees.filter(e => e !== worker);
+            }
+        });
+
+        this.trainingPrograms.forEach(program => {
+            program.waitlist = program.waitlist.filter(entry => !gone.has(entry.worker));
+            program.enrolledWorkers = program.enrolledWorkers.filter(w => !gone.has(w));
+            departing.forEach(worker => program.studentProgress.delete(worker.id));
+        });
+    }
+
+    _createDemographics() {
+        if (!this.config.demographics) return null;
+        const options = typeof this.config.demographics === 'object' ? this.config.demographics : {};
+        return new CohortDynamics({ ...options, rng: this.rng });
     }
 
     _generateWorkers(count, scenario) {
@@ -264,10 +465,12 @@ class ABMSimulationEngine {
                 : this._selectRegion(regionPopulations);
 
             const worker = new WorkerAgent({
-                id: `w_${i}`,
+                id: `${this.config.idPrefix}w_${i}`,
+                rng: this.rng,
+                behavior: this.config.behavior,
                 region,
                 // Initial unemployment rate based on scenario
-                status: Math.random() < (scenario.initialUnemploymentRate || 0.04)
+                status: this.rng() < (scenario.initialUnemploymentRate || 0.04)
                     ? 'unemployed'
                     : 'employed'
             });
@@ -284,15 +487,17 @@ class ABMSimulationEngine {
         for (let i = 0; i < count; i++) {
             const region = this.regionalSystem
                 ? this.regionalSystem.selectRegionByPopulation()
-                : Math.floor(Math.random() * this.config.numRegions) + 1;
+                : Math.floor(this.rng() * this.config.numRegions) + 1;
 
             const firm = new FirmAgent({
-                id: `f_${i}`,
+                id: `${this.config.idPrefix}f_${i}`,
+                rng: this.rng,
+                behavior: this.config.behavior,
                 region
             });
 
             // Initial AI adoption based on scenario
-            if (scenario.initialAIAdoption && Math.random() < scenario.initialAIAdoption) {
+            if (scenario.initialAIAdoption && this.rng() < scenario.initialAIAdoption) {
                 firm.aiAdoptionStatus = 'exploring';
             }
 
@@ -313,12 +518,15 @@ class ABMSimulationEngine {
         for (let i = 0; i < count; i++) {
             const region = this.regionalSystem
                 ? this.regionalSystem.selectRegionByPopulation()
-                : Math.floor(Math.random() * this.config.numRegions) + 1;
+                : Math.floor(this.rng() * this.config.numRegions) + 1;
 
             const program = new TrainingProgramAgent({
-                id: `prog_${i}`,
+                id: `${this.config.idPrefix}prog_${i}`,
+                rng: this.rng,
+                behavior: this.config.behavior,
                 region,
-                subsidyAvailable: scenario.trainingSubsidy || 0.3
+                subsidyAvailable: scenario.trainingSubsidy || 0.3,
+                effectiveness: scenario.retrainingEffectiveness
             });
 
             programs.push(program);
@@ -347,7 +555,7 @@ class ABMSimulationEngine {
             // Find suitable program in same region (or nearby)
             const suitablePrograms = this.trainingPrograms.filter(p =>
                 p.isAcceptingApplications() &&
-                (p.region === worker.region || Math.random() < 0.2) // 20% chance to consider other regions
+                (p.region === worker.region || this.rng() < 0.2) // 20% chance to consider other regions
             );
 
             if (suitablePrograms.length > 0) {
@@ -372,7 +580,7 @@ class ABMSimulationEngine {
         const employedWorkers = this.workers.filter(w => w.status === 'employed');
 
         // Shuffle and assign to firms
-        const shuffled = employedWorkers.sort(() => Math.random() - 0.5);
+        const shuffled = employedWorkers.sort(() => this.rng() - 0.5);
 
         let workerIndex = 0;
         this.firms.forEach(firm => {
@@ -399,7 +607,7 @@ class ABMSimulationEngine {
 
         // Also create a small pool of random cross-region contacts
         const crossRegionPool = this.workers
-            .sort(() => Math.random() - 0.5)
+            .sort(() => this.rng() - 0.5)
             .slice(0, Math.min(100, this.workers.length));
 
         // Build networks using pre-indexed regions
@@ -417,14 +625,14 @@ class ABMSimulationEngine {
 
             // Combine and shuffle
             const allPotential = [...potentialContacts, ...crossRegionContacts];
-            const shuffled = allPotential.sort(() => Math.random() - 0.5);
+            const shuffled = allPotential.sort(() => this.rng() - 0.5);
 
             // Select network
             worker.network = shuffled.slice(0, Math.min(networkSize, shuffled.length));
 
             // Add closeness scores
             worker.network.forEach(contact => {
-                contact.closeness = Math.random() * 0.5 + 0.3; // 0.3-0.8
+                contact.closeness = this.rng() * 0.5 + 0.3; // 0.3-0.8
             });
         });
     }
@@ -459,7 +667,7 @@ class ABMSimulationEngine {
 
         for (let i = 0; i < numRegions; i++) {
             // Some variation in region sizes
-            const pop = 0.5 + Math.random() * 1.5;
+            const pop = 0.5 + this.rng() * 1.5;
             populations.push(pop);
             total += pop;
         }
@@ -469,7 +677,7 @@ class ABMSimulationEngine {
     }
 
     _selectRegion(regionPopulations) {
-        const rand = Math.random();
+        const rand = this.rng();
         let cumulative = 0;
 
         for (let i = 0; i < regionPopulations.length; i++) {
@@ -482,87 +690,45 @@ class ABMSimulationEngine {
         return regionPopulations.length;
     }
 
-    _applyInterventions(interventions, month) {
-        if (!interventions || !Array.isArray(interventions)) return;
-
-        interventions.forEach(intervention => {
-            if (!intervention.active) return;
-
-            switch (intervention.type) {
-                case 'ubi':
-                    this._applyUBI(intervention, month);
-                    break;
-                case 'retraining':
-                    this._applyRetraining(intervention, month);
-                    break;
-                case 'wage_subsidy':
-                    this._applyWageSubsidy(intervention, month);
-                    break;
-                // Add more intervention types as needed
-            }
-        });
+    /**
+     * Apply every active intervention for the month (see ./interventions.js).
+     * start_year / end_year are read against the scenario timeframe.
+     */
+    _applyInterventions(interventions, month, timeframe) {
+        applyABMInterventions(this, interventions, month, this._startYear(timeframe));
     }
 
-    _applyUBI(intervention, month) {
-        const amount = intervention.amount || 1000;
-        const eligibleWorkers = this.workers.filter(w =>
-            w.status === 'unemployed' || intervention.universal
-        );
-
-        eligibleWorkers.forEach(worker => {
-            worker.receiveUBI(amount);
-        });
+    /**
+     * Calendar year of month 0: the scenario's start year
+     */
+    _startYear(timeframe) {
+        return timeframe?.start_year || 2025; // Monthly results label month 0 as 2025
     }
 
-    _applyRetraining(intervention, month) {
-        // If we have training programs, use them
-        if (this.trainingPrograms.length > 0) {
-            // Increase subsidies for training programs
-            this.trainingPrograms.forEach(program => {
-                program.receiveSubsidy(intervention.subsidyLevel || 0.5);
-            });
-            return;
-        }
-
-        // Fallback: direct enrollment (old behavior)
-        const eligibleWorkers = this.workers.filter(w =>
-            (w.status === 'unemployed' || w.wantsRetraining) &&
-            w.age < 60 &&
-            !w.retrainingProgram
-        );
-
-        const spotsAvailable = intervention.capacity || 1000;
-        const enrolled = eligibleWorkers.slice(0, spotsAvailable);
-
-        enrolled.forEach(worker => {
-            worker.enrollInRetraining({
-                id: `retrain_${month}_${worker.id}`,
-                duration: intervention.duration || 6,
-                skillsProvided: intervention.skills || {
-                    dataAnalysis: 0.3,
-                    programming: 0.2,
-                    technical: 0.2
-                }
-            });
-            worker.wantsRetraining = false;
+    /**
+     * Book the month's taxes on wages (public jobs included), unemployment
+     * insurance and what the interventions cost or raised
+     */
+    _updateFiscalAccounts() {
+        let wageBill = 0;
+        let employed = 0;
+        let unemployed = 0;
+        this.workers.forEach(worker => {
+            if (worker.isEmployed()) {
+                wageBill += worker.wage;
+                employed++;
+            } else if (worker.isUnemployed()) {
+                unemployed++;
+            }
         });
-    }
 
-    _applyWageSubsidy(intervention, month) {
-        // Firms receive subsidy for maintaining employment
-        this.firms.forEach(firm => {
-            if (firm.employees.length > 0) {
-                const subsidy = intervention.amountPerWorker || 500;
-                firm.employees.forEach(worker => {
-                    // Worker knows their job was protected
-                    if (worker.markedForLayoff) {
-                        worker.markedForLayoff = false;
-                        worker.policySupport.wageSubsidy = Math.min(1,
-                            worker.policySupport.wageSubsidy + 0.15);
-                        worker.benefitedFromIntervention = 'wageSubsidy';
-                    }
-                });
-            }
+        const state = this.interventionState;
+        this.fiscal.step({
+            wageBill,
+            unemployed,
+            averageWage: employed > 0 ? wageBill / employed : 0,
+            outlays: state.monthlyOutlays,
+            revenues: state.monthlyRevenues
         });
     }
 
@@ -686,9 +852,20 @@ class ABMSimulationEngine {
             policySupport: policyStats,
             wageDistribution,
             trainingStats,
+            migration: this.regionalSystem ? this.regionalSystem.getMigrationFlows() : null,
+            demand: this.demand.getStatistics(),
+            fiscal: this.fiscal.getStatistics(),
+            demographics: this.demographics ? this.demographics.getStatistics(this.workers) : null,
+            ruleEvents: this.interventionState.monthlyRuleEvents || [],
             aiCapabilityLevel: this.aiCapability.getCurrentLevel()
         });
 
+        if (this.interventionState.monthlyRuleEvents?.length > 0) {
+            // Checkpoints from before trigger rules have no log yet
+            this.results.ruleLog = this.results.ruleLog || [];
+            this.results.ruleLog.push(...this.interventionState.monthlyRuleEvents);
+        }
+
         // Track policy support trajectory
         this.results.policySupport.push({
             month,
@@ -713,51 +890,15 @@ class ABMSimulationEngine {
     }
 
     _finalizeResults() {
-        const firstMonth = this.results.monthly[0];
-        const lastMonth = this.results.monthly[this.results.monthly.length - 1];
-
         // Provide monthlyData as alias for monthly (for compatibility with display functions)
         this.results.monthlyData = this.results.monthly;
 
-        this.results.summary = {
+        this.results.summary = buildRunSummary(this.results, {
+            seed: this.seed,
             durationMonths: this.config.durationMonths,
             totalWorkers: this.config.numWorkers,
             totalFirms: this.config.numFirms,
             totalTrainingPrograms: this.trainingPrograms.length,
-
-            initial: {
-                unemploymentRate: firstMonth?.unemploymentRate || 0,
-                aiAdoptionRate: firstMonth?.aiAdoptionRate || 0,
-                medianWage: firstMonth?.medianWage || 0,
-                aiCapabilityLevel: firstMonth?.aiCapabilityLevel || 0
-            },
-
-            final: {
-                unemploymentRate: lastMonth?.unemploymentRate || 0,
-                aiAdoptionRate: lastMonth?.aiAdoptionRate || 0,
-                medianWage: lastMonth?.medianWage || 0,
-                employed: lastMonth?.employed || 0,
-                unemployed: lastMonth?.unemployed || 0,
-                outOfLaborForce: lastMonth?.outOfLaborForce || 0,
-                aiCapabilityLevel: lastMonth?.aiCapabilityLevel || 0
-            },
-
-            changes: {
-                unemploymentChange: (lastMonth?.unemploymentRate || 0) - (firstMonth?.unemploymentRate || 0),
-                wageChange: ((lastMonth?.medianWage || 0) - (firstMonth?.medianWage || 0)) / (firstMonth?.medianWage || 1),
-                aiAdoptionChange: (lastMonth?.aiAdoptionRate || 0) - (firstMonth?.aiAdoptionRate || 0)
-            },
-
-            // Peak unemployment
-            peakUnemployment: Math.max(...this.results.monthly.map(m => m.unemploymentRate)),
-            peakUnemploymentMonth: this.results.monthly.findIndex(m =>
-                m.unemploymentRate === Math.max(...this.results.monthly.map(m => m.unemploymentRate))),
-
-            // Total job flows
-            totalHires: this.results.monthly.reduce((sum, m) => sum + (m.monthlyHires || 0), 0),
-            totalLayoffs: this.results.monthly.reduce((sum, m) => sum + (m.monthlyLayoffs || 0), 0),
-
-            // Training outcomes
             trainingOutcomes: {
                 totalGraduates: this.trainingPrograms.reduce((sum, p) => sum + p.totalGraduates, 0),
                 totalDropouts: this.trainingPrograms.reduce((sum, p) => sum + p.totalDropouts, 0),
@@ -765,25 +906,9 @@ class ABMSimulationEngine {
                     ? this.trainingPrograms.reduce((sum, p) => sum + p.completionRate, 0) / this.trainingPrograms.length
                     : 0
             },
-
-            // Wage inequality
-            wageInequality: lastMonth?.wageDistribution ? {
-                gini: lastMonth.wageDistribution.gini,
-                p90p10Ratio: lastMonth.wageDistribution.p90 / (lastMonth.wageDistribution.p10 || 1)
-            } : null,
-
-            // Final policy support
-            finalPolicySupport: lastMonth?.policySupport || {},
-
-            // Emergent patterns
-            emergentPatterns: this.results.emergentPatterns,
-
-            // AI capability summary
             aiCapabilitySummary: this.aiCapability.getSummary ? this.aiCapability.getSummary() : null,
-
-            // Information diffusion summary
             informationSummary: this.informationDiffusion?.getSummary() || null
-        };
+        });
     }
 
     /**
@@ -812,6 +937,7 @@ class ABMSimulationEngine {
      */
     getCurrentState() {
         return {
+            seed: this.seed,
             month: this.currentMonth,
             isRunning: this.isRunning,
             isPaused: this.isPaused,
@@ -849,17 +975,282 @@ class ABMSimulationEngine {
         }
         return this.wageDynamics.getSummary(this.workers);
     }
+
+    /**
+     * Snapshot the full simulation state as portable JSON.
+     * The snapshot can be restored into a fresh engine to continue the run,
+     * or restored several times to fork alternate policy branches from this month.
+     */
+    createCheckpoint() {
+        if (this.workers.length === 0) {
+            throw new Error('Nothing to checkpoint: the simulation has not been initialized');
+        }
+
+        return {
+            format: CHECKPOINT_FORMAT,
+            version: CHECKPOINT_VERSION,
+            createdAt: new Date().toISOString(),
+            seed: this.seed,
+            month: this.results.monthly.length,
+            rngState: this.rng.getState(),
+            config: {
+                numWorkers: this.config.numWorkers,
+                numFirms: this.config.numFirms,
+                numRegions: this.config.numRegions,
+                numTrainingPrograms: this.config.numTrainingPrograms,
+                durationMonths: this.config.durationMonths,
+                householdMigration: this.config.householdMigration,
+                demandFeedback: this.config.demandFeedback,
+                demographics: this.config.demographics,
+                fiscal: this.config.fiscal,
+                behavior: this.config.behavior
+            },
+            state: encodeGraph({
+                workers: this.workers,
+                firms: this.firms,
+                trainingPrograms: this.trainingPrograms,
+                laborMarket: this.laborMarket,
+                wageDynamics: this.wageDynamics,
+                informationDiffusion: this.informationDiffusion,
+                demand: this.demand,
+                fiscal: this.fiscal,
+                demographics: this.demographics,
+                aiCapability: this.aiCapability,
+                regionalSystem: this.regionalSystem,
+                results: this.results,
+                scenario: this.scenario,
+                currentMonth: this.currentMonth,
+                interventionState: this.interventionState
+            }, {
+                classes: CHECKPOINT_CLASSES,
+                tables: { workers: this.workers, firms: this.firms, trainingPrograms: this.trainingPrograms },
+                rng: this.rng
+            })
+        };
+    }
+
+    /**
+     * Replace this engine's state with a checkpoint from createCheckpoint().
+     * The random stream resumes where it left off, so continuing a restored run
+     * gives the same results as an uninterrupted one.
+     * @param {Object} checkpoint - Checkpoint object (parsed JSON)
+     * @param {Object} overrides - Config to change, e.g. a longer durationMonths
+     */
+    restoreCheckpoint(checkpoint, overrides = {}) {
+        validateCheckpoint(checkpoint);
+
+        this.seed = checkpoint.seed;
+        this.config = { ...this.config, ...checkpoint.config, ...overrides, seed: this.seed };
+        this.rng = createRNG(this.seed);
+        this.rng.setState(checkpoint.rngState);
+
+        const state = decodeGraph(checkpoint.state, { classes: CHECKPOINT_CLASSES, rng: this.rng });
+
+        this.workers = state.workers;
+        this.firms = state.firms;
+        this.trainingPrograms = state.trainingPrograms;
+        this.laborMarket = state.laborMarket;
+        this.wageDynamics = state.wageDynamics;
+        this.informationDiffusion = state.informationDiffusion;
+        // Checkpoints from before demand feedback take this month's spending as the baseline
+        this.demand = state.demand || new HouseholdDemand({ behavior: this.config.behavior });
+        // Checkpoints from before fiscal accounts open a budget at the restored month
+        this.fiscal = state.fiscal || new FiscalAccounts(this.config.fiscal || {});
+        // Checkpoints from before cohort dynamics start them at the restored month
+        this.demographics = state.demographics || this._createDemographics();
+        this.aiCapability = state.aiCapability;
+        this.regionalSystem = state.regionalSystem;
+        this.results = state.results;
+        this.scenario = state.scenario;
+        this.currentMonth = state.currentMonth;
+        this.interventionState = state.interventionState || createInterventionState();
+
+        this.isRunning = false;
+        this.isPaused = false;
+
+        if (overrides.onProgress) this.onProgress = overrides.onProgress;
+        if (overrides.onComplete) this.onComplete = overrides.onComplete;
+
+        return this;
+    }
+
+    /**
+     * Create a new engine from a checkpoint
+     * @param {Object} checkpoint - Checkpoint object (parsed JSON)
+     * @param {Object} config - Config overrides and callbacks for the new engine
+     */
+    static fromCheckpoint(checkpoint, config = {}) {
+        validateCheckpoint(checkpoint);
+        const engine = new ABMSimulationEngine({ ...checkpoint.config, ...config, seed: checkpoint.seed });
+        return engine.restoreCheckpoint(checkpoint, config);
+    }
+
+    /**
+     * Export simulation results
+     */
+    exportResults(format = 'json') {
+        if (format === 'json') {
+            return JSON.stringify({
+                config: {
+                    seed: this.seed,
+                    numWorkers: this.config.numWorkers,
+                    numFirms: this.config.numFirms,
+                    numRegions: this.config.numRegions,
+                    numTrainingPrograms: this.config.numTrainingPrograms,
+                    durationMonths: this.config.durationMonths,
+                    demographics: this.config.demographics,
+                    fiscal: this.config.fiscal,
+                    behavior: this.config.behavior
+                },
+                monthly: this.results.monthly,
+                summary: this.results.summary
+            }, null, 2);
+        }
+
+        // CSV format
+        if (format === 'csv') {
+            const headers = [
+                'Month',
+                'Year',
+                'Unemployment Rate %',
+                'Employed',
+                'Unemployed',
+                'Retraining',
+                'Out of Labor Force',
+                'AI Adoption %',
+                'Median Wage',
+                'Open Positions',
+                'Hires',
+                'Layoffs',
+                'AI Capability',
+                'Revenue',
+                'Outlays',
+                'Deficit',
+                'Debt/GDP %',
+                'Population',
+                'Retirements',
+                'Entrants'
+            ];
+
+            const rows = this.results.monthly.map(m => [
+                m.month,
+                m.year,
+                (m.unemploymentRate * 100).toFixed(2),
+                m.employed,
+                m.unemployed,
+                m.retraining,
+                m.outOfLaborForce,
+                (m.aiAdoptionRate * 100).toFixed(1),
+                Math.round(m.medianWage),
+                m.openPositions,
+                m.monthlyHires,
+                m.monthlyLayoffs,
+                m.aiCapabilityLevel.toFixed(3),
+                m.fiscal ? Math.round(m.fiscal.totalRevenue) : '',
+                m.fiscal ? Math.round(m.fiscal.totalOutlays) : '',
+                m.fiscal ? Math.round(m.fiscal.deficit) : '',
+                m.fiscal ? (m.fiscal.debtToGdp * 100).toFixed(1) : '',
+                m.demographics ? m.demographics.population : '',
+                m.demographics ? m.demographics.retirements : '',
+                m.demographics ? m.demographics.entrants : ''
+            ]);
+
+            return [headers, ...rows].map(row => row.join(',')).join('\n');
+        }
+
+        return this.results;
+    }
+}
+
+/**
+ * Build the run summary from collected monthly results.
+ * Shared by the engine and the partition coordinator so both report the same shape.
+ * @param {Object} results - Results with monthly records and emergent patterns
+ * @param {Object} run - Run-level facts: seed, sizes, training outcomes and module summaries
+ */
+function buildRunSummary(results, run) {
+    const firstMonth = results.monthly[0];
+    const lastMonth = results.monthly[results.monthly.length - 1];
+    const peakUnemployment = Math.max(...results.monthly.map(m => m.unemploymentRate));
+
+    return {
+        seed: run.seed,
+        durationMonths: run.durationMonths,
+        totalWorkers: run.totalWorkers,
+        totalFirms: run.totalFirms,
+        totalTrainingPrograms: run.totalTrainingPrograms,
+
+        initial: {
+            unemploymentRate: firstMonth?.unemploymentRate || 0,
+            aiAdoptionRate: firstMonth?.aiAdoptionRate || 0,
+            medianWage: firstMonth?.medianWage || 0,
+            aiCapabilityLevel: firstMonth?.aiCapabilityLevel || 0
+        },
+
+        final: {
+            unemploymentRate: lastMonth?.unemploymentRate || 0,
+            aiAdoptionRate: lastMonth?.aiAdoptionRate || 0,
+            medianWage: lastMonth?.medianWage || 0,
+            employed: lastMonth?.employed || 0,
+            unemployed: lastMonth?.unemployed || 0,
+            outOfLaborForce: lastMonth?.outOfLaborForce || 0,
+            aiCapabilityLevel: lastMonth?.aiCapabilityLevel || 0
+        },
+
+        changes: {
+            unemploymentChange: (lastMonth?.unemploymentRate || 0) - (firstMonth?.unemploymentRate || 0),
+            wageChange: ((lastMonth?.medianWage || 0) - (firstMonth?.medianWage || 0)) / (firstMonth?.medianWage || 1),
+            aiAdoptionChange: (lastMonth?.aiAdoptionRate || 0) - (firstMonth?.aiAdoptionRate || 0)
+        },
+
+        // Peak unemployment
+        peakUnemployment,
+        peakUnemploymentMonth: results.monthly.findIndex(m => m.unemploymentRate === peakUnemployment),
+
+        // Total job flows
+        totalHires: results.monthly.reduce((sum, m) => sum + (m.monthlyHires || 0), 0),
+        totalLayoffs: results.monthly.reduce((sum, m) => sum + (m.monthlyLayoffs || 0), 0),
+
+        // Training outcomes
+        trainingOutcomes: run.trainingOutcomes,
+
+        // Wage inequality
+        wageInequality: lastMonth?.wageDistribution ? {
+            gini: lastMonth.wageDistribution.gini,
+            p90p10Ratio: lastMonth.wageDistribution.p90 / (lastMonth.wageDistribution.p10 || 1)
+        } : null,
+
+        // Final policy support
+        finalPolicySupport: lastMonth?.policySupport || {},
+
+        // Emergent patterns
+        emergentPatterns: results.emergentPatterns,
+
+        // AI capability summary
+        aiCapabilitySummary: run.aiCapabilitySummary,
+
+        // Information diffusion summary
+        informationSummary: run.informationSummary,
+
+        // Government budget over the run
+        fiscal: summarizeFiscal(results.monthly.map(m => m.fiscal)),
+
+        // Retirements, entrants and participation by cohort
+        demographics: summarizeDemographics(results.monthly.map(m => m.demographics))
+    };
 }
 
 /**
  * Fallback AI Capability Frontier - Used when separate module not loaded
  */
 class AICapabilityFrontierInline {
-    constructor(scenario = {}) {
+    constructor(scenario = {}, rng = Math.random) {
         this.scenario = scenario;
+        this.rng = rng;
         this.currentLevel = scenario.initialAILevel || 0.3;
         this.adoptionCurve = scenario.adoptionCurve || 's_curve';
         this.automationPace = scenario.automationPace || 'moderate';
+        this.speedMultiplier = scenario.aiAdoptionSpeed || 1.0;
         this.occupationExposure = {};
     }
 
@@ -871,7 +1262,7 @@ class AICapabilityFrontierInline {
             accelerating: 2.0
         };
 
-        const pace = paceMultipliers[this.automationPace] || 1.0;
+        const pace = (paceMultipliers[this.automationPace] || 1.0) * this.speedMultiplier;
 
         switch (this.adoptionCurve) {
             case 'linear':
@@ -900,7 +1291,7 @@ class AICapabilityFrontierInline {
         if (this.occupationExposure[occupation]) {
             return this.occupationExposure[occupation] * this.currentLevel;
         }
-        this.occupationExposure[occupation] = 0.3 + Math.random() * 0.5;
+        this.occupationExposure[occupation] = 0.3 + this.rng() * 0.5;
         return this.occupationExposure[occupation] * this.currentLevel;
     }
 
@@ -913,8 +1304,26 @@ class AICapabilityFrontierInline {
     }
 }
 
+// Classes that may appear in a checkpoint, by the name written to the JSON
+const CHECKPOINT_CLASSES = {
+    WorkerAgent,
+    FirmAgent,
+    TrainingProgramAgent,
+    LaborMarket,
+    WageDynamics,
+    InformationDiffusion,
+    HouseholdDemand,
+    FiscalAccounts,
+    CohortDynamics,
+    InterventionRules,
+    AICapabilityFrontier,
+    AICapabilityFrontierInline,
+    RegionalMarketSystem,
+    Region
+};
+
 // Export for ES modules
-export { ABMSimulationEngine, AICapabilityFrontierInline };
+export { ABMSimulationEngine, AICapabilityFrontierInline, buildRunSummary };
 
 // Also export to window for backwards compatibility with script tags
 if (typeof window !== 'undefined') {
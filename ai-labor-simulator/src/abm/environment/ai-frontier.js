@@ -77,9 +77,12 @@ const INDUSTRY_AUTOMATION = {
 };
 
 class AICapabilityFrontier {
-    constructor(scenario = {}) {
+    constructor(scenario = {}, rng = Math.random) {
         this.scenario = scenario;
 
+        // Random source (seeded by the engine for reproducible runs)
+        this.rng = rng;
+
         // Current AI capability level (0-1 scale)
         this.currentLevel = scenario.initialAILevel || 0.30;
 
@@ -89,6 +92,9 @@ class AICapabilityFrontier {
         // Automation pace
         this.automationPace = scenario.automationPace || 'moderate';
 
+        // Continuous multiplier on top of the named pace
+        this.speedMultiplier = scenario.aiAdoptionSpeed || 1.0;
+
         // Capability levels by task category
         this.taskCapabilities = this._initializeTaskCapabilities();
 
@@ -130,7 +136,7 @@ class AICapabilityFrontier {
             accelerating: 2.0
         };
 
-        const pace = paceMultipliers[this.automationPace] || 1.0;
+        const pace = (paceMultipliers[this.automationPace] || 1.0) * this.speedMultiplier;
 
         // Calculate capability growth based on curve type
         let growth = 0;
@@ -170,7 +176,7 @@ class AICapabilityFrontier {
         this._updateTaskCapabilities(month, pace);
 
         // Check for random breakthroughs (1% chance per month in fast scenarios)
-        if (Math.random() < 0.01 * pace) {
+        if (this.rng() < 0.01 * pace) {
             this._generateBreakthrough(month);
         }
 
@@ -214,9 +220,9 @@ class AICapabilityFrontier {
     _generateBreakthrough(month) {
         // Random breakthrough affects specific capability
         const categories = Object.keys(this.taskCapabilities);
-        const affectedCategory = categories[Math.floor(Math.random() * categories.length)];
+        const affectedCategory = categories[Math.floor(this.rng() * categories.length)];
 
-        const impact = 0.05 + Math.random() * 0.1;
+        const impact = 0.05 + this.rng() * 0.1;
         this.taskCapabilities[affectedCategory] = Math.min(0.95,
             this.taskCapabilities[affectedCategory] + impact
         );
@@ -253,7 +259,7 @@ class AICapabilityFrontier {
             // Generate exposure for unknown occupation based on ID pattern
             // Higher IDs tend to be newer, potentially AI-related jobs
             const idNormalized = (occupation % 100) / 100;
-            baseExposure = 0.3 + Math.random() * 0.4;
+            baseExposure = 0.3 + this.rng() * 0.4;
 
             // Some randomness based on occupation ID
             if (occupation > 80) {
@@ -472,6 +478,31 @@ class AICapabilityFrontier {
         return projections;
     }
 
+    /**
+     * State that every copy of the frontier must agree on. Partitioned runs advance
+     * one frontier centrally and push this to each partition every month.
+     */
+    getSharedState() {
+        return {
+            currentLevel: this.currentLevel,
+            taskCapabilities: { ...this.taskCapabilities },
+            occupationExposure: { ...this.occupationExposure },
+            industryAdoption: { ...this.industryAdoption },
+            breakthroughs: [...this.breakthroughs]
+        };
+    }
+
+    /**
+     * Adopt state produced by getSharedState() on another frontier
+     */
+    setSharedState(state) {
+        this.currentLevel = state.currentLevel;
+        this.taskCapabilities = { ...state.taskCapabilities };
+        this.occupationExposure = { ...state.occupationExposure };
+        this.industryAdoption = { ...state.industryAdoption };
+        this.breakthroughs = [...state.breakthroughs];
+    }
+
     // ========== Getters ==========
 
     getCurrentLevel() {
@@ -0,0 +1,301 @@
+/**
+ * CohortDynamics - Retirement, labor-force entry and cohort turnover
+ *
+ * Keeps the worker population realistic over long runs. Each month workers
+ * retire by age-specific hazard rates and leave the population for good; once a
+ * year (at graduation) a cohort of young entrants joins it. The entrants'
+ * education mix starts from today's mix of new graduates and shifts toward more
+ * schooling as perceived AI risk rises: the population's economic anxiety above
+ * its starting level, which automation layoffs and AI news drive up.
+ *
+ * Participation is tracked by age group and by cohort (the year a worker
+ * entered; the starting population is the "initial" cohort). Records hold counts
+ * so partitions can be added up with mergeDemographics().
+ *
+ * The engine creates and removes the worker agents; this module decides who
+ * retires and who enters.
+ */
+
+// Annual retirement hazard from each age up to the next band (US-like pattern:
+// peaks at 62 and 65-66 when Social Security and Medicare become available)
+const RETIREMENT_HAZARDS = [
+    { age: 0, rate: 0.002 },   // Disability and early exits
+    { age: 55, rate: 0.03 },
+    { age: 60, rate: 0.06 },
+    { age: 62, rate: 0.15 },
+    { age: 65, rate: 0.30 },
+    { age: 67, rate: 0.25 },
+    { age: 70, rate: 0.35 }
+];
+
+// Education mix of new labor-force entrants, their age at entry, and how
+// strongly perceived AI risk pushes each level up (+) or down (-)
+const ENTRANT_EDUCATION = {
+    no_degree: { share: 0.08, entryAge: 18, tilt: -2 },
+    high_school: { share: 0.30, entryAge: 18, tilt: -1 },
+    some_college: { share: 0.22, entryAge: 20, tilt: 0 },
+    bachelors: { share: 0.30, entryAge: 22, tilt: 1 },
+    advanced: { share: 0.10, entryAge: 25, tilt: 2 }
+};
+
+const INITIAL_COHORT = 'initial';
+
+class CohortDynamics {
+    constructor(config = {}) {
+        this.rng = config.rng || Math.random;
+
+        // Annual hazards by age band, and the age at which everyone has retired
+        this.retirementHazards = config.retirementHazards || RETIREMENT_HAZARDS;
+        this.maxAge = config.maxAge ?? 75;
+
+        // Entrants per year as a share of the starting population
+        this.entryRate = config.entryRate ?? 0.022;
+
+        // Month of the year (0 = January) new graduates enter
+        this.entryMonth = config.entryMonth ?? 5;
+
+        // How far a point of perceived AI risk tilts entrants toward more schooling
+        this.educationResponse = config.educationResponse ?? 2;
+
+        this.baseEducation = config.entrantEducation || ENTRANT_EDUCATION;
+
+        // Set on the first step
+        this.initialPopulation = null;
+        this.baselineAnxiety = null;
+
+        this.cumulativeRetirements = 0;
+        this.cumulativeEntrants = 0;
+        this.entryRemainder = 0;
+
+        this.monthlyRetirements = 0;
+        this.monthlyEntrants = 0;
+        this.perceivedRisk = 0;
+        this.lastEntrantEducation = null;
+    }
+
+    /**
+     * Decide this month's retirements and, in the entry month, the new cohort
+     * @param {Object[]} workers - The engine's workers
+     * @param {number} month - Simulation month (0-based)
+     * @param {number} [startYear=2025] - Calendar year of month 0, which dates the cohorts
+     * @returns {{retiring: Object[], entrants: Array<{index: number, age: number, education: string, cohort: number}>}}
+     */
+    step(workers, month, startYear = 2025) {
+        if (this.initialPopulation === null) {
+            this.initialPopulation = workers.length;
+            this.baselineAnxiety = meanAnxiety(workers);
+        }
+
+        const retiring = workers.filter(worker =>
+            worker.age >= this.maxAge || this.rng() < this.getMonthlyHazard(worker.age));
+
+        const entrants = [];
+        if (month % 12 === this.entryMonth) {
+            this.perceivedRisk = Math.max(0, meanAnxiety(workers) - this.baselineAnxiety);
+            const mix = this.getEntrantEducation(this.perceivedRisk);
+
+            // Carry fractions over so small populations still get their share over time
+            const expected = this.initialPopulation * this.entryRate + this.entryRemainder;
+            const count = Math.floor(expected);
+            this.entryRemainder = expected - count;
+
+            const cohort = startYear + Math.floor(month / 12);
+            for (let i = 0; i < count; i++) {
+                const education = this._drawEducation(mix);
+                entrants.push({
+                    index: this.cumulativeEntrants + i,
+                    age: this.baseEducation[education].entryAge + Math.floor(this.rng() * 2),
+                    education,
+                    cohort
+                });
+            }
+
+            this.lastEntrantEducation = mix;
+        }
+
+        this.monthlyRetirements = retiring.length;
+        this.monthlyEntrants = entrants.length;
+        this.cumulativeRetirements += retiring.length;
+        this.cumulativeEntrants += entrants.length;
+
+        return { retiring, entrants };
+    }
+
+    /**
+     * Chance that a worker of this age retires this month
+     */
+    getMonthlyHazard(age) {
+        let annual = 0;
+        this.retirementHazards.forEach(band => {
+            if (age >= band.age) annual = band.rate;
+        });
+        return 1 - Math.pow(1 - annual, 1 / 12);
+    }
+
+    /**
+     * Education shares of new entrants at a level of perceived AI risk
+     * @param {number} risk - Economic anxiety above its starting level (0-1)
+     * @returns {Object} Share by education level
+     */
+    getEntrantEducation(risk = 0) {
+        const weights = {};
+        Object.entries(this.baseEducation).forEach(([level, entry]) => {
+            weights[level] = entry.share * Math.exp(this.educationResponse * risk * entry.tilt);
+        });
+
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const shares = {};
+        Object.keys(weights).forEach(level => { shares[level] = weights[level] / total; });
+        return shares;
+    }
+
+    /**
+     * Population, flows and participation by age group and cohort
+     * @param {Object[]} workers - The engine's workers after this month's changes
+     */
+    getStatistics(workers) {
+        const byAgeGroup = {};
+        const byCohort = {};
+        let inLaborForce = 0;
+        let totalAge = 0;
+
+        const count = (groups, key, worker) => {
+            if (!groups[key]) groups[key] = { population: 0, inLaborForce: 0, employed: 0 };
+            groups[key].population++;
+            if (worker.isInLaborForce()) groups[key].inLaborForce++;
+            if (worker.isEmployed()) groups[key].employed++;
+        };
+
+        workers.forEach(worker => {
+            count(byAgeGroup, worker.getAgeGroup(), worker);
+            count(byCohort, worker.cohort ?? INITIAL_COHORT, worker);
+            if (worker.isInLaborForce()) inLaborForce++;
+            totalAge += worker.age;
+        });
+
+        return {
+            population: workers.length,
+            inLaborForce,
+            totalAge,
+            averageAge: workers.length > 0 ? totalAge / workers.length : 0,
+            participationRate: workers.length > 0 ? inLaborForce / workers.length : 0,
+            retirements: this.monthlyRetirements,
+            entrants: this.monthlyEntrants,
+            cumulativeRetirements: this.cumulativeRetirements,
+            cumulativeEntrants: this.cumulativeEntrants,
+            perceivedRisk: this.perceivedRisk,
+            entrantEducation: this.lastEntrantEducation ? { ...this.lastEntrantEducation } : null,
+            byAgeGroup: withParticipation(byAgeGroup),
+            byCohort: withParticipation(byCohort)
+        };
+    }
+
+    _drawEducation(mix) {
+        const levels = Object.keys(mix);
+        let draw = this.rng();
+        for (const level of levels) {
+            draw -= mix[level];
+            if (draw < 0) return level;
+        }
+        return levels[levels.length - 1];
+    }
+}
+
+function meanAnxiety(workers) {
+    if (workers.length === 0) return 0;
+    return workers.reduce((sum, w) => sum + (w.economicAnxiety || 0), 0) / workers.length;
+}
+
+function withParticipation(groups) {
+    Object.values(groups).forEach(group => {
+        group.participationRate = group.population > 0 ? group.inLaborForce / group.population : 0;
+    });
+    return groups;
+}
+
+/**
+ * Add up demographic records from several partitions of one month
+ * @param {Array<Object|null>} parts - CohortDynamics.getStatistics() results
+ * @returns {Object|null}
+ */
+function mergeDemographics(parts) {
+    const records = (parts || []).filter(Boolean);
+    if (records.length === 0) return null;
+
+    const total = (key) => records.reduce((sum, r) => sum + r[key], 0);
+    const addGroups = (key) => {
+        const merged = {};
+        records.forEach(r => {
+            Object.entries(r[key]).forEach(([group, counts]) => {
+                if (!merged[group]) merged[group] = { population: 0, inLaborForce: 0, employed: 0 };
+                merged[group].population += counts.population;
+                merged[group].inLaborForce += counts.inLaborForce;
+                merged[group].employed += counts.employed;
+            });
+        });
+        return withParticipation(merged);
+    };
+
+    const population = total('population');
+    const inLaborForce = total('inLaborForce');
+    const totalAge = total('totalAge');
+
+    return {
+        population,
+        inLaborForce,
+        totalAge,
+        averageAge: population > 0 ? totalAge / population : 0,
+        participationRate: population > 0 ? inLaborForce / population : 0,
+        retirements: total('retirements'),
+        entrants: total('entrants'),
+        cumulativeRetirements: total('cumulativeRetirements'),
+        cumulativeEntrants: total('cumulativeEntrants'),
+        // Weighted by population, as the partitions' mixes are drawn the same way
+        perceivedRisk: population > 0
+            ? records.reduce((sum, r) => sum + r.perceivedRisk * r.population, 0) / population
+            : 0,
+        entrantEducation: records.find(r => r.entrantEducation)?.entrantEducation || null,
+        byAgeGroup: addGroups('byAgeGroup'),
+        byCohort: addGroups('byCohort')
+    };
+}
+
+/**
+ * Population change over a run's demographic records (steps without them are skipped)
+ * @param {Array<Object|null>} records - Monthly demographic records in order
+ * @returns {Object|null}
+ */
+function summarizeDemographics(records) {
+    const steps = (records || []).filter(Boolean);
+    if (steps.length === 0) return null;
+
+    const first = steps[0];
+    const last = steps[steps.length - 1];
+
+    return {
+        initialPopulation: first.population + first.retirements - first.entrants,
+        finalPopulation: last.population,
+        totalRetirements: last.cumulativeRetirements,
+        totalEntrants: last.cumulativeEntrants,
+        averageAge: { initial: first.averageAge, final: last.averageAge },
+        participationRate: { initial: first.participationRate, final: last.participationRate },
+        finalEntrantEducation: last.entrantEducation,
+        participationByCohort: Object.fromEntries(
+            Object.entries(last.byCohort).map(([cohort, group]) => [cohort, group.participationRate]))
+    };
+}
+
+// Export for ES modules
+export {
+    CohortDynamics,
+    RETIREMENT_HAZARDS,
+    ENTRANT_EDUCATION,
+    INITIAL_COHORT,
+    mergeDemographics,
+    summarizeDemographics
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.CohortDynamics = CohortDynamics;
+}
@@ -116,6 +116,9 @@ const REGIONAL_INDUSTRY_MIX = {
 
 class Region {
     constructor(config) {
+        // Random source (seeded by the engine for reproducible runs)
+        this.rng = config.rng || Math.random;
+
         this.id = config.id;
         this.name = config.name;
         this.abbrev = config.abbrev || config.name.substring(0, 2).toUpperCase();
@@ -125,9 +128,9 @@ class Region {
 
         // Economic characteristics
         this.industryMix = this._initializeIndustryMix();
-        this.unemploymentRate = config.initialUnemploymentRate || 0.04 + (Math.random() * 0.02 - 0.01);
+        this.unemploymentRate = config.initialUnemploymentRate || 0.04 + (this.rng() * 0.02 - 0.01);
         this.averageWage = this._calculateAverageWage();
-        this.laborForceParticipation = 0.60 + Math.random() * 0.08;
+        this.laborForceParticipation = 0.60 + this.rng() * 0.08;
 
         // Labor market dynamics
         this.localWorkers = [];
@@ -143,7 +146,7 @@ class Region {
         this.attractiveness = this._calculateAttractiveness();
 
         // AI adoption level in region
-        this.regionalAIAdoption = this.techHub ? 0.25 + Math.random() * 0.15 : 0.10 + Math.random() * 0.10;
+        this.regionalAIAdoption = this.techHub ? 0.25 + this.rng() * 0.15 : 0.10 + this.rng() * 0.10;
 
         // Policy support averages
         this.policySupport = {
@@ -168,7 +171,7 @@ class Region {
         Object.keys(INDUSTRY_SECTORS).forEach(industry => {
             if (!mix[industry]) {
                 const remainingShare = Math.max(0.02, (1 - totalShare) / 15);
-                mix[industry] = remainingShare * (0.5 + Math.random());
+                mix[industry] = remainingShare * (0.5 + this.rng());
             }
         });
 
@@ -194,7 +197,7 @@ class Region {
         }
 
         // Add some randomness
-        wage *= (0.95 + Math.random() * 0.1);
+        wage *= (0.95 + this.rng() * 0.1);
 
         return Math.round(wage);
     }
@@ -313,13 +316,19 @@ class Region {
         };
     }
 
-    processMigration(workers, destinationRegion) {
-        // Called when workers migrate away
+    processMigration(worker, destinationRegion) {
+        // Called when a worker moves away
+        const index = this.localWorkers.indexOf(worker);
+        if (index !== -1) {
+            this.localWorkers.splice(index, 1);
+        }
         this.outMigration++;
     }
 
     receiveMigrant(worker) {
-        // Called when workers migrate here
+        // Called when a worker moves here; their job search now starts from this region
+        worker.region = this.id;
+        this.localWorkers.push(worker);
         this.inMigration++;
     }
 
@@ -405,19 +414,31 @@ class Region {
  * RegionalMarketSystem - Manages all regions
  */
 class RegionalMarketSystem {
-    constructor(numRegions = 50) {
+    /**
+     * @param {number} numRegions - Use the first N regions (largest states first)
+     * @param {Function} rng - Random source
+     * @param {number[]|null} regionIds - Only model these regions, e.g. one partition's share
+     */
+    constructor(numRegions = 50, rng = Math.random, regionIds = null) {
+        this.rng = rng;
         this.regions = [];
-        this.numRegions = Math.min(numRegions, US_REGIONS.length);
+        this.migrationFlows = {}; // This month's moves, keyed "from>to"
+        this.numRegions = regionIds
+            ? regionIds.length
+            : Math.min(numRegions, US_REGIONS.length);
 
-        this._initializeRegions();
+        this._initializeRegions(regionIds);
     }
 
-    _initializeRegions() {
+    _initializeRegions(regionIds = null) {
         // Use real US state data for regions
-        for (let i = 0; i < this.numRegions; i++) {
-            const regionData = US_REGIONS[i];
-            this.regions.push(new Region(regionData));
-        }
+        const regionData = regionIds
+            ? US_REGIONS.filter(r => regionIds.includes(r.id))
+            : US_REGIONS.slice(0, this.numRegions);
+
+        regionData.forEach(data => {
+            this.regions.push(new Region({ ...data, rng: this.rng }));
+        });
     }
 
     getRegion(id) {
@@ -442,6 +463,183 @@ class RegionalMarketSystem {
         return snapshots;
     }
 
+    // ========== Migration ==========
+
+    /**
+     * Start a new month of migration accounting
+     */
+    resetMigration() {
+        this.migrationFlows = {};
+        this.regions.forEach(region => {
+            region.inMigration = 0;
+            region.outMigration = 0;
+        });
+    }
+
+    /**
+     * Tally one move between regions. Either end may belong to another partition.
+     * @param {number} fromId - Origin region
+     * @param {number} toId - Destination region
+     * @param {string} reason - 'job', 'search' or 'household'
+     */
+    recordMove(fromId, toId, reason) {
+        const key = `${fromId}>${toId}`;
+        if (!this.migrationFlows[key]) {
+            this.migrationFlows[key] = { from: fromId, to: toId, count: 0, job: 0, search: 0, household: 0 };
+        }
+        this.migrationFlows[key].count++;
+        this.migrationFlows[key][reason]++;
+    }
+
+    /**
+     * Move a worker to another region: update both regions, the worker's job
+     * search area and their network
+     * @returns {boolean} Whether the worker moved
+     */
+    relocateWorker(worker, destinationId, reason = 'search') {
+        const destination = this.getRegion(destinationId);
+        if (!destination || worker.region === destinationId) return false;
+
+        const origin = this.getRegion(worker.region);
+        if (origin) {
+            origin.processMigration(worker, destination);
+        }
+
+        this.recordMove(worker.region, destinationId, reason);
+        destination.receiveMigrant(worker);
+        this._rebuildNetwork(worker, origin ? origin.id : null, destination);
+
+        return true;
+    }
+
+    /**
+     * Keep contacts outside the old region and about half of those in it, then
+     * fill the network with people from the new region
+     */
+    _rebuildNetwork(worker, originId, destination) {
+        const networkSize = Math.min(worker.networkSize, 30);
+        const kept = worker.network.filter(contact => contact.region !== originId || this.rng() < 0.5);
+
+        const known = new Set(kept);
+        const newcomers = destination.localWorkers
+            .filter(w => w !== worker && !known.has(w))
+            .sort(() => this.rng() - 0.5)
+            .slice(0, Math.max(0, networkSize - kept.length));
+
+        worker.network = [...kept, ...newcomers];
+    }
+
+    /**
+     * Unemployed workers leave regions under out-migration pressure when they can
+     * pay for the move. Younger and more mobile workers move more; destinations are
+     * drawn by how much more attractive they are, discounted by distance (region ids
+     * are ordered so that neighbours are close).
+     * @param {Object[]} workers - This engine's workers
+     * @param {Object} [options] - householdMigration: non-working contacts may follow a mover
+     * @returns {number} Workers who moved
+     */
+    processMigration(workers, options = {}) {
+        if (this.regions.length < 2) return 0;
+
+        const pressures = new Map(this.regions.map(region => [
+            region.id,
+            region.calculateMigrationPressure(this.regions.filter(r => r !== region))
+        ]));
+
+        const movers = workers.filter(w =>
+            w.status === 'unemployed' && (pressures.get(w.region)?.outPressure || 0) > 0
+        );
+        const moved = new Set();
+
+        movers.forEach(worker => {
+            if (moved.has(worker)) return;
+
+            const origin = this.getRegion(worker.region);
+            const push = Math.min(1, pressures.get(origin.id).outPressure / 2);
+            const ageFactor = worker.age < 35 ? 1.5 : worker.age < 45 ? 1 : worker.age < 55 ? 0.6 : 0.3;
+            const chance = worker.behavior.migrationProbability * push * ageFactor * (0.5 + worker.mobilityWillingness);
+            if (this.rng() >= chance) return;
+
+            const destination = this._chooseDestination(origin, pressures);
+            if (!destination) return;
+
+            // Savings are in months of expenses
+            const distance = Math.abs(destination.id - origin.id);
+            const cost = worker.behavior.movingCostMonths * (1 + 0.25 * (distance - 1));
+            if (worker.savings < cost) return;
+
+            worker.savings -= cost;
+            this.relocateWorker(worker, destination.id, 'search');
+            moved.add(worker);
+
+            if (options.householdMigration) {
+                const member = worker.network.find(contact =>
+                    contact.region === origin.id && contact.status !== 'employed' && !moved.has(contact));
+                if (member && this.rng() < worker.behavior.householdMoveProbability) {
+                    this.relocateWorker(member, destination.id, 'household');
+                    moved.add(member);
+                }
+            }
+        });
+
+        return moved.size;
+    }
+
+    _chooseDestination(origin, pressures) {
+        const candidates = this.regions
+            .filter(r => r !== origin)
+            .map(region => ({
+                region,
+                weight: (Math.max(0, region.attractiveness - origin.attractiveness) + pressures.get(region.id).inPressure) /
+                    Math.abs(region.id - origin.id)
+            }))
+            .filter(c => c.weight > 0);
+
+        const total = candidates.reduce((sum, c) => sum + c.weight, 0);
+        if (total === 0) return null;
+
+        let rand = this.rng() * total;
+        for (const { region, weight } of candidates) {
+            rand -= weight;
+            if (rand <= 0) return region;
+        }
+        return candidates[candidates.length - 1].region;
+    }
+
+    /**
+     * This month's gross and net flows for every pair of regions with a move
+     * between them, plus totals by reason
+     */
+    getMigrationFlows() {
+        const pairs = {};
+        const totals = { moves: 0, job: 0, search: 0, household: 0 };
+
+        Object.values(this.migrationFlows).forEach(flow => {
+            const [a, b] = flow.from < flow.to ? [flow.from, flow.to] : [flow.to, flow.from];
+            const key = `${a}-${b}`;
+            if (!pairs[key]) {
+                pairs[key] = { regionA: a, regionB: b, aToB: 0, bToA: 0, gross: 0, net: 0 };
+            }
+            if (flow.from === a) {
+                pairs[key].aToB += flow.count;
+            } else {
+                pairs[key].bToA += flow.count;
+            }
+            pairs[key].gross += flow.count;
+            pairs[key].net = pairs[key].aToB - pairs[key].bToA;
+
+            totals.moves += flow.count;
+            totals.job += flow.job;
+            totals.search += flow.search;
+            totals.household += flow.household;
+        });
+
+        return {
+            ...totals,
+            pairs: Object.values(pairs).sort((x, y) => x.regionA - y.regionA || x.regionB - y.regionB)
+        };
+    }
+
     /**
      * Get population-weighted distribution for worker assignment
      */
@@ -458,7 +656,7 @@ class RegionalMarketSystem {
      */
     selectRegionByPopulation() {
         const distribution = this.getPopulationDistribution();
-        const rand = Math.random();
+        const rand = this.rng();
         let cumulative = 0;
 
         for (const { id, weight } of distribution) {
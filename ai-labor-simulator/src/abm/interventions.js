@@ -0,0 +1,754 @@
+/**
+ * ABM Policy Interventions
+ *
+ * Applies every intervention type defined by InterventionSystem to the agent
+ * population. Handlers run once a month after wages adjust. They act on workers
+ * directly (income, savings, enrollment, public jobs) and set each firm's
+ * policyEffects, which shape the next month's AI adoption and layoff decisions.
+ *
+ * Interventions may come from InterventionSystem ({type, parameters, start_year,
+ * end_year}) or in the older flat form the ABM panel builds ({type, amount, ...});
+ * parameters fall back to InterventionSystem's defaults.
+ *
+ * Handlers also book what each policy costs or raises this month by type
+ * (interventionState.monthlyOutlays / monthlyRevenues) for the fiscal accounts.
+ *
+ * Interventions with a trigger rule run only while their conditions hold, at
+ * their ramped strength (see simulation/intervention-rules.js).
+ */
+
+import { InterventionSystem } from '../simulation/interventions.js';
+import { InterventionRules, validateRule } from '../simulation/intervention-rules.js';
+import { WorkerAgent } from './agents/worker.js';
+
+// Firm industry codes as used by FirmAgent (see _calculateBaseWage)
+const SECTOR_INDUSTRIES = {
+    technology: [1],
+    finance: [2],
+    healthcare: [3],
+    retail: [4],
+    hospitality: [5],
+    manufacturing: [6],
+    research: [7],
+    engineering: [1, 7],
+    transportation: [8],
+    education: [9],
+    construction: [10]
+};
+
+// FirmAgent potentials at or above this count as high automation risk
+const HIGH_AUTOMATION_RISK = 0.65;
+
+// Roughly the US labor force, used to scale national caps to the agent population
+const US_LABOR_FORCE = 165000000;
+
+// Work hours per month, matching WageDynamics' minimum wage conversion
+const HOURS_PER_MONTH = 173;
+
+let defaultParameters = null;
+
+/**
+ * Default value of an InterventionSystem parameter
+ */
+function getDefaultParameter(type, name) {
+    if (!defaultParameters) {
+        defaultParameters = new InterventionSystem().interventionTypes;
+    }
+    const definition = defaultParameters[type];
+    const parameter = definition && definition.parameters[name];
+    return parameter ? parameter.default : undefined;
+}
+
+/**
+ * Read an intervention parameter: nested parameters first, then the flat form,
+ * then any legacy key names, then the InterventionSystem default
+ * @param {Object} intervention
+ * @param {string} name - InterventionSystem parameter name
+ * @param {string[]} legacyKeys - Older flat keys with the same meaning and units
+ */
+function readParameter(intervention, name, legacyKeys = []) {
+    const parameters = intervention.parameters || {};
+    if (parameters[name] !== undefined) return parameters[name];
+    if (intervention[name] !== undefined) return intervention[name];
+    for (const key of legacyKeys) {
+        if (intervention[key] !== undefined) return intervention[key];
+    }
+    return getDefaultParameter(intervention.type === 'retraining' ? 'job_retraining' : intervention.type, name);
+}
+
+/**
+ * Normalize a list parameter that may also be given as a single value
+ */
+function asList(value) {
+    if (Array.isArray(value)) return value;
+    return value === undefined || value === null ? [] : [value];
+}
+
+/**
+ * Stable pseudo-random fraction for an agent id, so the same firms stay
+ * covered by a partial policy month after month without consuming the RNG
+ */
+function stableFraction(id) {
+    let hash = 2166136261;
+    const text = String(id);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return (hash >>> 0) / 4294967296;
+}
+
+function firmInSector(firm, sector) {
+    if (sector === 'all') return true;
+    if (sector === 'high_automation_risk') return firm.industryAutomationPotential >= HIGH_AUTOMATION_RISK;
+    if (sector === 'small_business') return firm.size === 'small';
+    return (SECTOR_INDUSTRIES[sector] || []).includes(firm.industry);
+}
+
+function firmInAnySector(firm, sectors) {
+    return asList(sectors).some(sector => firmInSector(firm, sector));
+}
+
+function annualIncome(worker) {
+    return worker.isEmployed() ? worker.wage * 12 : 0;
+}
+
+function lastJobEndReason(worker) {
+    const last = worker.jobHistory[worker.jobHistory.length - 1];
+    return last ? last.endReason : null;
+}
+
+function isDisplaced(worker) {
+    return lastJobEndReason(worker) === 'automation';
+}
+
+/**
+ * Add a cash transfer to a worker's savings (kept in months of expenses)
+ */
+function creditIncome(worker, amount) {
+    if (amount <= 0) return;
+    worker.savings += amount / Math.max(1, worker.wage);
+    worker.transferIncome = (worker.transferIncome || 0) + amount;
+    worker.economicAnxiety = Math.max(0, worker.economicAnxiety - 0.05);
+}
+
+function raiseSupport(worker, policy, amount) {
+    worker.policySupport[policy] = Math.min(1, worker.policySupport[policy] + amount);
+}
+
+/**
+ * Combine a job-protection share with any protection already in place
+ */
+function protectJobs(firm, share) {
+    const current = firm.policyEffects.layoffReduction;
+    firm.policyEffects.layoffReduction = 1 - (1 - current) * (1 - Math.max(0, Math.min(1, share)));
+}
+
+/**
+ * Flag a worker to seek a training place; the engine enrolls them next month
+ */
+function encourageRetraining(engine, worker, probability) {
+    if (worker.retrainingProgram || worker.age >= 60) return;
+    if (engine.rng() < probability) {
+        worker.wantsRetraining = true;
+    }
+}
+
+/**
+ * Fund a program; overlapping funding streams never lower its subsidy. Each
+ * stream pays its own level for the month's share of current enrollees' tuition.
+ */
+function subsidizeProgram(engine, type, program, level) {
+    program.receiveSubsidy(Math.max(program.subsidyAvailable, level));
+    recordOutlay(engine, type, Math.min(1, level) * program.cost * program.currentEnrollment / Math.max(1, program.duration));
+}
+
+function recordRevenue(engine, type, amount) {
+    const state = engine.interventionState;
+    state.revenue[type] = (state.revenue[type] || 0) + amount;
+    state.monthlyRevenues[type] = (state.monthlyRevenues[type] || 0) + amount;
+}
+
+function recordOutlay(engine, type, amount) {
+    if (amount <= 0) return;
+    const outlays = engine.interventionState.monthlyOutlays;
+    outlays[type] = (outlays[type] || 0) + amount;
+}
+
+// ========== Handlers ==========
+
+function applyUBI(engine, intervention) {
+    const amount = readParameter(intervention, 'monthly_amount', ['amount', 'monthlyAmount']);
+    const eligibilityAge = readParameter(intervention, 'eligibility_age');
+    const phaseOut = readParameter(intervention, 'phase_out_threshold');
+    // The ABM panel's flat form pays the unemployed unless marked universal
+    const universal = intervention.universal !== undefined
+        ? intervention.universal
+        : intervention.parameters !== undefined;
+
+    engine.workers.forEach(worker => {
+        if (!universal && worker.status !== 'unemployed') return;
+        if (worker.age < eligibilityAge) return;
+
+        const income = annualIncome(worker);
+        const payment = phaseOut > 0 ? amount * Math.max(0, 1 - income / phaseOut) : amount;
+        if (payment > 0) {
+            worker.receiveUBI(payment);
+            recordOutlay(engine, 'ubi', payment);
+        }
+    });
+}
+
+function applyRetraining(engine, intervention, month) {
+    const legacyLevel = intervention.subsidyLevel !== undefined ? intervention.subsidyLevel : intervention.subsidyRate;
+    const fundingPerWorker = readParameter(intervention, 'funding_per_worker');
+    const successRate = readParameter(intervention, 'success_rate') / 100;
+    const eligibility = readParameter(intervention, 'eligibility');
+
+    // Fallback: direct enrollment when the run has no program agents
+    if (engine.trainingPrograms.length === 0) {
+        const eligibleWorkers = engine.workers.filter(w =>
+            (w.status === 'unemployed' || w.wantsRetraining) &&
+            w.age < 60 &&
+            !w.retrainingProgram
+        );
+
+        const spotsAvailable = intervention.capacity || 1000;
+        eligibleWorkers.slice(0, spotsAvailable).forEach(worker => {
+            worker.enrollInRetraining({
+                id: `retrain_${month}_${worker.id}`,
+                duration: readParameter(intervention, 'program_duration', ['duration']),
+                skillsProvided: intervention.skills || {
+                    dataAnalysis: 0.3,
+                    programming: 0.2,
+                    technical: 0.2
+                }
+            });
+            worker.wantsRetraining = false;
+        });
+        return;
+    }
+
+    engine.trainingPrograms.forEach(program => {
+        const level = legacyLevel !== undefined ? legacyLevel : Math.min(1, fundingPerWorker / program.cost);
+        subsidizeProgram(engine, 'job_retraining', program, level);
+        program.completionRate = Math.max(program.completionRate, successRate);
+    });
+
+    engine.workers.forEach(worker => {
+        if (worker.status !== 'unemployed') return;
+        if (eligibility === 'displaced_only' && !isDisplaced(worker)) return;
+        if (eligibility === 'means_tested' && worker.savings > 3) return;
+        encourageRetraining(engine, worker, worker.adaptability * 0.2);
+    });
+}
+
+function applyWageSubsidy(engine, intervention, month, context) {
+    const rate = intervention.rate !== undefined ? intervention.rate : readParameter(intervention, 'subsidy_rate') / 100;
+    const maxMonthlyWage = intervention.maxWage !== undefined
+        ? intervention.maxWage
+        : readParameter(intervention, 'max_wage_covered') / 12;
+    const duration = readParameter(intervention, 'duration');
+    const sectors = readParameter(intervention, 'sector_targeting');
+
+    if (month - context.startMonth >= duration) return;
+
+    engine.firms.forEach(firm => {
+        if (firm.employees.length === 0 || !firmInAnySector(firm, sectors)) return;
+
+        const covered = firm.employees.filter(worker => worker.wage <= maxMonthlyWage);
+        if (covered.length === 0) return;
+
+        // A subsidy covering a quarter of payroll offsets about half of the planned layoffs
+        protectJobs(firm, Math.min(1, rate * 2) * covered.length / firm.employees.length);
+
+        covered.forEach(worker => {
+            recordOutlay(engine, 'wage_subsidy', worker.wage * rate);
+            raiseSupport(worker, 'wageSubsidy', 0.02);
+            worker.benefitedFromIntervention = 'wageSubsidy';
+        });
+    });
+}
+
+function applyReducedWorkweek(engine, intervention) {
+    const hoursCut = Math.max(0, 1 - readParameter(intervention, 'target_hours') / 40);
+    const wageAdjustment = readParameter(intervention, 'wage_adjustment');
+    const participation = { mandate: 1, incentive: 0.5, voluntary: 0.2 }[readParameter(intervention, 'implementation')] || 0.5;
+
+    engine.firms.forEach(firm => {
+        if (stableFraction(firm.id) >= participation) return;
+
+        // Work sharing: spreading fewer hours across the same staff replaces layoffs
+        protectJobs(firm, hoursCut * 2.5);
+
+        firm.employees.forEach(worker => {
+            if (wageAdjustment === 'proportional') {
+                worker.economicAnxiety = Math.min(1, worker.economicAnxiety + 0.01);
+            } else {
+                raiseSupport(worker, 'reducedWorkWeek', wageAdjustment === 'full_wage' ? 0.03 : 0.02);
+            }
+        });
+    });
+}
+
+function applyRobotTax(engine, intervention) {
+    const taxRate = readParameter(intervention, 'tax_rate') / 100;
+    const exemptions = readParameter(intervention, 'exemptions');
+
+    engine.firms.forEach(firm => {
+        if (firmInAnySector(firm, exemptions)) return;
+
+        firm.policyEffects.automationCostMultiplier *= 1 + taxRate;
+        if (firm.aiAdoptionStatus !== 'none') {
+            recordRevenue(engine, 'robot_tax', firm.aiInvestment * taxRate);
+        }
+    });
+}
+
+// Education subsidy program types mapped to TrainingProgramAgent types
+const EDUCATION_PROGRAM_TYPES = {
+    stem_degree: ['university'],
+    vocational: ['community_college'],
+    bootcamp: ['bootcamp', 'online'],
+    apprenticeship: ['employer_sponsored']
+};
+
+function applyEducationSubsidy(engine, intervention) {
+    const amount = readParameter(intervention, 'subsidy_amount');
+    const incomeCap = readParameter(intervention, 'income_cap');
+    const programTypes = asList(readParameter(intervention, 'program_types'))
+        .flatMap(type => EDUCATION_PROGRAM_TYPES[type] || []);
+
+    engine.trainingPrograms.forEach(program => {
+        if (programTypes.includes(program.type)) {
+            subsidizeProgram(engine, 'education_subsidy', program, Math.min(1, amount / program.cost));
+        }
+    });
+
+    engine.workers.forEach(worker => {
+        if (incomeCap > 0 && annualIncome(worker) > incomeCap) return;
+        raiseSupport(worker, 'educationInvestment', 0.01);
+        if (worker.status === 'unemployed') {
+            encourageRetraining(engine, worker, worker.adaptability * 0.05);
+        }
+    });
+}
+
+function applyJobGuarantee(engine, intervention) {
+    const monthlyWage = readParameter(intervention, 'hourly_wage') * HOURS_PER_MONTH;
+    const eligibility = readParameter(intervention, 'eligibility');
+
+    engine.workers.forEach(worker => {
+        if (worker.publicJob) {
+            // Public workers keep looking for private jobs
+            worker.activelySearching = true;
+            return;
+        }
+        if (worker.status !== 'unemployed') return;
+        if (eligibility === 'long_term_only' && worker.unemploymentDuration < 6) return;
+        if (eligibility === 'displaced_only' && !isDisplaced(worker)) return;
+
+        worker.status = 'employed';
+        worker.employer = null;
+        worker.publicJob = true;
+        worker.wage = monthlyWage;
+        worker.tenure = 0;
+        worker.unemploymentDuration = 0;
+        worker.activelySearching = true;
+        worker.economicAnxiety = Math.max(0, worker.economicAnxiety - 0.15);
+        worker.benefitedFromIntervention = 'jobGuarantee';
+        raiseSupport(worker, 'publicWorks', 0.15);
+    });
+
+    engine.workers.forEach(worker => {
+        if (worker.publicJob) recordOutlay(engine, 'job_guarantee', worker.wage);
+    });
+}
+
+/**
+ * Return guaranteed-job workers to unemployment once no job guarantee is active
+ */
+function releasePublicJobs(engine) {
+    engine.workers.forEach(worker => {
+        if (worker.publicJob) {
+            worker.layOff('program_end');
+            worker.publicJob = false;
+        }
+    });
+}
+
+function applyPortableBenefits(engine, intervention) {
+    const benefitTypes = asList(readParameter(intervention, 'benefit_types'));
+    const coversUnemployment = benefitTypes.includes('unemployment');
+
+    engine.workers.forEach(worker => {
+        worker.economicAnxiety = Math.max(0, worker.economicAnxiety - 0.005 * benefitTypes.length);
+        if (worker.isEmployed()) {
+            // Benefits that follow the worker loosen job lock
+            worker.mobilityWillingness = Math.min(1, worker.mobilityWillingness + 0.002 * benefitTypes.length);
+        } else if (coversUnemployment && worker.status === 'unemployed') {
+            creditIncome(worker, worker.wage * 0.2);
+            recordOutlay(engine, 'portable_benefits', worker.wage * 0.2);
+        }
+    });
+}
+
+function applyTransitionAssistance(engine, intervention) {
+    const replacementRate = readParameter(intervention, 'replacement_rate') / 100;
+    const duration = readParameter(intervention, 'duration');
+    const requiresRetraining = readParameter(intervention, 'retraining_requirement');
+
+    engine.workers.forEach(worker => {
+        if (worker.status !== 'unemployed' || worker.unemploymentDuration > duration) return;
+        if (!['automation', 'downsizing'].includes(lastJobEndReason(worker))) return;
+
+        creditIncome(worker, worker.wage * replacementRate);
+        recordOutlay(engine, 'transition_assistance', worker.wage * replacementRate);
+        worker.benefitedFromIntervention = 'transitionAssistance';
+        if (requiresRetraining) {
+            encourageRetraining(engine, worker, 1);
+        }
+    });
+}
+
+function applyNegativeIncomeTax(engine, intervention) {
+    const baseAmount = readParameter(intervention, 'base_amount');
+    const phaseOutRate = readParameter(intervention, 'phase_out_rate') / 100;
+    const breakeven = readParameter(intervention, 'breakeven_income');
+
+    engine.workers.forEach(worker => {
+        const income = annualIncome(worker);
+        if (income >= breakeven) return;
+
+        const benefit = Math.max(0, baseAmount - phaseOutRate * income) / 12;
+        if (benefit > 0) {
+            creditIncome(worker, benefit);
+            recordOutlay(engine, 'negative_income_tax', benefit);
+            raiseSupport(worker, 'eitcExpansion', 0.02);
+        }
+    });
+}
+
+function applySectoralBargaining(engine, intervention) {
+    const coverage = readParameter(intervention, 'coverage_rate') / 100;
+    const floorIncrease = readParameter(intervention, 'wage_floor_increase') / 100;
+    const sectors = readParameter(intervention, 'sectors_covered');
+
+    engine.firms.forEach(firm => {
+        if (!firmInAnySector(firm, sectors) || stableFraction(firm.id) >= coverage) return;
+
+        // The floor is negotiated once, from the wage when coverage began
+        if (!firm.bargainedWageFloor) {
+            firm.bargainedWageFloor = firm.baseWage * (1 + floorIncrease);
+        }
+        firm.baseWage = Math.max(firm.baseWage, firm.bargainedWageFloor);
+        firm.employees.forEach(worker => {
+            worker.wage = Math.max(worker.wage, firm.bargainedWageFloor);
+        });
+    });
+}
+
+function applyAILicensing(engine, intervention) {
+    const complianceCost = readParameter(intervention, 'compliance_cost');
+    const approvalDelay = readParameter(intervention, 'approval_delay');
+    const exemptions = readParameter(intervention, 'exemptions');
+    const impactAssessment = readParameter(intervention, 'worker_impact_assessment');
+
+    engine.firms.forEach(firm => {
+        if (firmInAnySector(firm, exemptions)) return;
+
+        firm.policyEffects.automationFixedCost += complianceCost;
+        firm.policyEffects.adoptionDelay += approvalDelay;
+        if (impactAssessment && firm.automationLevel > 0.3) {
+            protectJobs(firm, 0.25);
+        }
+    });
+}
+
+// Monthly value of each public service, as a share of a worker's expenses
+const SERVICE_VALUE = { basic: 0.03, standard: 0.05, comprehensive: 0.08 };
+
+function applyUniversalBasicServices(engine, intervention) {
+    const services = asList(readParameter(intervention, 'services'));
+    const value = (SERVICE_VALUE[readParameter(intervention, 'coverage_level')] || SERVICE_VALUE.standard) * services.length;
+    const incomeCap = readParameter(intervention, 'income_cap');
+
+    engine.workers.forEach(worker => {
+        if (incomeCap > 0 && annualIncome(worker) > incomeCap) return;
+        recordOutlay(engine, 'universal_basic_services', value * worker.wage);
+        worker.savings = Math.min(24, worker.savings + value);
+        worker.economicAnxiety = Math.max(0, worker.economicAnxiety - 0.005 * services.length);
+    });
+}
+
+function applyWorkerOwnership(engine, intervention) {
+    const taxCredit = readParameter(intervention, 'tax_credit_rate') / 100;
+    const conversionSubsidy = readParameter(intervention, 'conversion_subsidy');
+    const employeeStake = readParameter(intervention, 'min_employee_stake') / 100;
+
+    // Default incentives convert about 5% of firms
+    const conversionShare = Math.min(0.5, taxCredit * (conversionSubsidy / 10000) * 0.2);
+
+    engine.firms.forEach(firm => {
+        if (stableFraction(firm.id) >= conversionShare) return;
+
+        // Employee owners trade pay and hours for jobs before cutting staff
+        protectJobs(firm, employeeStake);
+        firm.employees.forEach(worker => {
+            worker.economicAnxiety = Math.max(0, worker.economicAnxiety - 0.01);
+        });
+    });
+}
+
+function applyGigEconomyRegulations(engine, intervention) {
+    const coverage = { strict: 1, moderate: 0.75, flexible: 0.5 }[readParameter(intervention, 'classification_strictness')] || 0.75;
+    const enforceMinimumWage = readParameter(intervention, 'minimum_wage_enforcement');
+    const benefits = readParameter(intervention, 'benefits_requirement');
+    const minimumWage = engine.wageDynamics ? engine.wageDynamics.minimumWage : 1260;
+
+    engine.workers.forEach(worker => {
+        // Low-wage workers stand in for the gig workforce
+        if (!worker.isEmployed() || worker.wage >= minimumWage * 2) return;
+        if (stableFraction(worker.id) >= coverage) return;
+
+        if (enforceMinimumWage) {
+            worker.wage = Math.max(worker.wage, minimumWage);
+        }
+        if (benefits !== 'none') {
+            worker.economicAnxiety = Math.max(0, worker.economicAnxiety - (benefits === 'full' ? 0.02 : 0.01));
+        }
+    });
+}
+
+// Education admitted at each skill threshold
+const IMMIGRANT_EDUCATION = {
+    advanced_degree: 'advanced',
+    bachelors: 'bachelors',
+    vocational: 'some_college',
+    any_skilled: 'some_college'
+};
+
+function applySkillsBasedImmigration(engine, intervention) {
+    const state = engine.interventionState;
+    const visaCap = readParameter(intervention, 'annual_visa_cap');
+    const education = IMMIGRANT_EDUCATION[readParameter(intervention, 'skill_threshold')] || 'bachelors';
+    const wageFloor = readParameter(intervention, 'wage_floor') / 12;
+    const laborMarketTest = readParameter(intervention, 'labor_market_test');
+    const industries = asList(readParameter(intervention, 'priority_sectors'))
+        .flatMap(sector => SECTOR_INDUSTRIES[sector] || []);
+    const pathToResidency = readParameter(intervention, 'path_to_residency');
+
+    // Visas scaled to the agent population, accumulated until a whole worker arrives
+    state.immigrationBacklog += visaCap / US_LABOR_FORCE * engine.workers.length / 12;
+
+    if (laborMarketTest) {
+        const inLaborForce = engine.workers.filter(w => w.isInLaborForce()).length;
+        const unemployed = engine.workers.filter(w => w.isUnemployed()).length;
+        // Employers must show a shortage: no admissions while unemployment is high
+        if (inLaborForce > 0 && unemployed / inLaborForce > 0.06) return;
+    }
+
+    while (state.immigrationBacklog >= 1) {
+        state.immigrationBacklog -= 1;
+
+        const region = engine.regionalSystem
+            ? engine.regionalSystem.selectRegionByPopulation()
+            : Math.floor(engine.rng() * engine.config.numRegions) + 1;
+        const worker = new WorkerAgent({
+            id: `${engine.config.idPrefix}w_imm_${state.immigrantsAdmitted++}`,
+            rng: engine.rng,
+            behavior: engine.config.behavior,
+            region,
+            status: 'unemployed',
+            education,
+            industry: industries.length > 0 ? industries[Math.floor(engine.rng() * industries.length)] : undefined
+        });
+        worker.wage = Math.max(worker.wage, wageFloor);
+        worker.reservationWage = Math.max(worker.reservationWage, wageFloor);
+        worker.activelySearching = true;
+        if (pathToResidency) {
+            worker.trustInGovernment = Math.min(1, worker.trustInGovernment + 0.1);
+        }
+
+        // Arrivals know a few people in their new region
+        const neighbors = engine.workers.filter(w => w.region === region);
+        for (let i = 0; i < Math.min(5, neighbors.length); i++) {
+            const contact = neighbors[Math.floor(engine.rng() * neighbors.length)];
+            if (!worker.network.includes(contact)) {
+                worker.network.push(contact);
+                contact.network.push(worker);
+            }
+        }
+
+        engine.workers.push(worker);
+    }
+}
+
+function applyPublicPrivateRetraining(engine, intervention) {
+    const matchRate = readParameter(intervention, 'government_match_rate') / 100;
+    const employerCommitment = readParameter(intervention, 'employer_commitment_minimum');
+    const placementGuarantee = readParameter(intervention, 'job_guarantee_requirement');
+    const eligibleWorkers = readParameter(intervention, 'eligible_workers');
+    const funding = employerCommitment * (1 + matchRate);
+
+    engine.trainingPrograms.forEach(program => {
+        subsidizeProgram(engine, 'public_private_retraining', program, Math.min(1, funding / program.cost));
+        if (placementGuarantee) {
+            // Partner employers commit to hiring graduates
+            program.jobPlacementRate = Math.max(program.jobPlacementRate, 0.8);
+        }
+    });
+
+    engine.workers.forEach(worker => {
+        let eligible;
+        switch (eligibleWorkers) {
+            case 'displaced_only':
+                eligible = worker.status === 'unemployed' && isDisplaced(worker);
+                break;
+            case 'any_unemployed':
+                eligible = worker.status === 'unemployed';
+                break;
+            case 'incumbent_workers':
+                eligible = worker.isEmployed() && worker.employer !== null;
+                break;
+            default: // at_risk
+                eligible = worker.isEmployed() && worker.employer !== null && worker.employer.automationLevel > 0.3;
+        }
+        if (eligible) {
+            encourageRetraining(engine, worker, worker.adaptability * 0.1);
+        }
+    });
+}
+
+// Handlers by InterventionSystem type; 'retraining' is the ABM panel's name
+const INTERVENTION_HANDLERS = {
+    ubi: applyUBI,
+    job_retraining: applyRetraining,
+    retraining: applyRetraining,
+    wage_subsidy: applyWageSubsidy,
+    reduced_workweek: applyReducedWorkweek,
+    robot_tax: applyRobotTax,
+    education_subsidy: applyEducationSubsidy,
+    job_guarantee: applyJobGuarantee,
+    portable_benefits: applyPortableBenefits,
+    transition_assistance: applyTransitionAssistance,
+    negative_income_tax: applyNegativeIncomeTax,
+    sectoral_bargaining: applySectoralBargaining,
+    ai_licensing: applyAILicensing,
+    universal_basic_services: applyUniversalBasicServices,
+    worker_ownership: applyWorkerOwnership,
+    gig_economy_regulations: applyGigEconomyRegulations,
+    skills_based_immigration: applySkillsBasedImmigration,
+    public_private_retraining: applyPublicPrivateRetraining
+};
+
+/**
+ * Fresh per-run intervention state, kept on the engine and in checkpoints
+ */
+function createInterventionState() {
+    return {
+        immigrationBacklog: 0,
+        immigrantsAdmitted: 0,
+        revenue: {},
+        // This month's policy costs and revenues by intervention type
+        monthlyOutlays: {},
+        monthlyRevenues: {},
+        // Trigger rule state and activation log
+        rules: new InterventionRules(),
+        monthlyRuleEvents: []
+    };
+}
+
+/**
+ * Metrics trigger rules read, from the run's first and latest monthly records
+ * (a partition coordinator supplies national ones as engine.ruleRecords).
+ * Before the first record, current market statistics stand in.
+ */
+function getRuleMetrics(engine, month) {
+    const records = engine.ruleRecords || {
+        first: engine.results.monthly[0],
+        latest: engine.results.monthly[engine.results.monthly.length - 1]
+    };
+    const latest = records.latest || engine.laborMarket.getMarketStatistics();
+    const first = records.first || latest;
+    const percentChange = (value, base) => base ? (value / base - 1) * 100 : 0;
+
+    return {
+        unemployment_rate: latest.unemploymentRate * 100,
+        labor_force_participation: latest.laborForceParticipation * 100,
+        ai_adoption_rate: latest.aiAdoptionRate * 100,
+        employment_change: percentChange(latest.employed, first.employed),
+        wage_growth: percentChange(latest.avgWage, first.avgWage),
+        debt_to_gdp: latest.fiscal ? latest.fiscal.debtToGdp * 100 : null,
+        deficit_to_gdp: latest.fiscal ? latest.fiscal.deficitToGdp * 100 : null,
+        months_elapsed: month,
+        state: latest
+    };
+}
+
+/**
+ * Apply a month of interventions to an engine's agents
+ * @param {Object} engine - ABMSimulationEngine (or anything with the same agent fields)
+ * @param {Object[]} interventions
+ * @param {number} month - Simulation month (0-based)
+ * @param {number} baseYear - Calendar year of month 0, for start_year / end_year
+ */
+function applyABMInterventions(engine, interventions, month, baseYear) {
+    if (!engine.interventionState) {
+        engine.interventionState = createInterventionState();
+    }
+
+    engine.firms.forEach(firm => firm.resetPolicyEffects());
+    engine.workers.forEach(worker => { worker.transferIncome = 0; });
+    engine.interventionState.monthlyOutlays = {};
+    engine.interventionState.monthlyRevenues = {};
+    // Checkpoints from before trigger rules start with no rule state
+    if (!engine.interventionState.rules) {
+        engine.interventionState.rules = new InterventionRules();
+    }
+
+    const year = baseYear + Math.floor(month / 12);
+    let jobGuaranteeActive = false;
+
+    const inForce = [];
+    (interventions || []).forEach((intervention, index) => {
+        if (!intervention || intervention.active === false) return;
+        if (intervention.start_year && year < intervention.start_year) return;
+        if (intervention.end_year && year > intervention.end_year) return;
+        if (!INTERVENTION_HANDLERS[intervention.type]) return;
+
+        if (intervention.rule) {
+            const errors = validateRule(intervention.rule);
+            if (errors.length > 0) {
+                throw new Error(`Invalid rule for ${intervention.type}: ${errors.join('; ')}`);
+            }
+        }
+
+        // Rule state is kept by id; panel and CLI interventions are keyed by position
+        inForce.push(intervention.rule && intervention.id === undefined
+            ? { ...intervention, id: `${index}:${intervention.type}` }
+            : intervention);
+    });
+
+    const rules = engine.interventionState.rules;
+    const logLength = rules.log.length;
+    const scheduled = rules.schedule(inForce, getRuleMetrics(engine, month), { month, year }, 1);
+    engine.interventionState.monthlyRuleEvents = rules.eventsSince(logLength);
+
+    scheduled.forEach(({ intervention, activeMonths }) => {
+        const handler = INTERVENTION_HANDLERS[intervention.type];
+        // Triggered policies count their duration from the latest activation
+        const startMonth = activeMonths !== null
+            ? month - activeMonths
+            : (intervention.start_year ? Math.max(0, (intervention.start_year - baseYear) * 12) : 0);
+        handler(engine, intervention, month, { startMonth });
+        if (intervention.type === 'job_guarantee') jobGuaranteeActive = true;
+    });
+
+    if (!jobGuaranteeActive) {
+        releasePublicJobs(engine);
+    }
+}
+
+// Export for ES modules
+export { INTERVENTION_HANDLERS, applyABMInterventions, createInterventionState, getRuleMetrics, readParameter };
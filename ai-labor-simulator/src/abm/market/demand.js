@@ -0,0 +1,214 @@
+/**
+ * HouseholdDemand - Consumption and the demand it creates for firms
+ *
+ * Closes the macro loop of the agent-based model. Each month households spend
+ * out of wage income, cash transfers (UBI, negative income tax, transition
+ * assistance) and savings; that spending, split by industry and region, sets a
+ * demand index for every firm. Firms scale revenue, target headcount and hiring
+ * to it, so lost wages cut hiring, which cuts wages further, and transfers prop
+ * spending up.
+ *
+ * Spending is measured in real terms: firms price at a markup over labor cost,
+ * so nominal spending is deflated by the average wage of the employed. A general
+ * wage rise then leaves demand unchanged, while job losses, transfers and
+ * savings move it.
+ *
+ * When the fiscal accounts finance policy with a tax increase, the surcharge
+ * (taxSurcharge, set by the engine each month) comes out of wage income.
+ *
+ * Workers keep their own savings; this module only reads them.
+ */
+
+import { DEFAULT_BEHAVIOR } from '../behavior.js';
+
+// Household spending by FirmAgent industry code: budget share and income
+// elasticity (necessities below 1, discretionary spending above)
+const INDUSTRY_SPENDING = {
+    1: { name: 'Technology', share: 0.06, incomeElasticity: 1.2 },
+    2: { name: 'Finance', share: 0.08, incomeElasticity: 1.1 },
+    3: { name: 'Healthcare', share: 0.20, incomeElasticity: 0.7 },
+    4: { name: 'Retail', share: 0.20, incomeElasticity: 0.9 },
+    5: { name: 'Food service', share: 0.12, incomeElasticity: 1.3 },
+    6: { name: 'Manufacturing', share: 0.07, incomeElasticity: 1.2 },
+    7: { name: 'Professional services', share: 0.10, incomeElasticity: 1.0 },
+    8: { name: 'Transportation', share: 0.06, incomeElasticity: 1.0 },
+    9: { name: 'Education', share: 0.06, incomeElasticity: 0.6 },
+    10: { name: 'Construction', share: 0.05, incomeElasticity: 1.5 }
+};
+
+class HouseholdDemand {
+    constructor(config = {}) {
+        this.behavior = config.behavior || DEFAULT_BEHAVIOR;
+
+        // Share of a firm's sales that goes to households (the rest is business,
+        // government and export demand, held fixed)
+        this.householdShare = config.householdShare ?? 0.6;
+
+        // Share of a region's household spending that stays with local firms
+        this.localShare = config.localShare ?? 0.5;
+
+        // How quickly firms' sales expectations catch up with spending (per month)
+        this.adjustmentSpeed = config.adjustmentSpeed ?? 0.5;
+
+        // Spending before the first month, the reference for demand indexes
+        this.baseline = null;
+
+        // Extra income tax on wages under tax financing (share of wages)
+        this.taxSurcharge = 0;
+
+        // Smoothed demand indexes (1 = baseline)
+        this.nationalIndex = 1;
+        this.regionIndex = {};
+
+        this.current = null;
+    }
+
+    /**
+     * Monthly spending of one household
+     * @returns {{wageIncome: number, transferIncome: number, spending: number}}
+     */
+    measureHousehold(worker) {
+        const mpc = this.behavior.marginalPropensityToConsume ?? DEFAULT_BEHAVIOR.marginalPropensityToConsume;
+        const wealthRate = this.behavior.wealthSpendingRate ?? DEFAULT_BEHAVIOR.wealthSpendingRate;
+
+        const wageIncome = worker.status === 'employed' ? (worker.wage || 0) : 0;
+        const transferIncome = worker.transferIncome || 0;
+        // Savings are kept in months of expenses, valued at the worker's (last) wage
+        const wealth = Math.max(0, worker.savings || 0) * (worker.wage || 0);
+
+        return {
+            wageIncome,
+            transferIncome,
+            spending: mpc * (wageIncome * (1 - (this.taxSurcharge || 0)) + transferIncome) + wealthRate * wealth
+        };
+    }
+
+    /**
+     * Total income and spending, overall and by region
+     */
+    _measure(workers) {
+        const totals = { wageIncome: 0, transferIncome: 0, spending: 0, regionSpending: {}, averageWage: 0 };
+        let employed = 0;
+
+        workers.forEach(worker => {
+            const household = this.measureHousehold(worker);
+            if (household.wageIncome > 0) employed++;
+            totals.wageIncome += household.wageIncome;
+            totals.transferIncome += household.transferIncome;
+            totals.spending += household.spending;
+            totals.regionSpending[worker.region] = (totals.regionSpending[worker.region] || 0) + household.spending;
+        });
+
+        totals.averageWage = employed > 0 ? totals.wageIncome / employed : 0;
+        return totals;
+    }
+
+    /**
+     * Record the spending that counts as normal demand. The engine calls this once
+     * agents are placed, before any policy pays out.
+     */
+    setBaseline(workers) {
+        this.baseline = this._measure(workers);
+        this.nationalIndex = 1;
+        this.regionIndex = {};
+    }
+
+    /**
+     * Measure household spending, update demand indexes and, when applyToFirms is
+     * set, pass each firm its demand
+     * @param {Object[]} workers
+     * @param {Object[]} firms
+     * @param {boolean} [applyToFirms=true]
+     * @returns {Object} This month's demand statistics
+     */
+    update(workers, firms, applyToFirms = true) {
+        const totals = this._measure(workers);
+        const { wageIncome, transferIncome, spending, regionSpending } = totals;
+
+        if (!this.baseline) {
+            this.baseline = totals;
+        }
+
+        // Real spending relative to the baseline month
+        const priceLevel = this.baseline.averageWage > 0 && totals.averageWage > 0
+            ? totals.averageWage / this.baseline.averageWage
+            : 1;
+        const realIndex = (nominal, base) => base > 0 ? nominal / priceLevel / base : null;
+
+        // Firms revise their sales expectations part of the way each month
+        const adjust = (previous, raw) => previous + this.adjustmentSpeed * (raw - previous);
+        const rawNational = realIndex(spending, this.baseline.spending) ?? 1;
+        this.nationalIndex = adjust(this.nationalIndex, rawNational);
+
+        Object.keys(regionSpending).forEach(region => {
+            const raw = realIndex(regionSpending[region], this.baseline.regionSpending[region]) ?? rawNational;
+            this.regionIndex[region] = adjust(this.regionIndex[region] ?? 1, raw);
+        });
+
+        if (applyToFirms) {
+            firms.forEach(firm => firm.applyDemand(this.getFirmDemand(firm)));
+        }
+
+        this.current = {
+            householdSpending: spending,
+            wageIncome,
+            transferIncome,
+            priceLevel,
+            spendingIndex: rawNational,
+            demandIndex: this.nationalIndex,
+            wageIncomeIndex: realIndex(wageIncome, this.baseline.wageIncome) ?? 1,
+            bySector: this._spendingBySector(spending, rawNational),
+            byRegion: { ...this.regionIndex }
+        };
+
+        return this.current;
+    }
+
+    /**
+     * Demand for a firm's output relative to the baseline month. Household
+     * spending in its region and nationally moves the household part of its sales,
+     * scaled by its industry's income elasticity.
+     */
+    getFirmDemand(firm) {
+        const regional = this.regionIndex[firm.region] ?? this.nationalIndex;
+        const market = this.localShare * regional + (1 - this.localShare) * this.nationalIndex;
+        const elasticity = INDUSTRY_SPENDING[firm.industry]?.incomeElasticity ?? 1;
+        const household = Math.pow(Math.max(0, market), elasticity);
+
+        return 1 + this.householdShare * (household - 1);
+    }
+
+    /**
+     * Split spending across industries; shares move with income elasticities as
+     * spending departs from the baseline
+     */
+    _spendingBySector(spending, spendingIndex) {
+        const weights = Object.entries(INDUSTRY_SPENDING).map(([industry, sector]) => ({
+            industry,
+            name: sector.name,
+            weight: sector.share * Math.pow(Math.max(0, spendingIndex), sector.incomeElasticity - 1)
+        }));
+        const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0) || 1;
+
+        const bySector = {};
+        weights.forEach(({ industry, name, weight }) => {
+            bySector[industry] = { name, spending: spending * weight / totalWeight };
+        });
+        return bySector;
+    }
+
+    /**
+     * Latest statistics (null before the first update)
+     */
+    getStatistics() {
+        return this.current;
+    }
+}
+
+// Export for ES modules
+export { HouseholdDemand, INDUSTRY_SPENDING };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.HouseholdDemand = HouseholdDemand;
+}
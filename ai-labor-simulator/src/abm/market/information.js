@@ -27,6 +27,9 @@ const MediaEventType = {
 
 class InformationDiffusion {
     constructor(config = {}) {
+        // Random source (seeded by the engine for reproducible runs)
+        this.rng = config.rng || Math.random;
+
         // Base diffusion rates
         this.baseSpreadRate = config.baseSpreadRate || 0.05;
         this.networkWeight = config.networkWeight || 0.3;
@@ -106,11 +109,11 @@ class InformationDiffusion {
         }
 
         // AI breakthrough (random, more likely with high adoption)
-        if (Math.random() < 0.02 * (1 + aiAdoptionRate)) {
+        if (this.rng() < 0.02 * (1 + aiAdoptionRate)) {
             this.queueMediaEvent({
                 type: MediaEventType.BREAKTHROUGH,
                 month,
-                magnitude: 0.3 + Math.random() * 0.4,
+                magnitude: 0.3 + this.rng() * 0.4,
                 description: 'Major AI capability breakthrough announced'
             });
         }
@@ -171,7 +174,7 @@ class InformationDiffusion {
             // Probability of being exposed to news
             const exposureProbability = this._calculateMediaExposure(worker, event);
 
-            if (Math.random() < exposureProbability) {
+            if (this.rng() < exposureProbability) {
                 this._updateWorkerFromMedia(worker, event);
                 affectedCount++;
             }
@@ -383,7 +386,7 @@ class InformationDiffusion {
         const sampleSize = Math.min(100, workers.length);
         const sampled = workers
             .filter(w => w.network && w.network.length >= 5)
-            .sort(() => Math.random() - 0.5)
+            .sort(() => this.rng() - 0.5)
             .slice(0, sampleSize);
 
         sampled.forEach(worker => {
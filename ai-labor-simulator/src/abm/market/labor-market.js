@@ -5,8 +5,16 @@
  * Tracks market-level statistics like wages and unemployment.
  */
 
+import { DEFAULT_BEHAVIOR } from '../behavior.js';
+
 class LaborMarket {
     constructor(config = {}) {
+        // Random source (seeded by the engine for reproducible runs)
+        this.rng = config.rng || Math.random;
+
+        // Behavioral constants (shared with every agent in the run)
+        this.behavior = config.behavior || DEFAULT_BEHAVIOR;
+
         this.workers = config.workers || [];
         this.firms = config.firms || [];
 
@@ -15,6 +23,7 @@ class LaborMarket {
         this.applications = [];
         this.hires = [];
         this.layoffs = [];
+        this.unemployedAtMatching = 0; // Unemployed searchers when this month's matching began
 
         // Market statistics (by region and industry)
         this.marketWages = {}; // { region: { industry: wage } }
@@ -23,6 +32,7 @@ class LaborMarket {
         // Configuration
         this.searchRadius = config.searchRadius || 1; // How many regions away workers search
         this.networkBonus = config.networkBonus || 0.2; // Bonus for network connections
+        this.friction = config.friction || 0; // Share of visible postings a searcher still misses
     }
 
     /**
@@ -42,6 +52,7 @@ class LaborMarket {
         this.applications = [];
         this.hires = [];
         this.layoffs = [];
+        this.unemployedAtMatching = this.workers.filter(w => w.isUnemployed()).length;
 
         // 1. Collect all job postings from firms
         this._collectJobPostings();
@@ -72,8 +83,8 @@ class LaborMarket {
     _collectJobPostings() {
         this.jobPostings = [];
         this.firms.forEach(firm => {
-            const positions = firm.getOpenPositions();
-            this.jobPostings.push(...positions);
+            // Appended one at a time: a large backlog overflows the stack as spread arguments
+            firm.getOpenPositions().forEach(position => this.jobPostings.push(position));
         });
 
         // OPTIMIZATION: Pre-index jobs by region for faster lookup
@@ -113,7 +124,7 @@ class LaborMarket {
         // OPTIMIZATION: Sample if too many searchers (statistical sampling still gives valid results)
         const MAX_SEARCHERS = 500;
         const workersToProcess = searchingWorkers.length > MAX_SEARCHERS
-            ? searchingWorkers.sort(() => Math.random() - 0.5).slice(0, MAX_SEARCHERS)
+            ? searchingWorkers.sort(() => this.rng() - 0.5).slice(0, MAX_SEARCHERS)
             : searchingWorkers;
 
         workersToProcess.forEach(worker => {
@@ -147,9 +158,9 @@ class LaborMarket {
             const job = sameRegionJobs[i];
             if (job.filled) continue;
             jobsProcessed++;
-            let visibility = 1;
+            let visibility = 1 - this.friction;
             visibility *= (0.5 + (worker.informationLevel || 0.5) * 0.5);
-            if (Math.random() < visibility) {
+            if (this.rng() < visibility) {
                 visibleJobs.push(job);
             }
         }
@@ -163,20 +174,21 @@ class LaborMarket {
                     const job = nearbyJobs[i];
                     if (job.filled) continue;
                     jobsProcessed++;
-                    let visibility = 0.5 * (worker.mobilityWillingness || 0.3);
+                    let visibility = 0.5 * (worker.mobilityWillingness || 0.3) * (1 - this.friction);
                     visibility *= (0.5 + (worker.informationLevel || 0.5) * 0.5);
-                    if (Math.random() < visibility) {
+                    if (this.rng() < visibility) {
                         visibleJobs.push(job);
                     }
                 }
             }
         }
 
-        // Return top 20 by wage (avoid expensive sort on full array)
-        if (visibleJobs.length <= 20) {
+        // Return the best-paying few (avoid expensive sort on full array)
+        const limit = this.behavior.visibleJobLimit;
+        if (visibleJobs.length <= limit) {
             return visibleJobs;
         }
-        return visibleJobs.sort((a, b) => (b.wage || 0) - (a.wage || 0)).slice(0, 20);
+        return visibleJobs.sort((a, b) => (b.wage || 0) - (a.wage || 0)).slice(0, limit);
     }
 
     _firmSelectionPhase() {
@@ -223,6 +235,9 @@ class LaborMarket {
             const acceptedOffer = worker.evaluateOffers();
 
             if (acceptedOffer) {
+                // Employed workers taking another job are quits
+                const quit = worker.isEmployed();
+
                 // Worker accepts the job
                 worker.acceptJob(acceptedOffer, acceptedOffer.firm);
 
@@ -234,7 +249,8 @@ class LaborMarket {
                     worker,
                     firm: acceptedOffer.firm,
                     position: acceptedOffer.position,
-                    wage: acceptedOffer.wage
+                    wage: acceptedOffer.wage,
+                    quit
                 });
             }
 
@@ -351,7 +367,7 @@ class LaborMarket {
             visibility *= (0.5 + worker.informationLevel * 0.5);
 
             // Random factor (not all jobs are seen even if available)
-            if (Math.random() < visibility) {
+            if (this.rng() < visibility) {
                 visibleJobs.push(job);
             }
         });
@@ -414,6 +430,9 @@ class LaborMarket {
             ? wages.reduce((a, b) => a + b, 0) / wages.length
             : 0;
 
+        const quits = this.hires.filter(h => h.quit).length;
+        const hiresFromUnemployment = this.hires.length - quits;
+
         return {
             totalWorkers,
             inLaborForce,
@@ -436,6 +455,13 @@ class LaborMarket {
             monthlyLayoffs: this.layoffs.length,
             netJobChange: this.hires.length - this.layoffs.length,
 
+            // Flows for comparison with CPS job finding and JOLTS quits
+            monthlyQuits: quits,
+            hiresFromUnemployment,
+            unemployedAtMatching: this.unemployedAtMatching,
+            jobFindingRate: this.unemployedAtMatching > 0 ? hiresFromUnemployment / this.unemployedAtMatching : 0,
+            quitsRate: employed > 0 ? quits / employed : 0,
+
             regionalUnemployment: { ...this.unemploymentRates }
         };
     }
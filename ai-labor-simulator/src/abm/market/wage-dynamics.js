@@ -12,9 +12,10 @@ class WageDynamics {
         this.nationalMeanWage = config.nationalMeanWage || 5200;
         this.minimumWage = config.minimumWage || 1260; // ~$7.25/hr * 173 hrs
 
-        // Wage adjustment speeds
-        this.upwardStickiness = config.upwardStickiness || 0.02; // Slow to rise
-        this.downwardStickiness = config.downwardStickiness || 0.01; // Even slower to fall
+        // Wage adjustment speeds (flexibility scales both)
+        const flexibility = config.flexibility || 1.0;
+        this.upwardStickiness = (config.upwardStickiness || 0.02) * flexibility; // Slow to rise
+        this.downwardStickiness = (config.downwardStickiness || 0.01) * flexibility; // Even slower to fall
 
         // Market parameters
         this.supplyElasticity = config.supplyElasticity || 0.3;
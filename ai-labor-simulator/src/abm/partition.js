@@ -0,0 +1,962 @@
+/**
+ * Partitioned ABM
+ *
+ * Splits one agent-based run across several engines, each owning a contiguous
+ * block of regions, so large populations can be simulated on several threads.
+ * A PartitionCoordinator keeps the partitions in lockstep:
+ *
+ *   1. One shared AI capability frontier advances and is pushed to every partition
+ *   2. Each partition runs its own decisions and local labor market matching
+ *   3. Open postings are exchanged, and searchers apply to jobs in nearby partitions
+ *   4. Firms rank remote applicants and make offers; workers accept the best offer
+ *   5. Accepted workers move to the partition that owns the hiring firm
+ *   6. Partitions finish the month and their statistics are merged
+ *
+ * Migration driven by regional pressure moves workers only between a partition's
+ * own regions; workers reach other partitions through cross-partition hires.
+ * Household demand is measured per partition too, so a partition's firms see
+ * spending in their own regions and the partition's total as the national market.
+ * Each partition also keeps its own government budget; flows and debt add up,
+ * but a tax-financed surcharge is set partition by partition. Retirements and
+ * new entrants are drawn per partition, in the partition's own regions. Intervention
+ * trigger rules read the merged national records, so partitions switch a policy
+ * in the same month (in the first month, before any record, each reads its own).
+ *
+ * Partitions are driven through `call(method, ...args)`, which returns a promise.
+ * LocalPartition runs in-process; PartitionWorker (worker-manager.js) runs in a
+ * Web Worker. Messages are plain data either way, so both give identical results.
+ */
+
+import { ABMSimulationEngine, buildRunSummary } from './engine.js';
+import { WorkerAgent } from './agents/worker.js';
+import { WageDynamics } from './market/wage-dynamics.js';
+import { AICapabilityFrontier } from './environment/ai-frontier.js';
+import { US_REGIONS } from './environment/regions.js';
+import { mergeDemographics } from './environment/demographics.js';
+import { encodeGraph, decodeGraph } from './checkpoint.js';
+import { createRNG, generateSeed } from '../utils/random.js';
+
+// Occupation ids used by workers (1-100) and firm postings (5-104)
+const MAX_OCCUPATION_ID = 104;
+
+// Same limits the LaborMarket applies to local searches
+const MAX_REMOTE_SEARCHERS = 500;
+const MAX_JOBS_TO_PROCESS = 50;
+
+const POLICY_STAT_KEYS = ['mean', 'median', 'strongSupport', 'strongOppose'];
+
+/**
+ * Split the first numRegions regions into contiguous blocks of similar population.
+ * Region ids are ordered so that neighbours stay together, which keeps most job
+ * searches inside one partition.
+ * @param {number} numRegions
+ * @param {number} numPartitions
+ * @returns {number[][]} Region ids for each partition
+ */
+function partitionRegions(numRegions, numPartitions) {
+    const regions = US_REGIONS.slice(0, Math.min(numRegions, US_REGIONS.length));
+    const count = Math.max(1, Math.min(numPartitions, regions.length));
+    const totalPopulation = regions.reduce((sum, r) => sum + r.population, 0);
+
+    const groups = [];
+    let current = [];
+    let cumulative = 0;
+
+    regions.forEach((region, i) => {
+        current.push(region.id);
+        cumulative += region.population;
+
+        const remainingRegions = regions.length - i - 1;
+        const remainingGroups = count - groups.length - 1;
+        const target = totalPopulation * (groups.length + 1) / count;
+
+        // Close the block at its population target, but leave a region for each later block
+        if (remainingGroups > 0 && (cumulative >= target || remainingRegions === remainingGroups)) {
+            groups.push(current);
+            current = [];
+        }
+    });
+    groups.push(current);
+
+    return groups;
+}
+
+/**
+ * Split a total across partitions by population share, so the parts sum exactly
+ * @param {number} total
+ * @param {number[]} shares - Fractions that sum to 1
+ * @returns {number[]}
+ */
+function allocateByShare(total, shares) {
+    let cumulative = 0;
+    return shares.map(share => {
+        const start = Math.round(cumulative * total);
+        cumulative += share;
+        return Math.round(cumulative * total) - start;
+    });
+}
+
+/**
+ * One partition of a run: an engine restricted to a block of regions, plus the
+ * steps the coordinator needs to move jobs, offers and workers across partitions.
+ */
+class ABMPartition {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.index] - Position of this partition in the coordinator
+     * @param {string} [options.seed] - Seed for this partition's random stream
+     * @param {Object} [options.config] - Engine config, including regionIds
+     */
+    constructor(options = {}) {
+        this.index = options.index || 0;
+        this.engine = new ABMSimulationEngine({
+            ...options.config,
+            seed: options.seed,
+            idPrefix: `p${this.index}_`,
+            externalAICapability: true
+        });
+        this.matchingResults = null;
+        this.departures = 0;
+        this.arrivals = 0;
+    }
+
+    /**
+     * Create this partition's agents
+     */
+    async initialize(scenario = {}, aiState = null) {
+        await this.engine.initialize(scenario);
+        this.engine.scenario = scenario;
+
+        if (aiState) {
+            this.engine.aiCapability.setSharedState(aiState);
+        }
+
+        return {
+            index: this.index,
+            regionIds: this.engine.config.regionIds,
+            workers: this.engine.workers.length,
+            firms: this.engine.firms.length,
+            trainingPrograms: this.engine.trainingPrograms.length
+        };
+    }
+
+    /**
+     * Run decisions and local matching for a month
+     * @returns {{postings: Object[]}} Open postings, as plain data other partitions can see
+     */
+    beginMonth(month, aiState) {
+        this.engine.aiCapability.setSharedState(aiState);
+        this.matchingResults = this.engine._runMonthMatching(month, this.engine.scenario || {});
+        this.departures = 0;
+        this.arrivals = 0;
+
+        // A search never looks past the first MAX_JOBS_TO_PROCESS postings of a region,
+        // so later ones are not worth sending
+        const postings = [];
+        const perRegion = new Map();
+        this.engine.firms.forEach(firm => {
+            firm.getOpenPositions().forEach(position => {
+                const count = perRegion.get(position.region) || 0;
+                if (count >= MAX_JOBS_TO_PROCESS) return;
+                perRegion.set(position.region, count + 1);
+
+                postings.push({
+                    id: position.id,
+                    firmId: firm.id,
+                    firmPartition: this.index,
+                    region: position.region,
+                    occupation: position.occupation,
+                    wage: position.wage,
+                    requiredEducation: position.requiredEducation,
+                    requiredSkills: position.requiredSkills,
+                    automationExposure: position.automationExposure,
+                    aiAugmentation: position.aiAugmentation,
+                    growthPotential: position.growthPotential
+                });
+            });
+        });
+
+        return { postings };
+    }
+
+    /**
+     * Workers still searching after local matching apply to postings from other partitions
+     * @param {Object[]} postings - Remote postings within reach of this partition
+     * @returns {Object[]} Applications addressed to the partition that owns each posting
+     */
+    searchRemoteJobs(postings) {
+        if (postings.length === 0) return [];
+
+        const laborMarket = this.engine.laborMarket;
+        const rng = this.engine.rng;
+
+        const postingsByRegion = new Map();
+        postings.forEach(posting => {
+            if (!postingsByRegion.has(posting.region)) {
+                postingsByRegion.set(posting.region, []);
+            }
+            postingsByRegion.get(posting.region).push(posting);
+        });
+
+        // Only workers willing to relocate qualify for jobs in another region
+        const searchers = this.engine.workers.filter(w =>
+            (w.activelySearching || w.status === 'unemployed') && w.mobilityWillingness >= 0.5
+        );
+        const workersToProcess = searchers.length > MAX_REMOTE_SEARCHERS
+            ? searchers.sort(() => rng() - 0.5).slice(0, MAX_REMOTE_SEARCHERS)
+            : searchers;
+
+        const applications = [];
+
+        workersToProcess.forEach(worker => {
+            const visible = [];
+            let jobsProcessed = 0;
+
+            for (let r = worker.region - laborMarket.searchRadius; r <= worker.region + laborMarket.searchRadius && jobsProcessed < MAX_JOBS_TO_PROCESS; r++) {
+                const nearbyJobs = postingsByRegion.get(r) || [];
+                for (let i = 0; i < nearbyJobs.length && jobsProcessed < MAX_JOBS_TO_PROCESS; i++) {
+                    jobsProcessed++;
+                    // Same visibility as nearby jobs in the local market
+                    let visibility = 0.5 * (worker.mobilityWillingness || 0.3);
+                    visibility *= (0.5 + (worker.informationLevel || 0.5) * 0.5);
+                    if (rng() < visibility) {
+                        visible.push(nearbyJobs[i]);
+                    }
+                }
+            }
+
+            const visibleLimit = laborMarket.behavior.visibleJobLimit;
+            const topJobs = visible.length <= visibleLimit
+                ? visible
+                : visible.sort((a, b) => (b.wage || 0) - (a.wage || 0)).slice(0, visibleLimit);
+
+            // Remote applications share the monthly limit with local ones
+            const applicationLimit = (worker.unemploymentDuration > 6
+                ? worker.behavior.desperateApplicationLimit
+                : worker.behavior.applicationLimit) - worker.jobApplications.length;
+            const suitable = topJobs.filter(job => worker._isQualifiedFor(job)).slice(0, Math.max(0, applicationLimit));
+
+            suitable.forEach(job => {
+                applications.push({
+                    postingId: job.id,
+                    firmPartition: job.firmPartition,
+                    applicant: {
+                        id: worker.id,
+                        partition: this.index,
+                        skills: worker.skills,
+                        education: worker.education,
+                        aiAugmentationSkill: worker.aiAugmentationSkill,
+                        reservationWage: worker.reservationWage,
+                        region: worker.region
+                    }
+                });
+            });
+        });
+
+        return applications;
+    }
+
+    /**
+     * Firms rank remote applicants and make offers
+     * @param {Object[]} applications - Applications to this partition's postings
+     * @returns {Object[]} Offers addressed to the applicants' partitions
+     */
+    reviewApplications(applications) {
+        if (applications.length === 0) return [];
+
+        const applicantsByPosting = {};
+        applications.forEach(app => {
+            if (!applicantsByPosting[app.postingId]) {
+                applicantsByPosting[app.postingId] = [];
+            }
+            applicantsByPosting[app.postingId].push(app.applicant);
+        });
+
+        const offers = [];
+
+        this.engine.firms.forEach(firm => {
+            firm.getOpenPositions().forEach(position => {
+                const applicants = applicantsByPosting[position.id] || [];
+                if (applicants.length === 0) return;
+
+                const ranked = firm.rankApplicants(applicants, position);
+
+                firm.makeOffers(ranked, position).forEach(offer => {
+                    offers.push({
+                        workerId: offer.applicant.id,
+                        workerPartition: offer.applicant.partition,
+                        firmPartition: this.index,
+                        firmId: firm.id,
+                        postingId: position.id,
+                        wage: offer.wage,
+                        score: offer.score,
+                        region: position.region,
+                        occupation: position.occupation,
+                        automationExposure: position.automationExposure,
+                        aiAugmentation: position.aiAugmentation,
+                        growthPotential: position.growthPotential
+                    });
+                });
+            });
+        });
+
+        return offers;
+    }
+
+    /**
+     * Workers evaluate remote offers; those who accept leave this partition
+     * @param {Object[]} offers - Offers to this partition's workers
+     * @returns {Object[]} Departures: the accepted offer and the encoded worker
+     */
+    resolveOffers(offers) {
+        if (offers.length === 0) return [];
+
+        const offersByWorker = new Map();
+        offers.forEach(offer => {
+            if (!offersByWorker.has(offer.workerId)) {
+                offersByWorker.set(offer.workerId, []);
+            }
+            offersByWorker.get(offer.workerId).push(offer);
+        });
+
+        const workersById = new Map(this.engine.workers.map(w => [w.id, w]));
+        const leaving = [];
+
+        offersByWorker.forEach((workerOffers, workerId) => {
+            const worker = workersById.get(workerId);
+            if (!worker || !(worker.activelySearching || worker.status === 'unemployed')) return;
+
+            worker.jobOffers = workerOffers;
+            const accepted = worker.evaluateOffers();
+            worker.jobOffers = [];
+
+            if (accepted) {
+                leaving.push({ worker, offer: accepted });
+            }
+        });
+
+        if (leaving.length === 0) return [];
+
+        leaving.forEach(({ worker }) => {
+            this.engine.regionalSystem.getRegion(worker.region)?.processMigration(worker, null);
+        });
+        this.engine.removeWorkers(leaving.map(l => l.worker));
+        this.departures += leaving.length;
+
+        return leaving.map(({ worker, offer }) => {
+            const previousEmployerId = worker.employer ? worker.employer.id : null;
+
+            // Links to agents that stay behind are dropped; the worker builds a new network on arrival
+            worker.employer = null;
+            worker.network = [];
+            worker.jobOffers = [];
+
+            return {
+                offer,
+                previousEmployerId,
+                worker: encodeGraph({ worker }, {
+                    classes: { WorkerAgent },
+                    tables: {},
+                    rng: this.engine.rng
+                })
+            };
+        });
+    }
+
+    /**
+     * Workers hired by this partition's firms join its population
+     * @param {Object[]} arrivals - Departures produced by another partition's resolveOffers
+     */
+    admitWorkers(arrivals) {
+        const rng = this.engine.rng;
+        const firmsById = new Map(this.engine.firms.map(f => [f.id, f]));
+
+        arrivals.forEach(({ offer, previousEmployerId, worker: encoded }) => {
+            const firm = firmsById.get(offer.firmId);
+            if (!firm) {
+                throw new Error(`Partition ${this.index} has no firm ${offer.firmId}`);
+            }
+
+            const { worker } = decodeGraph(encoded, { classes: { WorkerAgent }, rng });
+            const position = firm.openPositions.find(p => p.id === offer.postingId) || { id: offer.postingId, filled: false };
+
+            // acceptJob only needs the old employer's id to record the job history
+            worker.employer = previousEmployerId ? { id: previousEmployerId } : null;
+            // Hires relocate to the firm's region, which belongs to this partition
+            this.engine.regionalSystem.recordMove(worker.region, offer.region, 'job');
+            this.engine.regionalSystem.getRegion(offer.region).receiveMigrant(worker);
+            worker.acceptJob(offer, firm);
+            firm.hire(worker, position);
+
+            // New coworkers become the worker's network
+            const coworkers = firm.employees
+                .filter(e => e !== worker)
+                .sort(() => rng() - 0.5);
+            worker.network = coworkers.slice(0, Math.min(worker.networkSize, 30));
+
+            this.engine.workers.push(worker);
+            this.engine.laborMarket.hires.push({ worker, firm, position, wage: offer.wage, quit: !!previousEmployerId });
+        });
+
+        this.arrivals += arrivals.length;
+        return arrivals.length;
+    }
+
+    /**
+     * Finish the month and report this partition's statistics
+     * @param {number} month
+     * @param {Object|null} ruleRecords - First and latest national records for trigger rules
+     */
+    endMonth(month, ruleRecords = null) {
+        const engine = this.engine;
+        engine.ruleRecords = ruleRecords;
+        engine._runMonthAdjustments(month, engine.scenario || {}, this.matchingResults);
+        engine._collectMonthlyResults(month);
+
+        const record = engine.results.monthly[engine.results.monthly.length - 1];
+        const wages = engine.workers
+            .filter(w => w.status === 'employed' && w.wage > 0)
+            .map(w => w.wage);
+
+        return {
+            record,
+            wages,
+            crossPartitionHires: this.arrivals,
+            regions: month % 6 === 0 ? engine.getRegionalBreakdown() : null
+        };
+    }
+
+    /**
+     * Totals needed for the run summary
+     */
+    finalize() {
+        const programs = this.engine.trainingPrograms;
+        return {
+            trainingPrograms: programs.length,
+            totalGraduates: programs.reduce((sum, p) => sum + p.totalGraduates, 0),
+            totalDropouts: programs.reduce((sum, p) => sum + p.totalDropouts, 0),
+            completionRateSum: programs.reduce((sum, p) => sum + p.completionRate, 0),
+            emergentPatterns: this.engine.results.emergentPatterns.map(p => ({ ...p, partition: this.index })),
+            informationSummary: this.engine.informationDiffusion?.getSummary() || null
+        };
+    }
+}
+
+/**
+ * In-process partition with the same message boundary as a worker-hosted one
+ */
+class LocalPartition {
+    constructor() {
+        this.partition = null;
+    }
+
+    async call(method, ...args) {
+        const input = structuredClone(args);
+        if (method === 'create') {
+            this.partition = new ABMPartition(input[0]);
+            return null;
+        }
+        return structuredClone(await this.partition[method](...input));
+    }
+
+    terminate() {
+        this.partition = null;
+    }
+}
+
+/**
+ * Runs a partitioned simulation and merges the partitions into one set of results
+ */
+class PartitionCoordinator {
+    /**
+     * @param {Object} config - Same options as ABMSimulationEngine, plus numPartitions
+     * @param {Array<{call: Function, terminate?: Function}>|null} partitions - Partition handles; defaults to LocalPartitions
+     */
+    constructor(config = {}, partitions = null) {
+        this.seed = config.seed !== undefined && config.seed !== null && config.seed !== ''
+            ? config.seed
+            : generateSeed();
+
+        this.config = {
+            numWorkers: config.numWorkers || 1000,
+            numFirms: config.numFirms || 50,
+            numRegions: config.numRegions || 10,
+            numTrainingPrograms: config.numTrainingPrograms || 25,
+            durationMonths: config.durationMonths || 60,
+            numPartitions: config.numPartitions || (partitions ? partitions.length : 2),
+            searchRadius: 2,
+            ...config,
+            seed: this.seed
+        };
+
+        this.partitions = partitions;
+        this.active = [];
+        this.partitionInfo = [];
+        this.layout = [];
+        this.scenario = null;
+        this.aiCapability = null;
+        this.wageDynamics = new WageDynamics();
+        this.results = null;
+        this.isRunning = false;
+
+        this.onProgress = config.onProgress || null;
+        this.onComplete = config.onComplete || null;
+    }
+
+    /**
+     * Split the population and create every partition's agents
+     */
+    async initialize(scenario = {}) {
+        console.log(`Initializing partitioned ABM simulation (seed ${this.seed})...`);
+
+        const groups = partitionRegions(this.config.numRegions, this.config.numPartitions);
+
+        if (!this.partitions) {
+            this.partitions = groups.map(() => new LocalPartition());
+        }
+        if (this.partitions.length < groups.length) {
+            throw new Error(`Need ${groups.length} partitions but only ${this.partitions.length} were provided`);
+        }
+
+        const populations = groups.map(ids =>
+            ids.reduce((sum, id) => sum + US_REGIONS.find(r => r.id === id).population, 0));
+        const totalPopulation = populations.reduce((a, b) => a + b, 0);
+        const shares = populations.map(p => p / totalPopulation);
+
+        const workers = allocateByShare(this.config.numWorkers, shares);
+        const firms = allocateByShare(this.config.numFirms, shares);
+        const programs = allocateByShare(this.config.numTrainingPrograms, shares);
+
+        // Every partition must see the same AI frontier, so one copy advances centrally.
+        // Occupation exposures are drawn up front so partitions never draw their own.
+        this.aiCapability = new AICapabilityFrontier(scenario, createRNG(`${this.seed}/ai`));
+        for (let occupation = 1; occupation <= MAX_OCCUPATION_ID; occupation++) {
+            this.aiCapability.getOccupationExposure(occupation);
+        }
+        const aiState = this.aiCapability.getSharedState();
+
+        this.layout = groups.map((regionIds, index) => {
+            const reachable = new Set();
+            regionIds.forEach(id => {
+                for (let r = id - this.config.searchRadius; r <= id + this.config.searchRadius; r++) {
+                    reachable.add(r);
+                }
+            });
+            return { index, regionIds, reachable };
+        });
+
+        const active = this.partitions.slice(0, groups.length);
+
+        await Promise.all(active.map((partition, index) => partition.call('create', {
+            index,
+            seed: `${this.seed}/${index}`,
+            config: {
+                numWorkers: workers[index],
+                numFirms: firms[index],
+                numTrainingPrograms: programs[index],
+                numRegions: this.config.numRegions,
+                durationMonths: this.config.durationMonths,
+                behavior: this.config.behavior,
+                householdMigration: this.config.householdMigration,
+                demandFeedback: this.config.demandFeedback,
+                demographics: this.config.demographics,
+                fiscal: this.config.fiscal,
+                regionIds: groups[index]
+            }
+        })));
+
+        const created = await Promise.all(active.map(partition =>
+            partition.call('initialize', scenario, aiState)));
+
+        this.active = active;
+        this.partitionInfo = created;
+        this.scenario = scenario;
+        this.results = {
+            monthly: [],
+            monthlyData: [],
+            summary: null,
+            policySupport: [],
+            emergentPatterns: [],
+            regionalSnapshots: [],
+            wageDistribution: [],
+            ruleLog: []
+        };
+
+        console.log(`Created ${created.length} partitions: ${created.map(p => p.workers).join(' / ')} workers`);
+        return this;
+    }
+
+    /**
+     * Run the full simulation
+     */
+    async runSimulation(scenario = this.scenario || {}) {
+        if (!this.results || this.results.monthly.length >= this.config.durationMonths) {
+            await this.initialize(scenario);
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+
+        try {
+            for (let month = this.results.monthly.length; month < this.config.durationMonths; month++) {
+                if (!this.isRunning) break;
+
+                await this._runMonth(month, scenario);
+
+                if (this.onProgress) {
+                    this.onProgress({
+                        month,
+                        totalMonths: this.config.durationMonths,
+                        progress: (month + 1) / this.config.durationMonths,
+                        currentStats: this.results.monthly[this.results.monthly.length - 1]
+                    });
+                }
+            }
+
+            await this._finalizeResults();
+            this.isRunning = false;
+
+            const duration = (Date.now() - startTime) / 1000;
+            console.log(`Partitioned simulation complete in ${duration.toFixed(2)}s`);
+
+            if (this.onComplete) {
+                this.onComplete(this.results);
+            }
+
+            return this.results;
+
+        } catch (error) {
+            this.isRunning = false;
+            console.error('Simulation error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop after the current month
+     */
+    stop() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Run one synchronized month across all partitions
+     */
+    async _runMonth(month, scenario) {
+        this.aiCapability.advance(month, scenario);
+        const aiState = this.aiCapability.getSharedState();
+
+        const begun = await this._callAll('beginMonth', () => [month, aiState]);
+        const postings = begun.flatMap(b => b.postings);
+
+        // Each partition only sees postings from other partitions within search range
+        const applications = (await this._callAll('searchRemoteJobs', ({ index, reachable }) => [
+            postings.filter(p => p.firmPartition !== index && reachable.has(p.region))
+        ])).flat();
+
+        const offers = (await this._callAll('reviewApplications', ({ index }) => [
+            applications.filter(a => a.firmPartition === index)
+        ])).flat();
+
+        const departures = (await this._callAll('resolveOffers', ({ index }) => [
+            offers.filter(o => o.workerPartition === index)
+        ])).flat();
+
+        await this._callAll('admitWorkers', ({ index }) => [
+            departures.filter(d => d.offer.firmPartition === index)
+        ]);
+
+        const monthly = this.results.monthly;
+        const ruleRecords = monthly.length > 0 ? { first: monthly[0], latest: monthly[monthly.length - 1] } : null;
+        const ended = await this._callAll('endMonth', () => [month, ruleRecords]);
+        this._collectMonthlyResults(month, ended);
+    }
+
+    /**
+     * Call a method on every active partition in parallel, in partition order
+     * @param {string} method
+     * @param {Function} argsFor - Maps a partition's layout entry to its arguments
+     */
+    _callAll(method, argsFor) {
+        return Promise.all(this.active.map((partition, index) =>
+            partition.call(method, ...argsFor(this.layout[index]))));
+    }
+
+    /**
+     * Merge the partitions' statistics into one monthly record
+     */
+    _collectMonthlyResults(month, ended) {
+        const records = ended.map(e => e.record);
+        const sum = (key) => records.reduce((total, r) => total + (r[key] || 0), 0);
+
+        const totalWorkers = sum('totalWorkers');
+        const inLaborForce = sum('inLaborForce');
+        const unemployed = sum('unemployed');
+        const totalFirms = sum('totalFirms');
+        const firmsAdoptingAI = sum('firmsAdoptingAI');
+        const monthlyHires = sum('monthlyHires');
+        const monthlyLayoffs = sum('monthlyLayoffs');
+        const monthlyQuits = sum('monthlyQuits');
+        const hiresFromUnemployment = sum('hiresFromUnemployment');
+        const unemployedAtMatching = sum('unemployedAtMatching');
+        const employed = sum('employed');
+
+        const wages = ended.flatMap(e => e.wages);
+        const wageDistribution = this.wageDynamics.getWageDistribution(
+            wages.map(wage => ({ status: 'employed', wage })));
+
+        const aiAdoptionByStatus = {};
+        records.forEach(r => {
+            Object.entries(r.aiAdoptionByStatus || {}).forEach(([status, count]) => {
+                aiAdoptionByStatus[status] = (aiAdoptionByStatus[status] || 0) + count;
+            });
+        });
+
+        const totalPrograms = records.reduce((total, r) => total + r.trainingStats.totalPrograms, 0);
+        const trainingStats = {
+            totalPrograms,
+            totalEnrolled: records.reduce((total, r) => total + r.trainingStats.totalEnrolled, 0),
+            totalGraduates: records.reduce((total, r) => total + r.trainingStats.totalGraduates, 0),
+            avgCompletionRate: totalPrograms > 0
+                ? records.reduce((total, r) => total + r.trainingStats.avgCompletionRate * r.trainingStats.totalPrograms, 0) / totalPrograms
+                : 0
+        };
+
+        const policySupport = this._mergePolicySupport(records);
+
+        const record = {
+            month,
+            year: Math.floor(month / 12) + 2025,
+            totalWorkers,
+            inLaborForce,
+            employed,
+            unemployed,
+            retraining: sum('retraining'),
+            outOfLaborForce: totalWorkers - inLaborForce,
+            unemploymentRate: inLaborForce > 0 ? unemployed / inLaborForce : 0,
+            laborForceParticipation: totalWorkers > 0 ? inLaborForce / totalWorkers : 0,
+
+            totalFirms,
+            firmsAdoptingAI,
+            aiAdoptionRate: totalFirms > 0 ? firmsAdoptingAI / totalFirms : 0,
+            openPositions: sum('openPositions'),
+
+            medianWage: wageDistribution.median,
+            avgWage: wages.length > 0 ? wages.reduce((a, b) => a + b, 0) / wages.length : 0,
+
+            monthlyHires,
+            monthlyLayoffs,
+            netJobChange: monthlyHires - monthlyLayoffs,
+            monthlyQuits,
+            hiresFromUnemployment,
+            unemployedAtMatching,
+            jobFindingRate: unemployedAtMatching > 0 ? hiresFromUnemployment / unemployedAtMatching : 0,
+            quitsRate: employed > 0 ? monthlyQuits / employed : 0,
+            crossPartitionHires: ended.reduce((total, e) => total + e.crossPartitionHires, 0),
+
+            regionalUnemployment: Object.assign({}, ...records.map(r => r.regionalUnemployment)),
+
+            aiAdoptionByStatus,
+            policySupport,
+            wageDistribution,
+            trainingStats,
+            migration: this._mergeMigration(records),
+            demand: this._mergeDemand(records),
+            fiscal: this._mergeFiscal(records),
+            demographics: mergeDemographics(records.map(r => r.demographics)),
+            // Partitions evaluate rules on the same national records, so their events agree
+            ruleEvents: records[0]?.ruleEvents || [],
+            aiCapabilityLevel: this.aiCapability.getCurrentLevel()
+        };
+
+        this.results.monthly.push(record);
+        this.results.ruleLog.push(...record.ruleEvents);
+        this.results.policySupport.push({ month, ...policySupport });
+        this.results.wageDistribution.push({ month, ...wageDistribution });
+
+        if (month % 6 === 0 && ended.every(e => e.regions)) {
+            this.results.regionalSnapshots.push({
+                month,
+                regions: ended.flatMap(e => e.regions)
+            });
+        }
+    }
+
+    /**
+     * Combine per-partition policy support, weighting each partition by its workers.
+     * Medians are approximated by the weighted mean of partition medians.
+     */
+    _mergePolicySupport(records) {
+        const merged = {};
+        const totalWorkers = records.reduce((total, r) => total + r.totalWorkers, 0) || 1;
+
+        Object.keys(records[0]?.policySupport || {}).forEach(policy => {
+            const stats = {};
+            POLICY_STAT_KEYS.forEach(key => {
+                const weighted = records.reduce((total, r) =>
+                    total + (r.policySupport[policy]?.[key] || 0) * r.totalWorkers, 0) / totalWorkers;
+                stats[key] = Math.round(weighted * 100) / 100;
+            });
+            stats.feasibilityScore = Math.round(
+                (stats.mean * 0.5 + (1 - stats.strongOppose) * 0.3 + stats.strongSupport * 0.2) * 100);
+            merged[policy] = stats;
+        });
+
+        return merged;
+    }
+
+    /**
+     * Combine per-partition migration flows. Moves across partitions are recorded by
+     * the receiving partition, so a pair of regions can appear in several records.
+     */
+    _mergeMigration(records) {
+        const merged = { moves: 0, job: 0, search: 0, household: 0, pairs: [] };
+        const pairs = new Map();
+
+        records.forEach(r => {
+            if (!r.migration) return;
+            ['moves', 'job', 'search', 'household'].forEach(key => { merged[key] += r.migration[key]; });
+
+            r.migration.pairs.forEach(pair => {
+                const key = `${pair.regionA}-${pair.regionB}`;
+                if (!pairs.has(key)) {
+                    pairs.set(key, { regionA: pair.regionA, regionB: pair.regionB, aToB: 0, bToA: 0, gross: 0, net: 0 });
+                }
+                const total = pairs.get(key);
+                total.aToB += pair.aToB;
+                total.bToA += pair.bToA;
+                total.gross += pair.gross;
+                total.net = total.aToB - total.bToA;
+            });
+        });
+
+        merged.pairs = [...pairs.values()].sort((x, y) => x.regionA - y.regionA || x.regionB - y.regionB);
+        return merged;
+    }
+
+    /**
+     * Combine per-partition household demand. Spending and income add up; demand
+     * indexes are averaged weighted by each partition's spending.
+     */
+    _mergeDemand(records) {
+        const parts = records.map(r => r.demand).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const total = (key) => parts.reduce((sum, d) => sum + d[key], 0);
+        const householdSpending = total('householdSpending');
+        const weighted = (key) => householdSpending > 0
+            ? parts.reduce((sum, d) => sum + d[key] * d.householdSpending, 0) / householdSpending
+            : 1;
+
+        const bySector = {};
+        parts.forEach(d => {
+            Object.entries(d.bySector).forEach(([industry, sector]) => {
+                if (!bySector[industry]) bySector[industry] = { name: sector.name, spending: 0 };
+                bySector[industry].spending += sector.spending;
+            });
+        });
+
+        return {
+            householdSpending,
+            wageIncome: total('wageIncome'),
+            transferIncome: total('transferIncome'),
+            spendingIndex: weighted('spendingIndex'),
+            demandIndex: weighted('demandIndex'),
+            wageIncomeIndex: weighted('wageIncomeIndex'),
+            bySector,
+            byRegion: Object.assign({}, ...parts.map(d => d.byRegion))
+        };
+    }
+
+    /**
+     * Combine per-partition fiscal accounts. Revenues, outlays, debt and GDP add
+     * up; the surcharge is averaged weighted by each partition's wage bill.
+     */
+    _mergeFiscal(records) {
+        const parts = records.map(r => r.fiscal).filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const total = (key) => parts.reduce((sum, f) => sum + f[key], 0);
+        const addFlows = (key) => {
+            const flows = {};
+            parts.forEach(f => {
+                Object.entries(f[key]).forEach(([type, amount]) => {
+                    flows[type] = (flows[type] || 0) + amount;
+                });
+            });
+            return flows;
+        };
+
+        const gdp = total('gdp');
+        const wageBill = total('wageBill');
+        const deficit = total('deficit');
+        const debt = total('debt');
+        const taxSurcharge = wageBill > 0
+            ? parts.reduce((sum, f) => sum + f.taxSurcharge * f.wageBill, 0) / wageBill
+            : 0;
+
+        return {
+            months: parts[0].months,
+            gdp,
+            wageBill,
+            revenues: addFlows('revenues'),
+            outlays: addFlows('outlays'),
+            totalRevenue: total('totalRevenue'),
+            totalOutlays: total('totalOutlays'),
+            deficit,
+            debt,
+            deficitToGdp: gdp > 0 ? deficit / (gdp / 12 * parts[0].months) : 0,
+            debtToGdp: gdp > 0 ? debt / gdp : 0,
+            incomeTaxRate: parts[0].incomeTaxRate - parts[0].taxSurcharge + taxSurcharge,
+            taxSurcharge
+        };
+    }
+
+    async _finalizeResults() {
+        const finals = await this._callAll('finalize', () => []);
+        const programCount = finals.reduce((total, f) => total + f.trainingPrograms, 0);
+
+        this.results.emergentPatterns = finals
+            .flatMap(f => f.emergentPatterns)
+            .sort((a, b) => a.month - b.month || a.partition - b.partition);
+        this.results.monthlyData = this.results.monthly;
+
+        this.results.summary = {
+            ...buildRunSummary(this.results, {
+                seed: this.seed,
+                durationMonths: this.config.durationMonths,
+                totalWorkers: this.config.numWorkers,
+                totalFirms: this.partitionInfo.reduce((total, p) => total + p.firms, 0),
+                totalTrainingPrograms: programCount,
+                trainingOutcomes: {
+                    totalGraduates: finals.reduce((total, f) => total + f.totalGraduates, 0),
+                    totalDropouts: finals.reduce((total, f) => total + f.totalDropouts, 0),
+                    avgCompletionRate: programCount > 0
+                        ? finals.reduce((total, f) => total + f.completionRateSum, 0) / programCount
+                        : 0
+                },
+                aiCapabilitySummary: this.aiCapability.getSummary(),
+                informationSummary: finals.map(f => f.informationSummary)
+            }),
+            partitions: this.layout.map(({ index, regionIds }) => ({ index, regionIds })),
+            totalCrossPartitionHires: this.results.monthly.reduce((total, m) => total + m.crossPartitionHires, 0)
+        };
+    }
+
+    /**
+     * Release partition resources (terminates worker-hosted partitions)
+     */
+    terminate() {
+        (this.partitions || []).forEach(partition => partition.terminate && partition.terminate());
+        this.partitions = null;
+        this.active = [];
+    }
+}
+
+// Export for ES modules
+export { ABMPartition, LocalPartition, PartitionCoordinator, partitionRegions };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.PartitionCoordinator = PartitionCoordinator;
+}
@@ -4,8 +4,12 @@
 
 // Import required modules
 import { EconomicDataService } from './data/economic-data.js';
+import { LATEST_VINTAGE, baselineVintageId, formatVintageLabel, diffSnapshots } from './data/vintages.js';
+import { importDataset, formatDatasetCSV } from './data/datasets.js';
+import { shiftMonth } from './data/time-series.js';
 import { EconomicIndicators } from './models/indicators.js';
 import { SimulationEngine } from './simulation/engine.js';
+import { parseCurvePoints, formatCurvePoints, DEFAULT_CURVE_PARAMETERS } from './simulation/adoption-curves.js';
 import { InterventionSystem } from './simulation/interventions.js';
 import { VisualizationManager } from './components/visualizations.js';
 import { RealMetricsSystem } from './models/real-metrics.js';
@@ -16,10 +20,16 @@ import { PDFExporter } from './features/pdf-export.js';
 import { PDFReportGenerator } from './features/pdf-report.js';
 import { SensitivityAnalysis } from './features/sensitivity-analysis.js';
 import { MonteCarloSimulation } from './features/monte-carlo.js';
+import { GlobalSensitivityAnalysis } from './features/global-sensitivity.js';
+import { PolicyOptimizer } from './features/policy-optimizer.js';
+import { BacktestCalibration, applyCalibrationProfile } from './features/backtest.js';
+import { ForecastTracker, buildProjection } from './features/forecast-tracking.js';
+import { ABMCalibration } from './features/abm-calibration.js';
 import { ScenarioComparison } from './features/scenario-comparison.js';
 import { OccupationDrilldown } from './features/occupation-drilldown.js';
 import { SimulationHistoryService } from './services/simulation-history.js';
 import { SimulationSharingService } from './services/simulation-sharing.js';
+import { JobPostingDataService } from './services/international-data.js';
 
 // HTML escape helper for XSS prevention
 const escapeHtml = (str) => {
@@ -52,6 +62,40 @@ const DEFAULT_CONFIG = {
 // Storage key for saved simulations
 const STORAGE_KEY = 'ai_labor_simulator_saved_simulations';
 
+// Storage key for the calibration profile applied to simulations
+const CALIBRATION_PROFILE_KEY = 'ai_labor_sim_calibration_profile';
+
+// Storage key for the data vintage the app is pinned to (none follows the latest data)
+const DATA_VINTAGE_KEY = 'ai_labor_sim_data_vintage';
+
+// Storage keys for imported data profiles (by name) and the one in use
+const DATA_PROFILES_KEY = 'ai_labor_sim_data_profiles';
+const DATA_PROFILE_KEY = 'ai_labor_sim_data_profile';
+
+// Storage key for the historical month simulations start from (none uses the latest data)
+const START_MONTH_KEY = 'ai_labor_sim_start_month';
+
+// Storage key for ingested job-posting records (descriptions dropped)
+const JOB_POSTINGS_KEY = 'ai_labor_sim_job_postings';
+
+// Job postings ingested from local dumps, feeding the skills-gap analysis
+let jobPostingService = null;
+
+// Storage key for shared simulations whose projections are tracked against new data
+const TRACKED_SHARED_KEY = 'ai_labor_sim_tracked_shared';
+
+// Dashboard unemployment history chart, rebuilt when its range changes
+let historicalChart = null;
+
+// Most recent calibration, kept until the user adopts or discards it
+let lastCalibration = null;
+
+// Storage key for the calibrated ABM behavioral parameters
+const ABM_BEHAVIOR_KEY = 'ai_labor_sim_abm_behavior';
+
+// Most recent ABM behavioral calibration
+let lastABMCalibration = null;
+
 // Storage keys for API keys (legacy - kept for cleanup)
 const API_KEYS_STORAGE = {};
 
@@ -69,6 +113,11 @@ async function initApp() {
 
         // Load baseline data
         await dataService.loadBaselineData();
+        await restoreDataVintage();
+        await restoreDataProfiles();
+        await dataService.loadTimeSeries();
+        await restoreStartMonth();
+        restoreJobPostings();
 
         // Initialize simulation engine
         simulationEngine = new SimulationEngine(dataService, indicators);
@@ -91,6 +140,7 @@ async function initApp() {
 
         // Check for shared simulation in URL
         await checkForSharedSimulation();
+        await renderForecastScorecard();
 
         console.log('AI Labor Market Simulator initialized');
     } catch (error) {
@@ -115,7 +165,8 @@ function setupEventListeners() {
     });
 
     // Other scenario inputs
-    const configInputs = ['scenarioName', 'targetYear', 'automationPace', 'adoptionCurve'];
+    const configInputs = ['scenarioName', 'targetYear', 'automationPace', 'adoptionCurve',
+        'curveMidpoint', 'curveSteepness', 'curveInnovation', 'curveImitation'];
     configInputs.forEach(id => {
         const el = document.getElementById(id);
         if (el) {
@@ -123,6 +174,17 @@ function setupEventListeners() {
         }
     });
 
+    // Adoption curve options and the custom points editor
+    document.getElementById('adoptionCurve')?.addEventListener('change', updateAdoptionCurveOptions);
+    document.getElementById('targetYear')?.addEventListener('change', drawCurvePoints);
+    document.getElementById('curvePoints')?.addEventListener('change', () => {
+        const { error } = readCurvePoints();
+        if (error) showNotification(`Curve points: ${error}`, 'error');
+        drawCurvePoints();
+        saveScenarioConfig();
+    });
+    document.getElementById('curveDrawCanvas')?.addEventListener('click', addDrawnCurvePoint);
+
     // Restore saved config on load
     restoreScenarioConfig();
 }
@@ -137,7 +199,8 @@ function saveScenarioConfig() {
         targetUR: document.getElementById('targetUR')?.value || 10,
         aiAdoption: document.getElementById('aiAdoption')?.value || 70,
         automationPace: document.getElementById('automationPace')?.value || 'moderate',
-        adoptionCurve: document.getElementById('adoptionCurve')?.value || 's_curve'
+        adoptionCurve: document.getElementById('adoptionCurve')?.value || 's_curve',
+        curveSettings: getAdoptionCurveConfig()
     };
     localStorage.setItem('ai_labor_sim_scenario_config', JSON.stringify(config));
 }
@@ -182,6 +245,7 @@ function restoreScenarioConfig() {
             const el = document.getElementById('adoptionCurve');
             if (el) el.value = config.adoptionCurve;
         }
+        setAdoptionCurveInputs(config.curveSettings || { adoption_curve: config.adoptionCurve });
 
         console.log('Restored scenario config from localStorage');
     } catch (error) {
@@ -189,6 +253,203 @@ function restoreScenarioConfig() {
     }
 }
 
+/**
+ * Parse the custom points editor
+ * @returns {{points: Object[], sectors: Object, error: string|null}}
+ */
+function readCurvePoints() {
+    try {
+        return { ...parseCurvePoints(document.getElementById('curvePoints')?.value || ''), error: null };
+    } catch (error) {
+        return { points: [], sectors: {}, error: error.message };
+    }
+}
+
+// Sector curves from the last loaded scenario that the points editor cannot
+// show (Bass, logistic and named curves), kept so later runs and saves keep them
+let loadedSectorCurves = {};
+
+/**
+ * Adoption curve settings from the form, in createScenario() form. Sector rows
+ * in the points editor become piecewise sector curves, alongside the other
+ * sector curves the scenario was loaded with.
+ */
+function getAdoptionCurveConfig() {
+    const type = document.getElementById('adoptionCurve')?.value || 's_curve';
+    const number = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id)?.value);
+        return Number.isFinite(value) ? value : fallback;
+    };
+    const { points, sectors } = readCurvePoints();
+
+    const curveParameters = {};
+    if (type === 'logistic') {
+        curveParameters.midpoint = number('curveMidpoint', 0.5);
+        curveParameters.steepness = number('curveSteepness', 10);
+    } else if (type === 'bass') {
+        curveParameters.innovation = number('curveInnovation', 0.03);
+        curveParameters.imitation = number('curveImitation', 0.38);
+    } else if (type === 'piecewise') {
+        curveParameters.points = points;
+    }
+
+    const sectorCurves = { ...loadedSectorCurves };
+    Object.entries(sectors).forEach(([sector, sectorPoints]) => {
+        sectorCurves[sector] = { type: 'piecewise', points: sectorPoints };
+    });
+
+    return { adoption_curve: type, curve_parameters: curveParameters, sector_curves: sectorCurves };
+}
+
+/**
+ * Fill the adoption curve inputs from a scenario's ai_parameters
+ */
+function setAdoptionCurveInputs(aiParameters) {
+    if (!aiParameters) return;
+    const params = aiParameters.curve_parameters || {};
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el && value !== undefined) el.value = value;
+    };
+
+    set('adoptionCurve', aiParameters.adoption_curve || 's_curve');
+    set('curveMidpoint', params.midpoint);
+    set('curveSteepness', params.steepness);
+    set('curveInnovation', params.innovation);
+    set('curveImitation', params.imitation);
+    set('curvePoints', formatCurvePoints(params.points, aiParameters.sector_curves));
+
+    loadedSectorCurves = {};
+    Object.entries(aiParameters.sector_curves || {}).forEach(([sector, curve]) => {
+        if (!curve || curve.type !== 'piecewise') loadedSectorCurves[sector] = curve;
+    });
+
+    updateAdoptionCurveOptions();
+}
+
+/**
+ * Show the inputs for the selected adoption curve
+ */
+function updateAdoptionCurveOptions() {
+    const type = document.getElementById('adoptionCurve')?.value;
+    const show = (id, visible) => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = visible ? 'block' : 'none';
+    };
+    show('curveLogisticOptions', type === 'logistic');
+    show('curveBassOptions', type === 'bass');
+
+    const editor = document.getElementById('curvePointsEditor');
+    if (editor && type === 'piecewise') editor.setAttribute('open', '');
+    drawCurvePoints();
+}
+
+/**
+ * Year range and canvas for the points editor
+ */
+function getCurveCanvas() {
+    const canvas = document.getElementById('curveDrawCanvas');
+    const startYear = new Date().getFullYear();
+    const endYear = parseInt(document.getElementById('targetYear')?.value) || startYear + 5;
+    return { canvas, startYear, endYear: Math.max(endYear, startYear + 1) };
+}
+
+/**
+ * Draw the national custom points (adoption 0-100% against the scenario years)
+ */
+function drawCurvePoints() {
+    const { canvas, startYear, endYear } = getCurveCanvas();
+    const ctx = canvas ? canvas.getContext('2d') : null;
+    if (!ctx) return;
+
+    const { width, height } = ctx.canvas;
+    const x = year => (year - startYear) / (endYear - startYear) * width;
+    const y = rate => height - rate / 100 * height;
+    const { points } = readCurvePoints();
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = '#e5e7eb';
+    [25, 50, 75].forEach(rate => {
+        ctx.beginPath();
+        ctx.moveTo(0, y(rate));
+        ctx.lineTo(width, y(rate));
+        ctx.stroke();
+    });
+
+    ctx.strokeStyle = '#2563eb';
+    ctx.fillStyle = '#2563eb';
+    ctx.beginPath();
+    points.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(x(point.year), y(point.rate));
+        else ctx.lineTo(x(point.year), y(point.rate));
+    });
+    ctx.stroke();
+    points.forEach(point => ctx.fillRect(x(point.year) - 2, y(point.rate) - 2, 4, 4));
+}
+
+/**
+ * Add a national point where the points chart was clicked
+ */
+function addDrawnCurvePoint(event) {
+    const { canvas, startYear, endYear } = getCurveCanvas();
+    const textarea = document.getElementById('curvePoints');
+    if (!canvas || !textarea) return;
+
+    const rect = canvas.getBoundingClientRect();
+    const share = (event.clientX - rect.left) / rect.width;
+    const year = Math.round((startYear + share * (endYear - startYear)) * 4) / 4;
+    const rate = Math.round((1 - (event.clientY - rect.top) / rect.height) * 100);
+
+    const { points, sectors, error } = readCurvePoints();
+    if (error) {
+        showNotification(`Curve points: ${error}`, 'error');
+        return;
+    }
+    const national = points.filter(point => point.year !== year);
+    national.push({ year, rate: Math.max(0, Math.min(100, rate)) });
+    national.sort((a, b) => a.year - b.year);
+
+    const sectorCurves = {};
+    Object.entries(sectors).forEach(([sector, sectorPoints]) => {
+        sectorCurves[sector] = { type: 'piecewise', points: sectorPoints };
+    });
+    textarea.value = formatCurvePoints(national, sectorCurves);
+
+    const select = document.getElementById('adoptionCurve');
+    if (select) select.value = 'piecewise';
+    updateAdoptionCurveOptions();
+    saveScenarioConfig();
+}
+
+/**
+ * Load curve points from an uploaded CSV file
+ */
+async function loadCurvePointsFile(file) {
+    if (!file) return;
+
+    const text = await file.text();
+    try {
+        const { points, sectors } = parseCurvePoints(text);
+        document.getElementById('curvePoints').value = text.trim();
+        if (points.length > 0) document.getElementById('adoptionCurve').value = 'piecewise';
+        updateAdoptionCurveOptions();
+        saveScenarioConfig();
+        showNotification(`Loaded ${points.length} national and ${Object.keys(sectors).length} sector curve point sets`, 'success');
+    } catch (error) {
+        showNotification(`Could not read curve points: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Clear the custom points editor
+ */
+function clearCurvePoints() {
+    const textarea = document.getElementById('curvePoints');
+    if (textarea) textarea.value = '';
+    drawCurvePoints();
+    saveScenarioConfig();
+}
+
 /**
  * Show section by ID
  */
@@ -479,19 +740,37 @@ function populateInterventionTypes() {
 }
 
 /**
- * Create historical chart
+ * Create historical chart over the range picked on the dashboard
  */
 async function createHistoricalChart() {
-    const historical = await dataService.getHistoricalTrends();
+    const store = await dataService.loadTimeSeries();
+    const { last } = store.getRange(['unemployment_rate']);
+    const rangeSelect = document.getElementById('historicalRange');
+
+    // Monthly history when the time-series store has it, otherwise the baseline's yearly averages
+    let points;
+    if (last) {
+        const range = rangeSelect?.value || '120';
+        const from = range === 'all' ? undefined : shiftMonth(last, -(Number(range) - 1));
+        points = store.getSeries('unemployment_rate', { from }).map(d => ({ label: d.month, value: d.value }));
+    } else {
+        const historical = await dataService.getHistoricalTrends();
+        points = historical.unemployment_rate.map(d => ({ label: d.year, value: d.value }));
+    }
+    if (rangeSelect) rangeSelect.style.display = last ? '' : 'none';
+
+    if (historicalChart) historicalChart.destroy();
 
     const ctx = document.getElementById('historicalChart');
-    new Chart(ctx, {
+    historicalChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: historical.unemployment_rate.map(d => d.year),
+            labels: points.map(p => p.label),
             datasets: [{
                 label: 'Unemployment Rate (%)',
-                data: historical.unemployment_rate.map(d => d.value),
+                data: points.map(p => p.value),
+                // Mark the month simulations start from
+                pointRadius: points.map(p => (p.label === dataService.startMonth ? 5 : (last ? 0 : 3))),
                 borderColor: '#3b82f6',
                 backgroundColor: 'rgba(59, 130, 246, 0.1)',
                 fill: true,
@@ -507,7 +786,8 @@ async function createHistoricalChart() {
             scales: {
                 y: {
                     beginAtZero: true,
-                    max: 12
+                    // Longer histories reach recession peaks above 12%
+                    suggestedMax: 12
                 }
             }
         }
@@ -591,6 +871,7 @@ function loadPreset(preset) {
     document.getElementById('aiValue').textContent = config.aiAdoption;
     document.getElementById('automationPace').value = config.automationPace;
     document.getElementById('adoptionCurve').value = config.adoptionCurve;
+    updateAdoptionCurveOptions();
     document.getElementById('targetYear').value = config.targetYear;
     document.getElementById('scenarioName').value =
         preset.charAt(0).toUpperCase() + preset.slice(1) + ' Disruption Scenario';
@@ -624,9 +905,10 @@ function getCurrentScenario() {
             ai_adoption_rate: parseInt(document.getElementById('aiAdoption')?.value || '70'),
             automation_pace: document.getElementById('automationPace')?.value || 'moderate'
         },
-        ai_parameters: {
-            adoption_curve: document.getElementById('adoptionCurve')?.value || 's_curve'
-        },
+        ai_parameters: getAdoptionCurveConfig(),
+        data_vintage: dataService ? dataService.getVintageId() : null,
+        data_profile: dataService ? dataService.activeProfile : null,
+        start_month: dataService ? dataService.startMonth : null,
         interventions: typeof interventionSystem !== 'undefined'
             ? interventionSystem.interventions.filter(i => i.active)
             : []
@@ -640,14 +922,15 @@ async function runSimulation() {
     // Reset AI simulation flag - regular simulations show the Generate AI Analysis button
     isAISimulationResult = false;
 
-    const config = {
+    // Start from the calibrated engine parameters when a profile is in use
+    const config = applyCalibrationProfile({
         name: document.getElementById('scenarioName').value,
         end_year: parseInt(document.getElementById('targetYear').value),
         target_unemployment: parseFloat(document.getElementById('targetUR').value),
         ai_adoption_rate: parseInt(document.getElementById('aiAdoption').value),
         automation_pace: document.getElementById('automationPace').value,
-        adoption_curve: document.getElementById('adoptionCurve').value
-    };
+        ...getAdoptionCurveConfig()
+    }, getCalibrationProfile());
 
     // Show loading state
     const resultsDiv = document.getElementById('simulation-results');
@@ -1090,7 +1373,7 @@ function generateInterventionImpactHTML(interventionSummary, interventions) {
         const fiscalCost = d.fiscal_cost || 0;
         return `
         <tr>
-            <td><strong>${d.intervention || 'Unknown'}</strong></td>
+            <td><strong>${d.name || 'Unknown'}</strong></td>
             <td style="text-align: right; color: ${jobEffect >= 0 ? 'var(--secondary)' : 'var(--danger)'};">
                 ${jobEffect >= 0 ? '+' : ''}${formatNumber(jobEffect * 12)}/yr
             </td>
@@ -1381,6 +1664,12 @@ function generateSkillsGapHTML(skillsGap) {
     }
 
     return `
+        ${skillsGap.posting_data ? `
+        <p style="font-size: 0.75rem; color: var(--gray-500); margin-bottom: 12px;">
+            Skill trends from ${skillsGap.posting_data.postings.toLocaleString()} imported job postings
+            (${escapeHtml(skillsGap.posting_data.first_month)} to ${escapeHtml(skillsGap.posting_data.last_month)}) where they cover a skill
+        </p>
+        ` : ''}
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 24px; margin-bottom: 20px;">
             <div>
                 <h4 style="font-size: 0.875rem; color: var(--danger); margin-bottom: 12px; text-transform: uppercase;">
@@ -1721,6 +2010,24 @@ function displaySimulationResults(results) {
             </div>
             ` : ''}
 
+            <!-- Policy Optimizer Section -->
+            <div class="card" id="policyOptimizerCard" style="border-left: 4px solid var(--info);">
+                <div class="card-header">
+                    <h3 style="display: flex; align-items: center; gap: 8px;">
+                        <span style="font-size: 1.25rem;">&#127919;</span> Policy Optimizer
+                    </h3>
+                    <span style="font-size: 0.875rem; color: var(--gray-500);">Best intervention mixes within a budget</span>
+                </div>
+                <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 16px;">
+                    <label for="optimizerBudget" style="font-size: 0.875rem;">Budget over horizon ($B)</label>
+                    <input type="number" id="optimizerBudget" value="2000" min="0" step="100" style="width: 120px;">
+                    <button class="btn btn-primary btn-sm" onclick="runPolicyOptimizer()">Find Policy Mixes</button>
+                </div>
+                <div id="policyOptimizerContent">
+                    <p style="color: var(--gray-500);">Searches intervention types, parameters and start years for packages that trade off peak unemployment, wage growth and inequality.</p>
+                </div>
+            </div>
+
             <!-- Demographics Analysis Section -->
             <div class="card" id="demographicsCard" style="border-left: 4px solid #ec4899;">
                 <div class="card-header">
@@ -2004,7 +2311,7 @@ function resetToDefaults() {
     document.getElementById('aiAdoption').value = DEFAULT_CONFIG.aiAdoption;
     document.getElementById('aiValue').textContent = DEFAULT_CONFIG.aiAdoption;
     document.getElementById('automationPace').value = DEFAULT_CONFIG.automationPace;
-    document.getElementById('adoptionCurve').value = DEFAULT_CONFIG.adoptionCurve;
+    setAdoptionCurveInputs({ adoption_curve: DEFAULT_CONFIG.adoptionCurve, curve_parameters: DEFAULT_CURVE_PARAMETERS });
 
     updateInterventionsList();
 
@@ -2064,6 +2371,9 @@ function saveSimulation() {
             automationPace: currentResults.scenario.targets.automation_pace,
             adoptionCurve: currentResults.scenario.ai_parameters.adoption_curve
         },
+        dataVintage: currentResults.scenario.data_vintage || null,
+        dataProfile: currentResults.scenario.data_profile || null,
+        startMonth: currentResults.scenario.start_month || null,
         interventions: interventionSystem.interventions.map(i => ({
             type: i.type,
             parameters: i.parameters,
@@ -2078,6 +2388,7 @@ function saveSimulation() {
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(simulations));
         updateSavedSimulationsList();
+        renderForecastScorecard();
         alert(`Simulation "${name}" saved successfully!`);
     } catch (error) {
         console.error('Error saving simulation:', error);
@@ -2105,7 +2416,7 @@ function loadSavedSimulation(id) {
     document.getElementById('aiAdoption').value = simulation.config.aiAdoption;
     document.getElementById('aiValue').textContent = simulation.config.aiAdoption;
     document.getElementById('automationPace').value = simulation.config.automationPace;
-    document.getElementById('adoptionCurve').value = simulation.config.adoptionCurve;
+    setAdoptionCurveInputs(simulation.results?.scenario?.ai_parameters || { adoption_curve: simulation.config.adoptionCurve });
 
     // Load interventions
     interventionSystem.interventions = [];
@@ -2146,6 +2457,7 @@ function deleteSavedSimulation(id, event) {
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
         updateSavedSimulationsList();
+        renderForecastScorecard();
     } catch (error) {
         console.error('Error deleting simulation:', error);
         alert('Failed to delete simulation.');
@@ -2239,8 +2551,17 @@ function showSavedSimulationsModal() {
                                     Interventions: ${sim.interventions.filter(i => i.active).map(i => i.type.replace(/_/g, ' ')).join(', ')}
                                 </div>
                             ` : ''}
+                            <div style="margin-top: 8px; font-size: 0.75rem; color: var(--gray-400);">
+                                Data: ${sim.dataProfile ? `${escapeHtml(sim.dataProfile)} profile, ` : ''}${escapeHtml(sim.dataVintage || 'not recorded (saved before data vintages)')}${sim.startMonth ? `, starting ${escapeHtml(sim.startMonth)}` : ''}
+                            </div>
+                        </div>
+                        <div style="display: flex; flex-direction: column; gap: 6px;">
+                            ${sim.dataVintage ? `
+                                <button class="btn btn-outline btn-sm" onclick="rerunSavedSimulation(${sim.id}, 'original', event)">Re-run on original data</button>
+                            ` : ''}
+                            <button class="btn btn-outline btn-sm" onclick="rerunSavedSimulation(${sim.id}, 'latest', event)">Re-run on latest data</button>
+                            <button class="btn btn-danger btn-sm" onclick="deleteSavedSimulation(${sim.id}, event)">Delete</button>
                         </div>
-                        <button class="btn btn-danger btn-sm" onclick="deleteSavedSimulation(${sim.id}, event)">Delete</button>
                     </div>
                 </div>
             `;
@@ -2251,6 +2572,59 @@ function showSavedSimulationsModal() {
     modal.style.display = 'flex';
 }
 
+/**
+ * Re-run a saved simulation on the data vintage it was saved with, or on the
+ * latest data, and show how the starting data differs between the two
+ * @param {number} id - Saved simulation id
+ * @param {string} which - 'original' or 'latest'
+ */
+async function rerunSavedSimulation(id, which, event) {
+    if (event) event.stopPropagation();
+
+    const simulation = getSavedSimulations().find(s => s.id === id);
+    if (!simulation) {
+        alert('Simulation not found.');
+        return;
+    }
+
+    const original = simulation.dataVintage || simulation.results?.scenario?.data_vintage || null;
+    if (which === 'original' && !original) {
+        alert('This simulation was saved before data vintages were recorded, so its original data is unknown.');
+        return;
+    }
+
+    if (simulation.dataProfile && !dataService.getDataProfiles().includes(simulation.dataProfile)) {
+        alert(`This simulation ran on the data profile "${simulation.dataProfile}", which is no longer imported.`);
+        return;
+    }
+
+    loadSavedSimulation(id);
+
+    try {
+        await selectDataProfile(simulation.dataProfile || '', { quiet: true });
+        await selectStartMonth(simulation.startMonth || '', { quiet: true });
+        await selectDataVintage(which === 'original' ? original : LATEST_VINTAGE, { quiet: true });
+    } catch (error) {
+        alert(`Could not load the data for this re-run: ${error.message}`);
+        return;
+    }
+
+    await runSimulation();
+
+    if (original) {
+        const before = await dataService.getVintageSnapshot(original);
+        const after = await dataService.getCurrentSnapshot();
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.style.marginBottom = '16px';
+        card.innerHTML = `
+            <h3 style="margin-bottom: 8px;">Re-run of "${escapeHtml(simulation.name)}"</h3>
+            ${renderVintageDiffHTML(diffSnapshots(before, after))}
+        `;
+        document.getElementById('simulation-results')?.prepend(card);
+    }
+}
+
 /**
  * Hide saved simulations modal
  */
@@ -2269,6 +2643,7 @@ function clearAllSavedSimulations() {
     try {
         localStorage.removeItem(STORAGE_KEY);
         updateSavedSimulationsList();
+        renderForecastScorecard();
         hideSavedSimulationsModal();
         alert('All saved simulations have been deleted.');
     } catch (error) {
@@ -2277,6 +2652,79 @@ function clearAllSavedSimulations() {
     }
 }
 
+/**
+ * Shared simulations kept for forecast tracking, as compact projections
+ */
+function getTrackedSharedSimulations() {
+    try {
+        const saved = localStorage.getItem(TRACKED_SHARED_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+        console.error('Error reading tracked shared simulations:', error);
+        return [];
+    }
+}
+
+/**
+ * Keep a shared simulation's projected path so it is scored as new data arrives
+ * @param {string} sharedId - Share id
+ * @param {string} name - Shared simulation name
+ * @param {Object} simulation - { scenario, results }
+ */
+function trackSharedSimulation(sharedId, name, simulation) {
+    try {
+        const tracked = getTrackedSharedSimulations().filter(t => t.id !== `shared-${sharedId}`);
+        tracked.push({
+            id: `shared-${sharedId}`,
+            sharedId,
+            name: name || simulation.scenario?.name || 'Shared Simulation',
+            source: 'shared',
+            trackedAt: new Date().toISOString(),
+            projection: buildProjection(simulation)
+        });
+        localStorage.setItem(TRACKED_SHARED_KEY, JSON.stringify(tracked));
+    } catch (error) {
+        console.warn('Could not track shared simulation:', error.message);
+    }
+}
+
+/**
+ * Stop tracking a shared simulation
+ */
+function untrackSharedSimulation(id) {
+    const tracked = getTrackedSharedSimulations().filter(t => t.id !== id);
+    localStorage.setItem(TRACKED_SHARED_KEY, JSON.stringify(tracked));
+    renderForecastScorecard();
+}
+
+/**
+ * Score every saved and shared simulation against the releases since it was run
+ */
+async function renderForecastScorecard() {
+    const container = document.getElementById('forecastScorecard');
+    if (!container || !dataService) return;
+
+    const entries = [
+        ...getSavedSimulations()
+            .filter(sim => sim.results?.scenario && Array.isArray(sim.results.results))
+            .map(sim => ({ id: sim.id, name: sim.name, source: 'saved', simulation: sim.results, savedAt: sim.savedAt })),
+        ...getTrackedSharedSimulations()
+    ];
+
+    try {
+        const tracker = new ForecastTracker(dataService);
+        const scorecard = await tracker.trackAll(entries);
+        container.innerHTML = tracker.generateHTML(scorecard, {
+            actions: (card) => card.source === 'shared'
+                ? `<button class="btn btn-outline btn-sm" onclick="untrackSharedSimulation('${escapeHtml(String(card.id))}')">Stop Tracking</button>`
+                : ''
+        });
+    } catch (error) {
+        console.error('Forecast tracking error:', error);
+        container.innerHTML = `<p style="color: var(--danger);">Could not score forecasts: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
 // ==========================================
 // Hypothetical Indicators Functions
 // ==========================================
@@ -2849,7 +3297,10 @@ function showOccupationDetails(occupationId) {
     const aiAdoptionRate = parseInt(document.getElementById('aiAdoption').value) || 70;
     const targetYear = parseInt(document.getElementById('targetYear').value) || 2029;
 
-    contentDiv.innerHTML = occupationDrilldown.generateDetailedViewHTML(occupationId, aiAdoptionRate, targetYear);
+    // Use the latest run's occupation trajectory when there is one
+    contentDiv.innerHTML = occupationDrilldown.generateDetailedViewHTML(
+        occupationId, aiAdoptionRate, targetYear, currentResults ? currentResults.results : null
+    );
 }
 
 /**
@@ -2901,7 +3352,7 @@ async function runParameterSensitivity(parameterId) {
             target_unemployment: parseFloat(document.getElementById('targetUR').value),
             ai_adoption_rate: parseInt(document.getElementById('aiAdoption').value),
             automation_pace: document.getElementById('automationPace').value,
-            adoption_curve: document.getElementById('adoptionCurve').value
+            ...getAdoptionCurveConfig()
         };
 
         // Run analysis
@@ -2928,57 +3379,260 @@ async function runParameterSensitivity(parameterId) {
     }
 }
 
-// ==========================================
-// Real Metrics Functions
-// ==========================================
+/**
+ * Run Morris or Sobol global sensitivity analysis on the current configuration
+ */
+async function runGlobalSensitivity(method = 'sobol') {
+    const resultsDiv = document.getElementById('sensitivity-results');
+    if (!resultsDiv || !simulationEngine) return;
+
+    const methodName = method === 'morris' ? 'Morris screening' : 'Sobol analysis';
+    resultsDiv.innerHTML = `
+        <div class="card" style="text-align: center; padding: 40px;">
+            <div class="loading">
+                <div class="spinner"></div>
+                <span id="globalSensitivityProgress">Running ${methodName}...</span>
+            </div>
+        </div>
+    `;
+
+    try {
+        const baseConfig = {
+            name: 'Global Sensitivity Analysis',
+            end_year: parseInt(document.getElementById('targetYear').value),
+            target_unemployment: parseFloat(document.getElementById('targetUR').value),
+            ai_adoption_rate: parseInt(document.getElementById('aiAdoption').value),
+            automation_pace: document.getElementById('automationPace').value,
+            ...getAdoptionCurveConfig(),
+            // Sample the parameters of interventions in the current scenario too
+            interventions: (simulationEngine.currentScenario?.interventions || []).map(i => ({
+                type: i.type,
+                parameters: { ...i.parameters }
+            }))
+        };
+
+        const analysis = new GlobalSensitivityAnalysis(simulationEngine);
+        analysis.configure({ samples: 64, trajectories: 10 });
+
+        const progressCallback = (progress) => {
+            const progressEl = document.getElementById('globalSensitivityProgress');
+            if (progressEl) {
+                progressEl.textContent = `Running ${methodName}... ${progress.current}/${progress.total} simulations`;
+            }
+        };
+
+        const results = method === 'morris'
+            ? await analysis.runMorris(baseConfig, { progressCallback })
+            : await analysis.runSobol(baseConfig, { progressCallback });
+
+        resultsDiv.innerHTML = analysis.generateHTML(results);
+
+    } catch (error) {
+        console.error('Global sensitivity analysis error:', error);
+        resultsDiv.innerHTML = `
+            <div class="card" style="text-align: center; padding: 40px; color: var(--danger);">
+                <h3>Analysis Error</h3>
+                <p>${error.message}</p>
+                <button class="btn btn-outline" onclick="renderSensitivityOverview()" style="margin-top: 16px;">
+                    Try Again
+                </button>
+            </div>
+        `;
+    }
+}
 
 /**
- * Initialize real metrics system
+ * Get the calibration profile saved for simulations, if any
  */
-async function initializeRealMetrics() {
-    if (typeof realMetricsSystem !== 'undefined' && dataService) {
-        await realMetricsSystem.initialize(dataService);
-        renderRealMetrics();
-        renderRealMetricsSources();
+function getCalibrationProfile() {
+    try {
+        const saved = localStorage.getItem(CALIBRATION_PROFILE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Error reading calibration profile:', error);
+        return null;
     }
 }
 
 /**
- * Render real metrics list
+ * Replay the engine over historical data, or calibrate it, and show the fit
  */
-function renderRealMetrics() {
-    const container = document.getElementById('realMetricsList');
-    if (!container || typeof realMetricsSystem === 'undefined') return;
+async function runBacktest(mode = 'backtest') {
+    const resultsDiv = document.getElementById('sensitivity-results');
+    if (!resultsDiv || !simulationEngine) return;
 
-    const metricsByCategory = realMetricsSystem.getMetricsByCategory();
-    if (!metricsByCategory) {
-        container.innerHTML = '<p style="color: var(--gray-500);">Loading metrics...</p>';
-        return;
-    }
+    const label = mode === 'calibrate' ? 'Calibrating against history' : 'Backtesting against history';
+    resultsDiv.innerHTML = `
+        <div class="card" style="text-align: center; padding: 40px;">
+            <div class="loading">
+                <div class="spinner"></div>
+                <span id="backtestProgress">${label}...</span>
+            </div>
+        </div>
+    `;
 
-    let html = '';
+    try {
+        const backtest = new BacktestCalibration(simulationEngine);
+        const profile = getCalibrationProfile();
+        let results;
 
-    Object.entries(metricsByCategory).forEach(([categoryId, category]) => {
-        html += `
-            <div style="margin-bottom: 24px;">
-                <h4 style="font-size: 0.875rem; color: var(--gray-600); margin-bottom: 12px; text-transform: uppercase; letter-spacing: 0.5px; display: flex; align-items: center; gap: 8px;">
-                    <span>${category.icon}</span> ${category.category}
-                </h4>
-                <div style="display: grid; gap: 12px;">
-        `;
+        if (mode === 'calibrate') {
+            results = await backtest.calibrate({
+                progressCallback: (progress) => {
+                    const progressEl = document.getElementById('backtestProgress');
+                    if (progressEl) {
+                        progressEl.textContent = `${label}... ${progress.current}/${progress.total} simulations`;
+                    }
+                }
+            });
+            lastCalibration = results;
+        } else {
+            results = await backtest.backtest(applyCalibrationProfile({}, profile));
+        }
 
-        Object.values(category.metrics).forEach(metric => {
-            const isAdjusted = metric.manuallyAdjusted;
-            const trendIcon = metric.trend === 'increasing' ? '↑' : metric.trend === 'decreasing' ? '↓' : '→';
-            const trendClass = metric.trend === 'increasing' ? 'positive' : metric.trend === 'decreasing' ? 'negative' : '';
+        const actions = mode === 'calibrate'
+            ? `<button class="btn btn-primary btn-sm" onclick="useCalibrationProfile()">Use for Simulations</button>`
+            : profile
+                ? `<button class="btn btn-outline btn-sm" onclick="clearCalibrationProfile()">Stop Using Profile</button>`
+                : '';
 
-            html += `
-                <div class="real-metric-card" style="
-                    background: var(--gray-50);
-                    border: 1px solid ${isAdjusted ? 'var(--warning)' : 'var(--gray-200)'};
-                    border-radius: 8px;
-                    padding: 16px;
-                    ${isAdjusted ? 'border-left: 3px solid var(--warning);' : ''}
+        resultsDiv.innerHTML = `
+            <div class="card">
+                <div class="card-header" style="display: flex; justify-content: space-between; align-items: center;">
+                    <h3 class="card-title">${mode === 'calibrate' ? 'Calibration' : `Backtest${profile ? ` (${escapeHtml(profile.name)})` : ' (default parameters)'}`}</h3>
+                    ${actions}
+                </div>
+                ${backtest.generateHTML(results)}
+            </div>
+        `;
+
+    } catch (error) {
+        console.error('Backtest error:', error);
+        resultsDiv.innerHTML = `
+            <div class="card" style="text-align: center; padding: 40px; color: var(--danger);">
+                <h3>Backtest Error</h3>
+                <p>${error.message}</p>
+                <button class="btn btn-outline" onclick="renderSensitivityOverview()" style="margin-top: 16px;">
+                    Try Again
+                </button>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Save the last calibration's profile so simulations start from it
+ */
+function useCalibrationProfile() {
+    if (!lastCalibration) return;
+    localStorage.setItem(CALIBRATION_PROFILE_KEY, JSON.stringify(lastCalibration.profile));
+    showNotification(`Simulations now use "${lastCalibration.profile.name}"`, 'success');
+}
+
+/**
+ * Go back to the engine's default parameters
+ */
+function clearCalibrationProfile() {
+    localStorage.removeItem(CALIBRATION_PROFILE_KEY);
+    showNotification('Simulations now use the default engine parameters', 'info');
+    runBacktest('backtest');
+}
+
+/**
+ * Search for Pareto-optimal intervention packages under the budget entered in the results panel
+ */
+async function runPolicyOptimizer() {
+    const contentDiv = document.getElementById('policyOptimizerContent');
+    if (!contentDiv || !simulationEngine) return;
+
+    contentDiv.innerHTML = `
+        <div class="loading">
+            <div class="spinner"></div>
+            <span id="policyOptimizerProgress">Searching policy packages...</span>
+        </div>
+    `;
+
+    try {
+        const budgetInput = parseFloat(document.getElementById('optimizerBudget')?.value);
+        const baseConfig = {
+            name: 'Policy Optimization',
+            end_year: parseInt(document.getElementById('targetYear').value),
+            target_unemployment: parseFloat(document.getElementById('targetUR').value),
+            ai_adoption_rate: parseInt(document.getElementById('aiAdoption').value),
+            automation_pace: document.getElementById('automationPace').value,
+            ...getAdoptionCurveConfig()
+        };
+
+        const optimizer = new PolicyOptimizer(simulationEngine);
+        optimizer.configure({ budget: isNaN(budgetInput) ? null : budgetInput * 1e9 });
+
+        const progressCallback = (progress) => {
+            const progressEl = document.getElementById('policyOptimizerProgress');
+            if (progressEl) {
+                progressEl.textContent = `Searching policy packages... generation ${progress.current}/${progress.total} (${progress.evaluations} evaluated)`;
+            }
+        };
+
+        const results = await optimizer.optimize(baseConfig, { progressCallback });
+        contentDiv.innerHTML = optimizer.generateHTML(results);
+
+    } catch (error) {
+        console.error('Policy optimizer error:', error);
+        contentDiv.innerHTML = `<p style="color: var(--danger);">Optimization failed: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// ==========================================
+// Real Metrics Functions
+// ==========================================
+
+/**
+ * Initialize real metrics system
+ */
+async function initializeRealMetrics() {
+    if (typeof realMetricsSystem !== 'undefined' && dataService) {
+        await realMetricsSystem.initialize(dataService);
+        renderRealMetrics();
+        renderRealMetricsSources();
+    }
+}
+
+/**
+ * Render real metrics list
+ */
+function renderRealMetrics() {
+    const container = document.getElementById('realMetricsList');
+    if (!container || typeof realMetricsSystem === 'undefined') return;
+
+    const metricsByCategory = realMetricsSystem.getMetricsByCategory();
+    if (!metricsByCategory) {
+        container.innerHTML = '<p style="color: var(--gray-500);">Loading metrics...</p>';
+        return;
+    }
+
+    let html = '';
+
+    Object.entries(metricsByCategory).forEach(([categoryId, category]) => {
+        html += `
+            <div style="margin-bottom: 24px;">
+                <h4 style="font-size: 0.875rem; color: var(--gray-600); margin-bottom: 12px; text-transform: uppercase; letter-spacing: 0.5px; display: flex; align-items: center; gap: 8px;">
+                    <span>${category.icon}</span> ${category.category}
+                </h4>
+                <div style="display: grid; gap: 12px;">
+        `;
+
+        Object.values(category.metrics).forEach(metric => {
+            const isAdjusted = metric.manuallyAdjusted;
+            const trendIcon = metric.trend === 'increasing' ? '↑' : metric.trend === 'decreasing' ? '↓' : '→';
+            const trendClass = metric.trend === 'increasing' ? 'positive' : metric.trend === 'decreasing' ? 'negative' : '';
+
+            html += `
+                <div class="real-metric-card" style="
+                    background: var(--gray-50);
+                    border: 1px solid ${isAdjusted ? 'var(--warning)' : 'var(--gray-200)'};
+                    border-radius: 8px;
+                    padding: 16px;
+                    ${isAdjusted ? 'border-left: 3px solid var(--warning);' : ''}
                 ">
                     <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
                         <div style="display: flex; align-items: center; gap: 8px;">
@@ -3228,6 +3882,9 @@ function initializeSettings() {
 
     // Update auto data status
     updateAutoDataStatus();
+    populateVintageBrowser();
+    populateDataProfiles();
+    populateStartMonth();
 
     // Initialize Gemini API call counter
     initializeGeminiCounter();
@@ -3376,6 +4033,465 @@ function updateAutoDataStatus() {
             </p>
         `;
     }
+
+    if (dataService.pinnedVintage) {
+        statusDiv.insertAdjacentHTML('beforeend', `
+            <p style="color: var(--warning); font-size: 0.8rem; margin-top: 12px;">
+                Simulations are pinned to data vintage <strong>${escapeHtml(dataService.pinnedVintage)}</strong>
+            </p>
+        `);
+    }
+
+    if (dataService.startMonth) {
+        statusDiv.insertAdjacentHTML('beforeend', `
+            <p style="color: var(--primary); font-size: 0.8rem; margin-top: 12px;">
+                Simulations start from the <strong>${escapeHtml(dataService.startMonth)}</strong> values of the BLS/FRED history
+            </p>
+        `);
+    }
+
+    if (dataService.activeProfile) {
+        statusDiv.insertAdjacentHTML('beforeend', `
+            <p style="color: var(--primary); font-size: 0.8rem; margin-top: 12px;">
+                Simulations use the imported data profile <strong>${escapeHtml(dataService.activeProfile)}</strong>;
+                live national data is not applied to it
+            </p>
+        `);
+    }
+}
+
+/**
+ * Re-apply the data vintage the app was pinned to in an earlier session
+ */
+async function restoreDataVintage() {
+    const pinned = localStorage.getItem(DATA_VINTAGE_KEY);
+    if (!pinned) return;
+
+    try {
+        await dataService.useVintage(pinned);
+    } catch (error) {
+        console.warn('Pinned data vintage is unavailable, using the latest data:', error.message);
+        localStorage.removeItem(DATA_VINTAGE_KEY);
+    }
+}
+
+/**
+ * Fill the data vintage browser: the latest data, every stored fetch and the baseline
+ */
+async function populateVintageBrowser() {
+    const select = document.getElementById('dataVintageSelect');
+    if (!select || !dataService) return;
+
+    const index = await dataService.loadVintageIndex();
+    const baselineId = baselineVintageId(dataService.baselineData);
+    const entries = [...index.vintages].reverse();
+
+    select.innerHTML = `
+        <option value="">Latest data (follows daily updates)</option>
+        ${entries.map(entry => `<option value="${escapeHtml(entry.id)}">${escapeHtml(formatVintageLabel(entry))}</option>`).join('')}
+        <option value="${escapeHtml(baselineId)}">${escapeHtml(formatVintageLabel({ id: baselineId }))}</option>
+    `;
+    select.value = dataService.pinnedVintage || '';
+
+    await showVintageDiff();
+}
+
+/**
+ * Pin the app to a data vintage (or follow the latest data again) and rebuild the snapshot
+ * @param {string|null} id - Vintage id, 'latest', or '' / null to follow updates
+ * @param {Object} [options] - quiet: skip refreshing the Settings diff
+ */
+async function selectDataVintage(id, options = {}) {
+    const follow = !id;
+    await dataService.useVintage(follow ? null : id);
+
+    if (follow) {
+        localStorage.removeItem(DATA_VINTAGE_KEY);
+    } else {
+        localStorage.setItem(DATA_VINTAGE_KEY, dataService.pinnedVintage);
+    }
+
+    await simulationEngine.initialize();
+    populateCurrentSnapshot();
+    updateAutoDataStatus();
+
+    const select = document.getElementById('dataVintageSelect');
+    if (select) select.value = dataService.pinnedVintage || '';
+
+    if (!options.quiet) {
+        await showVintageDiff();
+    }
+}
+
+/**
+ * Show how the data in use differs from the latest vintage
+ */
+async function showVintageDiff() {
+    const container = document.getElementById('vintageDiff');
+    if (!container) return;
+
+    if (!dataService.pinnedVintage) {
+        container.innerHTML = '';
+        return;
+    }
+
+    try {
+        const before = await dataService.getCurrentSnapshot();
+        const after = await dataService.getVintageSnapshot(LATEST_VINTAGE);
+        container.innerHTML = renderVintageDiffHTML(diffSnapshots(before, after));
+    } catch (error) {
+        container.innerHTML = `<p style="color: var(--danger); font-size: 0.875rem;">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Table of snapshot values that differ between two vintages
+ * @param {Object} diff - diffSnapshots() result
+ */
+function renderVintageDiffHTML(diff) {
+    const format = (value) => value === null ? '-' : Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+    const header = `
+        <p style="font-size: 0.875rem; color: var(--gray-600); margin-bottom: 8px;">
+            Data <strong>${escapeHtml(diff.from)}</strong> vs <strong>${escapeHtml(diff.to)}</strong>
+        </p>
+    `;
+
+    if (diff.changed === 0) {
+        return `${header}<p style="font-size: 0.875rem; color: var(--gray-500);">Both vintages give the same starting values.</p>`;
+    }
+
+    const rows = diff.changes.filter(c => c.changed).map(c => `
+        <tr>
+            <td>${escapeHtml(c.label)}</td>
+            <td>${format(c.from)}</td>
+            <td>${format(c.to)}</td>
+            <td style="color: ${c.change > 0 ? 'var(--secondary)' : 'var(--danger)'};">
+                ${c.change === null ? '-' : (c.change > 0 ? '+' : '') + format(c.change)}
+                ${c.changePercent === null ? '' : ` (${c.changePercent > 0 ? '+' : ''}${c.changePercent.toFixed(1)}%)`}
+            </td>
+        </tr>
+    `).join('');
+
+    return `
+        ${header}
+        <table class="data-table" style="width: 100%; font-size: 0.8rem;">
+            <thead><tr><th>Indicator</th><th>Original</th><th>Compared</th><th>Change</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Re-apply the historical start month chosen in an earlier session
+ */
+async function restoreStartMonth() {
+    const month = localStorage.getItem(START_MONTH_KEY);
+    if (!month) return;
+
+    try {
+        await dataService.useStartMonth(month);
+    } catch (error) {
+        console.warn('Start month is unavailable, using the latest data:', error.message);
+        localStorage.removeItem(START_MONTH_KEY);
+    }
+}
+
+/**
+ * Limit the start month picker to the months the history covers
+ */
+function populateStartMonth() {
+    const input = document.getElementById('dataStartMonth');
+    const help = document.getElementById('dataStartMonthHelp');
+    if (!input || !dataService?.timeSeries) return;
+
+    const { first, last } = dataService.timeSeries.getRange(['unemployment_rate']);
+    input.value = dataService.startMonth || '';
+    input.disabled = !last;
+    if (first) input.min = first;
+    if (last) input.max = last;
+
+    if (help) {
+        const series = dataService.timeSeries.listSeries().filter(s => s.count > 0);
+        help.textContent = last
+            ? `History covers ${first} to ${last} across ${series.length} BLS/FRED series, with revisions`
+            : 'No monthly history yet; it builds up as the daily data update runs';
+    }
+}
+
+/**
+ * Start simulations from a historical month (or the latest data) and rebuild the snapshot
+ * @param {string|null} month - 'YYYY-MM', or '' / null for the latest data
+ * @param {Object} [options] - quiet: skip the notifications and throw when the
+ *   month has no history, so callers can stop
+ */
+async function selectStartMonth(month, options = {}) {
+    try {
+        await dataService.useStartMonth(month || null);
+    } catch (error) {
+        populateStartMonth();
+        if (options.quiet) throw error;
+        showNotification(error.message, 'error');
+        return;
+    }
+
+    if (month) {
+        localStorage.setItem(START_MONTH_KEY, month);
+    } else {
+        localStorage.removeItem(START_MONTH_KEY);
+    }
+
+    await simulationEngine.initialize();
+    populateCurrentSnapshot();
+    populateSectorTable();
+    updateAutoDataStatus();
+    populateStartMonth();
+    createHistoricalChart();
+
+    if (!options.quiet) {
+        showNotification(month ? `Simulations now start from ${month}` : 'Simulations now start from the latest data', 'success');
+    }
+}
+
+/**
+ * Imported data profiles kept in this browser, by name
+ */
+function getStoredDataProfiles() {
+    try {
+        return JSON.parse(localStorage.getItem(DATA_PROFILES_KEY) || '{}');
+    } catch (error) {
+        console.error('Error loading data profiles:', error);
+        return {};
+    }
+}
+
+/**
+ * Re-add the data profiles imported in earlier sessions and re-apply the one in use
+ */
+async function restoreDataProfiles() {
+    Object.entries(getStoredDataProfiles()).forEach(([name, dataset]) => {
+        try {
+            dataService.addDataProfile(name, dataset);
+        } catch (error) {
+            console.warn(`Stored data profile "${name}" no longer fits the baseline data:`, error.message);
+        }
+    });
+
+    const active = localStorage.getItem(DATA_PROFILE_KEY);
+    if (!active) return;
+
+    try {
+        await dataService.useDataProfile(active);
+    } catch (error) {
+        console.warn('Data profile in use is unavailable, using the bundled data:', error.message);
+        localStorage.removeItem(DATA_PROFILE_KEY);
+    }
+}
+
+/**
+ * Fill the data profile picker: the bundled data and every imported profile
+ */
+function populateDataProfiles() {
+    const select = document.getElementById('dataProfileSelect');
+    if (!select || !dataService) return;
+
+    select.innerHTML = `
+        <option value="">Bundled US data</option>
+        ${dataService.getDataProfiles().map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+    `;
+    select.value = dataService.activeProfile || '';
+}
+
+/**
+ * Run simulations on an imported data profile (or the bundled data) and rebuild the snapshot
+ * @param {string|null} name - Profile name, or '' / null for the bundled data
+ * @param {Object} [options] - quiet: skip the notification
+ */
+async function selectDataProfile(name, options = {}) {
+    await dataService.useDataProfile(name || null);
+
+    if (name) {
+        localStorage.setItem(DATA_PROFILE_KEY, name);
+    } else {
+        localStorage.removeItem(DATA_PROFILE_KEY);
+    }
+
+    await simulationEngine.initialize();
+    populateCurrentSnapshot();
+    populateSectorTable();
+    updateAutoDataStatus();
+
+    const select = document.getElementById('dataProfileSelect');
+    if (select) select.value = dataService.activeProfile || '';
+
+    if (!options.quiet) {
+        showNotification(name ? `Simulations now use the "${name}" data profile` : 'Simulations now use the bundled data', 'success');
+    }
+}
+
+/**
+ * Import an uploaded CSV or JSON dataset as a data profile, listing any row errors
+ */
+async function importDataProfileFile(file) {
+    if (!file) return;
+
+    const errorsDiv = document.getElementById('dataProfileErrors');
+    if (errorsDiv) errorsDiv.innerHTML = '';
+
+    const text = await file.text();
+    const imported = importDataset(text, {
+        baseline: dataService.baselineData,
+        format: /\.json$/i.test(file.name) ? 'json' : 'csv',
+        name: document.getElementById('dataProfileName')?.value.trim() || undefined
+    });
+
+    if (imported.errors.length > 0) {
+        const shown = imported.errors.slice(0, 20);
+        if (errorsDiv) {
+            errorsDiv.innerHTML = `
+                <p style="color: var(--danger); font-size: 0.875rem; margin-bottom: 4px;">
+                    ${escapeHtml(file.name)} was not imported:
+                </p>
+                <ul style="color: var(--danger); font-size: 0.75rem; padding-left: 20px;">
+                    ${shown.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+                    ${imported.errors.length > shown.length ? `<li>...and ${imported.errors.length - shown.length} more</li>` : ''}
+                </ul>
+            `;
+        }
+        showNotification(`${imported.errors.length} problem(s) in ${file.name}`, 'error');
+        return;
+    }
+
+    const name = imported.name || file.name.replace(/\.[^.]+$/, '');
+    dataService.addDataProfile(name, imported.dataset);
+
+    const stored = getStoredDataProfiles();
+    stored[name] = imported.dataset;
+    try {
+        localStorage.setItem(DATA_PROFILES_KEY, JSON.stringify(stored));
+    } catch (error) {
+        console.error('Error saving data profile:', error);
+        showNotification('Data profile imported for this session only (browser storage is full)', 'warning');
+    }
+
+    populateDataProfiles();
+    await selectDataProfile(name, { quiet: true });
+    showNotification(`Imported ${imported.values} values as data profile "${name}"`, 'success');
+}
+
+/**
+ * Delete the data profile selected in Settings
+ */
+async function deleteDataProfile() {
+    const name = document.getElementById('dataProfileSelect')?.value;
+    if (!name || !confirm(`Delete the data profile "${name}"?`)) return;
+
+    const stored = getStoredDataProfiles();
+    delete stored[name];
+    localStorage.setItem(DATA_PROFILES_KEY, JSON.stringify(stored));
+
+    dataService.removeDataProfile(name);
+    populateDataProfiles();
+    await selectDataProfile(dataService.activeProfile || '', { quiet: true });
+}
+
+/**
+ * Download every importable baseline value as CSV, to edit into a dataset
+ */
+function downloadDatasetTemplate() {
+    const blob = new Blob([formatDatasetCSV(dataService.baselineData)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'dataset-template.csv';
+    a.click();
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Ingest the job postings kept from earlier visits
+ */
+function restoreJobPostings() {
+    jobPostingService = new JobPostingDataService();
+    try {
+        const saved = localStorage.getItem(JOB_POSTINGS_KEY);
+        if (saved) jobPostingService.setPostings(JSON.parse(saved));
+    } catch (error) {
+        console.warn('Stored job postings could not be read:', error.message);
+        localStorage.removeItem(JOB_POSTINGS_KEY);
+    }
+    applyJobPostings();
+}
+
+/**
+ * Feed ingested postings to the skills-gap analysis and show what is loaded
+ */
+function applyJobPostings() {
+    if (typeof skillsGapAnalyzer !== 'undefined') {
+        skillsGapAnalyzer.setJobPostingData(jobPostingService.jobData);
+    }
+
+    const status = document.getElementById('jobPostingStatus');
+    if (!status) return;
+    const data = jobPostingService.jobData;
+    status.textContent = data
+        ? `${data.totalPostings.toLocaleString()} postings from ${data.firstMonth} to ${data.lastMonth} in ${Object.keys(data.byCategory).length} categories`
+        : 'No postings imported; job-posting figures are samples';
+}
+
+/**
+ * Ingest job-posting dumps (CSV or JSON Lines) chosen in Settings
+ * @param {FileList} files
+ */
+async function importJobPostingFiles(files) {
+    if (!files || files.length === 0) return;
+
+    const errorsDiv = document.getElementById('jobPostingErrors');
+    if (errorsDiv) errorsDiv.innerHTML = '';
+    let added = 0;
+    const problems = [];
+
+    for (const file of Array.from(files)) {
+        const result = jobPostingService.ingestPostings(await file.text(), {
+            format: /\.jsonl?$/i.test(file.name) ? 'jsonl' : /\.csv$/i.test(file.name) ? 'csv' : undefined
+        });
+        added += result.added;
+        result.errors.forEach(error => problems.push(`${file.name}: ${error}`));
+    }
+
+    if (problems.length > 0 && errorsDiv) {
+        const shown = problems.slice(0, 20);
+        errorsDiv.innerHTML = `
+            <p style="color: var(--warning); font-size: 0.875rem; margin-bottom: 4px;">Skipped rows:</p>
+            <ul style="color: var(--warning); font-size: 0.75rem; padding-left: 20px;">
+                ${shown.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+                ${problems.length > shown.length ? `<li>...and ${problems.length - shown.length} more</li>` : ''}
+            </ul>
+        `;
+    }
+
+    try {
+        localStorage.setItem(JOB_POSTINGS_KEY, JSON.stringify(jobPostingService.postings));
+    } catch (error) {
+        console.error('Error saving job postings:', error);
+        showNotification('Job postings imported for this session only (browser storage is full)', 'warning');
+    }
+
+    applyJobPostings();
+    showNotification(`Imported ${added.toLocaleString()} new job postings${problems.length > 0 ? `, skipped ${problems.length} rows` : ''}`, added > 0 ? 'success' : 'warning');
+}
+
+/**
+ * Drop imported job postings and go back to the sample figures
+ */
+function clearJobPostings() {
+    if (!confirm('Remove all imported job postings?')) return;
+    jobPostingService.clearPostings();
+    localStorage.removeItem(JOB_POSTINGS_KEY);
+    const errorsDiv = document.getElementById('jobPostingErrors');
+    if (errorsDiv) errorsDiv.innerHTML = '';
+    applyJobPostings();
 }
 
 /**
@@ -3517,6 +4633,8 @@ async function shareSimulation() {
             summary: currentResults.summary
         });
 
+        trackSharedSimulation(result.id, name, currentResults);
+
         // Copy URL to clipboard
         await simulationSharing.copyShareUrl(result.id);
 
@@ -3587,7 +4705,7 @@ async function checkForSharedSimulation() {
             document.getElementById('aiAdoption').value = simulation.scenario.targets?.ai_adoption_rate || 70;
             document.getElementById('aiValue').textContent = simulation.scenario.targets?.ai_adoption_rate || 70;
             document.getElementById('automationPace').value = simulation.scenario.targets?.automation_pace || 'moderate';
-            document.getElementById('adoptionCurve').value = simulation.scenario.ai_parameters?.adoption_curve || 's_curve';
+            setAdoptionCurveInputs(simulation.scenario.ai_parameters || { adoption_curve: 's_curve' });
         }
 
         // Load the results
@@ -3599,6 +4717,7 @@ async function checkForSharedSimulation() {
 
         // Display the results
         displaySimulationResults(currentResults);
+        trackSharedSimulation(sharedId, simulation.name, currentResults);
 
         // Show share button
         document.getElementById('shareBtn').style.display = 'inline-block';
@@ -3655,7 +4774,7 @@ async function runMonteCarloAnalysis() {
     content.innerHTML = `
         <div style="margin-bottom: 16px;">
             <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                <span>Running 1000 iterations...</span>
+                <span id="mcStatus">Running up to 1000 iterations...</span>
                 <span id="mcProgress">0%</span>
             </div>
             <div class="progress-bar" style="height: 12px;">
@@ -3670,7 +4789,8 @@ async function runMonteCarloAnalysis() {
     try {
         // Initialize Monte Carlo
         monteCarloInstance = new MonteCarloSimulation(simulationEngine);
-        monteCarloInstance.configure({ iterations: 1000 });
+        // Stops early once the outcome ranges stop moving
+        monteCarloInstance.configure({ iterations: 1000, tolerance: 0.02 });
 
         // Get current scenario config
         const config = {
@@ -3692,6 +4812,14 @@ async function runMonteCarloAnalysis() {
             if (progressEl) progressEl.textContent = `${Math.round(progress)}%`;
             if (progressBar) progressBar.style.width = `${progress}%`;
             btn.innerHTML = `Running... ${Math.round(progress)}%`;
+        }, (partial) => {
+            // Stream interim distributions while the remaining iterations run
+            const statusEl = document.getElementById('mcStatus');
+            const unemployment = partial.distributions.final_unemployment;
+            if (statusEl && unemployment) {
+                statusEl.textContent = `${partial.iterations} iterations - median unemployment ` +
+                    `${unemployment.median.toFixed(1)}% (90% range ${unemployment.p5.toFixed(1)}-${unemployment.p95.toFixed(1)}%)`;
+            }
         });
 
         // Display results
@@ -3732,7 +4860,7 @@ function displayMonteCarloResults(results) {
         <div style="margin-bottom: 24px;">
             <h4 style="margin-bottom: 12px; color: var(--gray-700);">Probability Distribution Summary</h4>
             <p style="color: var(--gray-500); font-size: 0.875rem; margin-bottom: 16px;">
-                Based on ${results.iterations} simulations with randomized parameters
+                Based on ${results.iterations} simulations with randomized parameters${results.convergence && results.convergence.converged ? ' (stopped early once results converged)' : ''}
             </p>
 
             <!-- Key Metrics Grid -->
@@ -4085,7 +5213,7 @@ function loadFromHistory(id) {
         if (targetUR) targetUR.value = item.scenario.targets?.unemployment_rate || 10;
         if (aiAdoptionRate) aiAdoptionRate.value = item.scenario.targets?.ai_adoption_rate || 50;
         if (automationPace) automationPace.value = item.scenario.targets?.automation_pace || 'moderate';
-        if (adoptionCurve) adoptionCurve.value = item.scenario.ai_parameters?.adoption_curve || 's_curve';
+        if (adoptionCurve) setAdoptionCurveInputs(item.scenario.ai_parameters || { adoption_curve: 's_curve' });
     }
 
     // Display results
@@ -5059,12 +6187,21 @@ function clearABMLog() {
  * Uses Web Worker for better performance when available
  */
 async function runABMSimulation() {
+    // Numeric seeds are kept as numbers so "42" replays the same run as 42
+    const seedInput = (document.getElementById('abmSeed')?.value || '').trim();
+    const seed = seedInput === '' ? undefined : (isNaN(Number(seedInput)) ? seedInput : Number(seedInput));
+
     // Get configuration from UI
     const config = {
         numWorkers: parseInt(document.getElementById('abmWorkers').value),
         numFirms: parseInt(document.getElementById('abmFirms').value),
         durationMonths: parseInt(document.getElementById('abmDuration').value),
         numRegions: parseInt(document.getElementById('abmRegions').value),
+        demandFeedback: !!document.getElementById('abmDemandFeedback')?.checked,
+        demographics: !!document.getElementById('abmDemographics')?.checked,
+        fiscal: { financing: document.getElementById('abmFinancing')?.value || 'borrow' },
+        behavior: getABMBehavior() || undefined,
+        seed,
         onProgress: updateABMProgress
     };
 
@@ -5114,6 +6251,7 @@ async function runABMSimulation() {
 
         // Display results
         displayABMResults(results);
+        addABMLog(`Simulation complete (seed ${results.summary?.seed})`, 'success');
         showNotification('ABM simulation complete!', 'success');
 
     } catch (error) {
@@ -5124,35 +6262,37 @@ async function runABMSimulation() {
 }
 
 /**
- * Run ABM simulation using Web Worker
+ * Run ABM simulation using Web Workers
+ * The population is partitioned by region across one worker per core.
  */
 async function runABMWithWorker(config, scenario) {
-    // Terminate existing worker if any
+    // Terminate existing workers if any
     if (abmWorkerManager) {
         abmWorkerManager.terminate();
     }
 
-    // Create new worker manager
-    abmWorkerManager = new WorkerManager();
+    // Create new parallel manager (one partition per core)
+    abmWorkerManager = new ParallelSimulationManager();
 
-    // Set progress callback
-    abmWorkerManager.setProgressCallback((progress) => {
+    const onProgress = (progress) => {
         updateABMProgress({
             month: progress.month,
             totalMonths: progress.totalMonths,
             progress: progress.progress,
             currentStats: progress.currentStats
         });
-    });
+    };
 
     try {
-        // Initialize worker
-        document.getElementById('abmProgressText').textContent = 'Starting Web Worker...';
-        await abmWorkerManager.initialize(config, scenario);
+        // Initialize workers
+        document.getElementById('abmProgressText').textContent = 'Starting Web Workers...';
+        const { workerCount } = await abmWorkerManager.initialize(config, scenario);
 
         // Run simulation
-        document.getElementById('abmProgressText').textContent = 'Running simulation in background...';
-        const results = await abmWorkerManager.runSimulation(scenario);
+        document.getElementById('abmProgressText').textContent = workerCount > 1
+            ? `Running simulation across ${workerCount} workers...`
+            : 'Running simulation in background...';
+        const results = await abmWorkerManager.runSimulation(scenario, { onProgress });
 
         return results;
 
@@ -5165,7 +6305,7 @@ async function runABMWithWorker(config, scenario) {
         return await currentABMEngine.runSimulation(scenario);
 
     } finally {
-        // Cleanup worker
+        // Cleanup workers
         if (abmWorkerManager) {
             abmWorkerManager.terminate();
             abmWorkerManager = null;
@@ -5340,6 +6480,13 @@ async function runABMSensitivityAnalysis() {
     // Get current ABM configuration
     const config = getABMConfig();
 
+    // Numeric seeds are kept as numbers so "42" replays the same analysis as 42
+    const seedInput = (document.getElementById('abmSeed')?.value || '').trim();
+    abmSensitivity.configure({
+        replicates: 3,
+        seed: seedInput === '' ? undefined : (isNaN(Number(seedInput)) ? seedInput : Number(seedInput))
+    });
+
     // Show progress
     const progressDiv = document.getElementById('abmSensitivityProgress');
     const contentDiv = document.getElementById('abmSensitivityContent');
@@ -5365,7 +6512,7 @@ async function runABMSensitivityAnalysis() {
         // Run multi-parameter analysis
         const results = await abmSensitivity.runMultiParameterAnalysis(
             paramsToAnalyze,
-            null, // Engine not needed for mock analysis
+            null, // Default ABMSimulationEngine
             config,
             (progress) => {
                 if (progress.phase === 'parameter') {
@@ -5397,21 +6544,122 @@ async function runABMSensitivityAnalysis() {
 
 /**
  * Get current ABM configuration from UI
+ * Sensitivity sweeps run many simulations, so the population is capped at 1,000 workers
  */
 function getABMConfig() {
+    const value = (id, fallback) => document.getElementById(id)?.value || fallback;
+
     return {
-        numWorkers: 1000,
-        numFirms: 100,
-        simulationMonths: parseInt(document.getElementById('abmMonths')?.value || 60),
-        initialAIAdoption: 0.2,
+        numWorkers: Math.min(1000, parseInt(value('abmWorkers', 1000))),
+        numFirms: Math.min(100, parseInt(value('abmFirms', 100))),
+        numRegions: parseInt(value('abmRegions', 10)),
+        durationMonths: parseInt(value('abmDuration', 60)),
+        initialUnemploymentRate: parseFloat(value('abmInitialUR', 4)) / 100,
+        initialAIAdoption: parseFloat(value('abmInitialAI', 20)) / 100,
+        adoptionCurve: value('abmAdoptionCurve', 's_curve'),
+        automationPace: value('abmAutomationPace', 'moderate'),
         aiAdoptionSpeed: 1.0,
         laborMarketFriction: 0.1,
-        retrainingEffectiveness: 0.3,
-        wageFlexibility: 0.05,
-        informationSpread: 0.1
+        retrainingEffectiveness: 1.0,
+        wageFlexibility: 1.0,
+        informationSpread: 0.05,
+        demandFeedback: !!document.getElementById('abmDemandFeedback')?.checked,
+        demographics: !!document.getElementById('abmDemographics')?.checked,
+        fiscal: { financing: value('abmFinancing', 'borrow') },
+        behavior: getABMBehavior() || undefined
     };
 }
 
+/**
+ * Get the calibrated behavioral parameters saved for ABM runs, if any
+ */
+function getABMBehavior() {
+    try {
+        const saved = localStorage.getItem(ABM_BEHAVIOR_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Error reading ABM behavior:', error);
+        return null;
+    }
+}
+
+/**
+ * Estimate ABM behavioral parameters by ABC against the BLS moments in baseline data
+ */
+async function runABMCalibration() {
+    const config = getABMConfig();
+
+    const seedInput = (document.getElementById('abmSeed')?.value || '').trim();
+    const calibration = new ABMCalibration();
+    calibration.configure({
+        seed: seedInput === '' ? undefined : (isNaN(Number(seedInput)) ? seedInput : Number(seedInput)),
+        numRegions: config.numRegions,
+        scenario: {
+            initialAIAdoption: config.initialAIAdoption,
+            adoptionCurve: config.adoptionCurve,
+            automationPace: config.automationPace
+        }
+    });
+
+    const progressDiv = document.getElementById('abmCalibrationProgress');
+    const contentDiv = document.getElementById('abmCalibrationContent');
+    const progressText = document.getElementById('abmCalibrationProgressText');
+    const progressBar = document.getElementById('abmCalibrationProgressBar');
+    const btn = document.getElementById('runABMCalibrationBtn');
+
+    progressDiv.style.display = 'block';
+    contentDiv.style.display = 'none';
+    btn.disabled = true;
+    btn.textContent = 'Calibrating...';
+
+    try {
+        const baselineData = await dataService.loadBaselineData();
+        const results = await calibration.run(baselineData, {
+            progressCallback: (progress) => {
+                progressText.textContent = `Simulating prior draw ${progress.current}/${progress.total}...`;
+                progressBar.style.width = `${(progress.current / progress.total) * 100}%`;
+            }
+        });
+        lastABMCalibration = results;
+
+        const saved = getABMBehavior();
+        contentDiv.innerHTML = `
+            <div style="display: flex; gap: 8px; margin-bottom: 16px;">
+                <button class="btn btn-primary btn-sm" onclick="useABMBehavior()">Use in ABM Runs</button>
+                ${saved ? `<button class="btn btn-outline btn-sm" onclick="clearABMBehavior()">Restore Default Behavior</button>` : ''}
+            </div>
+            ${calibration.generateHTML(results)}
+        `;
+
+    } catch (error) {
+        console.error('ABM calibration error:', error);
+        contentDiv.innerHTML = `<p style="color: var(--danger);">Error running calibration: ${escapeHtml(error.message)}</p>`;
+    }
+
+    progressDiv.style.display = 'none';
+    contentDiv.style.display = 'block';
+    btn.disabled = false;
+    btn.textContent = 'Calibrate';
+}
+
+/**
+ * Save the posterior medians of the last calibration for ABM runs
+ */
+function useABMBehavior() {
+    if (!lastABMCalibration) return;
+    localStorage.setItem(ABM_BEHAVIOR_KEY, JSON.stringify(lastABMCalibration.behavior));
+    addABMLog('Using calibrated behavioral parameters', 'info');
+    showNotification('ABM runs now use the calibrated behavior', 'success');
+}
+
+/**
+ * Go back to the agents' default behavioral parameters
+ */
+function clearABMBehavior() {
+    localStorage.removeItem(ABM_BEHAVIOR_KEY);
+    showNotification('ABM runs now use the default behavior', 'info');
+}
+
 /**
  * Display enhanced policy support dashboard
  */
@@ -6096,6 +7344,68 @@ function exportABMResults() {
     showNotification('ABM results exported!', 'success');
 }
 
+/**
+ * Download a checkpoint of the current ABM run (gzip-compressed JSON)
+ */
+async function saveABMCheckpoint() {
+    if (!currentABMEngine || currentABMEngine.workers.length === 0) {
+        showNotification('No ABM run to checkpoint. Start a simulation first.', 'warning');
+        return;
+    }
+
+    try {
+        const checkpoint = currentABMEngine.createCheckpoint();
+        const data = await compressCheckpoint(checkpoint);
+
+        const blob = new Blob([data], { type: 'application/gzip' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `abm-checkpoint-seed${checkpoint.seed}-month${checkpoint.month}.json.gz`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        addABMLog(`Checkpoint saved at month ${checkpoint.month}`, 'success');
+        showNotification('ABM checkpoint saved!', 'success');
+    } catch (error) {
+        console.error('Checkpoint failed:', error);
+        showNotification(`Could not save checkpoint: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Continue an ABM run from a checkpoint file (.json or .json.gz)
+ */
+async function resumeABMFromCheckpoint(file) {
+    if (!file) return;
+
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const isGzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+        const checkpoint = isGzip
+            ? await decompressCheckpoint(bytes)
+            : JSON.parse(new TextDecoder().decode(bytes));
+
+        currentABMEngine = ABMSimulationEngine.fromCheckpoint(checkpoint, { onProgress: updateABMProgress });
+        isABMPaused = false;
+
+        document.getElementById('abmProgress').style.display = 'block';
+        document.getElementById('abmResults').style.display = 'none';
+        addABMLog(`Resuming from month ${checkpoint.month} (seed ${checkpoint.seed})`, 'info');
+
+        const results = await currentABMEngine.runSimulation();
+        currentABMResults = results;
+
+        displayABMResults(results);
+        addABMLog(`Simulation complete (seed ${results.summary?.seed})`, 'success');
+        showNotification('ABM simulation complete!', 'success');
+    } catch (error) {
+        console.error('Resume from checkpoint failed:', error);
+        showNotification(`Could not resume from checkpoint: ${error.message}`, 'error');
+        document.getElementById('abmProgress').style.display = 'none';
+    }
+}
+
 // Add keyboard listener for password modal
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && document.getElementById('passwordModal').style.display === 'flex') {
@@ -6145,6 +7455,12 @@ if (typeof window !== 'undefined') {
     window.runSimulation = runSimulation;
     window.getCurrentScenario = getCurrentScenario;
 
+    // Adoption curve functions
+    window.setAdoptionCurveInputs = setAdoptionCurveInputs;
+    window.getAdoptionCurveConfig = getAdoptionCurveConfig;
+    window.loadCurvePointsFile = loadCurvePointsFile;
+    window.clearCurvePoints = clearCurvePoints;
+
     // Nav dropdown functions
     window.toggleNavMore = toggleNavMore;
     window.closeNavMore = closeNavMore;
@@ -6180,10 +7496,22 @@ if (typeof window !== 'undefined') {
     // Saved simulations
     window.saveSimulation = saveSimulation;
     window.loadSavedSimulation = loadSavedSimulation;
+    window.rerunSavedSimulation = rerunSavedSimulation;
+    window.selectDataVintage = selectDataVintage;
+    window.selectDataProfile = selectDataProfile;
+    window.selectStartMonth = selectStartMonth;
+    window.createHistoricalChart = createHistoricalChart;
+    window.importDataProfileFile = importDataProfileFile;
+    window.deleteDataProfile = deleteDataProfile;
+    window.downloadDatasetTemplate = downloadDatasetTemplate;
+    window.importJobPostingFiles = importJobPostingFiles;
+    window.clearJobPostings = clearJobPostings;
     window.deleteSavedSimulation = deleteSavedSimulation;
     window.showSavedSimulationsModal = showSavedSimulationsModal;
     window.hideSavedSimulationsModal = hideSavedSimulationsModal;
     window.clearAllSavedSimulations = clearAllSavedSimulations;
+    window.renderForecastScorecard = renderForecastScorecard;
+    window.untrackSharedSimulation = untrackSharedSimulation;
 
     // Hypothetical indicators
     window.renderHypotheticalIndicators = renderHypotheticalIndicators;
@@ -6225,6 +7553,11 @@ if (typeof window !== 'undefined') {
     // Sensitivity functions
     window.renderSensitivityOverview = renderSensitivityOverview;
     window.runParameterSensitivity = runParameterSensitivity;
+    window.runGlobalSensitivity = runGlobalSensitivity;
+    window.runPolicyOptimizer = runPolicyOptimizer;
+    window.runBacktest = runBacktest;
+    window.useCalibrationProfile = useCalibrationProfile;
+    window.clearCalibrationProfile = clearCalibrationProfile;
 
     // Settings functions
     window.initializeSettings = initializeSettings;
@@ -6260,8 +7593,13 @@ if (typeof window !== 'undefined') {
     window.runQuickABMTest = runQuickABMTest;
     window.runABMSensitivityAnalysis = runABMSensitivityAnalysis;
     window.getABMConfig = getABMConfig;
+    window.runABMCalibration = runABMCalibration;
+    window.useABMBehavior = useABMBehavior;
+    window.clearABMBehavior = clearABMBehavior;
     window.toggleInterpretationDetails = toggleInterpretationDetails;
     window.exportABMResults = exportABMResults;
+    window.saveABMCheckpoint = saveABMCheckpoint;
+    window.resumeABMFromCheckpoint = resumeABMFromCheckpoint;
     window.toggleABMPause = toggleABMPause;
     window.stopABMSimulation = stopABMSimulation;
     window.addABMLog = addABMLog;
@@ -0,0 +1,281 @@
+/**
+ * Headless Scenario Runner
+ * Runs a scenario definition through the aggregate engine or the ABM without a browser.
+ * Used by bin/labor-sim.js; has no DOM, window or fetch dependencies of its own.
+ */
+
+import { EconomicDataService } from '../data/economic-data.js';
+import { EconomicIndicators } from '../models/indicators.js';
+import { SimulationEngine } from '../simulation/engine.js';
+import { InterventionSystem } from '../simulation/interventions.js';
+import { ABMSimulationEngine } from '../abm/engine.js';
+import { BacktestCalibration, applyCalibrationProfile } from '../features/backtest.js';
+import { FINANCING_RULES } from '../simulation/fiscal.js';
+import { validateRule } from '../simulation/intervention-rules.js';
+import { validateAdoptionCurve } from '../simulation/adoption-curves.js';
+import { isMonth } from '../data/time-series.js';
+
+const ENGINES = ['aggregate', 'abm'];
+const FORMATS = ['json', 'csv'];
+
+// ABM engine settings that may be given in a scenario's "abm" section
+const ABM_CONFIG_KEYS = ['numWorkers', 'numFirms', 'numRegions', 'numTrainingPrograms', 'durationMonths', 'demandFeedback', 'demographics', 'fiscal', 'behavior'];
+
+/**
+ * Check a scenario definition and return a list of problems (empty when valid)
+ * @param {Object} definition - Scenario JSON: createScenario() config plus interventions
+ * @returns {string[]}
+ */
+function validateScenarioDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return ['Scenario must be a JSON object'];
+    }
+
+    if (definition.engine !== undefined && !ENGINES.includes(definition.engine)) {
+        errors.push(`Unknown engine "${definition.engine}" (expected ${ENGINES.join(' or ')})`);
+    }
+
+    if (definition.end_year !== undefined && !Number.isFinite(definition.end_year)) {
+        errors.push('end_year must be a number');
+    }
+
+    if (definition.start_year !== undefined && !Number.isFinite(definition.start_year)) {
+        errors.push('start_year must be a number');
+    }
+
+    if (definition.financing !== undefined && !FINANCING_RULES.includes(definition.financing)) {
+        errors.push(`Unknown financing rule "${definition.financing}" (expected ${FINANCING_RULES.join(' or ')})`);
+    }
+
+    if (definition.data_vintage !== undefined && (typeof definition.data_vintage !== 'string' || definition.data_vintage === '')) {
+        errors.push('data_vintage must be a vintage id');
+    }
+
+    if (definition.data_profile !== undefined && definition.data_profile !== null &&
+        (typeof definition.data_profile !== 'string' || definition.data_profile === '')) {
+        errors.push('data_profile must be a data profile name');
+    }
+
+    if (definition.start_month !== undefined && definition.start_month !== null && !isMonth(definition.start_month)) {
+        errors.push('start_month must be a month (YYYY-MM)');
+    }
+
+    if (definition.adoption_curve !== undefined) {
+        validateAdoptionCurve({ ...definition.curve_parameters, type: definition.adoption_curve })
+            .forEach(error => errors.push(error));
+    }
+
+    if (definition.sector_curves !== undefined) {
+        if (!definition.sector_curves || typeof definition.sector_curves !== 'object') {
+            errors.push('sector_curves must map sector names to curves');
+        } else {
+            Object.entries(definition.sector_curves).forEach(([sector, curve]) => {
+                validateAdoptionCurve(curve).forEach(error => errors.push(`sector_curves.${sector}: ${error}`));
+            });
+        }
+    }
+
+    if (definition.interventions !== undefined) {
+        if (!Array.isArray(definition.interventions)) {
+            errors.push('interventions must be an array');
+        } else {
+            definition.interventions.forEach((intervention, i) => {
+                if (!intervention || typeof intervention.type !== 'string') {
+                    errors.push(`interventions[${i}] is missing a type`);
+                } else if (intervention.rule !== undefined) {
+                    validateRule(intervention.rule).forEach(error => errors.push(`interventions[${i}].${error}`));
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Create a data service backed by in-memory baseline data
+ * @param {Object} baselineData - Contents of baseline-data.json
+ * @param {Object|null} liveData - Contents of live-data.json, if available
+ * @param {Object|null} [vintages] - { index, read }: vintages/index.json and a reader for its entries
+ * @param {Object|null} [timeSeries] - Contents of time-series.json (no history when missing)
+ */
+function createHeadlessDataService(baselineData, liveData = null, vintages = null, timeSeries = null) {
+    const dataService = new EconomicDataService();
+    dataService.setBaselineData(baselineData, liveData);
+    dataService.setTimeSeries(timeSeries);
+    if (vintages) {
+        dataService.setVintageIndex(vintages.index, vintages.read);
+    }
+    return dataService;
+}
+
+/**
+ * Run one scenario definition and export its results
+ * @param {Object} definition - Scenario JSON: createScenario() config plus interventions
+ * @param {Object} [options]
+ * @param {Object} [options.baselineData] - Contents of baseline-data.json
+ * @param {Object|null} [options.liveData] - Contents of live-data.json
+ * @param {Object|null} [options.vintages] - Stored data vintages ({ index, read })
+ * @param {string} [options.vintage] - Vintage id or 'latest' (overrides definition.data_vintage)
+ * @param {Object} [options.dataProfiles] - Imported datasets by profile name (see data/datasets.js)
+ * @param {string} [options.dataProfile] - Profile to run on (overrides definition.data_profile)
+ * @param {Object|null} [options.timeSeries] - Contents of time-series.json
+ * @param {string} [options.startMonth] - Historical month to start from (overrides definition.start_month)
+ * @param {string} [options.engine] - 'aggregate' or 'abm' (overrides definition.engine)
+ * @param {string} [options.format] - 'json' or 'csv'
+ * @param {number|string} [options.seed] - ABM seed (overrides definition.seed)
+ * @param {Object} [options.profile] - Calibration profile applied to aggregate runs
+ * @returns {Promise<Object>} { engine, format, name, dataVintage, dataProfile, startMonth, results, output }
+ */
+async function runScenario(definition, options = {}) {
+    const errors = validateScenarioDefinition(definition);
+    if (errors.length > 0) {
+        throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+    }
+
+    const engine = options.engine || definition.engine || 'aggregate';
+    const format = options.format || 'json';
+
+    if (!ENGINES.includes(engine)) {
+        throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(' or ')})`);
+    }
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(' or ')})`);
+    }
+
+    const dataService = createHeadlessDataService(
+        options.baselineData, options.liveData || null, options.vintages || null, options.timeSeries || null);
+
+    // Re-run against the data the scenario was pinned to, unless told otherwise
+    const vintage = options.vintage || definition.data_vintage;
+    if (vintage) {
+        await dataService.useVintage(vintage);
+    }
+
+    Object.entries(options.dataProfiles || {}).forEach(([name, dataset]) => {
+        dataService.addDataProfile(name, dataset);
+    });
+    const dataProfile = options.dataProfile || definition.data_profile;
+    if (dataProfile) {
+        await dataService.useDataProfile(dataProfile);
+    }
+
+    const startMonth = options.startMonth || definition.start_month;
+    if (startMonth) {
+        await dataService.useStartMonth(startMonth);
+    }
+
+    if (engine === 'abm') {
+        return runABMScenario(definition, dataService, { ...options, format });
+    }
+
+    const simulationEngine = new SimulationEngine(dataService, new EconomicIndicators());
+    await simulationEngine.initialize();
+
+    const scenario = simulationEngine.createScenario(applyCalibrationProfile(definition, options.profile));
+
+    // Build interventions the same way the UI does, so defaults are filled in
+    const interventionSystem = new InterventionSystem();
+    (definition.interventions || []).forEach(intervention => {
+        interventionSystem.addIntervention(intervention.type, intervention.parameters || {}, intervention);
+    });
+    scenario.interventions = interventionSystem.interventions.filter(i => i.active);
+
+    const results = await simulationEngine.runSimulation();
+
+    return {
+        engine,
+        format,
+        name: scenario.name,
+        dataVintage: scenario.data_vintage,
+        dataProfile: scenario.data_profile,
+        startMonth: scenario.start_month,
+        results,
+        output: simulationEngine.exportResults(format)
+    };
+}
+
+/**
+ * Backtest the aggregate engine against historical_trends, or calibrate it
+ * @param {Object} [options]
+ * @param {Object} [options.baselineData] - Contents of baseline-data.json
+ * @param {Object|null} [options.liveData] - Contents of live-data.json
+ * @param {boolean} [options.calibrate] - Fit parameters and return a profile
+ * @param {number|string} [options.seed] - Calibration search seed
+ * @param {Object} [options.profile] - Calibration profile to backtest
+ * @returns {Promise<Object>} { results, output } where output is JSON (the profile when calibrating)
+ */
+async function runBacktest(options = {}) {
+    const dataService = createHeadlessDataService(options.baselineData, options.liveData || null);
+    const simulationEngine = new SimulationEngine(dataService, new EconomicIndicators());
+    await simulationEngine.initialize();
+
+    const backtest = new BacktestCalibration(simulationEngine);
+    backtest.configure({ seed: options.seed });
+
+    if (options.calibrate) {
+        const results = await backtest.calibrate();
+        return { results, output: JSON.stringify(results.profile, null, 2) };
+    }
+
+    const results = await backtest.backtest(applyCalibrationProfile({}, options.profile));
+    return { results, output: JSON.stringify(results, null, 2) };
+}
+
+/**
+ * Run a scenario definition through the agent-based model
+ */
+async function runABMScenario(definition, dataService, options) {
+    const snapshot = await dataService.getCurrentSnapshot();
+    const abmSection = definition.abm || {};
+
+    const config = {};
+    ABM_CONFIG_KEYS.forEach(key => {
+        if (abmSection[key] !== undefined) config[key] = abmSection[key];
+    });
+
+    // The scenario's financing rule applies unless the abm section sets its own budget
+    if (config.fiscal === undefined && definition.financing !== undefined) {
+        config.fiscal = { financing: definition.financing };
+    }
+
+    // Run until end_year unless an explicit duration was given
+    if (config.durationMonths === undefined && definition.end_year) {
+        const startYear = snapshot.startMonth ? parseInt(snapshot.startMonth, 10) : new Date().getFullYear();
+        config.durationMonths = Math.max(1, (definition.end_year - startYear) * 12);
+    }
+
+    const seed = options.seed !== undefined ? options.seed : definition.seed;
+    if (seed !== undefined) config.seed = seed;
+
+    const scenario = {
+        initialUnemploymentRate: snapshot.labor_market.unemployment_rate / 100,
+        adoptionCurve: definition.adoption_curve || 's_curve',
+        automationPace: definition.automation_pace || 'moderate',
+        ...(abmSection.scenario || {}),
+        // The ABM reads InterventionSystem-style parameters and fills in defaults
+        interventions: (definition.interventions || []).map(intervention => ({
+            ...intervention,
+            active: intervention.active !== false
+        }))
+    };
+
+    const abmEngine = new ABMSimulationEngine(config);
+    const results = await abmEngine.runSimulation(scenario);
+
+    return {
+        engine: 'abm',
+        format: options.format,
+        name: definition.name || 'Unnamed Scenario',
+        dataVintage: snapshot.vintageId,
+        dataProfile: snapshot.dataProfile,
+        startMonth: snapshot.startMonth,
+        results,
+        output: abmEngine.exportResults(options.format)
+    };
+}
+
+// Export for ES modules
+export { runScenario, runBacktest, validateScenarioDefinition, createHeadlessDataService };
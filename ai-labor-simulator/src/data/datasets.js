@@ -0,0 +1,437 @@
+/**
+ * Imported Datasets
+ *
+ * Lets users replace parts of baseline-data.json with their own figures, e.g. a
+ * state, metro or company workforce, and run simulations on the result as a
+ * named data profile. A dataset is a partial copy of the baseline's shape with
+ * plain numbers:
+ *
+ *   { labor_market: { unemployment_rate: 3.6, total_employment: 2400000 },
+ *     wages: { average_hourly_earnings: 31.2 },
+ *     sectors: { technology: { employment: 180000, automation_exposure: 0.3 } },
+ *     demographics: { working_age_population: 3900000,
+ *                     employment_by_education: { high_school: { employment: 610000 } },
+ *                     employment_by_age: { '25_34': { lfpr: 84.1 } } } }
+ *
+ * JSON files use that shape (scalar values may also be { value } objects, as in
+ * the baseline). CSV files have one value per row, `section,item,field,value`:
+ *
+ *   labor_market,unemployment_rate,,3.6
+ *   sectors,technology,employment,180000
+ *   age,25_34,lfpr,84.1
+ *
+ * Sections are labor_market, wages and demographics (no field) and sectors,
+ * education and age (a group and its field). Sectors, education levels and age
+ * groups must exist in the baseline. Values left out keep the baseline's; when
+ * total employment is imported, the employment counts left out are scaled to it.
+ */
+
+import { splitCSV } from '../utils/csv.js';
+
+const DATASET_FORMATS = ['csv', 'json'];
+
+// Importable values: where each section lives in baseline-data.json and the
+// range of each field. Grouped sections hold one entry per sector/level/group.
+const DATASET_SECTIONS = {
+    labor_market: {
+        path: ['labor_market'],
+        fields: {
+            total_employment: { min: 1, count: true },
+            unemployment_rate: { min: 0, max: 100 },
+            labor_force_participation: { min: 0, max: 100 },
+            job_openings: { min: 0, count: true },
+            quits_rate: { min: 0, max: 100 },
+            job_finding_rate: { min: 0, max: 100 }
+        }
+    },
+    wages: {
+        path: ['wages'],
+        fields: {
+            median_weekly_earnings: { min: 0 },
+            average_hourly_earnings: { min: 0 },
+            real_wage_growth: { min: -100, max: 100 },
+            p90_p10_ratio: { min: 1 }
+        }
+    },
+    demographics: {
+        path: ['demographics'],
+        fields: {
+            working_age_population: { min: 1, count: true }
+        }
+    },
+    sectors: {
+        path: ['sectors'],
+        grouped: true,
+        fields: {
+            employment: { min: 0, count: true },
+            growth_rate: { min: -100, max: 100 },
+            median_wage: { min: 0 },
+            automation_exposure: { min: 0, max: 1 }
+        }
+    },
+    education: {
+        path: ['demographics', 'employment_by_education'],
+        grouped: true,
+        fields: {
+            employment: { min: 0, count: true },
+            unemployment_rate: { min: 0, max: 100 },
+            automation_exposure: { min: 0, max: 1 }
+        }
+    },
+    age: {
+        path: ['demographics', 'employment_by_age'],
+        grouped: true,
+        fields: {
+            employment: { min: 0, count: true },
+            unemployment_rate: { min: 0, max: 100 },
+            lfpr: { min: 0, max: 100 }
+        }
+    }
+};
+
+// Top-level JSON keys that describe the dataset rather than hold values
+const DATASET_INFO_KEYS = ['name', 'description', 'metadata'];
+
+// Sections of baseline-data.json that stay national, skipped so an edited copy
+// of the whole file can be imported
+const NATIONAL_SECTIONS = ['productivity', 'ai_indicators', 'historical_trends', 'data_sources'];
+
+/**
+ * Read dataset rows from CSV text. A header row and blank lines are skipped, and
+ * cells may be quoted.
+ * @param {string} text
+ * @returns {{rows: Object[], errors: string[], info: Object}} Rows are { section, item, field, value, line };
+ *   info is always empty, as CSV rows carry no name
+ */
+function parseDatasetCSV(text) {
+    const rows = [];
+    const errors = [];
+
+    splitCSV(String(text || '')).forEach((row, index) => {
+        const cells = row.cells.map(cell => cell.trim());
+        if (index === 0 && !Number.isFinite(parseFloat(cells[cells.length - 1]))) return;
+
+        const lineNumber = row.line;
+        if (cells.length < 3 || cells.length > 4) {
+            errors.push(`Line ${lineNumber}: expected "section,item,field,value"`);
+            return;
+        }
+
+        // Sections without groups may leave out the field column
+        const [section, item, field, raw] = cells.length === 3
+            ? [cells[0], cells[1], '', cells[2]]
+            : cells;
+        const value = Number(raw);
+        if (raw === '' || !Number.isFinite(value)) {
+            errors.push(`Line ${lineNumber}: "${raw}" is not a number`);
+            return;
+        }
+
+        rows.push({ section, item, field: field || null, value, line: lineNumber });
+    });
+
+    return { rows, errors, info: {} };
+}
+
+/**
+ * Read dataset rows from JSON text or an already-parsed object in the baseline's shape
+ * @param {string|Object} input
+ * @returns {{rows: Object[], errors: string[], info: Object}} info holds name/description
+ */
+function parseDatasetJSON(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            return { rows: [], errors: [`Invalid JSON: ${error.message}`], info: {} };
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { rows: [], errors: ['Dataset must be a JSON object'], info: {} };
+    }
+
+    const rows = [];
+    const errors = [];
+    const info = {};
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const numberOf = value => (isObject(value) ? value.value : value);
+
+    const addScalars = (section, values, path, skip = []) => {
+        Object.entries(values).forEach(([item, value]) => {
+            if (skip.includes(item)) return;
+            rows.push({ section, item, field: null, value: numberOf(value), path: `${path}.${item}` });
+        });
+    };
+    const addGroups = (section, groups, path) => {
+        if (!isObject(groups)) {
+            errors.push(`${path} must map names to values`);
+            return;
+        }
+        Object.entries(groups).forEach(([item, fields]) => {
+            if (!isObject(fields)) {
+                errors.push(`${path}.${item} must be an object of values`);
+                return;
+            }
+            Object.entries(fields).forEach(([field, value]) => {
+                // Provenance tags copied from the baseline are not values
+                if (field.endsWith('source_type')) return;
+                rows.push({ section, item, field, value, path: `${path}.${item}.${field}` });
+            });
+        });
+    };
+
+    Object.entries(data).forEach(([key, value]) => {
+        if (DATASET_INFO_KEYS.includes(key)) {
+            info[key] = value;
+        } else if (NATIONAL_SECTIONS.includes(key)) {
+            return;
+        } else if (key === 'labor_market' || key === 'wages') {
+            if (isObject(value)) addScalars(key, value, key);
+            else errors.push(`${key} must be an object of values`);
+        } else if (key === 'sectors') {
+            addGroups('sectors', value, 'sectors');
+        } else if (key === 'demographics') {
+            if (!isObject(value)) {
+                errors.push('demographics must be an object of values');
+                return;
+            }
+            addScalars('demographics', value, 'demographics', ['employment_by_education', 'employment_by_age']);
+            if (value.employment_by_education !== undefined) {
+                addGroups('education', value.employment_by_education, 'demographics.employment_by_education');
+            }
+            if (value.employment_by_age !== undefined) {
+                addGroups('age', value.employment_by_age, 'demographics.employment_by_age');
+            }
+        } else {
+            errors.push(`${key}: unknown section (expected labor_market, wages, sectors or demographics)`);
+        }
+    });
+
+    return { rows, errors, info };
+}
+
+/**
+ * Check dataset rows against the baseline schema and return a list of problems
+ * @param {Object[]} rows - From parseDatasetCSV() or parseDatasetJSON()
+ * @param {Object} baseline - Contents of baseline-data.json
+ * @returns {string[]} Each problem names its CSV line or JSON path
+ */
+function validateDatasetRows(rows, baseline) {
+    const errors = [];
+    const seen = new Map();
+
+    rows.forEach(row => {
+        const where = row.line ? `Line ${row.line}: ` : '';
+        const name = row.path || [row.section, row.item, row.field].filter(Boolean).join('.');
+        const fail = problem => errors.push(`${where}${name} ${problem}`);
+
+        const section = DATASET_SECTIONS[row.section];
+        if (!section) {
+            errors.push(`${where}unknown section "${row.section}" (expected ${Object.keys(DATASET_SECTIONS).join(', ')})`);
+            return;
+        }
+
+        let rule;
+        if (section.grouped) {
+            const groups = readPath(baseline, section.path) || {};
+            if (!groups[row.item]) {
+                fail(`is not in the baseline (known ${row.section}: ${Object.keys(groups).join(', ')})`);
+                return;
+            }
+            rule = section.fields[row.field];
+            if (!rule) {
+                fail(`is not an importable field (expected ${Object.keys(section.fields).join(', ')})`);
+                return;
+            }
+        } else {
+            rule = section.fields[row.item];
+            if (!rule) {
+                fail(`is not an importable value (expected ${Object.keys(section.fields).join(', ')})`);
+                return;
+            }
+            if (row.field) {
+                fail('takes no field');
+                return;
+            }
+        }
+
+        if (typeof row.value !== 'number' || !Number.isFinite(row.value)) {
+            fail('must be a number');
+            return;
+        }
+        if (row.value < rule.min || (rule.max !== undefined && row.value > rule.max)) {
+            fail(rule.max !== undefined
+                ? `must be from ${rule.min} to ${rule.max} (got ${row.value})`
+                : `must be at least ${rule.min} (got ${row.value})`);
+            return;
+        }
+
+        const key = [row.section, row.item, row.field].join('.');
+        if (seen.has(key)) {
+            const first = seen.get(key);
+            fail(`is given twice${first ? ` (first on line ${first})` : ''}`);
+            return;
+        }
+        seen.set(key, row.line || null);
+    });
+
+    return errors;
+}
+
+/**
+ * Parse and validate an imported file
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {Object} options.baseline - Contents of baseline-data.json
+ * @param {string} [options.format] - 'csv' or 'json' (guessed from the text when missing)
+ * @param {string} [options.name] - Profile name (a JSON file's own name is used otherwise)
+ * @returns {{name: string|null, format: string, dataset: Object|null, values: number, errors: string[]}}
+ *   dataset is null when there are errors
+ */
+function importDataset(text, options) {
+    const format = options.format || (String(text || '').trim().startsWith('{') ? 'json' : 'csv');
+    if (!DATASET_FORMATS.includes(format)) {
+        return { name: null, format, dataset: null, values: 0, errors: [`Unknown dataset format "${format}" (expected ${DATASET_FORMATS.join(' or ')})`] };
+    }
+
+    const parsed = format === 'json' ? parseDatasetJSON(text) : parseDatasetCSV(text);
+    // CSV problems are listed in line order, whichever check found them
+    const lineOf = error => Number((/^Line (\d+):/.exec(error) || [])[1] || 0);
+    const errors = [...parsed.errors, ...validateDatasetRows(parsed.rows, options.baseline)]
+        .sort((a, b) => lineOf(a) - lineOf(b));
+    if (parsed.rows.length === 0 && errors.length === 0) {
+        errors.push('Dataset has no values');
+    }
+
+    const info = parsed.info;
+    const name = options.name || (typeof info.name === 'string' ? info.name : null);
+    const dataset = errors.length === 0 ? rowsToDataset(parsed.rows) : null;
+    if (dataset && typeof info.description === 'string') dataset.description = info.description;
+
+    return { name, format, dataset, values: parsed.rows.length, errors };
+}
+
+/**
+ * Check a dataset object (e.g. one kept in storage) and return a list of problems
+ * @param {Object} dataset
+ * @param {Object} baseline - Contents of baseline-data.json
+ * @returns {string[]}
+ */
+function validateDataset(dataset, baseline) {
+    const parsed = parseDatasetJSON(dataset);
+    return [...parsed.errors, ...validateDatasetRows(parsed.rows, baseline)];
+}
+
+function rowsToDataset(rows) {
+    const dataset = {};
+    rows.forEach(row => {
+        const section = DATASET_SECTIONS[row.section];
+        const keys = section.grouped
+            ? [...section.path, row.item, row.field]
+            : [...section.path, row.item];
+
+        let target = dataset;
+        keys.slice(0, -1).forEach(key => {
+            target = target[key] = target[key] || {};
+        });
+        target[keys[keys.length - 1]] = row.value;
+    });
+    return dataset;
+}
+
+/**
+ * Baseline data with a dataset's values in place of its own
+ * @param {Object} baseline - Contents of baseline-data.json (not modified)
+ * @param {Object} dataset - From importDataset()
+ * @param {string} name - Profile name, recorded in metadata.data_profile
+ * @returns {Object} Data in the baseline's shape
+ */
+function applyDataset(baseline, dataset, name) {
+    const data = JSON.parse(JSON.stringify(baseline));
+    const imported = JSON.parse(JSON.stringify(dataset || {}));
+
+    // Counts the dataset leaves out follow its total employment
+    const baseTotal = baseline.labor_market.total_employment.value;
+    const newTotal = imported.labor_market?.total_employment;
+    const scale = Number.isFinite(newTotal) && baseTotal > 0 ? newTotal / baseTotal : 1;
+
+    Object.values(DATASET_SECTIONS).forEach(section => {
+        const target = readPath(data, section.path);
+        const values = readPath(imported, section.path) || {};
+        if (!target) return;
+
+        if (section.grouped) {
+            Object.entries(target).forEach(([item, entry]) => {
+                const given = values[item] || {};
+                Object.entries(section.fields).forEach(([field, rule]) => {
+                    if (given[field] !== undefined) {
+                        entry[field] = given[field];
+                    } else if (rule.count && scale !== 1 && Number.isFinite(entry[field])) {
+                        entry[field] = Math.round(entry[field] * scale);
+                    }
+                });
+                if (Object.keys(given).length > 0) entry.source_type = 'imported';
+            });
+        } else {
+            Object.entries(section.fields).forEach(([item, rule]) => {
+                const entry = target[item];
+                if (!entry) return;
+                if (values[item] !== undefined) {
+                    target[item] = { ...entry, value: values[item], source: 'import', source_type: 'imported' };
+                } else if (rule.count && scale !== 1) {
+                    target[item] = { ...entry, value: Math.round(entry.value * scale) };
+                }
+            });
+        }
+    });
+
+    data.metadata = { ...(baseline.metadata || {}), data_profile: name };
+    return data;
+}
+
+/**
+ * Write every importable value of baseline data as CSV, a template for imports
+ * @param {Object} baseline - Contents of baseline-data.json
+ * @returns {string}
+ */
+function formatDatasetCSV(baseline) {
+    const rows = ['section,item,field,value'];
+    Object.entries(DATASET_SECTIONS).forEach(([name, section]) => {
+        const values = readPath(baseline, section.path) || {};
+        if (section.grouped) {
+            Object.entries(values).forEach(([item, entry]) => {
+                Object.keys(section.fields).forEach(field => {
+                    if (entry[field] !== undefined) rows.push(`${name},${item},${field},${entry[field]}`);
+                });
+            });
+        } else {
+            Object.keys(section.fields).forEach(item => {
+                if (values[item]) rows.push(`${name},${item},,${values[item].value}`);
+            });
+        }
+    });
+    return rows.join('\n');
+}
+
+function readPath(object, path) {
+    return path.reduce((value, key) => value?.[key], object);
+}
+
+// Export for ES modules
+export {
+    DATASET_FORMATS,
+    DATASET_SECTIONS,
+    parseDatasetCSV,
+    parseDatasetJSON,
+    validateDatasetRows,
+    importDataset,
+    validateDataset,
+    applyDataset,
+    formatDatasetCSV
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.importDataset = importDataset;
+}
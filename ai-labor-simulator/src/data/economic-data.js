@@ -3,6 +3,20 @@
  * Fetches and manages data from BLS, FRED, and other government sources
  */
 
+import { LATEST_VINTAGE, liveVintageId, baselineVintageId, isBaselineVintage } from './vintages.js';
+import { validateDataset, applyDataset } from './datasets.js';
+import { TimeSeriesStore, TimeSeriesCache, isMonth } from './time-series.js';
+
+// Snapshot values a historical start month reads from the time-series store
+const HISTORY_FIELDS = [
+    { path: ['labor_market', 'unemployment_rate'], series: 'unemployment_rate' },
+    { path: ['labor_market', 'total_employment'], series: 'total_employment' },
+    { path: ['labor_market', 'labor_force_participation'], series: 'labor_force_participation' },
+    { path: ['labor_market', 'job_openings'], series: 'job_openings' },
+    { path: ['wages', 'average_hourly'], series: 'average_hourly_earnings' },
+    { path: ['productivity', 'output_per_hour'], series: 'productivity_growth' }
+];
+
 class EconomicDataService {
     constructor() {
         this.cache = new Map();
@@ -10,6 +24,25 @@ class EconomicDataService {
         this.baselineData = null;
         this.liveData = null;
 
+        // Data vintages (see vintages.js): the index, loaded vintage files by id,
+        // and the vintage snapshots are pinned to (null follows live-data.json)
+        this.vintageIndex = null;
+        this.vintages = new Map();
+        this.vintageLoader = null;
+        this.pinnedVintage = null;
+
+        // Imported data profiles (see datasets.js) by name, the profile in use and
+        // the baseline data with its values applied (null uses baseline-data.json)
+        this.dataProfiles = new Map();
+        this.activeProfile = null;
+        this.profileData = null;
+
+        // Month-indexed BLS/FRED history (see time-series.js), its IndexedDB
+        // cache, and the month snapshots start from (null for the latest data)
+        this.timeSeries = null;
+        this.timeSeriesCache = new TimeSeriesCache();
+        this.startMonth = null;
+
         // API endpoints
         this.endpoints = {
             bls: 'https://api.bls.gov/publicAPI/v2/timeseries/data/',
@@ -51,7 +84,7 @@ class EconomicDataService {
      * Load baseline data from JSON file
      */
     async loadBaselineData() {
-        if (this.baselineData) return this.baselineData;
+        if (this.baselineData) return this.profileData || this.baselineData;
 
         try {
             const response = await fetch('./data/baseline-data.json');
@@ -67,6 +100,206 @@ class EconomicDataService {
         }
     }
 
+    /**
+     * Use already-loaded baseline (and optional live) data instead of fetching it.
+     * Lets headless callers such as the labor-sim CLI read the JSON from disk.
+     * @param {Object} baselineData - Contents of baseline-data.json
+     * @param {Object|null} liveData - Contents of live-data.json, if available
+     */
+    setBaselineData(baselineData, liveData = null) {
+        if (!baselineData || !baselineData.labor_market) {
+            throw new Error('Baseline data must include a labor_market section');
+        }
+
+        this.baselineData = baselineData;
+        this.liveData = liveData;
+        if (this.activeProfile) {
+            this.profileData = applyDataset(baselineData, this.dataProfiles.get(this.activeProfile), this.activeProfile);
+        }
+        return this.baselineData;
+    }
+
+    /**
+     * Add an imported dataset as a named data profile (replacing one of the same name)
+     * @param {string} name - Profile name, e.g. "Ohio" or "Acme Corp"
+     * @param {Object} dataset - Dataset from importDataset()
+     */
+    addDataProfile(name, dataset) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Data profile needs a name');
+        }
+        if (!this.baselineData) {
+            throw new Error('Load baseline data before adding data profiles');
+        }
+
+        const errors = validateDataset(dataset, this.baselineData);
+        if (errors.length > 0) {
+            throw new Error(`Data profile "${name}" is invalid: ${errors.join('; ')}`);
+        }
+
+        this.dataProfiles.set(name, dataset);
+        if (this.activeProfile === name) {
+            this.profileData = applyDataset(this.baselineData, dataset, name);
+        }
+        return name;
+    }
+
+    /**
+     * Forget a data profile, going back to the bundled data if it was in use
+     */
+    removeDataProfile(name) {
+        if (this.activeProfile === name) {
+            this.activeProfile = null;
+            this.profileData = null;
+        }
+        return this.dataProfiles.delete(name);
+    }
+
+    /**
+     * Names of the data profiles added so far
+     */
+    getDataProfiles() {
+        return [...this.dataProfiles.keys()];
+    }
+
+    /**
+     * Build snapshots from a data profile instead of baseline-data.json. Live data
+     * describes the national labor market, so it is not applied to profiles.
+     * @param {string|null} name - Profile name, or null for the bundled data
+     */
+    async useDataProfile(name) {
+        await this.loadBaselineData();
+
+        if (name === null || name === undefined || name === '') {
+            this.activeProfile = null;
+            this.profileData = null;
+            return null;
+        }
+
+        const dataset = this.dataProfiles.get(name);
+        if (!dataset) {
+            throw new Error(`Unknown data profile "${name}"`);
+        }
+
+        this.activeProfile = name;
+        this.profileData = applyDataset(this.baselineData, dataset, name);
+        return name;
+    }
+
+    /**
+     * Use an already-loaded vintage index, with a function that reads vintage files.
+     * Lets headless callers read vintages from disk instead of fetching them.
+     * @param {Object} index - Contents of vintages/index.json
+     * @param {Function} loader - (entry) => vintage data, or a promise of it
+     */
+    setVintageIndex(index, loader) {
+        this.vintageIndex = index || { latest: null, vintages: [] };
+        this.vintageLoader = loader;
+        this.vintages.clear();
+        return this.vintageIndex;
+    }
+
+    /**
+     * Load the list of stored data vintages, newest last
+     */
+    async loadVintageIndex() {
+        if (this.vintageIndex) return this.vintageIndex;
+
+        try {
+            const response = await fetch('./data/vintages/index.json');
+            if (response.ok) {
+                this.vintageIndex = await response.json();
+                return this.vintageIndex;
+            }
+        } catch (error) {
+            console.log('No data vintages available');
+        }
+
+        this.vintageIndex = { latest: null, vintages: [] };
+        return this.vintageIndex;
+    }
+
+    /**
+     * Load one vintage's data
+     * @param {string} id - Vintage id, or 'latest'
+     * @returns {Promise<Object|null>} Live data of the vintage (null for the baseline vintage)
+     */
+    async loadVintage(id) {
+        const index = await this.loadVintageIndex();
+        const vintageId = id === LATEST_VINTAGE ? index.latest : id;
+
+        if (!vintageId) return this.loadLiveData();
+        if (isBaselineVintage(vintageId)) {
+            if (vintageId !== baselineVintageId(this.baselineData)) {
+                throw new Error(`Baseline data "${vintageId}" is no longer available (have ${baselineVintageId(this.baselineData)})`);
+            }
+            return null;
+        }
+        if (this.vintages.has(vintageId)) return this.vintages.get(vintageId);
+
+        const entry = index.vintages.find(v => v.id === vintageId);
+        if (!entry) {
+            throw new Error(`Unknown data vintage "${vintageId}"`);
+        }
+
+        let data;
+        if (this.vintageLoader) {
+            data = await this.vintageLoader(entry);
+        } else {
+            const response = await fetch(`./data/vintages/${entry.file}`);
+            if (!response.ok) {
+                throw new Error(`Could not load data vintage "${vintageId}"`);
+            }
+            data = await response.json();
+        }
+
+        const vintage = { vintageId, ...data };
+        this.vintages.set(vintageId, vintage);
+        return vintage;
+    }
+
+    /**
+     * Pin snapshots to a stored vintage, so runs repeat against the same data
+     * @param {string|null} id - Vintage id, 'latest', or null to follow live-data.json again
+     */
+    async useVintage(id) {
+        await this.loadBaselineData();
+
+        if (id === null || id === undefined || id === '') {
+            this.pinnedVintage = null;
+            this.liveData = null;
+            this.liveData = await this.loadLiveData();
+            return this.getVintageId();
+        }
+
+        this.liveData = await this.loadVintage(id);
+        this.pinnedVintage = this.getVintageId();
+        return this.pinnedVintage;
+    }
+
+    /**
+     * Vintage id of the data snapshots are built from
+     */
+    getVintageId() {
+        return this.vintageIdOf(this.liveData);
+    }
+
+    vintageIdOf(liveData) {
+        if (liveData) {
+            return liveData.vintageId || liveVintageId(liveData.lastUpdated);
+        }
+        return baselineVintageId(this.baselineData);
+    }
+
+    /**
+     * Snapshot a stored vintage would give, without switching to it
+     * @param {string} id - Vintage id, or 'latest'
+     */
+    async getVintageSnapshot(id) {
+        const baseline = await this.loadBaselineData();
+        return this.buildSnapshot(baseline, await this.loadVintage(id));
+    }
+
     /**
      * Load live data from GitHub Actions-updated JSON file
      */
@@ -86,6 +319,122 @@ class EconomicDataService {
         return null;
     }
 
+    /**
+     * Load the time-series history: what earlier sessions cached in IndexedDB
+     * plus public/data/time-series.json, cached again for the next session
+     */
+    async loadTimeSeries() {
+        if (this.timeSeries) return this.timeSeries;
+
+        const store = new TimeSeriesStore();
+
+        try {
+            const cached = await this.timeSeriesCache.load();
+            if (cached) store.merge(cached);
+        } catch (error) {
+            console.log('Time series cache unavailable:', error.message);
+        }
+
+        try {
+            const response = await fetch('./data/time-series.json');
+            if (response.ok) {
+                store.merge(await response.json());
+            }
+        } catch (error) {
+            console.log('No time series history available');
+        }
+
+        this.timeSeries = store;
+
+        if (store.listSeries().length > 0) {
+            this.timeSeriesCache.save(store.toJSON()).catch(error => {
+                console.log('Could not cache time series:', error.message);
+            });
+        }
+        return store;
+    }
+
+    /**
+     * Use already-loaded time-series history instead of fetching it.
+     * Lets headless callers read time-series.json from disk.
+     * @param {Object} data - Contents of time-series.json
+     */
+    setTimeSeries(data) {
+        this.timeSeries = new TimeSeriesStore({ data });
+        return this.timeSeries;
+    }
+
+    /**
+     * Observations of one series by month
+     * @param {string} name - Series name, e.g. 'unemployment_rate' (see SERIES_CATALOG)
+     * @param {Object} [options] - from/to months ('YYYY-MM') and asOf (read values as known then)
+     * @returns {Promise<Array<{month: string, value: number}>>}
+     */
+    async getSeries(name, options = {}) {
+        const store = await this.loadTimeSeries();
+        return store.getSeries(name, options);
+    }
+
+    /**
+     * Start snapshots from a historical month instead of the latest data
+     * @param {string|null} month - 'YYYY-MM', or null for the latest data
+     */
+    async useStartMonth(month) {
+        if (month === null || month === undefined || month === '') {
+            this.startMonth = null;
+            return null;
+        }
+        if (!isMonth(month)) {
+            throw new Error(`Start month must be YYYY-MM (got "${month}")`);
+        }
+
+        const store = await this.loadTimeSeries();
+        if (!store.getObservation('unemployment_rate', month)) {
+            const { first } = store.getRange(['unemployment_rate']);
+            throw new Error(first
+                ? `No history for ${month} (history starts ${first})`
+                : 'No time series history is available');
+        }
+
+        this.startMonth = month;
+        return month;
+    }
+
+    /**
+     * Snapshot values as they stood in a historical month. Values the history
+     * lacks keep the snapshot's; sector employment follows total employment.
+     * @param {Object} snapshot - From buildSnapshot()
+     * @param {string} month - 'YYYY-MM'
+     */
+    rewindSnapshot(snapshot, month) {
+        const rewound = JSON.parse(JSON.stringify(snapshot));
+        const sources = {};
+
+        HISTORY_FIELDS.forEach(field => {
+            const observation = this.timeSeries.getObservation(field.series, month);
+            if (!observation) return;
+            rewound[field.path[0]][field.path[1]] = observation.value;
+            sources[field.series] = observation.month;
+        });
+
+        const labor = rewound.labor_market;
+        labor.unemployed_count = Math.round(
+            labor.total_employment * (labor.unemployment_rate / 100) / (1 - labor.unemployment_rate / 100));
+
+        const employmentScale = labor.total_employment / snapshot.labor_market.total_employment;
+        Object.values(rewound.sectors).forEach(sector => {
+            if (typeof sector.employment === 'number') {
+                sector.employment = Math.round(sector.employment * employmentScale);
+            }
+        });
+
+        rewound.dataSource = 'history';
+        rewound.dataDate = month;
+        rewound.startMonth = month;
+        rewound.historyMonths = sources;
+        return rewound;
+    }
+
     /**
      * Get live data status
      */
@@ -100,6 +449,8 @@ class EconomicDataService {
 
         return {
             available: true,
+            vintageId: this.getVintageId(),
+            pinned: this.pinnedVintage !== null,
             lastUpdated: this.liveData.lastUpdated,
             sources: this.liveData.sources || {},
             summary: this.liveData.summary || {}
@@ -108,14 +459,30 @@ class EconomicDataService {
 
     /**
      * Get current economic snapshot
-     * Uses live data from GitHub Actions when available, falls back to baseline
+     * Uses live data from GitHub Actions when available, falls back to baseline;
+     * rewound to the start month when one is set (see useStartMonth)
      */
     async getCurrentSnapshot() {
         const baseline = await this.loadBaselineData();
-        const live = this.liveData;
+        const snapshot = this.buildSnapshot(baseline, this.liveData);
+
+        // History is national, so it does not rewind imported data profiles
+        if (this.startMonth && !snapshot.dataProfile) {
+            return this.rewindSnapshot(snapshot, this.startMonth);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Build a snapshot from baseline data and one vintage of live data
+     * @param {Object} baseline - Contents of baseline-data.json, or a data profile's data
+     * @param {Object|null} live - Live data, or null for baseline values only
+     */
+    buildSnapshot(baseline, live) {
+        const profile = baseline.metadata?.data_profile || null;
 
         // Use live data if available and valid, otherwise use baseline
-        const useLive = live && live.summary && live.sources?.bls === 'success';
+        const useLive = !profile && live && live.summary && live.sources?.bls === 'success';
 
         // Get values, preferring live data
         const unemployment_rate = useLive && live.summary.unemployment_rate
@@ -140,8 +507,11 @@ class EconomicDataService {
 
         return {
             timestamp: new Date().toISOString(),
-            dataSource: useLive ? 'live' : 'baseline',
-            dataDate: useLive ? live.summary.data_date : 'Oct 2024',
+            dataSource: profile ? 'profile' : (useLive ? 'live' : 'baseline'),
+            dataProfile: profile,
+            startMonth: null,
+            vintageId: profile ? baselineVintageId(baseline) : this.vintageIdOf(live),
+            dataDate: useLive ? live.summary.data_date : (profile ? `Imported (${profile})` : 'Oct 2024'),
             lastUpdated: useLive ? live.lastUpdated : null,
             labor_market: {
                 total_employment: total_employment,
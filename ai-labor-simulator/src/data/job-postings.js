@@ -0,0 +1,428 @@
+/**
+ * Job Postings
+ *
+ * Reads local job-posting dumps into compact posting records, pulls skills and
+ * AI mentions out of each title and description, and aggregates the records by
+ * category and month for JobPostingDataService and the skills-gap analysis.
+ *
+ * Dumps are CSV with a header row, or JSON Lines with one posting per line.
+ * Either way a posting has title, sector, location, salary, date and description
+ * (title and date are required; an id, if given, drops reposts across dumps):
+ *
+ *   title,sector,location,salary,date,description
+ *   Data Analyst,Finance,"Remote, US","$85,000 - $95,000",2025-03-14,"SQL, Excel and ..."
+ *
+ *   {"title": "Cashier", "sector": "Retail", "location": "Columbus, OH", "salary": "$15/hr", "date": "2025-03-02", "description": "..."}
+ *
+ * Salary ranges count at their midpoint and hourly pay is annualized at 2,080
+ * hours. Descriptions are read for skills and dropped; records keep the month.
+ */
+
+import { toMonth } from './time-series.js';
+import { splitCSV } from '../utils/csv.js';
+
+const JOB_POSTING_FORMATS = ['csv', 'jsonl'];
+
+const HOURS_PER_YEAR = 2080;
+
+// Column names dumps commonly use for each posting field
+const FIELD_ALIASES = {
+    id: ['id', 'job_id', 'posting_id'],
+    title: ['title', 'job_title', 'position'],
+    sector: ['sector', 'industry', 'category'],
+    location: ['location', 'city', 'job_location'],
+    salary: ['salary', 'pay', 'compensation', 'salary_range'],
+    date: ['date', 'posted', 'date_posted', 'posted_date', 'posted_at'],
+    description: ['description', 'job_description', 'summary']
+};
+
+// Sector names in dumps, by the category JobPostingDataService reports them under.
+// Other sectors become categories of their own.
+const CATEGORY_ALIASES = {
+    technology: ['technology', 'tech', 'information technology', 'it', 'software', 'information'],
+    healthcare: ['healthcare', 'health care', 'health', 'medical', 'hospital', 'nursing'],
+    finance: ['finance', 'financial services', 'banking', 'insurance', 'accounting'],
+    manufacturing: ['manufacturing', 'production', 'industrial'],
+    retail: ['retail', 'retail trade', 'ecommerce', 'e-commerce'],
+    education: ['education', 'higher education', 'teaching', 'schools'],
+    transportation: ['transportation', 'logistics', 'warehousing', 'transportation and warehousing', 'trucking'],
+    professional_services: ['professional services', 'consulting', 'legal', 'marketing', 'professional and business services']
+};
+
+// Skills looked for in titles and descriptions. The first group uses the names
+// in SkillsGapAnalyzer so posting trends can stand in for its estimates.
+const SKILL_PATTERNS = {
+    'AI/ML Engineering': /\b(machine learning|ml engineer\w*|deep learning|pytorch|tensorflow)\b/i,
+    'Data Science': /\b(data scien\w*|predictive model\w*|statistical model\w*)\b/i,
+    'Cybersecurity': /\b(cyber ?security|information security|infosec|penetration test\w*)\b/i,
+    'Cloud Architecture': /\b(aws|azure|gcp|google cloud|cloud architect\w*|kubernetes)\b/i,
+    'Healthcare Tech': /\b(ehr|emr|epic systems|health informatics|clinical informatics)\b/i,
+    'Robotics Maintenance': /\b(robotics?|plc|automation technician)\b/i,
+    'UX/UI Design': /\b(ux|ui\/ux|user experience|figma|interaction design)\b/i,
+    'Digital Marketing': /\b(digital marketing|seo|social media marketing|google ads)\b/i,
+    'Project Management': /\b(project manag\w*|pmp|scrum|agile)\b/i,
+    'Human-AI Collaboration': /\b(ai[- ]assisted|ai[- ]augmented|ai tools|copilot)\b/i,
+    'AI Ethics/Governance': /\b(ai ethics|responsible ai|ai governance|model risk)\b/i,
+    'Prompt Engineering': /\bprompt (engineer\w*|design)\b/i,
+    'Renewable Energy Tech': /\b(solar|wind turbine\w*|renewable energy|ev charging)\b/i,
+    'Elder Care': /\b(elder care|home health aide|caregiver|assisted living)\b/i,
+    'Mental Health Services': /\b(mental health|behavioral health|counsel(l)?ing|therapist)\b/i,
+    'Data Entry': /\bdata entry\b/i,
+    'Basic Bookkeeping': /\b(bookkeep\w*|accounts (payable|receivable))\b/i,
+    'Assembly Line Work': /\b(assembly line|assembler|production line)\b/i,
+    'Telemarketing': /\b(telemarket\w*|outbound calls|cold calling)\b/i,
+    'Cashier Operations': /\b(cashier|point of sale)\b/i,
+    'Basic Customer Service': /\b(customer service|customer support|call cent(er|re))\b/i,
+    'Filing/Records Management': /\b(filing|records management|document management)\b/i,
+    'Routine Analysis': /\b(reporting analyst|report generation|data reconciliation)\b/i,
+    'Manual QA Testing': /\b(manual test\w*|qa tester|test cases)\b/i,
+    'Basic Translation': /\b(translat\w*|interpreter)\b/i,
+    'Generative AI': /\b(generative ai|genai|gen ai)\b/i,
+    'LLMs': /\b(llms?|large language models?|chatgpt)\b/i,
+    'MLOps': /\bmlops\b/i,
+    'Python': /\bpython\b/i,
+    'JavaScript': /\b(javascript|typescript|react|node\.?js)\b/i,
+    'SQL': /\bsql\b/i,
+    'Excel': /\bexcel\b/i,
+    'Communication': /\bcommunication\b/i,
+    'Leadership': /\bleadership\b/i,
+    'Nursing': /\b(registered nurse|nursing|lpn)\b/i,
+    'CDL': /\b(cdl|commercial driver\w*)\b/i
+};
+
+const AI_PATTERN = /\b(ai|artificial intelligence|machine learning|deep learning|generative|genai|llms?|large language models?|chatgpt|gpt-?\d*|copilot|prompt engineer\w*|neural networks?)\b/i;
+
+// Titles counted in aiJobTrends, by the keys JobPostingDataService reports
+const AI_ROLES = {
+    promptEngineer: /\bprompt engineer/i,
+    mlEngineer: /\b(machine learning|ml|ai) engineer/i,
+    aiEthicist: /\b(ai ethic\w*|responsible ai|ai governance)/i,
+    dataScientist: /\bdata scientist/i,
+    roboticsEngineer: /\brobotics engineer/i
+};
+
+const REMOTE_LOCATION = /\b(remote|anywhere|work from home|wfh)\b/i;
+const REMOTE_DESCRIPTION = /\b(fully remote|100% remote|remote[- ](first|position|role|job)|work from home)\b/i;
+
+/**
+ * Posting field a column or JSON key holds, if any
+ */
+function fieldFor(key) {
+    const normalized = String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+}
+
+/**
+ * Category a sector name reports under
+ * @param {string} sector
+ */
+function categoryFor(sector) {
+    const normalized = String(sector || '').trim().toLowerCase().replace(/_/g, ' ').replace(/&/g, 'and');
+    if (!normalized) return 'other';
+    const known = Object.keys(CATEGORY_ALIASES).find(category => CATEGORY_ALIASES[category].includes(normalized));
+    return known || normalized.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Annual salary from a number or text such as "$85,000 - $95,000", "85k" or "$22.50/hr"
+ * @returns {number|null} null when no salary is given
+ */
+function parseSalary(raw) {
+    if (raw === null || raw === undefined || raw === '') return null;
+    if (typeof raw === 'number') {
+        if (!Number.isFinite(raw) || raw <= 0) return null;
+        return raw < 200 ? raw * HOURS_PER_YEAR : raw;
+    }
+
+    const text = String(raw);
+    const amounts = [...text.matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k)?/gi)]
+        .map(match => parseFloat(match[1].replace(/,/g, '')) * (match[2] ? 1000 : 1))
+        .filter(amount => amount > 0)
+        .slice(0, 2);
+    if (amounts.length === 0) return null;
+
+    const amount = amounts.reduce((a, b) => a + b, 0) / amounts.length;
+    const hourly = /(\/\s*h(ou)?r|per hour|hourly|an hour)/i.test(text) || amount < 200;
+    return Math.round(hourly ? amount * HOURS_PER_YEAR : amount);
+}
+
+/**
+ * Month a posting date falls in, from ISO dates or anything Date can read
+ * @returns {string|null}
+ */
+function postingMonth(raw) {
+    if (!raw) return null;
+    const month = toMonth(String(raw).trim());
+    if (month) return month;
+    // Read in local time, as "03/01/2025" means March wherever the user is
+    const date = new Date(raw);
+    if (isNaN(date.getTime())) return null;
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Compact record of one posting, with its skills and AI mention
+ * @param {Object} fields - title, sector, location, salary, date, description (and id)
+ * @param {string} where - "Line N", for errors
+ * @returns {{posting: Object|null, error: string|null}}
+ */
+function toPosting(fields, where) {
+    const title = String(fields.title || '').trim();
+    if (!title) {
+        return { posting: null, error: `${where}: the posting has no title` };
+    }
+    const month = postingMonth(fields.date);
+    if (!month) {
+        return { posting: null, error: `${where}: "${fields.date ?? ''}" is not a date` };
+    }
+
+    const location = String(fields.location || '').trim();
+    const description = String(fields.description || '');
+    const text = `${title}\n${description}`;
+
+    return {
+        posting: {
+            id: fields.id !== undefined && fields.id !== '' ? String(fields.id) : null,
+            title,
+            category: categoryFor(fields.sector),
+            location,
+            salary: parseSalary(fields.salary),
+            month,
+            remote: REMOTE_LOCATION.test(location) || REMOTE_DESCRIPTION.test(description),
+            ai: AI_PATTERN.test(text),
+            skills: Object.keys(SKILL_PATTERNS).filter(skill => SKILL_PATTERNS[skill].test(text))
+        },
+        error: null
+    };
+}
+
+/**
+ * Read a CSV dump. The header row names the columns (see FIELD_ALIASES).
+ * @returns {{postings: Object[], errors: string[]}}
+ */
+function parseJobPostingsCSV(text) {
+    const rows = splitCSV(String(text || ''));
+    if (rows.length === 0) return { postings: [], errors: ['The file is empty'] };
+
+    const columns = rows[0].cells.map(fieldFor);
+    const missing = ['title', 'date'].filter(field => !columns.includes(field));
+    if (missing.length > 0) {
+        return { postings: [], errors: [`Line 1: the header has no ${missing.join(' or ')} column`] };
+    }
+
+    const postings = [];
+    const errors = [];
+    rows.slice(1).forEach(({ cells, line }) => {
+        const fields = {};
+        columns.forEach((field, i) => {
+            if (field && cells[i] !== undefined) fields[field] = cells[i].trim();
+        });
+        const { posting, error } = toPosting(fields, `Line ${line}`);
+        if (posting) postings.push(posting);
+        else errors.push(error);
+    });
+
+    return { postings, errors };
+}
+
+/**
+ * Read a JSON Lines dump, one posting object per line
+ * @returns {{postings: Object[], errors: string[]}}
+ */
+function parseJobPostingsJSONL(text) {
+    const postings = [];
+    const errors = [];
+
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') return;
+        const where = `Line ${index + 1}`;
+
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            errors.push(`${where}: not valid JSON`);
+            return;
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push(`${where}: expected a posting object`);
+            return;
+        }
+
+        const fields = {};
+        Object.entries(record).forEach(([key, value]) => {
+            const field = fieldFor(key);
+            if (field && fields[field] === undefined) fields[field] = value;
+        });
+        const { posting, error } = toPosting(fields, where);
+        if (posting) postings.push(posting);
+        else errors.push(error);
+    });
+
+    return { postings, errors };
+}
+
+/**
+ * Read a job-posting dump. Rows that can't be read are skipped and listed in errors.
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv' or 'jsonl'; guessed from the contents when omitted
+ * @returns {{format: string, postings: Object[], errors: string[]}}
+ */
+function parseJobPostings(text, options = {}) {
+    // Spreadsheet exports often start with a byte order mark
+    const contents = String(text || '').replace(/^\uFEFF/, '');
+    const format = options.format || (contents.trimStart().startsWith('{') ? 'jsonl' : 'csv');
+    if (!JOB_POSTING_FORMATS.includes(format)) {
+        return { format, postings: [], errors: [`Unknown job posting format "${format}" (use ${JOB_POSTING_FORMATS.join(' or ')})`] };
+    }
+
+    const parsed = format === 'jsonl' ? parseJobPostingsJSONL(contents) : parseJobPostingsCSV(contents);
+    return { format, ...parsed };
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function monthsBetween(from, to) {
+    const index = (month) => {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return year * 12 + monthNumber - 1;
+    };
+    return index(to) - index(from);
+}
+
+function share(postings, test) {
+    return postings.length > 0 ? postings.filter(test).length / postings.length : null;
+}
+
+/**
+ * Aggregate posting records the way JobPostingDataService reports them
+ * @param {Object[]} postings - From parseJobPostings()
+ * @param {Object} [options]
+ * @param {number} [options.growthWindow=3] - Months compared for growth: the latest
+ *   this many against the same number before them (fewer when the dump is short)
+ * @param {number} [options.minSkillPostings=3] - Postings a skill needs to be reported
+ * @returns {Object} totalPostings, firstMonth, lastMonth, byCategory, timeline, aiJobTrends, skillDemand.
+ *   growthRate is annual, like the sample data's: the change between the two windows
+ *   (in postings for categories, in share of postings for skills) compounded to a year
+ */
+function aggregateJobPostings(postings, options = {}) {
+    const growthWindow = options.growthWindow ?? 3;
+    const minSkillPostings = options.minSkillPostings ?? 3;
+
+    const months = [...new Set(postings.map(p => p.month))].sort();
+    const span = Math.min(growthWindow, Math.floor(months.length / 2));
+    const recentMonths = new Set(span > 0 ? months.slice(-span) : []);
+    const earlierMonths = new Set(span > 0 ? months.slice(-2 * span, -span) : []);
+    const recent = postings.filter(p => recentMonths.has(p.month));
+    const earlier = postings.filter(p => earlierMonths.has(p.month));
+
+    // Change between the two windows as an annual rate; null when the dump covers
+    // under two months. The windows start `gap` months apart.
+    const gap = span > 0 ? monthsBetween(months[months.length - 2 * span], months[months.length - span]) : 0;
+    const growth = (before, after) => (span > 0 && before > 0 ? Math.pow(after / before, 12 / gap) - 1 : null);
+    const salaryOf = (list) => {
+        const mean = average(list.filter(p => p.salary !== null).map(p => p.salary));
+        return mean === null ? null : Math.round(mean);
+    };
+    const topSkills = (list, n) => {
+        const counts = {};
+        list.forEach(p => p.skills.forEach(skill => { counts[skill] = (counts[skill] || 0) + 1; }));
+        return Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, n).map(([skill]) => skill);
+    };
+
+    const byCategory = {};
+    [...new Set(postings.map(p => p.category))].sort().forEach(category => {
+        const inCategory = postings.filter(p => p.category === category);
+        byCategory[category] = {
+            postings: inCategory.length,
+            avgSalary: salaryOf(inCategory),
+            growthRate: growth(
+                earlier.filter(p => p.category === category).length,
+                recent.filter(p => p.category === category).length
+            ),
+            aiMentioned: share(inCategory, p => p.ai),
+            remoteRate: share(inCategory, p => p.remote),
+            topSkills: topSkills(inCategory, 5)
+        };
+    });
+
+    const timeline = months.map(month => {
+        const inMonth = postings.filter(p => p.month === month);
+        const counts = {};
+        inMonth.forEach(p => { counts[p.category] = (counts[p.category] || 0) + 1; });
+        return {
+            month,
+            postings: inMonth.length,
+            avgSalary: salaryOf(inMonth),
+            aiMentioned: share(inMonth, p => p.ai),
+            remoteRate: share(inMonth, p => p.remote),
+            byCategory: counts
+        };
+    });
+
+    const aiJobTrends = {
+        aiSpecificRoles: postings.filter(p => AI_PATTERN.test(p.title)).length,
+        aiMentionedRoles: postings.filter(p => p.ai).length
+    };
+    Object.entries(AI_ROLES).forEach(([role, pattern]) => {
+        aiJobTrends[role] = postings.filter(p => pattern.test(p.title)).length;
+    });
+
+    // Skill growth compares the share of postings asking for it, so a dump that
+    // samples more postings in later months doesn't make every skill look hot
+    const skillCounts = {};
+    postings.forEach(p => p.skills.forEach(skill => { skillCounts[skill] = (skillCounts[skill] || 0) + 1; }));
+    const mostAsked = Math.max(0, ...Object.values(skillCounts));
+    const skillDemand = { emerging: [], declining: [], stable: [] };
+
+    Object.entries(skillCounts)
+        .filter(([, count]) => count >= minSkillPostings)
+        .forEach(([skill, count]) => {
+            const withSkill = (p) => p.skills.includes(skill);
+            const before = share(earlier, withSkill);
+            const after = share(recent, withSkill);
+            const growthRate = before === null || after === null ? null : growth(before, after);
+            const entry = {
+                skill,
+                growthRate: growthRate === null ? null : Math.round(growthRate * 100) / 100,
+                demandIndex: Math.round(count / mostAsked * 100),
+                postings: count,
+                avgSalary: salaryOf(postings.filter(withSkill))
+            };
+            if (growthRate !== null && growthRate >= 0.25) skillDemand.emerging.push(entry);
+            else if (growthRate !== null && growthRate <= -0.05) skillDemand.declining.push(entry);
+            else skillDemand.stable.push(entry);
+        });
+    Object.values(skillDemand).forEach(list => list.sort((a, b) => b.demandIndex - a.demandIndex));
+
+    return {
+        source: 'postings',
+        totalPostings: postings.length,
+        firstMonth: months[0] || null,
+        lastMonth: months[months.length - 1] || null,
+        lastUpdated: new Date().toISOString(),
+        byCategory,
+        timeline,
+        aiJobTrends,
+        skillDemand
+    };
+}
+
+// Export for ES modules
+export {
+    JOB_POSTING_FORMATS,
+    CATEGORY_ALIASES,
+    SKILL_PATTERNS,
+    categoryFor,
+    parseSalary,
+    parseJobPostings,
+    aggregateJobPostings
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.parseJobPostings = parseJobPostings;
+}
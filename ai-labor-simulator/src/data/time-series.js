@@ -0,0 +1,386 @@
+/**
+ * Economic Time Series
+ *
+ * Month-indexed history of the BLS and FRED series the app uses, kept across
+ * fetches so it grows into full histories. Agencies revise recent months as
+ * late survey responses and benchmarks come in; when a fetch reports a new value
+ * for a month already held, the old value moves to that month's revisions with
+ * the time it was recorded, so a series can be read as it was known on any date.
+ *
+ * scripts/fetch-live-data.js keeps the store in public/data/time-series.json;
+ * the browser caches it in IndexedDB (TimeSeriesCache). Stored form:
+ *
+ *   { version: 1, updated: '2026-01-02T06:00:00.000Z',
+ *     series: { unemployment_rate: { source: 'bls', seriesId: 'LNS14000000', unit: 'percent',
+ *       observations: { '2024-10': { value: 4.1, recordedAt: '...',
+ *                                    revisions: [{ value: 4.0, recordedAt: '...' }] } } } } }
+ *
+ * Quarterly and annual series are stored at their period's first month.
+ */
+
+const TIME_SERIES_VERSION = 1;
+
+// Series the store keeps, by the names fetch-live-data.js gives them. BLS
+// reports employment and openings in thousands.
+const SERIES_CATALOG = {
+    unemployment_rate: { source: 'bls', seriesId: 'LNS14000000', unit: 'percent', label: 'Unemployment rate' },
+    total_employment: { source: 'bls', seriesId: 'CES0000000001', unit: 'persons', scale: 1000, label: 'Total nonfarm employment' },
+    labor_force_participation: { source: 'bls', seriesId: 'LNS11300000', unit: 'percent', label: 'Labor force participation' },
+    average_hourly_earnings: { source: 'bls', seriesId: 'CES0500000003', unit: 'USD', label: 'Average hourly earnings' },
+    job_openings: { source: 'bls', seriesId: 'JTS000000000000000JOL', unit: 'positions', scale: 1000, label: 'Job openings' },
+    quits_rate: { source: 'bls', seriesId: 'JTS000000000000000QUR', unit: 'percent', label: 'Quits rate' },
+    hires_rate: { source: 'bls', seriesId: 'JTS000000000000000HIR', unit: 'percent', label: 'Hires rate' },
+    real_gdp_growth: { source: 'fred', seriesId: 'A191RL1Q225SBEA', unit: 'percent_annualized', label: 'Real GDP growth' },
+    productivity_growth: { source: 'fred', seriesId: 'OPHNFB', unit: 'index_2017_100', label: 'Output per hour' },
+    unit_labor_costs: { source: 'fred', seriesId: 'ULCNFB', unit: 'index_2017_100', label: 'Unit labor costs' },
+    employment_cost_index: { source: 'fred', seriesId: 'ECIALLCIV', unit: 'index', label: 'Employment cost index' },
+    cpi_inflation: { source: 'fred', seriesId: 'CPIAUCSL', unit: 'index_1982_100', label: 'Consumer price index' },
+    real_median_income: { source: 'fred', seriesId: 'MEHOINUSA672N', unit: 'USD', label: 'Real median household income' },
+    labor_share: { source: 'fred', seriesId: 'LABSHPUSA156NRUG', unit: 'ratio', label: 'Labor share' }
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Month key ('YYYY-MM') of a date string, Date or month key
+ * @param {string|Date} date
+ * @returns {string|null}
+ */
+function toMonth(date) {
+    if (date instanceof Date) {
+        return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 7);
+    }
+    const month = String(date || '').slice(0, 7);
+    return MONTH_PATTERN.test(month) ? month : null;
+}
+
+function isMonth(value) {
+    return typeof value === 'string' && MONTH_PATTERN.test(value);
+}
+
+/**
+ * Month key a number of months before (negative) or after a month
+ */
+function shiftMonth(month, months) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const index = year * 12 + (monthNumber - 1) + months;
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Observations of a BLS API series (newest first, periods M01-M12; the M13
+ * annual average is skipped), scaled to the store's units
+ * @param {string} name - Store series name, for its scale
+ * @param {Object[]} data - series.data from the BLS API
+ * @returns {Array<{month: string, value: number}>}
+ */
+function blsObservations(name, data) {
+    const scale = SERIES_CATALOG[name]?.scale || 1;
+    return (data || [])
+        .filter(d => /^M(0[1-9]|1[0-2])$/.test(d.period))
+        .map(d => ({ month: `${d.year}-${d.period.slice(1)}`, value: parseFloat(d.value) * scale }))
+        .filter(d => Number.isFinite(d.value));
+}
+
+/**
+ * Observations of a FRED series ({ date, value } with '.' for missing values)
+ * @param {Object[]} data
+ * @returns {Array<{month: string, value: number}>}
+ */
+function fredObservations(data) {
+    return (data || [])
+        .map(d => ({ month: toMonth(d.date), value: typeof d.value === 'number' ? d.value : parseFloat(d.value) }))
+        .filter(d => d.month && Number.isFinite(d.value));
+}
+
+class TimeSeriesStore {
+    constructor(config = {}) {
+        this.series = {};
+        this.updated = null;
+
+        if (config.data) {
+            this.merge(config.data);
+        }
+    }
+
+    /**
+     * Record a fetch of one series. New months are added; months whose value
+     * changed keep the old value as a revision.
+     * @param {string} name - Series name (see SERIES_CATALOG)
+     * @param {Array<{month: string, value: number}>} observations
+     * @param {Object} [options]
+     * @param {string} [options.recordedAt] - When the values were fetched (ISO time)
+     * @param {string} [options.source] - 'bls' or 'fred'
+     * @param {string} [options.seriesId] - Agency series id
+     * @param {string} [options.unit]
+     * @returns {{added: number, revised: number}}
+     */
+    record(name, observations, options = {}) {
+        const recordedAt = options.recordedAt || new Date().toISOString();
+        const catalog = SERIES_CATALOG[name] || {};
+        const series = this.series[name] || (this.series[name] = {
+            source: options.source || catalog.source || null,
+            seriesId: options.seriesId || catalog.seriesId || null,
+            unit: options.unit || catalog.unit || null,
+            observations: {}
+        });
+
+        let added = 0;
+        let revised = 0;
+
+        (observations || []).forEach(({ month, value }) => {
+            if (!isMonth(month) || !Number.isFinite(value)) return;
+
+            const existing = series.observations[month];
+            if (!existing) {
+                series.observations[month] = { value, recordedAt };
+                added++;
+            } else if (existing.value !== value) {
+                series.observations[month] = {
+                    value,
+                    recordedAt,
+                    revisions: [...(existing.revisions || []), { value: existing.value, recordedAt: existing.recordedAt }]
+                };
+                revised++;
+            }
+        });
+
+        if (added + revised > 0) {
+            this.updated = recordedAt > (this.updated || '') ? recordedAt : this.updated;
+        }
+        return { added, revised };
+    }
+
+    /**
+     * Add another store's contents (e.g. the IndexedDB cache and the fetched file).
+     * For each month the later recording is current; earlier ones become revisions.
+     * @param {Object} data - toJSON() of another store
+     */
+    merge(data) {
+        if (!data || !data.series) return this;
+        if (data.version !== undefined && data.version > TIME_SERIES_VERSION) {
+            throw new Error(`Time series version ${data.version} is newer than this app understands`);
+        }
+
+        Object.entries(data.series).forEach(([name, incoming]) => {
+            const series = this.series[name] || (this.series[name] = {
+                source: incoming.source || null,
+                seriesId: incoming.seriesId || null,
+                unit: incoming.unit || null,
+                observations: {}
+            });
+
+            Object.entries(incoming.observations || {}).forEach(([month, observation]) => {
+                const recordings = [
+                    ...allRecordings(series.observations[month]),
+                    ...allRecordings(observation)
+                ];
+
+                // One entry per recording time, oldest first
+                const byTime = new Map();
+                recordings.forEach(r => byTime.set(r.recordedAt, r));
+                const ordered = [...byTime.values()].sort((a, b) => (a.recordedAt || '').localeCompare(b.recordedAt || ''));
+
+                const current = ordered[ordered.length - 1];
+                const revisions = ordered.slice(0, -1);
+                series.observations[month] = revisions.length > 0
+                    ? { value: current.value, recordedAt: current.recordedAt, revisions }
+                    : { value: current.value, recordedAt: current.recordedAt };
+            });
+        });
+
+        if (data.updated && data.updated > (this.updated || '')) {
+            this.updated = data.updated;
+        }
+        return this;
+    }
+
+    has(name) {
+        return !!this.series[name] && Object.keys(this.series[name].observations).length > 0;
+    }
+
+    /**
+     * Observations of a series in month order
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {string} [options.from] - First month ('YYYY-MM'), inclusive
+     * @param {string} [options.to] - Last month, inclusive
+     * @param {string} [options.asOf] - Read values as they were known at this time (ISO date);
+     *   months first recorded later are left out
+     * @returns {Array<{month: string, value: number}>}
+     */
+    getSeries(name, options = {}) {
+        const series = this.series[name];
+        if (!series) return [];
+
+        const from = options.from ? toMonth(options.from) : null;
+        const to = options.to ? toMonth(options.to) : null;
+
+        return Object.keys(series.observations)
+            .filter(month => (!from || month >= from) && (!to || month <= to))
+            .sort()
+            .map(month => ({ month, value: valueAsOf(series.observations[month], options.asOf) }))
+            .filter(observation => observation.value !== null);
+    }
+
+    /**
+     * Latest observation of a series on or before a month, so quarterly and
+     * annual series can be read at any month
+     * @param {string} name
+     * @param {string} month - 'YYYY-MM'
+     * @param {Object} [options] - asOf, as for getSeries()
+     * @returns {{month: string, value: number}|null}
+     */
+    getObservation(name, month, options = {}) {
+        const observations = this.getSeries(name, { to: month, asOf: options.asOf });
+        return observations.length > 0 ? observations[observations.length - 1] : null;
+    }
+
+    /**
+     * Every value recorded for one month, oldest first (the last is current)
+     * @returns {Array<{value: number, recordedAt: string}>}
+     */
+    getRevisions(name, month) {
+        return allRecordings(this.series[name]?.observations?.[month]);
+    }
+
+    /**
+     * Series held, with their coverage
+     * @returns {Object[]} { name, label, source, seriesId, unit, first, last, count, revisedMonths }
+     */
+    listSeries() {
+        return Object.entries(this.series).map(([name, series]) => {
+            const months = Object.keys(series.observations).sort();
+            return {
+                name,
+                label: SERIES_CATALOG[name]?.label || name,
+                source: series.source,
+                seriesId: series.seriesId,
+                unit: series.unit,
+                first: months[0] || null,
+                last: months[months.length - 1] || null,
+                count: months.length,
+                revisedMonths: months.filter(month => series.observations[month].revisions).length
+            };
+        });
+    }
+
+    /**
+     * First and last month any of the named series (default: all) covers
+     * @param {string[]} [names]
+     * @returns {{first: string|null, last: string|null}}
+     */
+    getRange(names) {
+        const listed = this.listSeries().filter(s => s.count > 0 && (!names || names.includes(s.name)));
+        return {
+            first: listed.reduce((min, s) => (!min || s.first < min ? s.first : min), null),
+            last: listed.reduce((max, s) => (!max || s.last > max ? s.last : max), null)
+        };
+    }
+
+    toJSON() {
+        return {
+            version: TIME_SERIES_VERSION,
+            updated: this.updated,
+            series: this.series
+        };
+    }
+}
+
+function allRecordings(observation) {
+    if (!observation) return [];
+    return [...(observation.revisions || []), { value: observation.value, recordedAt: observation.recordedAt }];
+}
+
+function valueAsOf(observation, asOf) {
+    if (!asOf) return observation.value;
+    const known = allRecordings(observation).filter(r => !r.recordedAt || r.recordedAt <= asOf);
+    return known.length > 0 ? known[known.length - 1].value : null;
+}
+
+/**
+ * Browser cache of the store in IndexedDB, so history and revisions seen in
+ * earlier sessions persist. Does nothing where IndexedDB is unavailable.
+ */
+class TimeSeriesCache {
+    constructor(config = {}) {
+        this.dbName = config.dbName || 'ai-labor-simulator';
+        this.storeName = config.storeName || 'time-series';
+        this.key = config.key || 'store';
+        this.indexedDB = config.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    }
+
+    isAvailable() {
+        return !!this.indexedDB;
+    }
+
+    /**
+     * Cached store contents, or null
+     */
+    async load() {
+        if (!this.isAvailable()) return null;
+        const db = await this._open();
+        try {
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get(this.key);
+            return (await requestResult(request)) || null;
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Replace the cached store contents
+     * @param {Object} data - TimeSeriesStore.toJSON()
+     */
+    async save(data) {
+        if (!this.isAvailable()) return false;
+        const db = await this._open();
+        try {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).put(data, this.key);
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+            return true;
+        } finally {
+            db.close();
+        }
+    }
+
+    _open() {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(this.storeName)) {
+                request.result.createObjectStore(this.storeName);
+            }
+        };
+        return requestResult(request);
+    }
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Export for ES modules
+export {
+    TIME_SERIES_VERSION,
+    SERIES_CATALOG,
+    toMonth,
+    isMonth,
+    shiftMonth,
+    blsObservations,
+    fredObservations,
+    TimeSeriesStore,
+    TimeSeriesCache
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.TimeSeriesStore = TimeSeriesStore;
+}
@@ -0,0 +1,112 @@
+/**
+ * Data Vintages
+ *
+ * Every fetch of live BLS/FRED data is kept as a dated vintage
+ * (public/data/vintages/<id>.json, listed in vintages/index.json), so a run can
+ * be traced back to, and re-run against, the exact data it started from.
+ *
+ * Vintage ids name where a snapshot's data came from:
+ *   live-2025-12-27T05-34-01Z  - a live fetch (baseline values fill its gaps)
+ *   baseline-2024-12           - baseline-data.json alone, by its generated date
+ */
+
+const LIVE_VINTAGE_PREFIX = 'live-';
+const BASELINE_VINTAGE_PREFIX = 'baseline-';
+const LATEST_VINTAGE = 'latest';
+
+// Snapshot values compared between vintages
+const SNAPSHOT_FIELDS = [
+    { path: 'labor_market.unemployment_rate', label: 'Unemployment rate', unit: '%' },
+    { path: 'labor_market.total_employment', label: 'Total employment', unit: 'persons' },
+    { path: 'labor_market.labor_force_participation', label: 'Labor force participation', unit: '%' },
+    { path: 'labor_market.job_openings', label: 'Job openings', unit: 'positions' },
+    { path: 'labor_market.unemployed_count', label: 'Unemployed', unit: 'persons' },
+    { path: 'wages.average_hourly', label: 'Average hourly earnings', unit: 'USD' },
+    { path: 'wages.median_weekly', label: 'Median weekly earnings', unit: 'USD' },
+    { path: 'wages.real_wage_growth', label: 'Real wage growth', unit: '%' },
+    { path: 'productivity.growth_rate', label: 'Productivity growth', unit: '%' },
+    { path: 'productivity.output_per_hour', label: 'Output per hour', unit: 'index' }
+];
+
+/**
+ * Vintage id of a live fetch, from its fetch time (same format as scripts/fetch-live-data.js)
+ * @param {string} timestamp - ISO time of the fetch
+ */
+function liveVintageId(timestamp) {
+    return `${LIVE_VINTAGE_PREFIX}${String(timestamp).replace(/\.\d+Z$/, 'Z').replace(/:/g, '-')}`;
+}
+
+/**
+ * Vintage id of the baseline data file
+ * @param {Object} baselineData - Contents of baseline-data.json
+ */
+function baselineVintageId(baselineData) {
+    return `${BASELINE_VINTAGE_PREFIX}${baselineData?.metadata?.generated || 'unknown'}`;
+}
+
+function isBaselineVintage(id) {
+    return typeof id === 'string' && id.startsWith(BASELINE_VINTAGE_PREFIX);
+}
+
+/**
+ * Short label for a vintage index entry
+ * @param {Object} entry - { id, fetchedAt, sources }
+ */
+function formatVintageLabel(entry) {
+    if (!entry) return 'Unknown data';
+    if (isBaselineVintage(entry.id)) {
+        return `Baseline data (${entry.id.slice(BASELINE_VINTAGE_PREFIX.length)})`;
+    }
+    const date = entry.fetchedAt ? entry.fetchedAt.slice(0, 10) : entry.id;
+    const usable = entry.sources?.bls === 'success';
+    return `Live data fetched ${date}${usable ? '' : ' (fetch failed, baseline values)'}`;
+}
+
+/**
+ * Compare the values two snapshots were built from
+ * @param {Object} before - Snapshot from EconomicDataService (the original vintage)
+ * @param {Object} after - Snapshot to compare against (e.g. the latest vintage)
+ * @returns {{from: string|null, to: string|null, changes: Object[], changed: number}}
+ */
+function diffSnapshots(before, after) {
+    const read = (snapshot, path) => path.split('.').reduce((value, key) => value?.[key], snapshot);
+
+    const changes = SNAPSHOT_FIELDS.map(field => {
+        const from = read(before, field.path);
+        const to = read(after, field.path);
+        const change = Number.isFinite(from) && Number.isFinite(to) ? to - from : null;
+        return {
+            ...field,
+            from: from ?? null,
+            to: to ?? null,
+            change,
+            changePercent: change !== null && from !== 0 ? change / Math.abs(from) * 100 : null,
+            changed: from !== to
+        };
+    });
+
+    return {
+        from: before?.vintageId || null,
+        to: after?.vintageId || null,
+        changes,
+        changed: changes.filter(c => c.changed).length
+    };
+}
+
+// Export for ES modules
+export {
+    LIVE_VINTAGE_PREFIX,
+    BASELINE_VINTAGE_PREFIX,
+    LATEST_VINTAGE,
+    SNAPSHOT_FIELDS,
+    liveVintageId,
+    baselineVintageId,
+    isBaselineVintage,
+    formatVintageLabel,
+    diffSnapshots
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.diffSnapshots = diffSnapshots;
+}
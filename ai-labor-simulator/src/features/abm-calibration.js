@@ -0,0 +1,360 @@
+/**
+ * ABM Behavioral Calibration
+ * Approximate Bayesian computation (rejection sampling) for the agents' behavioral
+ * constants. Parameter sets are drawn from the uniform priors in behavior.js, each
+ * set drives real ABMSimulationEngine replicates, and the draws whose emergent
+ * moments land closest to the BLS targets in baseline data form the posterior.
+ */
+
+import { ABMSimulationEngine } from '../abm/engine.js';
+import { BEHAVIOR_PARAMETERS } from '../abm/behavior.js';
+import { createRNG, generateSeed } from '../utils/random.js';
+
+// Emergent moments compared with baseline data. Targets are read from the data,
+// simulated values are averaged over the months after burn-in.
+const MOMENTS = {
+    unemployment_rate: {
+        name: 'Unemployment Rate',
+        format: 'percent',
+        target: (data) => data.labor_market?.unemployment_rate?.value / 100,
+        extractor: (month) => month.unemploymentRate
+    },
+    job_finding_rate: {
+        name: 'Job Finding Rate (monthly)',
+        format: 'percent',
+        target: (data) => data.labor_market?.job_finding_rate?.value / 100,
+        extractor: (month) => month.jobFindingRate
+    },
+    quits_rate: {
+        name: 'Quits Rate (monthly)',
+        format: 'percent',
+        target: (data) => data.labor_market?.quits_rate?.value / 100,
+        extractor: (month) => month.quitsRate
+    },
+    wage_dispersion: {
+        name: 'Wage Dispersion (P90/P10)',
+        format: 'ratio',
+        target: (data) => data.wages?.p90_p10_ratio?.value,
+        extractor: (month) => month.wageDistribution && month.wageDistribution.p10 > 0
+            ? month.wageDistribution.p90 / month.wageDistribution.p10
+            : null
+    }
+};
+
+// Parameters fitted when the caller does not choose: the ones that move the targeted flows
+const DEFAULT_PARAMETERS = [
+    'searchThreshold',
+    'applicationLimit',
+    'reservationWageRatio',
+    'maxOffersPerPosition',
+    'laborForceExitProbability',
+    'laborForceReentryProbability'
+];
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function quantile(sortedValues, q) {
+    const position = (sortedValues.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+class ABMCalibration {
+    /**
+     * @param {Function|null} engineFactory - (config) => ABM engine; defaults to ABMSimulationEngine
+     */
+    constructor(engineFactory = null) {
+        this.engineFactory = engineFactory;
+        this.results = null;
+        this.isRunning = false;
+        this.configure();
+    }
+
+    /**
+     * Configure sampling and the engine runs behind each draw
+     */
+    configure(options = {}) {
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : generateSeed();
+
+        this.parameters = options.parameters || DEFAULT_PARAMETERS;
+        this.parameters.forEach(id => {
+            if (!BEHAVIOR_PARAMETERS[id]) {
+                throw new Error(`Unknown behavioral parameter "${id}"`);
+            }
+        });
+
+        this.moments = options.moments || Object.keys(MOMENTS);
+        this.samples = options.samples ?? 40;
+        this.acceptanceRate = options.acceptanceRate ?? 0.25;
+        this.replicates = Math.max(1, options.replicates ?? 1);
+
+        // Calibration needs many runs, so populations are small and the horizon short
+        this.engineConfig = {
+            numWorkers: options.numWorkers ?? 500,
+            numFirms: options.numFirms ?? 40,
+            numRegions: options.numRegions ?? 10,
+            durationMonths: options.durationMonths ?? 24
+        };
+        this.burnIn = options.burnIn ?? 6;
+        this.scenario = options.scenario || {};
+    }
+
+    /**
+     * Target value of every moment from baseline data
+     */
+    getTargets(baselineData) {
+        const targets = {};
+        this.moments.forEach(id => {
+            const value = MOMENTS[id].target(baselineData || {});
+            if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+                throw new Error(`Baseline data has no target for ${MOMENTS[id].name}`);
+            }
+            targets[id] = value;
+        });
+        return targets;
+    }
+
+    /**
+     * Draw one parameter set from the uniform priors
+     */
+    samplePrior(rng) {
+        const behavior = {};
+        this.parameters.forEach(id => {
+            const param = BEHAVIOR_PARAMETERS[id];
+            const value = param.min + rng() * (param.max - param.min);
+            behavior[id] = param.integer ? Math.round(value) : value;
+        });
+        return behavior;
+    }
+
+    /**
+     * Run the replicates for one parameter set and average each moment after burn-in
+     */
+    async simulateMoments(behavior, seed, initialUnemploymentRate) {
+        const perReplicate = [];
+
+        for (let r = 0; r < this.replicates; r++) {
+            const config = { ...this.engineConfig, seed: `${seed}/${r}`, behavior };
+            const engine = this.engineFactory ? this.engineFactory(config) : new ABMSimulationEngine(config);
+            const results = await engine.runSimulation({
+                initialUnemploymentRate,
+                ...this.scenario
+            });
+
+            const months = results.monthly.slice(Math.min(this.burnIn, results.monthly.length - 1));
+            const moments = {};
+            this.moments.forEach(id => {
+                const values = months.map(MOMENTS[id].extractor).filter(v => v !== null && isFinite(v));
+                moments[id] = values.length > 0 ? mean(values) : null;
+            });
+            perReplicate.push(moments);
+        }
+
+        const moments = {};
+        this.moments.forEach(id => {
+            const values = perReplicate.map(m => m[id]).filter(v => v !== null);
+            moments[id] = values.length > 0 ? mean(values) : null;
+        });
+        return moments;
+    }
+
+    /**
+     * Root mean squared relative error of the moments against their targets
+     */
+    distance(moments, targets) {
+        const errors = this.moments.map(id => moments[id] === null
+            ? Infinity
+            : Math.pow((moments[id] - targets[id]) / targets[id], 2));
+        return Math.sqrt(mean(errors));
+    }
+
+    /**
+     * Summarize accepted draws of one parameter
+     */
+    summarizePosterior(id, values) {
+        const param = BEHAVIOR_PARAMETERS[id];
+        const sorted = [...values].sort((a, b) => a - b);
+        const m = mean(values);
+        const bins = 10;
+        const width = (param.max - param.min) / bins;
+        const histogram = new Array(bins).fill(0);
+        values.forEach(v => {
+            histogram[Math.min(bins - 1, Math.floor((v - param.min) / width))]++;
+        });
+
+        return {
+            name: param.name,
+            prior: { min: param.min, max: param.max, default: param.default },
+            mean: m,
+            stdDev: Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / values.length),
+            median: quantile(sorted, 0.5),
+            low: quantile(sorted, 0.05),
+            high: quantile(sorted, 0.95),
+            histogram
+        };
+    }
+
+    /**
+     * Rejection ABC: sample the priors, simulate each draw, keep the closest
+     * acceptanceRate share. The posterior medians form a `behavior` object that
+     * can be passed straight to ABMSimulationEngine.
+     * @param {Object} baselineData - Contents of baseline-data.json (targets)
+     * @param {Object} [options] - progressCallback({ current, total })
+     */
+    async run(baselineData, options = {}) {
+        this.isRunning = true;
+
+        try {
+            const targets = this.getTargets(baselineData);
+            const rng = createRNG(`${this.seed}/abc`);
+            const initialUnemploymentRate = targets.unemployment_rate ?? 0.04;
+
+            const draws = [];
+            for (let i = 0; i < this.samples; i++) {
+                const behavior = this.samplePrior(rng);
+                const moments = await this.simulateMoments(behavior, `${this.seed}/${i}`, initialUnemploymentRate);
+                draws.push({ behavior, moments, distance: this.distance(moments, targets), accepted: false });
+
+                if (options.progressCallback) {
+                    options.progressCallback({ current: i + 1, total: this.samples });
+                }
+            }
+
+            // The tolerance is the distance of the last accepted draw
+            const ranked = [...draws].sort((a, b) => a.distance - b.distance);
+            const acceptedCount = Math.max(2, Math.round(this.samples * this.acceptanceRate));
+            const accepted = ranked.slice(0, Math.min(acceptedCount, ranked.length));
+            const acceptedSet = new Set(accepted);
+            draws.forEach(draw => { draw.accepted = acceptedSet.has(draw); });
+
+            const posterior = {};
+            const behavior = {};
+            this.parameters.forEach(id => {
+                posterior[id] = this.summarizePosterior(id, accepted.map(d => d.behavior[id]));
+                behavior[id] = BEHAVIOR_PARAMETERS[id].integer
+                    ? Math.round(posterior[id].median)
+                    : posterior[id].median;
+            });
+
+            const fit = {};
+            this.moments.forEach(id => {
+                const simulated = accepted.map(d => d.moments[id]).filter(v => v !== null);
+                fit[id] = {
+                    name: MOMENTS[id].name,
+                    format: MOMENTS[id].format,
+                    target: targets[id],
+                    posteriorMean: simulated.length > 0 ? mean(simulated) : null,
+                    priorMean: mean(draws.map(d => d.moments[id]).filter(v => v !== null))
+                };
+            });
+
+            this.results = {
+                seed: this.seed,
+                samples: this.samples,
+                replicates: this.replicates,
+                engineConfig: { ...this.engineConfig },
+                accepted: accepted.length,
+                tolerance: accepted[accepted.length - 1].distance,
+                targets,
+                posterior,
+                behavior,
+                fit,
+                draws
+            };
+            return this.results;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Render posterior summaries and moment fit
+     */
+    generateHTML(results = this.results) {
+        if (!results) {
+            return '<p style="color: var(--gray-500);">No calibration results available.</p>';
+        }
+
+        const value = (v, format) => {
+            if (v === null || v === undefined || !isFinite(v)) return '—';
+            return format === 'percent' ? `${(v * 100).toFixed(1)}%` : v.toFixed(2);
+        };
+        const number = (v) => (Math.abs(v) >= 10 ? v.toFixed(1) : v.toFixed(3));
+
+        const parameterRows = Object.entries(results.posterior).map(([id, p]) => {
+            const peak = Math.max(...p.histogram, 1);
+            const bars = p.histogram.map(count => `
+                <div style="flex: 1; background: var(--primary); opacity: 0.7; height: ${Math.round(count / peak * 24)}px;"></div>
+            `).join('');
+            return `
+                <tr>
+                    <td>${p.name}</td>
+                    <td>${number(p.prior.min)} – ${number(p.prior.max)}</td>
+                    <td>${number(p.prior.default)}</td>
+                    <td><strong>${number(results.behavior[id])}</strong></td>
+                    <td>${number(p.low)} – ${number(p.high)}</td>
+                    <td><div style="display: flex; align-items: flex-end; gap: 1px; width: 100px; height: 24px;">${bars}</div></td>
+                </tr>
+            `;
+        }).join('');
+
+        const momentRows = Object.values(results.fit).map(m => `
+            <tr>
+                <td>${m.name}</td>
+                <td>${value(m.target, m.format)}</td>
+                <td>${value(m.priorMean, m.format)}</td>
+                <td>${value(m.posteriorMean, m.format)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="abm-calibration">
+                <p style="color: var(--gray-600); margin-bottom: 16px;">
+                    ${results.accepted} of ${results.samples} prior draws accepted
+                    (tolerance ${results.tolerance.toFixed(3)} relative error, seed ${results.seed}),
+                    each from ${results.replicates} run${results.replicates === 1 ? '' : 's'} of
+                    ${results.engineConfig.numWorkers.toLocaleString()} workers over ${results.engineConfig.durationMonths} months.
+                    Histograms show the accepted draws across each prior range.
+                </p>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Parameter</th>
+                            <th>Prior</th>
+                            <th>Default</th>
+                            <th>Posterior Median</th>
+                            <th>90% Interval</th>
+                            <th>Posterior</th>
+                        </tr>
+                    </thead>
+                    <tbody>${parameterRows}</tbody>
+                </table>
+                <h4 style="margin: 16px 0 8px;">Moments</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Moment</th>
+                            <th>BLS Target</th>
+                            <th>Prior Mean</th>
+                            <th>Posterior Mean</th>
+                        </tr>
+                    </thead>
+                    <tbody>${momentRows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Export for ES modules
+export { ABMCalibration, MOMENTS as ABM_CALIBRATION_MOMENTS };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.ABMCalibration = ABMCalibration;
+}
@@ -1,8 +1,40 @@
 /**
  * ABM Sensitivity Analysis
  * Analyzes parameter sensitivity specifically for Agent-Based Model simulations
+ *
+ * Every point is a real ABMSimulationEngine run, replicated across seeds so
+ * outcomes and elasticities come with confidence bands.
  */
 
+import { ABMSimulationEngine } from '../abm/engine.js';
+import { generateSeed } from '../utils/random.js';
+
+// Config keys that size the engine; every other key is passed to the run as scenario input
+const ENGINE_CONFIG_KEYS = ['numWorkers', 'numFirms', 'numRegions', 'numTrainingPrograms', 'durationMonths', 'demandFeedback', 'demographics', 'fiscal', 'behavior'];
+
+// Two-sided 95% Student t critical values by degrees of freedom
+const T_CRITICAL_95 = [null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228];
+
+/**
+ * Mean and 95% confidence interval of the mean
+ */
+function confidenceBand(values) {
+    const n = values.length;
+    if (n === 0) return null;
+
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    if (n === 1) {
+        return { mean, stdDev: 0, low: mean, high: mean, n };
+    }
+
+    const stdDev = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (n - 1));
+    const df = n - 1;
+    const t = T_CRITICAL_95[df] || (df <= 20 ? 2.086 : df <= 30 ? 2.042 : 1.96);
+    const halfWidth = t * stdDev / Math.sqrt(n);
+
+    return { mean, stdDev, low: mean - halfWidth, high: mean + halfWidth, n };
+}
+
 class ABMSensitivityAnalysis {
     constructor() {
         // ABM-specific parameters
@@ -30,35 +62,33 @@ class ABMSensitivityAnalysis {
                 name: 'AI Adoption Speed',
                 baseValue: 1.0,
                 range: { min: 0.5, max: 2.0, step: 0.25 },
-                description: 'Multiplier for AI adoption rate'
+                description: 'Multiplier on the pace of AI capability growth'
             },
             laborMarketFriction: {
                 name: 'Labor Market Friction',
                 baseValue: 0.1,
-                range: { min: 0.02, max: 0.25, step: 0.03 },
+                range: { min: 0, max: 0.25, step: 0.05 },
                 format: 'percent',
-                description: 'Difficulty of job matching'
+                description: 'Share of visible job postings a searcher still misses'
             },
             retrainingEffectiveness: {
                 name: 'Retraining Effectiveness',
-                baseValue: 0.3,
-                range: { min: 0.1, max: 0.6, step: 0.1 },
-                format: 'percent',
-                description: 'Success rate of retraining programs'
+                baseValue: 1.0,
+                range: { min: 0.5, max: 2.0, step: 0.25 },
+                description: 'Multiplier on skills gained by retraining graduates'
             },
             wageFlexibility: {
                 name: 'Wage Flexibility',
-                baseValue: 0.05,
-                range: { min: 0.01, max: 0.15, step: 0.02 },
-                format: 'percent',
-                description: 'How quickly wages adjust to market conditions'
+                baseValue: 1.0,
+                range: { min: 0.25, max: 2.0, step: 0.25 },
+                description: 'Multiplier on how quickly wages adjust to market conditions'
             },
             informationSpread: {
                 name: 'Information Spread Rate',
-                baseValue: 0.1,
+                baseValue: 0.05,
                 range: { min: 0.02, max: 0.2, step: 0.03 },
                 format: 'percent',
-                description: 'Rate at which workers learn about opportunities'
+                description: 'Rate at which information spreads through worker networks'
             }
         };
 
@@ -103,50 +133,66 @@ class ABMSensitivityAnalysis {
 
         this.analysisCache = new Map();
         this.isRunning = false;
+        this.configure();
+    }
+
+    /**
+     * Configure replication
+     */
+    configure(options = {}) {
+        // Runs per parameter value
+        this.replicates = Math.max(1, options.replicates || 3);
+
+        // Replicate r runs with seed `${seed}/r` at every parameter value (common random
+        // numbers), so differences between values are not differences between seeds
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : generateSeed();
     }
 
     /**
      * Run single parameter sensitivity analysis
+     * @param {string} paramId - Parameter to vary
+     * @param {Function|null} engineFactory - (config) => ABM engine; defaults to ABMSimulationEngine
+     * @param {Object} baseConfig - Engine sizes and scenario inputs held fixed
+     * @param {Function} progressCallback - Called before each run
      */
-    async runSingleParameterAnalysis(paramId, engine, baseConfig, progressCallback) {
+    async runSingleParameterAnalysis(paramId, engineFactory, baseConfig, progressCallback) {
         const param = this.parameters[paramId];
         if (!param) return null;
 
         const results = [];
         const testValues = this.generateTestValues(param);
+        const totalRuns = testValues.length * this.replicates;
 
         for (let i = 0; i < testValues.length; i++) {
             const value = testValues[i];
 
-            if (progressCallback) {
-                progressCallback({
-                    parameter: param.name,
-                    current: i + 1,
-                    total: testValues.length,
-                    value
-                });
-            }
-
             // Create modified config
             const config = this.applyParameterValue(baseConfig, paramId, value);
 
             try {
-                // Run ABM simulation
-                const simResults = await this.runABMSimulation(engine, config);
-
-                // Extract outcomes
-                const outcomeValues = {};
-                Object.entries(this.outcomes).forEach(([id, outcome]) => {
-                    try {
-                        outcomeValues[id] = outcome.extractor(simResults);
-                    } catch (e) {
-                        outcomeValues[id] = null;
+                const replicates = [];
+                for (let r = 0; r < this.replicates; r++) {
+                    if (progressCallback) {
+                        progressCallback({
+                            parameter: param.name,
+                            current: i * this.replicates + r + 1,
+                            total: totalRuns,
+                            value,
+                            replicate: r + 1
+                        });
                     }
-                });
+
+                    // Run ABM simulation
+                    const simResults = await this.runABMSimulation(engineFactory, config, `${this.seed}/${r}`);
+                    replicates.push(this.extractOutcomes(simResults));
+                }
 
                 results.push({
                     paramValue: value,
-                    outcomes: outcomeValues
+                    ...this.summarizeReplicates(replicates),
+                    replicates
                 });
             } catch (error) {
                 console.error(`ABM sensitivity error at ${paramId}=${value}:`, error);
@@ -157,10 +203,47 @@ class ABMSensitivityAnalysis {
             parameter: param,
             parameterId: paramId,
             results,
-            baseValue: param.baseValue
+            baseValue: param.baseValue,
+            source: 'abm',
+            seed: this.seed,
+            replicates: this.replicates
         };
     }
 
+    /**
+     * Extract every outcome from one run
+     */
+    extractOutcomes(simResults) {
+        const outcomeValues = {};
+        Object.entries(this.outcomes).forEach(([id, outcome]) => {
+            try {
+                outcomeValues[id] = outcome.extractor(simResults);
+            } catch (e) {
+                outcomeValues[id] = null;
+            }
+        });
+        return outcomeValues;
+    }
+
+    /**
+     * Replicate means (outcomes) and their 95% confidence bands
+     */
+    summarizeReplicates(replicates) {
+        const outcomes = {};
+        const bands = {};
+
+        Object.keys(this.outcomes).forEach(id => {
+            const values = replicates
+                .map(r => r[id])
+                .filter(v => v !== null && v !== undefined && !isNaN(v));
+            const band = confidenceBand(values);
+            outcomes[id] = band ? band.mean : null;
+            bands[id] = band;
+        });
+
+        return { outcomes, bands };
+    }
+
     /**
      * Generate test values for a parameter
      */
@@ -209,42 +292,31 @@ class ABMSensitivityAnalysis {
     }
 
     /**
-     * Run ABM simulation with given config
+     * Run one ABM simulation with given config
+     * @param {Function|null} engineFactory - (config) => ABM engine
+     * @param {Object} config - Engine sizes plus scenario inputs
+     * @param {string|number} seed - Seed for this run
      */
-    async runABMSimulation(engine, config) {
-        // This integrates with the ABM engine
-        if (typeof engine.runSimulation === 'function') {
-            return await engine.runSimulation(config);
-        }
-
-        // Fallback: create mock results for development
-        return this.generateMockResults(config);
-    }
+    async runABMSimulation(engineFactory, config, seed) {
+        const engineConfig = { seed };
+        const scenario = {};
+
+        Object.entries(config).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            if (ENGINE_CONFIG_KEYS.includes(key)) {
+                engineConfig[key] = value;
+            } else if (key === 'simulationMonths') {
+                engineConfig.durationMonths = engineConfig.durationMonths || value;
+            } else {
+                scenario[key] = value;
+            }
+        });
 
-    /**
-     * Generate mock results for development/testing
-     */
-    generateMockResults(config) {
-        const baseUR = 0.05 + Math.random() * 0.03;
-        const adoptionFactor = config.initialAIAdoption || 0.2;
-        const frictionFactor = config.laborMarketFriction || 0.1;
+        const engine = engineFactory
+            ? engineFactory(engineConfig)
+            : new ABMSimulationEngine(engineConfig);
 
-        return {
-            summary: {
-                initial: { unemploymentRate: 0.05, aiAdoptionRate: adoptionFactor },
-                final: {
-                    unemploymentRate: baseUR + frictionFactor * 0.5 - adoptionFactor * 0.2,
-                    aiAdoptionRate: Math.min(0.9, adoptionFactor + 0.4)
-                },
-                peakUnemployment: baseUR + frictionFactor * 0.8,
-                totalHires: Math.floor(100000 * (1 - frictionFactor)),
-                totalLayoffs: Math.floor(80000 * adoptionFactor),
-                finalPolicySupport: {
-                    ubi: { mean: 0.4 + adoptionFactor * 0.3 },
-                    retraining: { mean: 0.5 + frictionFactor * 0.2 }
-                }
-            }
-        };
+        return engine.runSimulation(scenario);
     }
 
     /**
@@ -277,9 +349,22 @@ class ABMSensitivityAnalysis {
             const paramValues = analysisResults.results.map(r => r.paramValue);
             const paramRange = Math.max(...paramValues) - Math.min(...paramValues);
             const paramMean = analysisResults.parameter.baseValue;
-            const elasticity = paramRange > 0 && paramMean > 0
-                ? (range / mean) / (paramRange / paramMean)
+            const elasticityOf = (outcomeRange, outcomeMean) => paramRange > 0 && paramMean > 0 && outcomeMean !== 0
+                ? (outcomeRange / outcomeMean) / (paramRange / paramMean)
                 : 0;
+            const elasticity = elasticityOf(range, mean);
+
+            // Same elasticity within each replicate's sweep, for a confidence band
+            const replicateCount = Math.min(...analysisResults.results.map(r => (r.replicates || []).length));
+            const replicateElasticities = [];
+            for (let i = 0; i < replicateCount; i++) {
+                const series = analysisResults.results
+                    .map(r => r.replicates[i][outcomeId])
+                    .filter(v => v !== null && v !== undefined && !isNaN(v));
+                if (series.length < 2) continue;
+                const seriesMean = series.reduce((a, b) => a + b, 0) / series.length;
+                replicateElasticities.push(Math.abs(elasticityOf(Math.max(...series) - Math.min(...series), seriesMean)));
+            }
 
             metrics[outcomeId] = {
                 name: outcome.name,
@@ -291,6 +376,7 @@ class ABMSensitivityAnalysis {
                 stdDev,
                 cv,
                 elasticity: Math.abs(elasticity),
+                elasticityBand: confidenceBand(replicateElasticities),
                 sensitivity: this.getSensitivityLevel(Math.abs(elasticity), cv)
             };
         });
@@ -313,7 +399,7 @@ class ABMSensitivityAnalysis {
     /**
      * Run multi-parameter analysis
      */
-    async runMultiParameterAnalysis(paramIds, engine, baseConfig, progressCallback) {
+    async runMultiParameterAnalysis(paramIds, engineFactory, baseConfig, progressCallback) {
         const results = {};
 
         for (let i = 0; i < paramIds.length; i++) {
@@ -330,7 +416,7 @@ class ABMSensitivityAnalysis {
 
             results[paramId] = await this.runSingleParameterAnalysis(
                 paramId,
-                engine,
+                engineFactory,
                 baseConfig,
                 (p) => {
                     if (progressCallback) {
@@ -410,6 +496,9 @@ class ABMSensitivityAnalysis {
 
         let html = '';
 
+        // Where the numbers came from
+        html += this.renderProvenance(multiResults);
+
         // Summary cards
         html += this.renderSummaryCards(multiResults);
 
@@ -422,6 +511,25 @@ class ABMSensitivityAnalysis {
         container.innerHTML = html;
     }
 
+    /**
+     * Render the note that marks results as real model runs
+     */
+    renderProvenance(multiResults) {
+        const analyses = Object.values(multiResults).filter(a => a && a.source === 'abm');
+        if (analyses.length === 0) return '';
+
+        const runs = analyses.reduce((sum, a) => sum + a.results.length * a.replicates, 0);
+        const { replicates, seed } = analyses[0];
+
+        return `
+            <div style="background: #10b98115; border-left: 4px solid #10b981; padding: 12px 16px; border-radius: 8px; margin-bottom: 24px; font-size: 0.875rem; color: var(--gray-600);">
+                <strong>Results from ${runs.toLocaleString()} agent-based model runs</strong>
+                (${replicates} replicate${replicates === 1 ? '' : 's'} per parameter value, seed ${seed}).
+                Values are replicate means; elasticity ranges are 95% confidence intervals across replicates.
+            </div>
+        `;
+    }
+
     /**
      * Render summary cards
      */
@@ -565,6 +673,11 @@ class ABMSensitivityAnalysis {
                                         <span style="font-size: 0.75rem; color: var(--gray-400);">
                                             ${this.formatValue(m.min, m.format)} - ${this.formatValue(m.max, m.format)}
                                         </span>
+                                        ${m.elasticityBand && m.elasticityBand.n > 1 ? `
+                                            <span style="font-size: 0.7rem; color: var(--gray-500);" title="Elasticity, 95% confidence interval across replicates">
+                                                ε ${m.elasticity.toFixed(2)} [${Math.max(0, m.elasticityBand.low).toFixed(2)}, ${m.elasticityBand.high.toFixed(2)}]
+                                            </span>
+                                        ` : ''}
                                         <span style="background: ${m.sensitivity.color}20; color: ${m.sensitivity.color}; padding: 2px 6px; border-radius: 4px; font-size: 0.65rem; font-weight: 600;">
                                             ${m.sensitivity.label}
                                         </span>
@@ -0,0 +1,477 @@
+/**
+ * Historical Backtesting and Calibration
+ * Starts the aggregate engine from a past year's observed conditions, replays the
+ * years since, and scores the simulated path against history. Calibration searches
+ * the engine's free parameters for the set that fits history best and packages it
+ * as a profile that later scenarios can start from.
+ */
+
+import { EconomicModelManager } from '../models/economic-models.js';
+import { createRNG, generateSeed } from '../utils/random.js';
+
+// Series scored against historical_trends, with the matching value from each result step
+const SERIES = {
+    unemployment_rate: {
+        name: 'Unemployment Rate',
+        history: 'unemployment_rate',
+        unit: '%',
+        extractor: (step) => step.labor_market.unemployment_rate
+    },
+    real_wage_growth: {
+        name: 'Real Wage Growth',
+        history: 'real_wage_growth',
+        unit: '%',
+        extractor: (step) => step.wages.real_wage_growth
+    },
+    productivity_growth: {
+        name: 'Productivity Growth',
+        history: 'labor_productivity',
+        unit: '%',
+        extractor: (step) => step.productivity.growth_rate
+    },
+    job_openings: {
+        name: 'Job Openings',
+        history: 'job_openings_millions',
+        unit: 'M',
+        extractor: (step) => step.labor_market.job_openings / 1e6
+    }
+};
+
+// Parameters fitted by calibrate(); pace_scale stretches the whole automation pace table
+const PARAMETERS = {
+    labor_elasticity: { name: 'Labor Elasticity', min: -1.5, max: -0.05 },
+    displacement_lag: { name: 'Displacement Lag (months)', min: 1, max: 24, integer: true },
+    new_job_multiplier: { name: 'New Job Multiplier', min: 0.02, max: 1 },
+    pace_scale: { name: 'Automation Pace Scale', min: 0.1, max: 3 }
+};
+
+const BASE_PACE = { slow: 0.5, moderate: 1.0, fast: 1.5, accelerating: 2.0 };
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / values.length);
+}
+
+/**
+ * Classify each interior point of a series as a peak, trough or neither
+ */
+function turningPoints(values) {
+    const points = [];
+    for (let i = 1; i < values.length - 1; i++) {
+        if (values[i] > values[i - 1] && values[i] > values[i + 1]) points.push('peak');
+        else if (values[i] < values[i - 1] && values[i] < values[i + 1]) points.push('trough');
+        else points.push('none');
+    }
+    return points;
+}
+
+/**
+ * Merge a calibration profile's parameters into a createScenario() config
+ */
+function applyCalibrationProfile(config, profile) {
+    if (!profile || !profile.parameters) return { ...config };
+    return { ...config, ...profile.parameters };
+}
+
+class BacktestCalibration {
+    constructor(simulationEngine) {
+        this.engine = simulationEngine;
+        this.results = null;
+        this.isRunning = false;
+        this.configure();
+    }
+
+    /**
+     * Configure the backtest window and calibration search
+     */
+    configure(options = {}) {
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : generateSeed();
+
+        // No historical adoption series exists, so the replay assumes one
+        this.adoptionStart = options.adoptionStart ?? 5;
+        this.adoptionEnd = options.adoptionEnd ?? null;
+        this.adoptionCurve = options.adoptionCurve || 'exponential';
+        this.automationPace = options.automationPace || 'moderate';
+
+        this.samples = options.samples ?? 60;
+        this.refinementRounds = options.refinementRounds ?? 4;
+        this.series = options.series || Object.keys(SERIES);
+    }
+
+    /**
+     * Historical trends keyed by series id, aligned on the years every series covers
+     */
+    async loadHistory(history = null) {
+        const trends = history || await this.engine.dataService.getHistoricalTrends();
+        const byYear = {};
+
+        this.series.forEach(id => {
+            const points = trends[SERIES[id].history];
+            if (!points || points.length === 0) {
+                throw new Error(`No historical data for ${SERIES[id].name}`);
+            }
+            points.forEach(({ year, value }) => {
+                byYear[year] = byYear[year] || {};
+                byYear[year][id] = value;
+            });
+        });
+
+        const years = Object.keys(byYear)
+            .map(Number)
+            .filter(year => this.series.every(id => byYear[year][id] !== undefined))
+            .sort((a, b) => a - b);
+
+        if (years.length < 3) {
+            throw new Error('Backtesting needs at least three years of overlapping history');
+        }
+
+        const observed = {};
+        this.series.forEach(id => {
+            observed[id] = years.map(year => byYear[year][id]);
+        });
+        return { years, observed };
+    }
+
+    /**
+     * Baseline snapshot rewound to the first historical year. Labor force and
+     * sector mix are held at today's, scaled to the observed unemployment rate.
+     */
+    buildHistoricalSnapshot(current, years, observed) {
+        const snapshot = JSON.parse(JSON.stringify(current));
+        const first = (id, fallback) => observed[id] ? observed[id][0] : fallback;
+
+        const laborForce = current.labor_market.total_employment /
+            (1 - current.labor_market.unemployment_rate / 100);
+        const unemploymentRate = first('unemployment_rate', current.labor_market.unemployment_rate);
+        const employment = Math.round(laborForce * (1 - unemploymentRate / 100));
+        const employmentScale = employment / current.labor_market.total_employment;
+
+        snapshot.dataDate = String(years[0]);
+        snapshot.labor_market.unemployment_rate = unemploymentRate;
+        snapshot.labor_market.total_employment = employment;
+        snapshot.labor_market.job_openings = first('job_openings', current.labor_market.job_openings / 1e6) * 1e6;
+        snapshot.wages.real_wage_growth = first('real_wage_growth', current.wages.real_wage_growth);
+        snapshot.productivity.growth_rate = first('productivity_growth', current.productivity.growth_rate);
+
+        for (const sector of Object.values(snapshot.sectors)) {
+            if (typeof sector.employment === 'number') {
+                sector.employment = Math.round(sector.employment * employmentScale);
+            }
+        }
+
+        snapshot.ai_indicators = { companies_using_ai: { value: this.adoptionStart } };
+        return snapshot;
+    }
+
+    /**
+     * Scenario config for the replay window with the given engine parameters
+     * @returns {Object} createScenario() config
+     */
+    buildConfig(years, parameters = {}, currentAdoption = 35) {
+        const { pace_scale, ...rest } = parameters;
+        const config = {
+            name: `Backtest ${years[0]}-${years[years.length - 1]}`,
+            start_year: years[0],
+            end_year: years[years.length - 1] + 1,
+            ai_adoption_rate: this.adoptionEnd ?? currentAdoption,
+            adoption_curve: this.adoptionCurve,
+            automation_pace: this.automationPace,
+            ...rest
+        };
+
+        if (pace_scale === undefined) return config;
+
+        const paceMultipliers = {};
+        for (const [pace, value] of Object.entries(BASE_PACE)) {
+            paceMultipliers[pace] = value * pace_scale;
+        }
+        return { ...config, pace_multipliers: paceMultipliers };
+    }
+
+    /**
+     * Run the engine from the historical snapshot and average each series by year
+     */
+    async replay(snapshot, years, config) {
+        this.engine.economicModels = new EconomicModelManager();
+        this.engine.baselineSnapshot = snapshot;
+        this.engine.createScenario(config);
+        const { results } = await this.engine.runSimulation();
+
+        const simulated = {};
+        this.series.forEach(id => {
+            simulated[id] = years.map(year => {
+                const steps = results.filter(step => Math.floor(step.year) === year);
+                return mean(steps.map(SERIES[id].extractor));
+            });
+        });
+        return simulated;
+    }
+
+    /**
+     * RMSE, bias and turning-point accuracy of each simulated series
+     */
+    score(observed, simulated) {
+        const series = {};
+        let objective = 0;
+
+        this.series.forEach(id => {
+            const obs = observed[id];
+            const sim = simulated[id];
+            const errors = sim.map((value, i) => value - obs[i]);
+            const rmse = Math.sqrt(mean(errors.map(e => e * e)));
+
+            const observedTurns = turningPoints(obs);
+            const simulatedTurns = turningPoints(sim);
+            const matches = observedTurns.filter((turn, i) => turn === simulatedTurns[i]).length;
+
+            // Normalizing by the series' own spread lets rates and counts share one objective
+            const spread = standardDeviation(obs) || 1;
+            const normalized = isFinite(rmse) ? rmse / spread : Infinity;
+            objective += normalized;
+
+            series[id] = {
+                name: SERIES[id].name,
+                unit: SERIES[id].unit,
+                observed: obs,
+                simulated: sim,
+                rmse,
+                bias: mean(errors),
+                normalized_rmse: normalized,
+                turning_point_accuracy: observedTurns.length > 0 ? matches / observedTurns.length : null
+            };
+        });
+
+        return { series, objective };
+    }
+
+    /**
+     * Replay history with the given parameters (or the engine defaults) and score the fit
+     * @returns {Promise<Object>} Years, per-series scores and the combined objective
+     */
+    async backtest(parameters = {}, options = {}) {
+        const originalScenario = this.engine.currentScenario;
+        const originalModels = this.engine.economicModels;
+        const originalSnapshot = this.engine.baselineSnapshot;
+        this.isRunning = true;
+
+        try {
+            const current = originalSnapshot || await this.engine.initialize();
+            const { years, observed } = await this.loadHistory(options.history);
+            const snapshot = this.buildHistoricalSnapshot(current, years, observed);
+            const config = this.buildConfig(years, parameters, this.engine.getAIAdoptionValue(current.ai_indicators));
+
+            const simulated = await this.replay(snapshot, years, config);
+            return {
+                years,
+                parameters,
+                ...this.score(observed, simulated)
+            };
+        } finally {
+            this.isRunning = false;
+            this.engine.currentScenario = originalScenario;
+            this.engine.economicModels = originalModels;
+            this.engine.baselineSnapshot = originalSnapshot;
+        }
+    }
+
+    /**
+     * Draw a parameter value from a unit sample
+     */
+    toValue(parameter, u) {
+        const value = parameter.min + u * (parameter.max - parameter.min);
+        return parameter.integer ? Math.round(value) : value;
+    }
+
+    /**
+     * Keep a parameter inside its bounds
+     */
+    clamp(parameter, value) {
+        const bounded = Math.min(parameter.max, Math.max(parameter.min, value));
+        return parameter.integer ? Math.round(bounded) : bounded;
+    }
+
+    /**
+     * Fit labor_elasticity, displacement_lag, new_job_multiplier and the pace
+     * multipliers to history: a seeded random search, then coordinate refinement
+     * around the best point with a shrinking step
+     * @returns {Promise<Object>} Default and best fits plus the reusable profile
+     */
+    async calibrate(options = {}) {
+        const originalScenario = this.engine.currentScenario;
+        const originalModels = this.engine.economicModels;
+        const originalSnapshot = this.engine.baselineSnapshot;
+        this.isRunning = true;
+
+        try {
+            const rng = createRNG(`${this.seed}/calibration`);
+            const current = originalSnapshot || await this.engine.initialize();
+            const { years, observed } = await this.loadHistory(options.history);
+            const snapshot = this.buildHistoricalSnapshot(current, years, observed);
+            const currentAdoption = this.engine.getAIAdoptionValue(current.ai_indicators);
+            const ids = Object.keys(PARAMETERS);
+            const totalRuns = 1 + this.samples + this.refinementRounds * ids.length * 2;
+            let runs = 0;
+
+            const evaluate = async (parameters) => {
+                const simulated = await this.replay(snapshot, years, this.buildConfig(years, parameters, currentAdoption));
+                runs++;
+                if (options.progressCallback) {
+                    options.progressCallback({ current: runs, total: totalRuns });
+                }
+                return { parameters, ...this.score(observed, simulated) };
+            };
+
+            // Engine defaults are the starting point, so calibration never reports a worse fit
+            const initial = await evaluate({ labor_elasticity: -0.5, displacement_lag: 6, new_job_multiplier: 0.3, pace_scale: 1 });
+            let best = initial;
+
+            for (let i = 0; i < this.samples; i++) {
+                const parameters = {};
+                ids.forEach(id => { parameters[id] = this.toValue(PARAMETERS[id], rng()); });
+                const candidate = await evaluate(parameters);
+                if (candidate.objective < best.objective) best = candidate;
+            }
+
+            let stepFraction = 0.25;
+            for (let round = 0; round < this.refinementRounds; round++) {
+                for (const id of ids) {
+                    const parameter = PARAMETERS[id];
+                    const step = Math.max(parameter.integer ? 1 : 0, (parameter.max - parameter.min) * stepFraction);
+                    for (const direction of [-1, 1]) {
+                        const value = this.clamp(parameter, best.parameters[id] + direction * step);
+                        if (value === best.parameters[id]) continue;
+                        const candidate = await evaluate({ ...best.parameters, [id]: value });
+                        if (candidate.objective < best.objective) best = candidate;
+                    }
+                }
+                stepFraction /= 2;
+            }
+
+            const fitted = this.buildConfig(years, best.parameters, currentAdoption);
+            this.results = {
+                seed: this.seed,
+                years,
+                runs,
+                initial,
+                best,
+                profile: {
+                    name: options.name || `Calibrated ${years[0]}-${years[years.length - 1]}`,
+                    created: new Date().toISOString(),
+                    fitted_on: { start_year: years[0], end_year: years[years.length - 1], series: [...this.series] },
+                    parameters: {
+                        labor_elasticity: fitted.labor_elasticity,
+                        displacement_lag: fitted.displacement_lag,
+                        new_job_multiplier: fitted.new_job_multiplier,
+                        pace_multipliers: fitted.pace_multipliers
+                    },
+                    score: {
+                        objective: best.objective,
+                        default_objective: initial.objective,
+                        rmse: Object.fromEntries(this.series.map(id => [id, best.series[id].rmse]))
+                    }
+                }
+            };
+            return this.results;
+        } finally {
+            this.isRunning = false;
+            this.engine.currentScenario = originalScenario;
+            this.engine.economicModels = originalModels;
+            this.engine.baselineSnapshot = originalSnapshot;
+        }
+    }
+
+    /**
+     * Render a backtest or calibration result
+     * @param {Object} [results] - From backtest() or calibrate()
+     */
+    generateHTML(results = this.results) {
+        if (!results) {
+            return '<p style="color: var(--gray-500);">No backtest results available.</p>';
+        }
+
+        const isCalibration = !!results.profile;
+        const fit = isCalibration ? results.best : results;
+        const number = (v, digits = 2) => (v === null || !isFinite(v) ? '—' : v.toFixed(digits));
+
+        const rows = Object.entries(fit.series).map(([id, s]) => `
+            <tr>
+                <td>${s.name}</td>
+                <td>${number(s.rmse)} ${s.unit}</td>
+                <td>${s.bias >= 0 ? '+' : ''}${number(s.bias)} ${s.unit}</td>
+                <td>${s.turning_point_accuracy === null ? '—' : `${Math.round(s.turning_point_accuracy * 100)}%`}</td>
+                ${isCalibration ? `<td>${number(results.initial.series[id].rmse)} ${s.unit}</td>` : ''}
+            </tr>
+        `).join('');
+
+        const paths = Object.values(fit.series).map(s => `
+            <tr>
+                <td>${s.name}</td>
+                ${s.observed.map((v, i) => `<td>${number(v, 1)} / ${number(s.simulated[i], 1)}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        const parameters = isCalibration ? `
+            <h4 style="margin: 16px 0 8px;">Fitted Parameters</h4>
+            <table class="data-table">
+                <tbody>
+                    ${Object.entries(results.best.parameters).map(([id, value]) => `
+                        <tr><td>${PARAMETERS[id].name}</td><td>${PARAMETERS[id].integer ? value : number(value, 3)}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        return `
+            <div class="backtest-results">
+                <p style="color: var(--gray-600); margin-bottom: 16px;">
+                    ${isCalibration
+                        ? `Calibrated against ${results.years[0]}-${results.years[results.years.length - 1]} from ${results.runs} runs (seed ${results.seed}).
+                           Normalized error fell from ${number(results.initial.objective)} with the default parameters to ${number(results.best.objective)}.`
+                        : `Engine replayed from ${results.years[0]} conditions through ${results.years[results.years.length - 1]}.
+                           Normalized error ${number(results.objective)}.`}
+                    Turning-point accuracy is the share of interior years where the simulated series has the same peak, trough or neither as history.
+                </p>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Series</th>
+                            <th>RMSE</th>
+                            <th>Bias</th>
+                            <th>Turning Points</th>
+                            ${isCalibration ? '<th>Default RMSE</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <h4 style="margin: 16px 0 8px;">Observed / Simulated</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr><th>Series</th>${results.years.map(y => `<th>${y}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>${paths}</tbody>
+                </table>
+                ${parameters}
+            </div>
+        `;
+    }
+}
+
+// Export for ES modules
+export {
+    BacktestCalibration,
+    applyCalibrationProfile,
+    SERIES as BACKTEST_SERIES,
+    PARAMETERS as CALIBRATION_PARAMETERS
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.BacktestCalibration = BacktestCalibration;
+    window.applyCalibrationProfile = applyCalibrationProfile;
+}
@@ -0,0 +1,455 @@
+/**
+ * Forecast Tracking
+ * Lines saved and shared simulations up against the BLS releases that arrive
+ * after they were run, scores the projected paths month by month, and flags
+ * scenarios whose projections have clearly parted ways with what happened.
+ *
+ * Actuals come from the month-indexed history in data/time-series.js. A month
+ * counts as a forecast only if its data could not have been known when the run
+ * was made: months after the start month for historical runs, otherwise months
+ * from the one the scenario was created in.
+ */
+
+import { toMonth, shiftMonth } from '../data/time-series.js';
+import { escapeHtml } from '../utils/dom-utils.js';
+
+// Projected series, the history series they are scored against, and how far off
+// a projection may be before a month counts as a miss. The tolerance widens with
+// the forecast horizon; `absolute` is in the series' unit, `percent` of the projection.
+const TRACKED_SERIES = {
+    unemployment_rate: {
+        name: 'Unemployment Rate',
+        history: 'unemployment_rate',
+        unit: '%',
+        digits: 1,
+        extractor: (step) => step.labor_market.unemployment_rate,
+        tolerance: { absolute: 0.4, perYear: 0.4 }
+    },
+    total_employment: {
+        name: 'Employment',
+        history: 'total_employment',
+        unit: 'M',
+        digits: 2,
+        display: (value) => value / 1e6,
+        extractor: (step) => step.labor_market.total_employment,
+        tolerance: { percent: 1, perYear: 1 }
+    },
+    average_hourly: {
+        name: 'Average Hourly Earnings',
+        history: 'average_hourly_earnings',
+        unit: '$',
+        digits: 2,
+        extractor: (step) => step.wages.average_hourly,
+        tolerance: { percent: 1.5, perYear: 1.5 }
+    }
+};
+
+// Worst status first; a scenario takes the worst status of its series
+const STATUSES = {
+    diverged: { label: 'Diverged', tag: 'tag-high' },
+    drifting: { label: 'Drifting', tag: 'tag-medium' },
+    on_track: { label: 'On Track', tag: 'tag-low' },
+    pending: { label: 'Awaiting Data', tag: '' },
+    untracked: { label: 'Not Tracked', tag: '' }
+};
+
+function monthIndex(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return year * 12 + monthNumber - 1;
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Monthly projected path of a simulation, compact enough to keep for shared runs
+ * @param {Object} simulation - { scenario, results } as returned by runSimulation()
+ * @param {string} [issuedAt] - When the run was made, for scenarios that don't record it
+ * @returns {Object} { name, created, dataProfile, startMonth, firstForecast, months, values }
+ */
+function buildProjection(simulation, issuedAt = null) {
+    const scenario = simulation?.scenario;
+    const steps = simulation?.results;
+    if (!scenario || !Array.isArray(steps) || steps.length === 0) {
+        throw new Error('Simulation has no projected results to track');
+    }
+
+    const timeframe = scenario.timeframe || {};
+    const stepsPerYear = timeframe.steps_per_year || 12;
+    const anchor = scenario.start_month || `${timeframe.start_year || Math.floor(steps[0].year)}-01`;
+    const created = toMonth(scenario.created || issuedAt);
+
+    // Step offsets in months; quarterly or annual runs are interpolated to monthly
+    const offsets = steps.map((step, i) => Math.round(i * 12 / stepsPerYear));
+    const lastOffset = offsets[offsets.length - 1];
+    const months = [];
+    const values = {};
+    Object.keys(TRACKED_SERIES).forEach(id => { values[id] = []; });
+
+    let j = 0;
+    for (let offset = 0; offset <= lastOffset; offset++) {
+        while (j < offsets.length - 1 && offsets[j + 1] <= offset) j++;
+        const next = Math.min(j + 1, offsets.length - 1);
+        const share = offsets[next] === offsets[j] ? 0 : (offset - offsets[j]) / (offsets[next] - offsets[j]);
+        months.push(shiftMonth(anchor, offset));
+        Object.entries(TRACKED_SERIES).forEach(([id, series]) => {
+            const from = series.extractor(steps[j]);
+            const to = series.extractor(steps[next]);
+            values[id].push(Number.isFinite(from) && Number.isFinite(to) ? from + (to - from) * share : null);
+        });
+    }
+
+    return {
+        name: scenario.name || 'Unnamed Scenario',
+        created: scenario.created || issuedAt,
+        dataProfile: scenario.data_profile || null,
+        startMonth: scenario.start_month || null,
+        firstForecast: scenario.start_month ? shiftMonth(scenario.start_month, 1) : (created || months[0]),
+        months,
+        values
+    };
+}
+
+/**
+ * Largest miss a projection may have at a horizon and still count as on track
+ * @param {string} id - TRACKED_SERIES key
+ * @param {number} projected - Projected value
+ * @param {number} horizon - Months ahead of the last known data
+ */
+function toleranceFor(id, projected, horizon) {
+    const { absolute, percent, perYear } = TRACKED_SERIES[id].tolerance;
+    const years = horizon / 12;
+    return absolute !== undefined
+        ? absolute + perYear * years
+        : Math.abs(projected) * (percent + perYear * years) / 100;
+}
+
+class ForecastTracker {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.scorecard = null;
+        this.configure();
+    }
+
+    /**
+     * Configure which series are scored and when a scenario counts as diverged
+     */
+    configure(options = {}) {
+        this.series = options.series || Object.keys(TRACKED_SERIES);
+        // Consecutive misses on the same side that mark a scenario as diverged
+        this.divergenceRun = options.divergenceRun ?? 3;
+    }
+
+    /**
+     * Score one simulation's projection against the releases since it was run
+     * @param {Object} entry - { id, name, source, projection } or { id, name, source, simulation, savedAt }
+     * @param {Object} [options]
+     * @param {string} [options.asOf] - Score against the data as known at this time (ISO date)
+     * @returns {Promise<Object>} { id, name, source, status, reasons, series, firstForecast, lastActual }
+     */
+    async track(entry, options = {}) {
+        const projection = entry.projection || buildProjection(entry.simulation, entry.savedAt);
+        const card = {
+            id: entry.id,
+            name: entry.name || projection.name,
+            source: entry.source || 'saved',
+            startMonth: projection.startMonth,
+            firstForecast: projection.firstForecast,
+            lastMonth: projection.months[projection.months.length - 1],
+            lastActual: null,
+            series: {},
+            status: 'pending',
+            reasons: []
+        };
+
+        // National releases say nothing about an imported dataset's economy
+        if (projection.dataProfile) {
+            card.status = 'untracked';
+            card.reasons.push(`Runs on the imported data profile "${projection.dataProfile}", which national releases don't describe`);
+            return card;
+        }
+
+        for (const id of this.series) {
+            const history = TRACKED_SERIES[id].history;
+            const actuals = await this.dataService.getSeries(history, {
+                from: projection.firstForecast,
+                to: card.lastMonth,
+                asOf: options.asOf
+            });
+            const base = shiftMonth(projection.firstForecast, -1);
+            const baseActual = (await this.dataService.getSeries(history, { from: base, to: base, asOf: options.asOf }))[0];
+            card.series[id] = this.scoreSeries(id, projection, actuals, baseActual?.value ?? null);
+        }
+
+        const scored = Object.values(card.series);
+        card.lastActual = scored.reduce((last, s) => (s.lastMonth && (!last || s.lastMonth > last) ? s.lastMonth : last), null);
+        const rank = Object.keys(STATUSES);
+        card.status = scored.reduce((worst, s) => (rank.indexOf(s.status) < rank.indexOf(worst) ? s.status : worst), 'pending');
+        card.reasons = scored.filter(s => s.reason).map(s => s.reason);
+        return card;
+    }
+
+    /**
+     * Forecast errors, tolerance coverage and direction of change for one series
+     * @param {string} id - TRACKED_SERIES key
+     * @param {Object} projection - From buildProjection()
+     * @param {Array<{month: string, value: number}>} actuals - Releases in the projection window
+     * @param {number|null} baseActual - Actual value in the month before the first forecast
+     */
+    scoreSeries(id, projection, actuals, baseActual) {
+        const series = TRACKED_SERIES[id];
+        const start = monthIndex(projection.months[0]);
+        const first = monthIndex(projection.firstForecast);
+        const projectedAt = (month) => projection.values[id][monthIndex(month) - start] ?? null;
+        const baseProjected = projectedAt(shiftMonth(projection.firstForecast, -1));
+
+        const points = actuals
+            .filter(a => monthIndex(a.month) >= first && projectedAt(a.month) !== null)
+            .map(a => {
+                const projected = projectedAt(a.month);
+                const horizon = monthIndex(a.month) - first + 1;
+                const error = projected - a.value;
+                const tolerance = toleranceFor(id, projected, horizon);
+                return {
+                    month: a.month,
+                    horizon,
+                    projected,
+                    actual: a.value,
+                    error,
+                    percent_error: a.value !== 0 ? error / Math.abs(a.value) * 100 : null,
+                    tolerance,
+                    within: Math.abs(error) <= tolerance,
+                    // Did the projection get the direction of change since the run right?
+                    direction: baseActual !== null && baseProjected !== null
+                        ? Math.sign(projected - baseProjected) === Math.sign(a.value - baseActual)
+                        : null
+                };
+            });
+
+        const result = {
+            name: series.name,
+            unit: series.unit,
+            points,
+            count: points.length,
+            lastMonth: points.length > 0 ? points[points.length - 1].month : null,
+            mae: null,
+            rmse: null,
+            bias: null,
+            mape: null,
+            coverage: null,
+            direction_accuracy: null,
+            calibration: [],
+            status: 'pending',
+            reason: null
+        };
+        if (points.length === 0) return result;
+
+        const errors = points.map(p => p.error);
+        const percentErrors = points.filter(p => p.percent_error !== null).map(p => Math.abs(p.percent_error));
+        const directions = points.filter(p => p.direction !== null);
+        result.mae = mean(errors.map(Math.abs));
+        result.rmse = Math.sqrt(mean(errors.map(e => e * e)));
+        result.bias = mean(errors);
+        result.mape = percentErrors.length > 0 ? mean(percentErrors) : null;
+        result.coverage = points.filter(p => p.within).length / points.length;
+        result.direction_accuracy = directions.length > 0
+            ? directions.filter(p => p.direction).length / directions.length
+            : null;
+
+        // Running coverage and bias as each release arrived
+        result.calibration = points.map((p, i) => {
+            const seen = points.slice(0, i + 1);
+            return {
+                month: p.month,
+                coverage: seen.filter(s => s.within).length / seen.length,
+                bias: mean(seen.map(s => s.error)),
+                mae: mean(seen.map(s => Math.abs(s.error)))
+            };
+        });
+
+        const latest = points[points.length - 1];
+        const run = points.slice(-this.divergenceRun);
+        const sameSideMisses = run.length === this.divergenceRun &&
+            run.every(p => !p.within && Math.sign(p.error) === Math.sign(latest.error));
+
+        if (sameSideMisses) {
+            result.status = 'diverged';
+        } else if (!latest.within) {
+            result.status = 'drifting';
+        } else {
+            result.status = 'on_track';
+        }
+
+        if (result.status !== 'on_track') {
+            const show = (v) => this.formatValue(id, v);
+            const side = latest.error > 0 ? 'below' : 'above';
+            result.reason = result.status === 'diverged'
+                ? `${series.name}: actuals ${side} the projection by more than the tolerance for ${run.length} releases running (${latest.month}: ${show(latest.actual)} actual vs ${show(latest.projected)} projected)`
+                : `${series.name}: ${latest.month} came in ${side} the projection (${show(latest.actual)} actual vs ${show(latest.projected)} projected)`;
+        }
+        return result;
+    }
+
+    /**
+     * Score every saved and shared simulation
+     * @param {Object[]} entries - As for track()
+     * @param {Object} [options] - As for track()
+     * @returns {Promise<Object>} { generatedAt, asOf, latestData, scenarios, counts }
+     */
+    async trackAll(entries, options = {}) {
+        const scenarios = [];
+        for (const entry of entries) {
+            try {
+                scenarios.push(await this.track(entry, options));
+            } catch (error) {
+                scenarios.push({
+                    id: entry.id,
+                    name: entry.name || 'Unnamed Scenario',
+                    source: entry.source || 'saved',
+                    status: 'untracked',
+                    reasons: [error.message],
+                    series: {}
+                });
+            }
+        }
+
+        const latest = await Promise.all(this.series.map(async id => {
+            const history = await this.dataService.getSeries(TRACKED_SERIES[id].history, { asOf: options.asOf });
+            return history.length > 0 ? history[history.length - 1].month : null;
+        }));
+
+        const counts = {};
+        Object.keys(STATUSES).forEach(status => {
+            counts[status] = scenarios.filter(s => s.status === status).length;
+        });
+
+        this.scorecard = {
+            generatedAt: new Date().toISOString(),
+            asOf: options.asOf || null,
+            latestData: latest.filter(Boolean).sort().pop() || null,
+            scenarios,
+            counts
+        };
+        return this.scorecard;
+    }
+
+    formatValue(id, value) {
+        const series = TRACKED_SERIES[id];
+        if (value === null || !isFinite(value)) return '—';
+        const shown = (series.display ? series.display(value) : value).toFixed(series.digits);
+        return series.unit === '$' ? `$${shown}` : `${shown}${series.unit === '%' ? '%' : ` ${series.unit}`}`;
+    }
+
+    /**
+     * Render the scorecard panel
+     * @param {Object} [scorecard] - From trackAll()
+     * @param {Object} [options]
+     * @param {Function} [options.actions] - Returns extra buttons for a scenario's card
+     */
+    generateHTML(scorecard = this.scorecard, options = {}) {
+        if (!scorecard || scorecard.scenarios.length === 0) {
+            return '<p style="color: var(--gray-500);">No saved or shared simulations to track yet. Save a simulation and its projections will be scored here as new data is released.</p>';
+        }
+
+        const percent = (v) => (v === null ? '—' : `${Math.round(v * 100)}%`);
+        const badge = (status) => `<span class="tag ${STATUSES[status].tag}">${STATUSES[status].label}</span>`;
+        const counts = Object.entries(scorecard.counts)
+            .filter(([, n]) => n > 0)
+            .map(([status, n]) => `${badge(status)} ${n}`)
+            .join(' ');
+
+        const cards = scorecard.scenarios.map(card => {
+            const rows = Object.entries(card.series).map(([id, s]) => {
+                const latest = s.points[s.points.length - 1];
+                const signed = (v) => (v === null ? '—' : `${v >= 0 ? '+' : '−'}${this.formatValue(id, Math.abs(v))}`);
+                return `
+                    <tr>
+                        <td>${s.name}</td>
+                        <td>${latest ? `${latest.month}: ${this.formatValue(id, latest.actual)} / ${this.formatValue(id, latest.projected)}` : '—'}</td>
+                        <td>${s.count}</td>
+                        <td>${s.mae === null ? '—' : this.formatValue(id, s.mae)}</td>
+                        <td>${signed(s.bias)}</td>
+                        <td>${percent(s.coverage)}</td>
+                        <td>${percent(s.direction_accuracy)}</td>
+                        <td>${badge(s.status)}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            // Coverage as releases arrived, every third month and the latest
+            const history = Object.entries(card.series).map(([id, s]) => {
+                const shown = s.calibration.filter((c, i) => i % 3 === 2 || i === s.calibration.length - 1);
+                if (shown.length < 2) return '';
+                return `
+                    <div style="font-size: 0.75rem; color: var(--gray-500); margin-top: 4px;">
+                        ${s.name} in tolerance over time: ${shown.map(c => `${c.month} ${percent(c.coverage)}`).join(' → ')}
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div style="border-top: 1px solid var(--gray-200); padding: 12px 0;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+                        <div>
+                            <strong>${escapeHtml(card.name)}</strong>
+                            <span style="font-size: 0.75rem; color: var(--gray-500);">
+                                ${card.source === 'shared' ? 'Shared' : 'Saved'}${card.firstForecast ? ` · forecasts from ${card.firstForecast}` : ''}${card.lastActual ? ` · scored through ${card.lastActual}` : ''}
+                            </span>
+                        </div>
+                        <div style="display: flex; gap: 8px; align-items: center;">
+                            ${options.actions ? options.actions(card) : ''}
+                            ${badge(card.status)}
+                        </div>
+                    </div>
+                    ${card.reasons.length > 0 ? `
+                        <ul style="margin: 8px 0 0 16px; font-size: 0.8rem; color: var(--gray-600);">
+                            ${card.reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                    ${rows ? `
+                        <table class="data-table" style="margin-top: 8px;">
+                            <thead>
+                                <tr>
+                                    <th>Series</th>
+                                    <th>Latest (actual / projected)</th>
+                                    <th>Releases</th>
+                                    <th>Mean Abs. Error</th>
+                                    <th>Bias</th>
+                                    <th>In Tolerance</th>
+                                    <th>Direction Right</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                        ${history}
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <p style="font-size: 0.8rem; color: var(--gray-500); margin-bottom: 8px;">
+                ${counts} · Latest data: ${scorecard.latestData || 'none loaded'}.
+                Bias is projected minus actual. A release is in tolerance when the projection
+                is within ±0.4 points of unemployment, or 1% of employment and 1.5% of wages,
+                widening by the same again per year ahead.
+            </p>
+            ${cards}
+        `;
+    }
+}
+
+// Export for ES modules
+export {
+    TRACKED_SERIES,
+    buildProjection,
+    toleranceFor,
+    ForecastTracker
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.ForecastTracker = ForecastTracker;
+}
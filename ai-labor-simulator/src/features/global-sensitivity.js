@@ -0,0 +1,462 @@
+/**
+ * Global Sensitivity Analysis
+ * Samples the joint space of scenario and intervention parameters for the aggregate
+ * engine. Morris screening ranks inputs cheaply; Sobol indices split each output's
+ * variance into first-order and total effects, so interactions show up that a
+ * one-at-a-time tornado chart hides.
+ */
+
+import { EconomicModelManager } from '../models/economic-models.js';
+import { InterventionSystem } from '../simulation/interventions.js';
+import { createRNG, generateSeed } from '../utils/random.js';
+
+// Scenario inputs sampled by default, keyed by their createScenario() config name
+const SCENARIO_FACTORS = {
+    ai_adoption_rate: { name: 'AI Adoption Rate', type: 'continuous', min: 20, max: 95 },
+    adoption_curve: { name: 'Adoption Curve', type: 'categorical', options: ['linear', 'exponential', 's_curve'] },
+    automation_pace: { name: 'Automation Pace', type: 'categorical', options: ['slow', 'moderate', 'fast', 'accelerating'] },
+    displacement_lag: { name: 'Displacement Lag', type: 'integer', min: 1, max: 24 },
+    new_job_multiplier: { name: 'New Job Multiplier', type: 'continuous', min: 0.1, max: 0.8 },
+    productivity_growth: { name: 'Productivity Growth', type: 'continuous', min: 1, max: 5 },
+    gdp_growth: { name: 'GDP Growth', type: 'continuous', min: 0.5, max: 4 },
+    inflation: { name: 'Inflation', type: 'continuous', min: 1, max: 5 },
+    interest_rate: { name: 'Interest Rate', type: 'continuous', min: 2, max: 7 },
+    labor_elasticity: { name: 'Labor Elasticity', type: 'continuous', min: -1, max: 1 }
+};
+
+// Outputs measured on every run
+const OUTPUTS = {
+    final_unemployment: {
+        name: 'Final Unemployment Rate',
+        extractor: (results) => parseFloat(results.summary.labor_market_changes.unemployment_rate.final)
+    },
+    net_job_impact: {
+        name: 'Net Job Impact',
+        extractor: (results) => results.summary.ai_impact.net_impact
+    },
+    jobs_displaced: {
+        name: 'Jobs Displaced',
+        extractor: (results) => results.summary.ai_impact.cumulative_displacement
+    },
+    jobs_created: {
+        name: 'Jobs Created',
+        extractor: (results) => results.summary.ai_impact.cumulative_new_jobs
+    },
+    final_wage: {
+        name: 'Final Average Hourly Wage',
+        extractor: (results) => parseFloat(results.summary.wages.average_hourly.final)
+    }
+};
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function variance(values) {
+    const m = mean(values);
+    return values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / values.length;
+}
+
+function percentile(sortedValues, p) {
+    const index = Math.min(sortedValues.length - 1, Math.max(0, Math.round((p / 100) * (sortedValues.length - 1))));
+    return sortedValues[index];
+}
+
+class GlobalSensitivityAnalysis {
+    constructor(simulationEngine) {
+        this.engine = simulationEngine;
+        this.results = null;
+        this.isRunning = false;
+        this.configure();
+    }
+
+    /**
+     * Configure sampling
+     */
+    configure(options = {}) {
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : generateSeed();
+
+        // Morris: r trajectories of (factors + 1) runs on a p-level grid
+        this.morris = {
+            trajectories: options.trajectories || 10,
+            levels: options.levels || 4
+        };
+
+        // Sobol: N base samples cost N x (factors + 2) runs; intervals come from
+        // resampling those runs, so they need no extra model evaluations
+        this.sobol = {
+            samples: options.samples || 128,
+            bootstrap: options.bootstrap !== undefined ? options.bootstrap : 100
+        };
+
+        this.outputs = options.outputs || Object.keys(OUTPUTS);
+    }
+
+    /**
+     * Factors to sample for a base config: the scenario inputs plus every number and
+     * select parameter of the config's interventions
+     * @param {Object} baseConfig - createScenario() config, optionally with interventions
+     * @param {Array<string>|null} factorIds - Restrict to these factor ids
+     */
+    getFactors(baseConfig, factorIds = null) {
+        const factors = Object.entries(SCENARIO_FACTORS).map(([id, def]) => ({ id, ...def }));
+
+        const types = new InterventionSystem().interventionTypes;
+        (baseConfig.interventions || []).forEach((intervention, index) => {
+            const type = types[intervention.type];
+            if (!type) return;
+
+            Object.entries(type.parameters).forEach(([param, def]) => {
+                const factor = {
+                    id: `${intervention.type}.${param}`,
+                    name: `${type.name}: ${param.replace(/_/g, ' ')}`,
+                    intervention: index,
+                    parameter: param
+                };
+
+                if (def.type === 'number' && def.max > def.min) {
+                    factors.push({ ...factor, type: 'continuous', min: def.min, max: def.max });
+                } else if (def.type === 'select' && def.options.length > 1) {
+                    factors.push({ ...factor, type: 'categorical', options: def.options });
+                }
+            });
+        });
+
+        return factorIds ? factors.filter(f => factorIds.includes(f.id)) : factors;
+    }
+
+    /**
+     * Map a unit-interval coordinate onto a factor's range
+     */
+    toValue(factor, u) {
+        switch (factor.type) {
+            case 'categorical':
+                return factor.options[Math.min(factor.options.length - 1, Math.floor(u * factor.options.length))];
+            case 'integer':
+                return Math.round(factor.min + u * (factor.max - factor.min));
+            default:
+                return factor.min + u * (factor.max - factor.min);
+        }
+    }
+
+    /**
+     * Build the config for one point of the unit hypercube
+     */
+    buildConfig(baseConfig, factors, point) {
+        const config = JSON.parse(JSON.stringify(baseConfig));
+        config.interventions = config.interventions || [];
+
+        factors.forEach((factor, j) => {
+            const value = this.toValue(factor, point[j]);
+            if (factor.intervention !== undefined) {
+                const intervention = config.interventions[factor.intervention];
+                intervention.parameters = { ...(intervention.parameters || {}), [factor.parameter]: value };
+            } else {
+                config[factor.id] = value;
+            }
+        });
+
+        return config;
+    }
+
+    /**
+     * Run one config through the engine and extract every output
+     */
+    async runModel(config) {
+        // Fresh models per run, so no state carries over between samples
+        this.engine.economicModels = new EconomicModelManager();
+        const scenario = this.engine.createScenario(config);
+
+        const interventionSystem = new InterventionSystem();
+        (config.interventions || []).forEach(intervention => {
+            interventionSystem.addIntervention(intervention.type, intervention.parameters || {}, intervention);
+        });
+        scenario.interventions = interventionSystem.interventions.filter(i => i.active);
+
+        const result = await this.engine.runSimulation();
+
+        const values = {};
+        this.outputs.forEach(id => {
+            const value = OUTPUTS[id].extractor(result);
+            values[id] = isNaN(value) ? 0 : value;
+        });
+        return values;
+    }
+
+    /**
+     * Evaluate a list of hypercube points, restoring the engine afterwards
+     */
+    async _evaluate(baseConfig, factors, points, method, progressCallback) {
+        const originalScenario = this.engine.currentScenario;
+        const originalModels = this.engine.economicModels;
+        this.isRunning = true;
+
+        try {
+            const outputs = [];
+            for (let i = 0; i < points.length; i++) {
+                outputs.push(await this.runModel(this.buildConfig(baseConfig, factors, points[i])));
+
+                if (progressCallback && ((i + 1) % 25 === 0 || i === points.length - 1)) {
+                    progressCallback({ method, current: i + 1, total: points.length });
+                }
+            }
+            return outputs;
+        } finally {
+            this.isRunning = false;
+            this.engine.currentScenario = originalScenario;
+            this.engine.economicModels = originalModels;
+        }
+    }
+
+    /**
+     * Morris elementary-effects screening
+     * @param {Object} baseConfig - createScenario() config, optionally with interventions
+     * @param {Object} options - { factors: ids to sample, progressCallback }
+     * @returns {Promise<Object>} mu, mu* and sigma of the elementary effects per output and factor
+     */
+    async runMorris(baseConfig, options = {}) {
+        const factors = this.getFactors(baseConfig, options.factors || null);
+        const { trajectories, levels } = this.morris;
+        if (levels < 2 || levels % 2 !== 0) {
+            throw new Error('Morris levels must be an even number');
+        }
+
+        const rng = createRNG(`${this.seed}/morris`);
+        const delta = levels / (2 * (levels - 1));
+        const k = factors.length;
+
+        // Each trajectory starts at a random grid point and moves one factor by delta per step
+        const points = [];
+        const steps = [];
+        for (let t = 0; t < trajectories; t++) {
+            const point = [];
+            const direction = [];
+            for (let j = 0; j < k; j++) {
+                const low = Math.floor(rng() * (levels / 2)) / (levels - 1);
+                const up = rng() < 0.5;
+                point.push(up ? low : low + delta);
+                direction.push(up ? 1 : -1);
+            }
+
+            const order = factors.map((_, j) => j);
+            for (let j = k - 1; j > 0; j--) {
+                const swap = Math.floor(rng() * (j + 1));
+                [order[j], order[swap]] = [order[swap], order[j]];
+            }
+
+            points.push(point.slice());
+            order.forEach(j => {
+                point[j] += direction[j] * delta;
+                points.push(point.slice());
+                steps.push({ factor: j, run: points.length - 1, step: direction[j] * delta });
+            });
+        }
+
+        const outputs = await this._evaluate(baseConfig, factors, points, 'morris', options.progressCallback);
+
+        const results = {};
+        this.outputs.forEach(outputId => {
+            const effects = factors.map(() => []);
+            steps.forEach(({ factor, run, step }) => {
+                effects[factor].push((outputs[run][outputId] - outputs[run - 1][outputId]) / step);
+            });
+
+            const byFactor = {};
+            factors.forEach((factor, j) => {
+                const ee = effects[j];
+                byFactor[factor.id] = {
+                    mu: mean(ee),
+                    muStar: mean(ee.map(Math.abs)),
+                    sigma: ee.length > 1 ? Math.sqrt(variance(ee) * ee.length / (ee.length - 1)) : 0
+                };
+            });
+
+            results[outputId] = { name: OUTPUTS[outputId].name, effects: byFactor };
+        });
+
+        this.results = {
+            method: 'morris',
+            seed: this.seed,
+            runs: points.length,
+            trajectories,
+            levels,
+            factors: factors.map(({ id, name }) => ({ id, name })),
+            outputs: results
+        };
+        return this.results;
+    }
+
+    /**
+     * Sobol first-order and total-effect indices (Saltelli sampling)
+     * @param {Object} baseConfig - createScenario() config, optionally with interventions
+     * @param {Object} options - { factors: ids to sample, progressCallback }
+     * @returns {Promise<Object>} S1 and ST with bootstrap 95% intervals per output and factor
+     */
+    async runSobol(baseConfig, options = {}) {
+        const factors = this.getFactors(baseConfig, options.factors || null);
+        const { samples, bootstrap } = this.sobol;
+        const rng = createRNG(`${this.seed}/sobol`);
+        const k = factors.length;
+
+        const draw = () => factors.map(() => rng());
+        const A = Array.from({ length: samples }, draw);
+        const B = Array.from({ length: samples }, draw);
+
+        // Runs laid out as [A, B, A with column 0 from B, ..., A with column k-1 from B]
+        const points = [...A, ...B];
+        for (let j = 0; j < k; j++) {
+            A.forEach((row, n) => {
+                const mixed = row.slice();
+                mixed[j] = B[n][j];
+                points.push(mixed);
+            });
+        }
+
+        const outputs = await this._evaluate(baseConfig, factors, points, 'sobol', options.progressCallback);
+        const resampleRng = createRNG(`${this.seed}/bootstrap`);
+        const resamples = Array.from({ length: bootstrap }, () =>
+            Array.from({ length: samples }, () => Math.floor(resampleRng() * samples)));
+
+        const results = {};
+        this.outputs.forEach(outputId => {
+            const yA = outputs.slice(0, samples).map(o => o[outputId]);
+            const yB = outputs.slice(samples, 2 * samples).map(o => o[outputId]);
+            const yAB = factors.map((_, j) =>
+                outputs.slice((2 + j) * samples, (3 + j) * samples).map(o => o[outputId]));
+
+            const indices = (rows) => {
+                const pooled = [...rows.map(n => yA[n]), ...rows.map(n => yB[n])];
+                const f0 = mean(pooled);
+                const v = variance(pooled);
+                return yAB.map(y => v > 0
+                    ? {
+                        // Saltelli (2010) first-order (on centered outputs) and Jansen total-effect estimators
+                        firstOrder: mean(rows.map(n => (yB[n] - f0) * (y[n] - yA[n]))) / v,
+                        totalEffect: mean(rows.map(n => Math.pow(yA[n] - y[n], 2))) / (2 * v)
+                    }
+                    : { firstOrder: 0, totalEffect: 0 });
+            };
+
+            const all = A.map((_, n) => n);
+            const estimates = indices(all);
+            const boots = resamples.map(rows => indices(rows));
+
+            const byFactor = {};
+            factors.forEach((factor, j) => {
+                const interval = (key) => {
+                    if (boots.length === 0) return null;
+                    const sorted = boots.map(b => b[j][key]).sort((a, b) => a - b);
+                    return { low: percentile(sorted, 2.5), high: percentile(sorted, 97.5) };
+                };
+
+                byFactor[factor.id] = {
+                    firstOrder: estimates[j].firstOrder,
+                    totalEffect: estimates[j].totalEffect,
+                    interaction: Math.max(0, estimates[j].totalEffect - estimates[j].firstOrder),
+                    firstOrderInterval: interval('firstOrder'),
+                    totalEffectInterval: interval('totalEffect')
+                };
+            });
+
+            const sumFirstOrder = estimates.reduce((sum, e) => sum + e.firstOrder, 0);
+            results[outputId] = {
+                name: OUTPUTS[outputId].name,
+                variance: variance([...yA, ...yB]),
+                indices: byFactor,
+                sumFirstOrder,
+                // Share of variance explained only by inputs acting together
+                interactionShare: Math.max(0, 1 - sumFirstOrder)
+            };
+        });
+
+        this.results = {
+            method: 'sobol',
+            seed: this.seed,
+            runs: points.length,
+            samples,
+            factors: factors.map(({ id, name }) => ({ id, name })),
+            outputs: results
+        };
+        return this.results;
+    }
+
+    /**
+     * Generate results HTML (one table per output, factors ranked by effect)
+     */
+    generateHTML(results = this.results) {
+        if (!results) {
+            return '<p style="color: var(--gray-500);">No global sensitivity results available.</p>';
+        }
+
+        const names = Object.fromEntries(results.factors.map(f => [f.id, f.name]));
+        const fmt = (v) => v.toFixed(3);
+        const isSobol = results.method === 'sobol';
+
+        const tables = Object.values(results.outputs).map(output => {
+            const rows = Object.entries(isSobol ? output.indices : output.effects)
+                .sort((a, b) => isSobol
+                    ? b[1].totalEffect - a[1].totalEffect
+                    : b[1].muStar - a[1].muStar);
+
+            return `
+                <div class="card" style="margin-bottom: 16px;">
+                    <div class="card-header">
+                        <h3>${output.name}</h3>
+                        ${isSobol ? `<span style="font-size: 0.875rem; color: var(--gray-500);">
+                            ${(output.interactionShare * 100).toFixed(0)}% of variance from interactions
+                        </span>` : ''}
+                    </div>
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Parameter</th>
+                                ${isSobol
+                                    ? '<th>First-order (S1)</th><th>Total effect (ST)</th><th>Interaction (ST - S1)</th>'
+                                    : '<th>&mu;*</th><th>&mu;</th><th>&sigma;</th>'}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(([id, r]) => `
+                                <tr>
+                                    <td><strong>${names[id] || id}</strong></td>
+                                    ${isSobol ? `
+                                        <td>${fmt(r.firstOrder)}${r.firstOrderInterval ? ` <span style="color: var(--gray-400);">[${fmt(r.firstOrderInterval.low)}, ${fmt(r.firstOrderInterval.high)}]</span>` : ''}</td>
+                                        <td>${fmt(r.totalEffect)}${r.totalEffectInterval ? ` <span style="color: var(--gray-400);">[${fmt(r.totalEffectInterval.low)}, ${fmt(r.totalEffectInterval.high)}]</span>` : ''}</td>
+                                        <td>${fmt(r.interaction)}</td>
+                                    ` : `
+                                        <td>${r.muStar.toPrecision(3)}</td>
+                                        <td>${r.mu.toPrecision(3)}</td>
+                                        <td>${r.sigma.toPrecision(3)}</td>
+                                    `}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="global-sensitivity">
+                <p style="color: var(--gray-600); margin-bottom: 16px;">
+                    ${isSobol ? 'Sobol' : 'Morris'} analysis over ${results.factors.length} parameters
+                    from ${results.runs.toLocaleString()} simulation runs (seed ${results.seed}).
+                    ${isSobol
+                        ? 'Bracketed ranges are 95% bootstrap intervals. A total effect well above the first-order index means the parameter matters mostly through interactions.'
+                        : '&mu;* ranks overall influence; a large &sigma; relative to &mu;* signals nonlinear or interacting effects.'}
+                </p>
+                ${tables}
+            </div>
+        `;
+    }
+}
+
+// Export for ES modules
+export { GlobalSensitivityAnalysis, SCENARIO_FACTORS as GLOBAL_SENSITIVITY_FACTORS };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.GlobalSensitivityAnalysis = GlobalSensitivityAnalysis;
+}
@@ -12,7 +12,11 @@ class InterventionCostCalculator {
             workingPopulation: 160000000, // Labor force
             avgHoursPerWeek: 38.6,
             taxRevenueMultiplier: 0.25, // Avg effective tax rate
-            gdp: 25.5e12 // US GDP in dollars
+            gdp: 25.5e12, // US GDP in dollars
+            baselineUnemployed: 6700000, // Unemployed before AI displacement
+            gigWorkforceShare: 0.15, // Share of workers in gig or independent work
+            totalFirms: 6000000, // US employer businesses
+            employerPayrollTaxRate: 0.0765 // Employer share of FICA
         };
     }
 
@@ -28,8 +32,11 @@ class InterventionCostCalculator {
             totalCost: 0,
             totalRevenue: 0,
             netCost: 0,
+            netFiscalBalance: 0,
             totalJobsSaved: 0,
-            costPerJobSaved: 0
+            costPerJobSaved: 0,
+            cashFlows: [],
+            unpriced: []
         };
 
         if (!interventions || interventions.length === 0) {
@@ -40,20 +47,32 @@ class InterventionCostCalculator {
         const summary = simulationResults?.summary || {};
         const jobsDisplaced = summary.ai_impact?.cumulative_displacement || 0;
         const yearsSimulated = this.getYearsSimulated(simulationResults);
+        const cashFlows = this.calculateCashFlows(interventions, simulationResults);
 
-        interventions.forEach(intervention => {
+        interventions.forEach((intervention, index) => {
             const costAnalysis = this.calculateInterventionCost(
                 intervention,
                 jobsDisplaced,
                 yearsSimulated
             );
+            const flows = cashFlows.byIntervention[index];
+            costAnalysis.totalCost = flows.cost;
+            costAnalysis.totalRevenue = flows.revenue;
+            // Jobs saved count for the same share of the horizon the costs do
+            costAnalysis.totalJobsSaved = Math.round(costAnalysis.estimatedJobsSaved * flows.activeShare);
             results.interventions.push(costAnalysis);
-            results.totalCost += costAnalysis.annualCost * yearsSimulated;
-            results.totalRevenue += costAnalysis.annualRevenue * yearsSimulated;
-            results.totalJobsSaved += costAnalysis.estimatedJobsSaved;
+            results.totalJobsSaved += costAnalysis.totalJobsSaved;
+
+            if (!costAnalysis.priced) {
+                results.unpriced.push(costAnalysis.name);
+            }
         });
 
+        results.cashFlows = cashFlows.years;
+        results.totalCost = cashFlows.totalCost;
+        results.totalRevenue = cashFlows.totalRevenue;
         results.netCost = results.totalCost - results.totalRevenue;
+        results.netFiscalBalance = -results.netCost;
         results.costPerJobSaved = results.totalJobsSaved > 0
             ? results.netCost / results.totalJobsSaved
             : 0;
@@ -61,6 +80,102 @@ class InterventionCostCalculator {
         return results;
     }
 
+    /**
+     * Year-by-year cash flows over the simulated horizon. Each year is priced with the
+     * displacement the simulation reached by the end of that year, and each intervention
+     * is charged only for the part of the year it was in force.
+     * @param {Array} interventions - Active interventions
+     * @param {Object} simulationResults - Simulation results with per-step results
+     * @returns {Object} Per-year and per-intervention costs and revenues; activeShare is
+     *   the share of the horizon each intervention was in force
+     */
+    calculateCashFlows(interventions, simulationResults) {
+        const periods = this.getYearPeriods(simulationResults);
+        const byIntervention = interventions.map(intervention => ({
+            name: intervention.name,
+            type: intervention.type,
+            cost: 0,
+            revenue: 0,
+            activeShare: 0
+        }));
+
+        let cumulativeNet = 0;
+        const years = periods.map((period, p) => {
+            const row = { year: period.year, cost: 0, revenue: 0, net: 0, cumulativeNet: 0, byIntervention: [] };
+
+            interventions.forEach((intervention, i) => {
+                const share = this.getActiveShare(intervention, period);
+                if (share === 0) return;
+
+                const analysis = this.calculateInterventionCost(intervention, period.jobsDisplaced, p + 1);
+                const cost = analysis.annualCost * share;
+                const revenue = analysis.annualRevenue * share;
+
+                row.cost += cost;
+                row.revenue += revenue;
+                row.byIntervention.push({ name: intervention.name, type: intervention.type, cost, revenue });
+                byIntervention[i].cost += cost;
+                byIntervention[i].revenue += revenue;
+                byIntervention[i].activeShare += share / periods.length;
+            });
+
+            row.net = row.cost - row.revenue;
+            cumulativeNet += row.net;
+            row.cumulativeNet = cumulativeNet;
+            return row;
+        });
+
+        const totalCost = years.reduce((sum, y) => sum + y.cost, 0);
+        const totalRevenue = years.reduce((sum, y) => sum + y.revenue, 0);
+        return { years, byIntervention, totalCost, totalRevenue, netCost: totalCost - totalRevenue };
+    }
+
+    /**
+     * Split the simulation into calendar years, with the displacement reached by each
+     * year's end. Without per-step results, displacement is spread evenly.
+     */
+    getYearPeriods(simulationResults) {
+        const timeframe = simulationResults?.scenario?.timeframe;
+        const steps = simulationResults?.results;
+        const jobsDisplaced = simulationResults?.summary?.ai_impact?.cumulative_displacement || 0;
+        const years = this.getYearsSimulated(simulationResults);
+        const startYear = timeframe ? timeframe.start_year : new Date().getFullYear();
+
+        const periods = [];
+        let displacedSoFar = 0;
+        for (let y = 0; y < years; y++) {
+            const year = startYear + y;
+            const yearSteps = Array.isArray(steps)
+                ? steps.filter(step => step.year >= year && step.year < year + 1)
+                : [];
+
+            if (yearSteps.length > 0) {
+                const last = yearSteps[yearSteps.length - 1];
+                displacedSoFar = last.derived?.cumulative_displacement ?? displacedSoFar;
+            } else {
+                displacedSoFar = jobsDisplaced * (y + 1) / years;
+            }
+
+            periods.push({ year, steps: yearSteps.map(step => step.year), jobsDisplaced: displacedSoFar });
+        }
+        return periods;
+    }
+
+    /**
+     * Fraction of a year an intervention is in force
+     */
+    getActiveShare(intervention, period) {
+        if (intervention.active === false) return 0;
+
+        const inForce = (year) => (!intervention.start_year || year >= intervention.start_year) &&
+            (!intervention.end_year || year <= intervention.end_year);
+
+        if (period.steps.length === 0) {
+            return inForce(period.year) ? 1 : 0;
+        }
+        return period.steps.filter(inForce).length / period.steps.length;
+    }
+
     /**
      * Calculate cost for a single intervention
      */
@@ -72,6 +187,7 @@ class InterventionCostCalculator {
         let annualRevenue = 0;
         let estimatedJobsSaved = 0;
         let description = '';
+        let priced = true;
 
         switch (type) {
             case 'ubi':
@@ -116,7 +232,96 @@ class InterventionCostCalculator {
                 description = education.description;
                 break;
 
+            case 'job_guarantee':
+                const guarantee = this.calculateJobGuaranteeCost(params, jobsDisplaced);
+                annualCost = guarantee.cost;
+                annualRevenue = guarantee.revenue || 0;
+                estimatedJobsSaved = guarantee.jobsSaved;
+                description = guarantee.description;
+                break;
+
+            case 'portable_benefits':
+                const portable = this.calculatePortableBenefitsCost(params);
+                annualCost = portable.cost;
+                annualRevenue = portable.revenue || 0;
+                estimatedJobsSaved = portable.jobsSaved;
+                description = portable.description;
+                break;
+
+            case 'transition_assistance':
+                const transition = this.calculateTransitionAssistanceCost(params, jobsDisplaced, years);
+                annualCost = transition.cost;
+                annualRevenue = transition.revenue || 0;
+                estimatedJobsSaved = transition.jobsSaved;
+                description = transition.description;
+                break;
+
+            case 'negative_income_tax':
+                const nit = this.calculateNegativeIncomeTaxCost(params);
+                annualCost = nit.cost;
+                annualRevenue = nit.revenue || 0;
+                estimatedJobsSaved = nit.jobsSaved;
+                description = nit.description;
+                break;
+
+            case 'sectoral_bargaining':
+                const bargaining = this.calculateSectoralBargainingCost(params);
+                annualCost = bargaining.cost;
+                annualRevenue = bargaining.revenue || 0;
+                estimatedJobsSaved = bargaining.jobsSaved;
+                description = bargaining.description;
+                break;
+
+            case 'ai_licensing':
+                const licensing = this.calculateAILicensingCost(params, jobsDisplaced);
+                annualCost = licensing.cost;
+                annualRevenue = licensing.revenue || 0;
+                estimatedJobsSaved = licensing.jobsSaved;
+                description = licensing.description;
+                break;
+
+            case 'universal_basic_services':
+                const services = this.calculateUniversalBasicServicesCost(params);
+                annualCost = services.cost;
+                annualRevenue = services.revenue || 0;
+                estimatedJobsSaved = services.jobsSaved;
+                description = services.description;
+                break;
+
+            case 'worker_ownership':
+                const ownership = this.calculateWorkerOwnershipCost(params);
+                annualCost = ownership.cost;
+                annualRevenue = ownership.revenue || 0;
+                estimatedJobsSaved = ownership.jobsSaved;
+                description = ownership.description;
+                break;
+
+            case 'gig_economy_regulations':
+                const gig = this.calculateGigEconomyCost(params);
+                annualCost = gig.cost;
+                annualRevenue = gig.revenue || 0;
+                estimatedJobsSaved = gig.jobsSaved;
+                description = gig.description;
+                break;
+
+            case 'skills_based_immigration':
+                const immigration = this.calculateImmigrationCost(params);
+                annualCost = immigration.cost;
+                annualRevenue = immigration.revenue || 0;
+                estimatedJobsSaved = immigration.jobsSaved;
+                description = immigration.description;
+                break;
+
+            case 'public_private_retraining':
+                const partnership = this.calculatePublicPrivateRetrainingCost(params, jobsDisplaced, years);
+                annualCost = partnership.cost;
+                annualRevenue = partnership.revenue || 0;
+                estimatedJobsSaved = partnership.jobsSaved;
+                description = partnership.description;
+                break;
+
             default:
+                priced = false;
                 description = 'Cost model not available for this intervention';
         }
 
@@ -133,7 +338,8 @@ class InterventionCostCalculator {
             estimatedJobsSaved,
             costPerJob: estimatedJobsSaved > 0 ? (annualCost - annualRevenue) / estimatedJobsSaved : 0,
             roi,
-            description
+            description,
+            priced
         };
     }
 
@@ -164,7 +370,7 @@ class InterventionCostCalculator {
         return {
             cost: netCost,
             jobsSaved: jobsFromSpending,
-            description: `$${monthlyAmount}/month to ${this.formatNumber(eligiblePopulation)} adults. Gross: $${this.formatNumber(grossCost)}/yr`
+            description: `$${monthlyAmount}/month to ${this.formatNumber(eligiblePopulation, '')} adults. Gross: ${this.formatNumber(grossCost)}/yr`
         };
     }
 
@@ -185,7 +391,7 @@ class InterventionCostCalculator {
         return {
             cost: annualCost,
             jobsSaved: jobsSaved,
-            description: `$${this.formatNumber(fundingPerWorker)} per worker, ${annualParticipants.toLocaleString()} annual participants, ${Math.round(successRate * 100)}% success rate`
+            description: `${this.formatNumber(fundingPerWorker)} per worker, ${annualParticipants.toLocaleString()} annual participants, ${Math.round(successRate * 100)}% success rate`
         };
     }
 
@@ -207,7 +413,7 @@ class InterventionCostCalculator {
         return {
             cost: annualCost,
             jobsSaved: jobsSaved,
-            description: `${Math.round(subsidyRate * 100)}% subsidy on wages up to $${this.formatNumber(maxWageCovered)}, covering ${jobsCovered.toLocaleString()} jobs`
+            description: `${Math.round(subsidyRate * 100)}% subsidy on wages up to ${this.formatNumber(maxWageCovered)}, covering ${jobsCovered.toLocaleString()} jobs`
         };
     }
 
@@ -265,7 +471,7 @@ class InterventionCostCalculator {
         return {
             revenue: annualRevenue,
             jobsSaved: jobsSaved,
-            description: `${Math.round(taxRate * 100)}% tax on automation savings, generating $${this.formatNumber(annualRevenue)}/yr in revenue`
+            description: `${Math.round(taxRate * 100)}% tax on automation savings, generating ${this.formatNumber(annualRevenue)}/yr in revenue`
         };
     }
 
@@ -285,7 +491,300 @@ class InterventionCostCalculator {
         return {
             cost: additionalSpending,
             jobsSaved: Math.floor(improvedOutcomes),
-            description: `${fundingLevel}% increase in education funding, improving outcomes for ${this.formatNumber(improvedOutcomes)} graduates annually`
+            description: `${fundingLevel}% increase in education funding, improving outcomes for ${this.formatNumber(improvedOutcomes, '')} graduates annually`
+        };
+    }
+
+    /**
+     * Calculate job guarantee costs
+     */
+    calculateJobGuaranteeCost(params, jobsDisplaced) {
+        const hourlyWage = params.hourly_wage || 15;
+        const eligibility = params.eligibility || 'all_unemployed';
+
+        // Take-up among the eligible pool, as in the intervention effect model
+        const pool = {
+            all_unemployed: this.assumptions.baselineUnemployed + jobsDisplaced,
+            long_term_only: (this.assumptions.baselineUnemployed + jobsDisplaced) * 0.25, // ~25% unemployed 27+ weeks
+            displaced_only: jobsDisplaced
+        }[eligibility] ?? jobsDisplaced;
+        const takeupRate = eligibility === 'all_unemployed' ? 0.4 : eligibility === 'long_term_only' ? 0.2 : 0.3;
+        const participants = Math.floor(pool * takeupRate);
+
+        // Wages plus program overhead
+        const annualCost = participants * hourlyWage * 2080 * 1.3;
+
+        // Income tax paid on guaranteed wages
+        const annualRevenue = participants * hourlyWage * 2080 * this.assumptions.taxRevenueMultiplier * 0.5;
+
+        return {
+            cost: annualCost,
+            revenue: annualRevenue,
+            jobsSaved: participants,
+            description: `$${hourlyWage}/hr public jobs for ${participants.toLocaleString()} participants (${eligibility.replace(/_/g, ' ')})`
+        };
+    }
+
+    /**
+     * Calculate portable benefits costs
+     */
+    calculatePortableBenefitsCost(params) {
+        const contributionRate = (params.contribution_rate ?? 5) / 100;
+        const fundingModel = params.funding_model || 'employer_mandate';
+
+        const coveredWorkers = this.assumptions.workingPopulation * this.assumptions.gigWorkforceShare;
+        const benefitFund = coveredWorkers * this.assumptions.averageWage * contributionRate;
+
+        // Government pays only under general revenue funding; a payroll tax funds the
+        // benefits it pays, and a mandate leaves administration only
+        let annualCost = benefitFund * 0.02; // Administration
+        let annualRevenue = 0;
+        if (fundingModel === 'general_revenue') {
+            annualCost += benefitFund;
+        } else if (fundingModel === 'payroll_tax') {
+            annualCost += benefitFund;
+            annualRevenue = benefitFund;
+        }
+
+        return {
+            cost: annualCost,
+            revenue: annualRevenue,
+            jobsSaved: Math.floor(coveredWorkers * 0.02), // Entrepreneurship from reduced job lock
+            description: `${Math.round(contributionRate * 100)}% contribution for ${this.formatNumber(coveredWorkers, '')} independent workers, ${fundingModel.replace(/_/g, ' ')}`
+        };
+    }
+
+    /**
+     * Calculate transition assistance costs
+     */
+    calculateTransitionAssistanceCost(params, jobsDisplaced, years) {
+        const replacementRate = (params.replacement_rate ?? 70) / 100;
+        const durationMonths = params.duration || 12;
+
+        // Newly displaced workers each year, each supported for the program duration
+        const annualRecipients = Math.ceil(jobsDisplaced / years);
+        const benefitPerRecipient = this.assumptions.averageWage * replacementRate * (durationMonths / 12);
+        const trainingCost = params.retraining_requirement ? 3000 : 0;
+        const annualCost = annualRecipients * (benefitPerRecipient + trainingCost);
+
+        const reemploymentBoost = params.retraining_requirement ? 0.15 : 0.1;
+
+        return {
+            cost: annualCost,
+            jobsSaved: Math.floor(annualRecipients * reemploymentBoost),
+            description: `${Math.round(replacementRate * 100)}% wage replacement for ${durationMonths} months, ${annualRecipients.toLocaleString()} recipients per year`
+        };
+    }
+
+    /**
+     * Calculate negative income tax costs
+     */
+    calculateNegativeIncomeTaxCost(params) {
+        const baseAmount = params.base_amount ?? 12000;
+        const phaseOutRate = (params.phase_out_rate || 50) / 100;
+
+        // Benefits reach zero at the lower of the stated breakeven and base / phase-out rate
+        const breakeven = Math.min(params.breakeven_income || 50000, baseAmount / phaseOutRate);
+
+        // Adult incomes taken as exponential with the average wage as mean
+        const mean = this.assumptions.averageWage;
+        const shareBelow = 1 - Math.exp(-breakeven / mean);
+        const meanIncomeBelow = shareBelow > 0
+            ? mean - breakeven * Math.exp(-breakeven / mean) / shareBelow
+            : 0;
+        const avgBenefit = Math.max(0, baseAmount - phaseOutRate * meanIncomeBelow);
+
+        const recipients = this.assumptions.adultPopulation * shareBelow * 0.6; // 60% take-up
+        const annualCost = recipients * avgBenefit;
+
+        return {
+            cost: annualCost,
+            jobsSaved: Math.floor(annualCost * 0.000005), // Consumption-supported jobs
+            description: `${this.formatNumber(baseAmount)} base phasing out at ${Math.round(phaseOutRate * 100)}% to ${this.formatNumber(breakeven)}, ${this.formatNumber(recipients, '')} recipients`
+        };
+    }
+
+    /**
+     * Calculate sectoral bargaining costs
+     */
+    calculateSectoralBargainingCost(params) {
+        const coverage = (params.coverage_rate ?? 50) / 100;
+        const wageIncrease = (params.wage_floor_increase ?? 10) / 100;
+
+        const coveredWorkers = this.assumptions.workingPopulation * coverage;
+
+        // Wage boards cost little; higher covered wages raise income tax receipts
+        const annualCost = coveredWorkers * 5;
+        const annualRevenue = coveredWorkers * this.assumptions.averageWage * wageIncrease *
+            this.assumptions.taxRevenueMultiplier;
+
+        return {
+            cost: annualCost,
+            revenue: annualRevenue,
+            jobsSaved: 0,
+            description: `${Math.round(wageIncrease * 100)}% wage floor increase covering ${Math.round(coverage * 100)}% of workers`
+        };
+    }
+
+    /**
+     * Calculate AI licensing costs and fee revenue
+     */
+    calculateAILicensingCost(params, jobsDisplaced) {
+        const complianceCost = params.compliance_cost ?? 50000;
+        const approvalDelay = params.approval_delay || 6;
+
+        // New deployments licensed each year; fees are a tenth of compliance cost
+        const newDeployments = this.assumptions.workingPopulation * 0.001 * 0.1;
+        const annualRevenue = newDeployments * complianceCost * 0.1;
+
+        // Review agency cost scales with approval workload
+        const annualCost = 200e6 + newDeployments * 2000 * (12 / approvalDelay);
+
+        // Slower adoption delays displacement
+        const automationReduction = Math.min(0.5, 0.15 * (approvalDelay / 12) + 0.1 * (complianceCost / 100000));
+
+        return {
+            cost: annualCost,
+            revenue: annualRevenue,
+            jobsSaved: Math.floor(jobsDisplaced * automationReduction),
+            description: `${this.formatNumber(complianceCost)} compliance cost, ${approvalDelay}-month approval for ${Math.round(newDeployments).toLocaleString()} deployments per year`
+        };
+    }
+
+    /**
+     * Calculate universal basic services costs
+     */
+    calculateUniversalBasicServicesCost(params) {
+        // Annual per-person cost of each service at full coverage
+        const serviceCosts = {
+            healthcare: 8000,
+            childcare: 6000,
+            housing: 12000,
+            transit: 1500,
+            internet: 600,
+            education: 4000
+        };
+        const coverageMultiplier = {
+            basic: 0.5,
+            standard: 0.75,
+            comprehensive: 1.0
+        }[params.coverage_level] || 0.75;
+
+        const services = params.services || ['healthcare', 'childcare', 'transit'];
+        const incomeCap = params.income_cap || 0;
+        const eligibleShare = incomeCap > 0
+            ? 1 - Math.exp(-incomeCap / this.assumptions.averageWage)
+            : 1;
+
+        // Not every adult uses every service
+        const perPerson = services.reduce((sum, service) => sum + (serviceCosts[service] || 2000), 0) * 0.5;
+        const annualCost = this.assumptions.adultPopulation * eligibleShare * perPerson * coverageMultiplier;
+
+        return {
+            cost: annualCost,
+            jobsSaved: Math.floor(annualCost / 60000 * 0.3), // Service delivery jobs
+            description: `${params.coverage_level || 'standard'} coverage of ${services.join(', ')} for ${Math.round(eligibleShare * 100)}% of adults`
+        };
+    }
+
+    /**
+     * Calculate worker ownership incentive costs
+     */
+    calculateWorkerOwnershipCost(params) {
+        const taxCreditRate = (params.tax_credit_rate ?? 25) / 100;
+        const conversionSubsidy = params.conversion_subsidy ?? 10000;
+
+        // Conversions rise with the credit, as in the intervention effect model
+        const convertingFirms = this.assumptions.totalFirms * 0.1 * 0.05 * (taxCreditRate / 0.25);
+        const workersAffected = convertingFirms * 15;
+
+        const taxCreditCost = workersAffected * this.assumptions.averageWage * taxCreditRate * 0.1;
+        const subsidyCost = workersAffected * conversionSubsidy;
+        const annualCost = (taxCreditCost + subsidyCost) / 5; // Spread over 5 years
+
+        return {
+            cost: annualCost,
+            jobsSaved: Math.floor(workersAffected * 0.02),
+            description: `${Math.round(taxCreditRate * 100)}% tax credit and ${this.formatNumber(conversionSubsidy)} per worker for ${Math.round(convertingFirms).toLocaleString()} firm conversions`
+        };
+    }
+
+    /**
+     * Calculate gig economy regulation costs
+     */
+    calculateGigEconomyCost(params) {
+        const gigWorkforce = this.assumptions.workingPopulation * this.assumptions.gigWorkforceShare;
+        const gigWage = this.assumptions.averageWage * 0.75;
+        const reclassificationRate = {
+            strict: 0.6,
+            moderate: 0.3,
+            flexible: 0.1
+        }[params.classification_strictness] || 0.3;
+        const reclassified = gigWorkforce * reclassificationRate;
+
+        // Subsidy to the portable benefits fund, plus enforcement
+        const fundSubsidy = gigWorkforce * gigWage * ((params.portable_benefits_fund ?? 2) / 100) * 0.2;
+        const enforcement = params.minimum_wage_enforcement ? 300e6 : 100e6;
+        const annualCost = fundSubsidy + enforcement;
+
+        // Reclassified workers bring employer payroll tax
+        const annualRevenue = reclassified * gigWage * this.assumptions.employerPayrollTaxRate;
+
+        return {
+            cost: annualCost,
+            revenue: annualRevenue,
+            jobsSaved: Math.floor(reclassified * 0.05 - gigWorkforce * reclassificationRate * 0.1),
+            description: `${params.classification_strictness || 'moderate'} classification reclassifies ${this.formatNumber(reclassified, '')} gig workers`
+        };
+    }
+
+    /**
+     * Calculate skills-based immigration costs and revenue
+     */
+    calculateImmigrationCost(params) {
+        const visas = params.annual_visa_cap || 100000;
+        const wageFloor = params.wage_floor || 60000;
+
+        // Processing cost per visa; fees and income tax from admitted workers
+        const annualCost = visas * 1500;
+        const visaFees = visas * 5000;
+        const incomeTax = visas * 0.95 * Math.max(wageFloor, this.assumptions.averageWage) *
+            this.assumptions.taxRevenueMultiplier;
+
+        return {
+            cost: annualCost,
+            revenue: visaFees + incomeTax,
+            jobsSaved: Math.floor(visas * 0.3), // Jobs created through consumption and startups
+            description: `${visas.toLocaleString()} visas per year with a ${this.formatNumber(wageFloor)} wage floor`
+        };
+    }
+
+    /**
+     * Calculate public-private retraining costs
+     */
+    calculatePublicPrivateRetrainingCost(params, jobsDisplaced, years) {
+        const employerMinimum = params.employer_commitment_minimum || 5000;
+        const matchRate = (params.government_match_rate ?? 50) / 100;
+
+        const eligiblePool = {
+            displaced_only: jobsDisplaced / years,
+            at_risk: this.assumptions.workingPopulation * 0.1 * 0.1,
+            any_unemployed: (this.assumptions.baselineUnemployed + jobsDisplaced / years) * 0.1,
+            incumbent_workers: this.assumptions.workingPopulation * 0.02
+        }[params.eligible_workers] ?? this.assumptions.workingPopulation * 0.1 * 0.1;
+        const participants = Math.min(eligiblePool, 500000); // Program capacity
+
+        // Government matches the employer contribution
+        const annualCost = participants * employerMinimum * matchRate;
+
+        let successRate = 0.6;
+        if (params.job_guarantee_requirement) successRate += 0.2;
+        if (params.certification_standards) successRate += 0.1;
+
+        return {
+            cost: annualCost,
+            jobsSaved: Math.floor(participants * successRate * 0.85),
+            description: `${Math.round(matchRate * 100)}% match on ${this.formatNumber(employerMinimum)} employer commitment, ${Math.round(participants).toLocaleString()} participants`
         };
     }
 
@@ -301,12 +800,13 @@ class InterventionCostCalculator {
     /**
      * Format large numbers
      */
-    formatNumber(n) {
-        if (n >= 1e12) return '$' + (n / 1e12).toFixed(1) + 'T';
-        if (n >= 1e9) return '$' + (n / 1e9).toFixed(1) + 'B';
-        if (n >= 1e6) return '$' + (n / 1e6).toFixed(1) + 'M';
-        if (n >= 1e3) return '$' + (n / 1e3).toFixed(1) + 'K';
-        return '$' + n.toFixed(0);
+    formatNumber(n, prefix = '$') {
+        if (n < 0) return '-' + this.formatNumber(-n, prefix);
+        if (n >= 1e12) return prefix + (n / 1e12).toFixed(1) + 'T';
+        if (n >= 1e9) return prefix + (n / 1e9).toFixed(1) + 'B';
+        if (n >= 1e6) return prefix + (n / 1e6).toFixed(1) + 'M';
+        if (n >= 1e3) return prefix + (n / 1e3).toFixed(1) + 'K';
+        return prefix + n.toFixed(0);
     }
 
     /**
@@ -326,14 +826,33 @@ class InterventionCostCalculator {
                 <td><strong>${i.name}</strong></td>
                 <td style="text-align: right;">${i.annualCost > 0 ? this.formatNumber(i.annualCost) : '-'}</td>
                 <td style="text-align: right; color: var(--secondary);">${i.annualRevenue > 0 ? this.formatNumber(i.annualRevenue) : '-'}</td>
+                <td style="text-align: right;">${this.formatNumber(i.totalCost - i.totalRevenue)}</td>
                 <td style="text-align: right;">${i.estimatedJobsSaved.toLocaleString()}</td>
                 <td style="text-align: right;">${i.costPerJob > 0 ? this.formatNumber(i.costPerJob) : 'N/A'}</td>
                 <td style="text-align: right;">${typeof i.roi === 'number' ? i.roi.toFixed(2) + 'x' : i.roi}</td>
             </tr>
         `).join('');
 
+        const cashFlowRows = (analysis.cashFlows || []).map(y => `
+            <tr>
+                <td>${y.year}</td>
+                <td style="text-align: right;">${this.formatNumber(y.cost)}</td>
+                <td style="text-align: right; color: var(--secondary);">${this.formatNumber(y.revenue)}</td>
+                <td style="text-align: right;">${this.formatNumber(y.net)}</td>
+                <td style="text-align: right;">${this.formatNumber(y.cumulativeNet)}</td>
+            </tr>
+        `).join('');
+
+        const balance = analysis.netFiscalBalance || 0;
+
         return `
             <div style="margin-bottom: 24px;">
+                ${analysis.unpriced && analysis.unpriced.length > 0 ? `
+                <div style="background: #fef3c7; color: #92400e; padding: 12px 16px; border-radius: 8px; margin-bottom: 16px; font-size: 0.875rem;">
+                    No cost model for ${analysis.unpriced.join(', ')}; totals below exclude them.
+                </div>
+                ` : ''}
+
                 <!-- Summary Cards -->
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 16px; margin-bottom: 24px;">
                     <div style="background: var(--gray-50); padding: 16px; border-radius: 8px; text-align: center;">
@@ -348,6 +867,10 @@ class InterventionCostCalculator {
                         <div style="font-size: 0.75rem; color: var(--gray-500); text-transform: uppercase;">Net Cost</div>
                         <div style="font-size: 1.25rem; font-weight: 700; color: var(--gray-900);">${this.formatNumber(analysis.netCost)}</div>
                     </div>
+                    <div style="background: var(--gray-50); padding: 16px; border-radius: 8px; text-align: center;">
+                        <div style="font-size: 0.75rem; color: var(--gray-500); text-transform: uppercase;">Net Fiscal Balance</div>
+                        <div style="font-size: 1.25rem; font-weight: 700; color: ${balance >= 0 ? 'var(--secondary)' : 'var(--danger)'};">${balance >= 0 ? 'Surplus ' : 'Deficit '}${this.formatNumber(Math.abs(balance))}</div>
+                    </div>
                     <div style="background: var(--gray-50); padding: 16px; border-radius: 8px; text-align: center;">
                         <div style="font-size: 0.75rem; color: var(--gray-500); text-transform: uppercase;">Jobs Saved</div>
                         <div style="font-size: 1.25rem; font-weight: 700; color: var(--primary);">${analysis.totalJobsSaved.toLocaleString()}</div>
@@ -365,6 +888,7 @@ class InterventionCostCalculator {
                             <th>Intervention</th>
                             <th style="text-align: right;">Annual Cost</th>
                             <th style="text-align: right;">Revenue</th>
+                            <th style="text-align: right;">Net Over Horizon</th>
                             <th style="text-align: right;">Jobs Saved</th>
                             <th style="text-align: right;">Cost/Job</th>
                             <th style="text-align: right;">ROI</th>
@@ -375,6 +899,24 @@ class InterventionCostCalculator {
                     </tbody>
                 </table>
 
+                ${cashFlowRows ? `
+                <h4 style="margin: 24px 0 8px;">Year-by-Year Cash Flows</h4>
+                <table class="data-table" style="font-size: 0.875rem;">
+                    <thead>
+                        <tr>
+                            <th>Year</th>
+                            <th style="text-align: right;">Cost</th>
+                            <th style="text-align: right;">Revenue</th>
+                            <th style="text-align: right;">Net Cost</th>
+                            <th style="text-align: right;">Cumulative Net Cost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cashFlowRows}
+                    </tbody>
+                </table>
+                ` : ''}
+
                 <p style="font-size: 0.75rem; color: var(--gray-400); margin-top: 12px;">
                     * Costs are estimates based on economic models. Actual costs depend on implementation details.
                     ROI = (Jobs Saved × Avg Wage) / Net Cost. Values >1 indicate positive economic return.
@@ -3,6 +3,17 @@
  * Runs multiple iterations with randomized parameters to show probability distributions
  */
 
+import { EconomicModelManager } from '../models/economic-models.js';
+import { createRNG, generateSeed } from '../utils/random.js';
+import { WorkerPool } from '../workers/worker-pool.js';
+
+// Read through a variable so bundlers leave it alone: worker_threads needs the file URL,
+// while browsers load the bundled worker through the literal new URL() in _runParallel
+const MODULE_URL = import.meta.url;
+
+// Metrics whose confidence intervals decide when a run has converged
+const DEFAULT_CONVERGENCE_METRICS = ['final_unemployment', 'net_job_change', 'final_wage_growth'];
+
 class MonteCarloSimulation {
     constructor(simulationEngine) {
         this.engine = simulationEngine;
@@ -10,6 +21,7 @@ class MonteCarloSimulation {
         this.results = null;
         this.isRunning = false;
         this.progress = 0;
+        this.configure();
     }
 
     /**
@@ -31,97 +43,254 @@ class MonteCarloSimulation {
             // Labor elasticity variance
             elasticity_variance: options.elasticity_variance || 0.2
         };
+
+        // Iteration i always draws from the stream seeded `${seed}/${i}`, so a run
+        // gives the same distributions however its iterations are scheduled
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : generateSeed();
+
+        // Worker threads to spread iterations over (0 runs serially on this thread)
+        this.workers = options.workers !== undefined ? options.workers : WorkerPool.defaultSize();
+
+        // Stop early once the 90% intervals (p5-p95) of the convergence metrics move by
+        // less than tolerance x their width between checks (null runs every iteration)
+        this.convergence = {
+            tolerance: options.tolerance || null,
+            metrics: options.convergence_metrics || DEFAULT_CONVERGENCE_METRICS,
+            minIterations: options.min_iterations || 200,
+            checkInterval: options.check_interval || 100,
+            stableChecks: options.stable_checks || 3
+        };
     }
 
     /**
      * Run Monte Carlo simulation
      * @param {Object} baseScenario - Base scenario configuration
      * @param {Function} progressCallback - Called with progress updates
+     * @param {Function} partialCallback - Called with distributions so far at each convergence check
      * @returns {Object} Monte Carlo results with distributions
      */
-    async run(baseScenario, progressCallback = null) {
+    async run(baseScenario, progressCallback = null, partialCallback = null) {
         this.isRunning = true;
         this.progress = 0;
-        const allResults = [];
 
-        // Store original scenario
+        // Store original scenario and models (each iteration starts from fresh models)
         const originalScenario = { ...this.engine.currentScenario };
+        const originalModels = this.engine.economicModels;
 
-        try {
-            for (let i = 0; i < this.iterations; i++) {
-                // Create randomized scenario
-                const randomizedConfig = this.randomizeScenario(baseScenario);
-
-                // Create and run scenario
-                this.engine.createScenario(randomizedConfig);
-                const result = await this.engine.runSimulation();
+        const tracker = this._createTracker(progressCallback, partialCallback);
+        const configFor = (i) => this.randomizeScenario(baseScenario, createRNG(`${this.seed}/${i}`));
 
-                // Store key metrics from final state
-                allResults.push(this.extractKeyMetrics(result));
-
-                // Update progress
-                this.progress = ((i + 1) / this.iterations) * 100;
-                if (progressCallback && i % 50 === 0) {
-                    progressCallback(this.progress);
+        try {
+            if (this.workers > 0 && WorkerPool.isSupported()) {
+                await this._runParallel(configFor, tracker);
+            } else {
+                for (let i = 0; i < this.iterations && !tracker.stopped; i++) {
+                    tracker.record(await this.runIteration(configFor(i)), i);
                 }
             }
 
-            // Restore original scenario
-            this.engine.currentScenario = originalScenario;
-
             // Analyze results
-            this.results = this.analyzeDistributions(allResults);
-            this.isRunning = false;
+            this.results = {
+                ...this.analyzeDistributions(tracker.completed()),
+                seed: this.seed,
+                convergence: tracker.convergence
+            };
 
             return this.results;
-        } catch (error) {
+        } finally {
             this.isRunning = false;
             this.engine.currentScenario = originalScenario;
-            throw error;
+            this.engine.economicModels = originalModels;
+        }
+    }
+
+    /**
+     * Run one randomized scenario and extract its key metrics
+     * @param {Object} config - Scenario config from randomizeScenario
+     */
+    async runIteration(config) {
+        this.engine.economicModels = new EconomicModelManager();
+        this.engine.createScenario(config);
+        const result = await this.engine.runSimulation();
+        return this.extractKeyMetrics(result);
+    }
+
+    /**
+     * Fan iterations across a worker pool seeded with this engine's baseline
+     */
+    async _runParallel(configFor, tracker) {
+        if (!this.engine.baselineSnapshot) {
+            await this.engine.initialize();
         }
+
+        const pool = new WorkerPool(
+            new URL('../workers/monte-carlo-worker.js', MODULE_URL),
+            this.workers,
+            () => new Worker(new URL('../workers/monte-carlo-worker.js', import.meta.url), { type: 'module' })
+        );
+        try {
+            await pool.start({ baselineSnapshot: this.engine.baselineSnapshot });
+            await pool.run(
+                this.iterations,
+                (i) => ({ config: configFor(i) }),
+                (metrics, i) => tracker.record(metrics, i)
+            );
+        } finally {
+            pool.terminate();
+        }
+    }
+
+    /**
+     * Collect iteration results (which may arrive out of order), report progress,
+     * and decide when to stop. Checks only ever look at the unbroken run of
+     * iterations 0..n-1, so the stopping point does not depend on scheduling.
+     */
+    _createTracker(progressCallback, partialCallback) {
+        const { tolerance, metrics, minIterations, checkInterval, stableChecks } = this.convergence;
+        const results = [];
+        let contiguous = 0;
+        let received = 0;
+        let nextCheck = checkInterval;
+        let stableRun = 0;
+        let previous = null;
+
+        const convergence = {
+            tolerance,
+            converged: false,
+            stoppedAt: null,
+            checks: []
+        };
+
+        const check = (count) => {
+            const prefix = results.slice(0, count);
+            const intervals = {};
+            metrics.forEach(metric => {
+                const values = prefix.map(r => r[metric]).filter(v => !isNaN(v)).sort((a, b) => a - b);
+                intervals[metric] = values.length > 0
+                    ? { p5: this.percentile(values, 5), p95: this.percentile(values, 95) }
+                    : null;
+            });
+
+            // Largest interval shift since the last check, relative to the interval width
+            let maxChange = previous ? 0 : Infinity;
+            if (previous) {
+                metrics.forEach(metric => {
+                    const now = intervals[metric];
+                    const before = previous[metric];
+                    if (!now || !before) return;
+                    const shift = Math.max(Math.abs(now.p5 - before.p5), Math.abs(now.p95 - before.p95));
+                    const width = now.p95 - now.p5;
+                    maxChange = Math.max(maxChange, width > 0 ? shift / width : (shift > 0 ? Infinity : 0));
+                });
+            }
+            previous = intervals;
+
+            convergence.checks.push({ iterations: count, maxChange, intervals });
+
+            if (partialCallback) {
+                partialCallback({ ...this.analyzeDistributions(prefix), convergence });
+            }
+
+            if (tolerance !== null && maxChange <= tolerance) {
+                stableRun++;
+            } else {
+                stableRun = 0;
+            }
+            if (tolerance !== null && count >= minIterations && stableRun >= stableChecks) {
+                convergence.converged = true;
+                convergence.stoppedAt = count;
+            }
+        };
+
+        const tracker = {
+            stopped: false,
+            convergence,
+
+            /**
+             * Store one iteration's metrics; returns false once the run should stop
+             */
+            record: (metrics, index) => {
+                if (tracker.stopped) return false;
+
+                results[index] = metrics;
+                received++;
+                while (contiguous < results.length && results[contiguous] !== undefined) {
+                    contiguous++;
+                }
+
+                this.progress = (received / this.iterations) * 100;
+                if (progressCallback && received % 50 === 0) {
+                    progressCallback(this.progress);
+                }
+
+                while (!tracker.stopped && contiguous >= nextCheck) {
+                    check(nextCheck);
+                    if (convergence.converged) {
+                        tracker.stopped = true;
+                    }
+                    nextCheck += checkInterval;
+                }
+                return !tracker.stopped;
+            },
+
+            /**
+             * Results used for the final distributions
+             */
+            completed: () => results.slice(0, convergence.stoppedAt || this.iterations)
+        };
+
+        return tracker;
     }
 
     /**
      * Randomize scenario parameters within configured ranges
      */
-    randomizeScenario(baseConfig) {
+    randomizeScenario(baseConfig, rng = Math.random) {
         const config = JSON.parse(JSON.stringify(baseConfig));
         const ranges = this.parameterRanges;
 
         // Randomize AI adoption rate
         config.ai_adoption_rate = this.randomize(
             config.ai_adoption_rate || 50,
-            ranges.ai_adoption_variance
+            ranges.ai_adoption_variance,
+            rng
         );
 
         // Randomize productivity growth
         config.productivity_growth = this.randomize(
             config.productivity_growth || 3,
-            ranges.productivity_variance
+            ranges.productivity_variance,
+            rng
         );
 
         // Randomize new job multiplier
         config.new_job_multiplier = Math.max(0.1, this.randomize(
             config.new_job_multiplier || 0.3,
-            ranges.job_multiplier_variance
+            ranges.job_multiplier_variance,
+            rng
         ));
 
         // Randomize displacement lag
         config.displacement_lag = Math.max(1, Math.round(this.randomize(
             config.displacement_lag || 6,
-            ranges.displacement_lag_variance
+            ranges.displacement_lag_variance,
+            rng
         )));
 
         // Randomize GDP growth
         config.gdp_growth = this.randomize(
             config.gdp_growth || 2.0,
-            ranges.gdp_variance
+            ranges.gdp_variance,
+            rng
         );
 
         // Randomize labor elasticity
         config.labor_elasticity = this.randomize(
             config.labor_elasticity || -0.5,
-            ranges.elasticity_variance
+            ranges.elasticity_variance,
+            rng
         );
 
         return config;
@@ -130,10 +299,10 @@ class MonteCarloSimulation {
     /**
      * Add Gaussian noise to a value
      */
-    randomize(value, variance) {
+    randomize(value, variance, rng = Math.random) {
         // Box-Muller transform for normal distribution
-        const u1 = Math.random();
-        const u2 = Math.random();
+        const u1 = 1 - rng(); // (0, 1], keeps log() finite
+        const u2 = rng();
         const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
         return value + z * (variance / 2);
     }
@@ -222,7 +391,7 @@ class MonteCarloSimulation {
         });
 
         return {
-            iterations: this.iterations,
+            iterations: allResults.length,
             distributions,
             yearlyDistributions,
             rawResults: allResults
@@ -330,7 +499,7 @@ class MonteCarloSimulation {
         const dist = this.results.distributions;
 
         return {
-            iterations: this.iterations,
+            iterations: this.results.iterations,
             unemployment: {
                 mostLikely: dist.final_unemployment.median,
                 range: `${dist.final_unemployment.p10.toFixed(1)}% - ${dist.final_unemployment.p90.toFixed(1)}%`,
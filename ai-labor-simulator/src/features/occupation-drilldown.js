@@ -3,6 +3,8 @@
  * Analyzes AI impact on specific occupations using O*NET-based task framework
  */
 
+import { getOccupationData } from '../data/occupations.js';
+
 class OccupationDrilldown {
     constructor() {
         // O*NET-based occupation categories with task automation exposure
@@ -11,216 +13,10 @@ class OccupationDrilldown {
     }
 
     /**
-     * Get occupation data with AI automation exposure estimates
-     * Based on O*NET task framework and AI capability research
+     * Get occupation data with AI automation exposure estimates (see data/occupations.js)
      */
     getOccupationData() {
-        return {
-            // High-exposure white collar
-            'data_entry_clerks': {
-                name: 'Data Entry Clerks',
-                socCode: '43-9021',
-                category: 'Office & Administrative',
-                employment: 152000,
-                medianWage: 37810,
-                automationExposure: 0.92,
-                aiAugmentationPotential: 0.15,
-                tasks: [
-                    { name: 'Entering data from source documents', exposure: 0.95, type: 'routine_cognitive' },
-                    { name: 'Verifying data accuracy', exposure: 0.85, type: 'routine_cognitive' },
-                    { name: 'Maintaining data entry logs', exposure: 0.90, type: 'routine_cognitive' },
-                    { name: 'Resolving data discrepancies', exposure: 0.70, type: 'non_routine_cognitive' }
-                ],
-                projectedChange: { 2025: -8, 2027: -22, 2029: -38, 2034: -65 }
-            },
-            'customer_service_reps': {
-                name: 'Customer Service Representatives',
-                socCode: '43-4051',
-                employment: 2840000,
-                category: 'Office & Administrative',
-                medianWage: 39680,
-                automationExposure: 0.78,
-                aiAugmentationPotential: 0.45,
-                tasks: [
-                    { name: 'Answering routine inquiries', exposure: 0.90, type: 'routine_cognitive' },
-                    { name: 'Processing orders and returns', exposure: 0.85, type: 'routine_cognitive' },
-                    { name: 'Handling complaints', exposure: 0.55, type: 'non_routine_interactive' },
-                    { name: 'Providing product information', exposure: 0.75, type: 'routine_cognitive' },
-                    { name: 'Escalating complex issues', exposure: 0.30, type: 'non_routine_interactive' }
-                ],
-                projectedChange: { 2025: -5, 2027: -15, 2029: -28, 2034: -45 }
-            },
-            'accountants_auditors': {
-                name: 'Accountants and Auditors',
-                socCode: '13-2011',
-                category: 'Business & Financial',
-                employment: 1538000,
-                medianWage: 79880,
-                automationExposure: 0.68,
-                aiAugmentationPotential: 0.65,
-                tasks: [
-                    { name: 'Preparing tax returns', exposure: 0.80, type: 'routine_cognitive' },
-                    { name: 'Analyzing financial data', exposure: 0.55, type: 'non_routine_analytical' },
-                    { name: 'Auditing financial statements', exposure: 0.60, type: 'non_routine_analytical' },
-                    { name: 'Advising on financial strategy', exposure: 0.25, type: 'non_routine_interactive' },
-                    { name: 'Regulatory compliance', exposure: 0.70, type: 'routine_cognitive' }
-                ],
-                projectedChange: { 2025: -3, 2027: -10, 2029: -18, 2034: -30 }
-            },
-            'paralegals': {
-                name: 'Paralegals and Legal Assistants',
-                socCode: '23-2011',
-                category: 'Legal',
-                employment: 358000,
-                medianWage: 60970,
-                automationExposure: 0.72,
-                aiAugmentationPotential: 0.60,
-                tasks: [
-                    { name: 'Legal research', exposure: 0.75, type: 'non_routine_analytical' },
-                    { name: 'Document review', exposure: 0.85, type: 'routine_cognitive' },
-                    { name: 'Preparing legal documents', exposure: 0.70, type: 'routine_cognitive' },
-                    { name: 'Client communication', exposure: 0.35, type: 'non_routine_interactive' },
-                    { name: 'Case organization', exposure: 0.65, type: 'routine_cognitive' }
-                ],
-                projectedChange: { 2025: -4, 2027: -12, 2029: -22, 2034: -35 }
-            },
-            'software_developers': {
-                name: 'Software Developers',
-                socCode: '15-1256',
-                category: 'Computer & IT',
-                employment: 1847000,
-                medianWage: 127260,
-                automationExposure: 0.45,
-                aiAugmentationPotential: 0.85,
-                tasks: [
-                    { name: 'Writing code', exposure: 0.55, type: 'non_routine_analytical' },
-                    { name: 'Code review', exposure: 0.50, type: 'non_routine_analytical' },
-                    { name: 'Debugging', exposure: 0.45, type: 'non_routine_analytical' },
-                    { name: 'System design', exposure: 0.25, type: 'non_routine_analytical' },
-                    { name: 'Requirements gathering', exposure: 0.20, type: 'non_routine_interactive' }
-                ],
-                projectedChange: { 2025: 5, 2027: 8, 2029: 12, 2034: 18 }
-            },
-            'radiologic_technologists': {
-                name: 'Radiologic Technologists',
-                socCode: '29-2034',
-                category: 'Healthcare',
-                employment: 241000,
-                medianWage: 65140,
-                automationExposure: 0.52,
-                aiAugmentationPotential: 0.70,
-                tasks: [
-                    { name: 'Positioning patients', exposure: 0.15, type: 'non_routine_manual' },
-                    { name: 'Operating imaging equipment', exposure: 0.40, type: 'routine_cognitive' },
-                    { name: 'Image analysis (preliminary)', exposure: 0.75, type: 'non_routine_analytical' },
-                    { name: 'Patient interaction', exposure: 0.10, type: 'non_routine_interactive' },
-                    { name: 'Quality control', exposure: 0.55, type: 'routine_cognitive' }
-                ],
-                projectedChange: { 2025: 2, 2027: 3, 2029: 4, 2034: 6 }
-            },
-            'registered_nurses': {
-                name: 'Registered Nurses',
-                socCode: '29-1141',
-                category: 'Healthcare',
-                employment: 3175000,
-                medianWage: 81220,
-                automationExposure: 0.28,
-                aiAugmentationPotential: 0.55,
-                tasks: [
-                    { name: 'Patient care planning', exposure: 0.35, type: 'non_routine_analytical' },
-                    { name: 'Administering medications', exposure: 0.20, type: 'routine_manual' },
-                    { name: 'Patient monitoring', exposure: 0.45, type: 'routine_cognitive' },
-                    { name: 'Emotional support', exposure: 0.05, type: 'non_routine_interactive' },
-                    { name: 'Documentation', exposure: 0.60, type: 'routine_cognitive' }
-                ],
-                projectedChange: { 2025: 4, 2027: 7, 2029: 10, 2034: 15 }
-            },
-            'truck_drivers': {
-                name: 'Heavy Truck Drivers',
-                socCode: '53-3032',
-                category: 'Transportation',
-                employment: 2097000,
-                medianWage: 49920,
-                automationExposure: 0.65,
-                aiAugmentationPotential: 0.40,
-                tasks: [
-                    { name: 'Driving on highways', exposure: 0.80, type: 'routine_manual' },
-                    { name: 'Loading/unloading', exposure: 0.35, type: 'routine_manual' },
-                    { name: 'Route planning', exposure: 0.85, type: 'routine_cognitive' },
-                    { name: 'Vehicle inspection', exposure: 0.40, type: 'routine_cognitive' },
-                    { name: 'Urban navigation', exposure: 0.45, type: 'non_routine_manual' }
-                ],
-                projectedChange: { 2025: -2, 2027: -8, 2029: -15, 2034: -30 }
-            },
-            'retail_salespersons': {
-                name: 'Retail Salespersons',
-                socCode: '41-2031',
-                category: 'Sales',
-                employment: 3686000,
-                medianWage: 31920,
-                automationExposure: 0.58,
-                aiAugmentationPotential: 0.35,
-                tasks: [
-                    { name: 'Processing transactions', exposure: 0.90, type: 'routine_cognitive' },
-                    { name: 'Product recommendations', exposure: 0.60, type: 'non_routine_interactive' },
-                    { name: 'Inventory management', exposure: 0.75, type: 'routine_cognitive' },
-                    { name: 'Customer assistance', exposure: 0.35, type: 'non_routine_interactive' },
-                    { name: 'Store maintenance', exposure: 0.20, type: 'routine_manual' }
-                ],
-                projectedChange: { 2025: -4, 2027: -10, 2029: -18, 2034: -28 }
-            },
-            'financial_analysts': {
-                name: 'Financial Analysts',
-                socCode: '13-2051',
-                category: 'Business & Financial',
-                employment: 330000,
-                medianWage: 99010,
-                automationExposure: 0.55,
-                aiAugmentationPotential: 0.75,
-                tasks: [
-                    { name: 'Data analysis', exposure: 0.65, type: 'non_routine_analytical' },
-                    { name: 'Report generation', exposure: 0.70, type: 'routine_cognitive' },
-                    { name: 'Investment recommendations', exposure: 0.40, type: 'non_routine_analytical' },
-                    { name: 'Client presentations', exposure: 0.25, type: 'non_routine_interactive' },
-                    { name: 'Market research', exposure: 0.55, type: 'non_routine_analytical' }
-                ],
-                projectedChange: { 2025: 0, 2027: -3, 2029: -8, 2034: -12 }
-            },
-            'graphic_designers': {
-                name: 'Graphic Designers',
-                socCode: '27-1024',
-                category: 'Arts & Design',
-                employment: 265000,
-                medianWage: 57990,
-                automationExposure: 0.62,
-                aiAugmentationPotential: 0.70,
-                tasks: [
-                    { name: 'Creating visual concepts', exposure: 0.55, type: 'non_routine_analytical' },
-                    { name: 'Production design work', exposure: 0.75, type: 'routine_cognitive' },
-                    { name: 'Client collaboration', exposure: 0.20, type: 'non_routine_interactive' },
-                    { name: 'Asset resizing/formatting', exposure: 0.90, type: 'routine_cognitive' },
-                    { name: 'Brand strategy', exposure: 0.25, type: 'non_routine_analytical' }
-                ],
-                projectedChange: { 2025: -3, 2027: -10, 2029: -18, 2034: -25 }
-            },
-            'marketing_managers': {
-                name: 'Marketing Managers',
-                socCode: '11-2021',
-                category: 'Management',
-                employment: 316000,
-                medianWage: 157620,
-                automationExposure: 0.35,
-                aiAugmentationPotential: 0.70,
-                tasks: [
-                    { name: 'Campaign strategy', exposure: 0.30, type: 'non_routine_analytical' },
-                    { name: 'Team leadership', exposure: 0.10, type: 'non_routine_interactive' },
-                    { name: 'Performance analytics', exposure: 0.60, type: 'non_routine_analytical' },
-                    { name: 'Content oversight', exposure: 0.45, type: 'non_routine_analytical' },
-                    { name: 'Stakeholder communication', exposure: 0.15, type: 'non_routine_interactive' }
-                ],
-                projectedChange: { 2025: 2, 2027: 4, 2029: 6, 2034: 10 }
-            }
-        };
+        return getOccupationData();
     }
 
     /**
@@ -323,6 +119,43 @@ class OccupationDrilldown {
         };
     }
 
+    /**
+     * Employment change for an occupation from a simulation run's occupation
+     * records, at the last step on or before targetYear
+     * @param {string} occupationId
+     * @param {Object[]} results - SimulationEngine results
+     * @param {number} targetYear
+     * @returns {Object|null} Same fields as projectEmploymentChange, plus the run's
+     *   trajectory; null when the run has no records for the occupation
+     */
+    projectFromRun(occupationId, results, targetYear) {
+        const trajectory = (results || [])
+            .filter(result => result.occupations && result.occupations[occupationId])
+            .map(result => ({ year: result.year, ...result.occupations[occupationId] }));
+        if (trajectory.length === 0) return null;
+
+        const reached = trajectory.filter(point => point.year <= targetYear);
+        const point = reached.length > 0 ? reached[reached.length - 1] : trajectory[0];
+        const initial = point.initial_employment;
+        const absoluteChange = point.employment - initial;
+
+        return {
+            percentChange: initial > 0 ? absoluteChange / initial * 100 : 0,
+            absoluteChange,
+            projectedEmployment: point.employment,
+            year: point.year,
+            cumulativeDisplaced: point.cumulative_displaced,
+            cumulativeNewJobs: point.cumulative_new_jobs,
+            trajectory: trajectory.map(p => ({
+                year: p.year,
+                employment: p.employment,
+                displaced: p.displaced,
+                new_jobs: p.new_jobs,
+                net_change: p.net_change
+            }))
+        };
+    }
+
     /**
      * Get skill recommendations for transition
      */
@@ -457,14 +290,53 @@ class OccupationDrilldown {
     }
 
     /**
-     * Generate detailed view for an occupation
+     * Yearly rows of a run's trajectory for the detailed view
      */
-    generateDetailedViewHTML(occupationId, aiAdoptionRate = 70, targetYear = 2029) {
+    generateTrajectoryHTML(trajectory) {
+        const byYear = {};
+        trajectory.forEach(point => {
+            const year = Math.floor(point.year);
+            const row = byYear[year] || (byYear[year] = { year, employment: 0, displaced: 0, new_jobs: 0 });
+            row.employment = point.employment;
+            row.displaced += point.displaced;
+            row.new_jobs += point.new_jobs;
+        });
+
+        return `
+                    <table class="data-table" style="margin-top: 16px;">
+                        <thead>
+                            <tr>
+                                <th>Year</th>
+                                <th>Employment</th>
+                                <th>Displaced</th>
+                                <th>New Jobs</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${Object.values(byYear).map(row => `
+                                <tr>
+                                    <td>${row.year}</td>
+                                    <td>${(row.employment / 1e6).toFixed(2)}M</td>
+                                    <td>${(row.displaced / 1000).toFixed(0)}K</td>
+                                    <td>${(row.new_jobs / 1000).toFixed(0)}K</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+        `;
+    }
+
+    /**
+     * Generate detailed view for an occupation. With a simulation run's results the
+     * projection comes from the run; otherwise from projectEmploymentChange.
+     */
+    generateDetailedViewHTML(occupationId, aiAdoptionRate = 70, targetYear = 2029, results = null) {
         const occ = this.getOccupation(occupationId);
         if (!occ) return '<p>Occupation not found.</p>';
 
         const taskImpact = this.calculateTaskImpact(occupationId, aiAdoptionRate);
-        const projection = this.projectEmploymentChange(occupationId, targetYear, aiAdoptionRate);
+        const runProjection = this.projectFromRun(occupationId, results, targetYear);
+        const projection = runProjection || this.projectEmploymentChange(occupationId, targetYear, aiAdoptionRate);
         const recommendations = this.getTransitionRecommendations(occupationId);
 
         const riskClass = occ.automationExposure >= 0.7 ? 'tag-high' :
@@ -514,7 +386,10 @@ class OccupationDrilldown {
                 <!-- Employment Projection -->
                 <div class="card" style="margin-bottom: 24px;">
                     <div class="card-header">
-                        <h3>Employment Projection to ${targetYear}</h3>
+                        <h3>Employment Projection to ${runProjection ? Math.floor(runProjection.year) : targetYear}</h3>
+                        <span style="font-size: 0.75rem; color: var(--gray-500);">
+                            ${runProjection ? 'From the current simulation run' : 'Standalone estimate (run a simulation for scenario results)'}
+                        </span>
                     </div>
                     <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; text-align: center;">
                         <div>
@@ -536,6 +411,7 @@ class OccupationDrilldown {
                             </div>
                         </div>
                     </div>
+                    ${runProjection ? this.generateTrajectoryHTML(runProjection.trajectory) : ''}
                 </div>
 
                 <!-- Task-Level Analysis -->
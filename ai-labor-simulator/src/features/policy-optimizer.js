@@ -0,0 +1,512 @@
+/**
+ * Policy Optimizer
+ * Searches intervention mixes - which types, their parameters and start years - with
+ * the aggregate engine and returns the Pareto frontier of packages that fit a fiscal
+ * budget. Search is a seeded NSGA-II style evolution, so a seed reproduces the frontier.
+ */
+
+import { EconomicModelManager } from '../models/economic-models.js';
+import { InterventionSystem } from '../simulation/interventions.js';
+import { InterventionCostCalculator } from './intervention-cost-calculator.js';
+import { createRNG, generateSeed } from '../utils/random.js';
+
+// Types whose spending reaches households directly, counted as income in the Gini proxy
+const INCOME_SUPPORT_TYPES = Object.entries(new InterventionSystem().interventionTypes)
+    .filter(([, def]) => def.category === 'income_support')
+    .map(([type]) => type);
+
+/**
+ * Gini of labor income across sector groups, with the unemployed as a zero-earnings group.
+ * The aggregate engine has no household distribution, so this is a between-group proxy:
+ * sector median wages move with the average wage and income-support spending is spread
+ * evenly over the labor force.
+ */
+function laborIncomeGini(step, initial) {
+    const wageIndex = step.wages.average_hourly / initial.wages.average_hourly;
+    const laborForce = step.labor_market.labor_force;
+
+    const monthlyTransfers = (step.interventions?.applied || [])
+        .filter(d => INCOME_SUPPORT_TYPES.includes(d.type))
+        .reduce((sum, d) => sum + Math.max(0, d.fiscal_cost || 0), 0);
+    const transfer = laborForce > 0 ? (monthlyTransfers * 12) / laborForce : 0;
+
+    const groups = Object.values(step.sectors || {})
+        .filter(sector => sector.employment > 0 && sector.median_wage)
+        .map(sector => ({ weight: sector.employment, income: sector.median_wage * wageIndex + transfer }));
+    groups.push({ weight: laborForce * (step.labor_market.unemployment_rate / 100), income: transfer });
+
+    const totalWeight = groups.reduce((sum, g) => sum + g.weight, 0);
+    if (!totalWeight) return 0;
+    const meanIncome = groups.reduce((sum, g) => sum + g.weight * g.income, 0) / totalWeight;
+    if (!meanIncome) return 0;
+
+    let diffSum = 0;
+    groups.forEach(a => groups.forEach(b => {
+        diffSum += a.weight * b.weight * Math.abs(a.income - b.income);
+    }));
+    return diffSum / (2 * totalWeight * totalWeight * meanIncome);
+}
+
+// Objectives available to the search
+const OBJECTIVES = {
+    peak_unemployment: {
+        name: 'Peak Unemployment Rate',
+        direction: 'minimize',
+        format: (v) => `${v.toFixed(1)}%`,
+        extractor: (result) => Math.max(...result.results.map(r => r.labor_market.unemployment_rate))
+    },
+    wage_growth: {
+        name: 'Wage Growth',
+        direction: 'maximize',
+        format: (v) => `${v.toFixed(1)}%`,
+        extractor: (result) => {
+            const first = result.results[0].wages.average_hourly;
+            const last = result.results[result.results.length - 1].wages.average_hourly;
+            return (last / first - 1) * 100;
+        }
+    },
+    gini: {
+        name: 'Labor Income Gini (proxy)',
+        direction: 'minimize',
+        format: (v) => v.toFixed(3),
+        extractor: (result) => laborIncomeGini(result.results[result.results.length - 1], result.results[0])
+    }
+};
+
+class PolicyOptimizer {
+    constructor(simulationEngine) {
+        this.engine = simulationEngine;
+        this.costCalculator = new InterventionCostCalculator();
+        this.interventionTypes = new InterventionSystem().interventionTypes;
+        this.results = null;
+        this.isRunning = false;
+        this.configure();
+    }
+
+    /**
+     * Configure the search. budget is the net fiscal cost allowed over the horizon in
+     * dollars (null for no limit); types restricts the intervention types searched.
+     */
+    configure(options = {}) {
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : generateSeed();
+        this.budget = options.budget !== undefined ? options.budget : null;
+        this.objectives = options.objectives || Object.keys(OBJECTIVES);
+        this.types = options.types || Object.keys(this.interventionTypes);
+        this.populationSize = options.populationSize || 24;
+        this.generations = options.generations || 12;
+        this.maxInterventions = options.maxInterventions || 3;
+        this.mutationRate = options.mutationRate !== undefined ? options.mutationRate : 0.2;
+
+        this.objectives.forEach(id => {
+            if (!OBJECTIVES[id]) throw new Error(`Unknown objective: ${id}`);
+        });
+        this.types.forEach(type => {
+            if (!this.interventionTypes[type]) throw new Error(`Unknown intervention type: ${type}`);
+        });
+    }
+
+    /**
+     * Searchable parameters of an intervention type: numbers, selects and booleans
+     */
+    getParameters(type) {
+        return Object.entries(this.interventionTypes[type].parameters)
+            .filter(([, def]) => (def.type === 'number' && def.max > def.min) ||
+                (def.type === 'select' && def.options.length > 1) ||
+                def.type === 'boolean')
+            .map(([id, def]) => ({ id, ...def }));
+    }
+
+    /**
+     * Draw a parameter value
+     */
+    sampleParameter(param, rng) {
+        switch (param.type) {
+            case 'select':
+                return param.options[Math.floor(rng() * param.options.length)];
+            case 'boolean':
+                return rng() < 0.5;
+            default:
+                return this.clampParameter(param, param.min + rng() * (param.max - param.min));
+        }
+    }
+
+    /**
+     * Keep a number in range, on whole values when the parameter is defined on them
+     */
+    clampParameter(param, value) {
+        const clamped = Math.max(param.min, Math.min(param.max, value));
+        const integral = [param.min, param.max, param.default].every(Number.isInteger);
+        return integral ? Math.round(clamped) : clamped;
+    }
+
+    /**
+     * A random gene for one intervention type
+     */
+    randomGene(type, rng, years) {
+        const parameters = {};
+        this.getParameters(type).forEach(param => {
+            parameters[param.id] = this.sampleParameter(param, rng);
+        });
+        return {
+            active: false,
+            parameters,
+            start_year: years.start + Math.floor(rng() * (years.end - years.start))
+        };
+    }
+
+    /**
+     * A random package of one to maxInterventions types
+     */
+    randomCandidate(rng, years) {
+        const candidate = {};
+        this.types.forEach(type => {
+            candidate[type] = this.randomGene(type, rng, years);
+        });
+
+        const count = 1 + Math.floor(rng() * Math.min(this.maxInterventions, this.types.length));
+        const order = this.types.slice();
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        order.slice(0, count).forEach(type => { candidate[type].active = true; });
+        return candidate;
+    }
+
+    /**
+     * Uniform crossover: each type's gene comes whole from one parent
+     */
+    crossover(a, b, rng) {
+        const child = {};
+        this.types.forEach(type => {
+            child[type] = JSON.parse(JSON.stringify(rng() < 0.5 ? a[type] : b[type]));
+        });
+        return child;
+    }
+
+    /**
+     * Toggle types in or out, nudge parameters and shift start years
+     */
+    mutate(candidate, rng, years) {
+        this.types.forEach(type => {
+            const gene = candidate[type];
+            if (rng() < this.mutationRate / 2) {
+                gene.active = !gene.active;
+            }
+            if (!gene.active) return;
+
+            this.getParameters(type).forEach(param => {
+                if (rng() >= this.mutationRate) return;
+                gene.parameters[param.id] = param.type === 'number'
+                    ? this.clampParameter(param, gene.parameters[param.id] + (rng() - 0.5) * 0.4 * (param.max - param.min))
+                    : this.sampleParameter(param, rng);
+            });
+            if (rng() < this.mutationRate) {
+                const shift = rng() < 0.5 ? -1 : 1;
+                gene.start_year = Math.max(years.start, Math.min(years.end - 1, gene.start_year + shift));
+            }
+        });
+
+        // Drop random types until the package is within maxInterventions
+        const active = this.types.filter(type => candidate[type].active);
+        while (active.length > this.maxInterventions) {
+            const [type] = active.splice(Math.floor(rng() * active.length), 1);
+            candidate[type].active = false;
+        }
+        return candidate;
+    }
+
+    /**
+     * Interventions of a candidate package, in the form the scenario runner accepts
+     */
+    toInterventions(candidate) {
+        return this.types
+            .filter(type => candidate[type].active)
+            .map(type => ({
+                type,
+                name: this.interventionTypes[type].name,
+                parameters: { ...candidate[type].parameters },
+                start_year: candidate[type].start_year
+            }));
+    }
+
+    /**
+     * Run one package through the engine
+     */
+    async runModel(baseConfig, interventions) {
+        // Fresh models per run, so no state carries over between candidates
+        this.engine.economicModels = new EconomicModelManager();
+        const scenario = this.engine.createScenario(baseConfig);
+
+        const interventionSystem = new InterventionSystem();
+        interventions.forEach(intervention => {
+            interventionSystem.addIntervention(intervention.type, intervention.parameters, intervention);
+        });
+        scenario.interventions = interventionSystem.interventions.filter(i => i.active);
+
+        return this.engine.runSimulation();
+    }
+
+    /**
+     * Net fiscal cost of a package over the horizon, from the cost calculator's
+     * year-by-year cash flows for the run
+     */
+    packageCost(result) {
+        const analysis = this.costCalculator.calculateAllCosts(result.scenario.interventions, result);
+        return {
+            total: analysis.netCost,
+            byIntervention: analysis.interventions.map(item => ({
+                type: item.type,
+                cost: item.totalCost - item.totalRevenue
+            }))
+        };
+    }
+
+    /**
+     * Evaluate a candidate, reusing earlier runs of an identical package
+     */
+    async evaluate(candidate, baseConfig, cache) {
+        const interventions = this.toInterventions(candidate);
+        const key = JSON.stringify(interventions);
+        if (cache.has(key)) {
+            return { ...cache.get(key), candidate };
+        }
+
+        const result = await this.runModel(baseConfig, interventions);
+        const cost = this.packageCost(result);
+
+        const outcomes = {};
+        this.objectives.forEach(id => {
+            const value = OBJECTIVES[id].extractor(result);
+            outcomes[id] = isNaN(value) ? 0 : value;
+        });
+
+        const evaluation = {
+            interventions,
+            cost,
+            outcomes,
+            violation: this.budget !== null ? Math.max(0, cost.total - this.budget) : 0
+        };
+        cache.set(key, evaluation);
+        return { ...evaluation, candidate };
+    }
+
+    /**
+     * Constrained dominance: within budget beats over budget, smaller overruns beat
+     * larger ones, and among packages within budget the usual Pareto dominance applies
+     */
+    dominates(a, b) {
+        if (a.violation !== b.violation) {
+            return a.violation < b.violation;
+        }
+
+        let better = false;
+        for (const id of this.objectives) {
+            const sign = OBJECTIVES[id].direction === 'maximize' ? -1 : 1;
+            const diff = sign * (a.outcomes[id] - b.outcomes[id]);
+            if (diff > 0) return false;
+            if (diff < 0) better = true;
+        }
+        return better;
+    }
+
+    /**
+     * Fast non-dominated sort into fronts; sets rank on each evaluation
+     */
+    sortFronts(population) {
+        const dominated = population.map(() => []);
+        const dominationCount = population.map(() => 0);
+        const fronts = [[]];
+
+        population.forEach((a, i) => {
+            population.forEach((b, j) => {
+                if (i === j) return;
+                if (this.dominates(a, b)) dominated[i].push(j);
+                else if (this.dominates(b, a)) dominationCount[i]++;
+            });
+            if (dominationCount[i] === 0) {
+                a.rank = 0;
+                fronts[0].push(i);
+            }
+        });
+
+        for (let f = 0; fronts[f].length > 0; f++) {
+            const next = [];
+            fronts[f].forEach(i => {
+                dominated[i].forEach(j => {
+                    if (--dominationCount[j] === 0) {
+                        population[j].rank = f + 1;
+                        next.push(j);
+                    }
+                });
+            });
+            fronts.push(next);
+        }
+
+        return fronts.filter(front => front.length > 0).map(front => front.map(i => population[i]));
+    }
+
+    /**
+     * Crowding distance within a front, so selection keeps the frontier spread out
+     */
+    assignCrowding(front) {
+        front.forEach(e => { e.crowding = 0; });
+        this.objectives.forEach(id => {
+            const sorted = front.slice().sort((a, b) => a.outcomes[id] - b.outcomes[id]);
+            const range = sorted[sorted.length - 1].outcomes[id] - sorted[0].outcomes[id];
+            sorted[0].crowding = Infinity;
+            sorted[sorted.length - 1].crowding = Infinity;
+            if (range === 0) return;
+            for (let i = 1; i < sorted.length - 1; i++) {
+                sorted[i].crowding += (sorted[i + 1].outcomes[id] - sorted[i - 1].outcomes[id]) / range;
+            }
+        });
+    }
+
+    /**
+     * Binary tournament on rank, then crowding
+     */
+    tournament(population, rng) {
+        const a = population[Math.floor(rng() * population.length)];
+        const b = population[Math.floor(rng() * population.length)];
+        if (a.rank !== b.rank) return a.rank < b.rank ? a : b;
+        return a.crowding >= b.crowding ? a : b;
+    }
+
+    /**
+     * Search for the Pareto frontier of policy packages
+     * @param {Object} baseConfig - createScenario() config the packages are applied to
+     * @param {Object} options - { progressCallback }
+     * @returns {Promise<Object>} Frontier packages with costs and outcomes, plus the no-policy baseline
+     */
+    async optimize(baseConfig, options = {}) {
+        const originalScenario = this.engine.currentScenario;
+        const originalModels = this.engine.economicModels;
+        this.isRunning = true;
+
+        try {
+            const rng = createRNG(`${this.seed}/policy`);
+            const { timeframe } = this.engine.createScenario(baseConfig);
+            const years = { start: timeframe.start_year, end: timeframe.end_year };
+            const config = { ...baseConfig, interventions: [] };
+            const cache = new Map();
+
+            const empty = {};
+            this.types.forEach(type => { empty[type] = { ...this.randomGene(type, rng, years), active: false }; });
+            const baseline = await this.evaluate(empty, config, cache);
+
+            let population = [baseline];
+            while (population.length < this.populationSize) {
+                population.push(await this.evaluate(this.randomCandidate(rng, years), config, cache));
+            }
+
+            for (let generation = 0; generation < this.generations; generation++) {
+                this.sortFronts(population).forEach(front => this.assignCrowding(front));
+
+                const offspring = [];
+                while (offspring.length < this.populationSize) {
+                    const child = this.crossover(
+                        this.tournament(population, rng).candidate,
+                        this.tournament(population, rng).candidate,
+                        rng
+                    );
+                    offspring.push(await this.evaluate(this.mutate(child, rng, years), config, cache));
+                }
+
+                // Survivors fill by front, breaking the last front by crowding
+                const next = [];
+                for (const front of this.sortFronts(population.concat(offspring))) {
+                    this.assignCrowding(front);
+                    if (next.length + front.length <= this.populationSize) {
+                        next.push(...front);
+                    } else {
+                        front.sort((a, b) => b.crowding - a.crowding);
+                        next.push(...front.slice(0, this.populationSize - next.length));
+                        break;
+                    }
+                }
+                population = next;
+
+                if (options.progressCallback) {
+                    options.progressCallback({ current: generation + 1, total: this.generations, evaluations: cache.size });
+                }
+            }
+
+            // The frontier is taken over every package evaluated, not just the last generation
+            const evaluated = Array.from(cache.values());
+            const feasible = evaluated.filter(e => e.violation === 0);
+            const frontier = feasible.length > 0 ? this.sortFronts(feasible)[0] : [];
+
+            const strip = ({ interventions, cost, outcomes }) => ({ interventions, cost, outcomes });
+            this.results = {
+                seed: this.seed,
+                budget: this.budget,
+                objectives: this.objectives.map(id => ({ id, name: OBJECTIVES[id].name, direction: OBJECTIVES[id].direction })),
+                evaluations: cache.size,
+                baseline: strip(baseline),
+                frontier: frontier.map(strip).sort((a, b) => a.cost.total - b.cost.total)
+            };
+            return this.results;
+        } finally {
+            this.isRunning = false;
+            this.engine.currentScenario = originalScenario;
+            this.engine.economicModels = originalModels;
+        }
+    }
+
+    /**
+     * Render the frontier as a table
+     */
+    generateHTML(results = this.results) {
+        if (!results) {
+            return '<p style="color: var(--gray-500);">No policy optimization results available.</p>';
+        }
+
+        const money = (v) => `${v < 0 ? '-' : ''}$${(Math.abs(v) / 1e9).toFixed(1)}B`;
+        const describe = (pkg) => pkg.interventions.length === 0
+            ? '<em>No intervention</em>'
+            : pkg.interventions.map(i => `${i.name} <span style="color: var(--gray-400);">(from ${i.start_year})</span>`).join('<br>');
+        const row = (pkg) => `
+            <tr>
+                <td>${describe(pkg)}</td>
+                <td>${money(pkg.cost.total)}</td>
+                ${results.objectives.map(o => `<td>${OBJECTIVES[o.id].format(pkg.outcomes[o.id])}</td>`).join('')}
+            </tr>
+        `;
+
+        return `
+            <div class="policy-optimizer">
+                <p style="color: var(--gray-600); margin-bottom: 16px;">
+                    ${results.frontier.length} Pareto-optimal packages from ${results.evaluations.toLocaleString()} evaluated
+                    (seed ${results.seed})${results.budget !== null ? `, within a ${money(results.budget)} budget` : ''}.
+                    No package on the frontier can improve one objective without worsening another.
+                </p>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Package</th>
+                            <th>Net Cost</th>
+                            ${results.objectives.map(o => `<th>${o.name} (${o.direction === 'maximize' ? 'higher' : 'lower'} is better)</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${results.frontier.map(row).join('')}
+                    </tbody>
+                    <tfoot>
+                        ${row(results.baseline)}
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Export for ES modules
+export { PolicyOptimizer, OBJECTIVES as POLICY_OBJECTIVES };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.PolicyOptimizer = PolicyOptimizer;
+}
@@ -318,6 +318,28 @@ class SensitivityAnalysis {
                             </div>
                         `).join('')}
                     </div>
+
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 16px; margin-top: 24px; padding-top: 16px; border-top: 1px solid var(--gray-200);">
+                        <p style="font-size: 0.875rem; color: var(--gray-500);">
+                            Global analysis varies every scenario and intervention parameter at once,
+                            separating each input's own effect from its interactions.
+                        </p>
+                        <div style="display: flex; gap: 8px; flex-shrink: 0;">
+                            <button class="btn btn-outline btn-sm" onclick="runGlobalSensitivity('morris')">Morris Screening</button>
+                            <button class="btn btn-primary btn-sm" onclick="runGlobalSensitivity('sobol')">Sobol Indices</button>
+                        </div>
+                    </div>
+
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 16px; margin-top: 16px; padding-top: 16px; border-top: 1px solid var(--gray-200);">
+                        <p style="font-size: 0.875rem; color: var(--gray-500);">
+                            Backtesting replays the engine from past conditions and scores it against history.
+                            Calibration fits the engine's parameters to that history.
+                        </p>
+                        <div style="display: flex; gap: 8px; flex-shrink: 0;">
+                            <button class="btn btn-outline btn-sm" onclick="runBacktest('backtest')">Backtest</button>
+                            <button class="btn btn-primary btn-sm" onclick="runBacktest('calibrate')">Calibrate</button>
+                        </div>
+                    </div>
                 </div>
 
                 <div id="sensitivity-results">
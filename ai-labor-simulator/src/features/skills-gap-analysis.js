@@ -110,6 +110,32 @@ class SkillsGapAnalyzer {
                 career_paths: ['Health IT Specialist', 'Clinical Informatics', 'Medical Data Analyst']
             }
         };
+
+        // Aggregated job postings (JobPostingDataService.getJobData()), when ingested
+        this.postingData = null;
+    }
+
+    /**
+     * Use trends from ingested job postings in place of the built-in growth and
+     * decline estimates, for the skills and sectors the postings cover
+     * @param {Object|null} jobData - From JobPostingDataService.getJobData(); null (or
+     *   the sample figures) goes back to the estimates
+     */
+    setJobPostingData(jobData) {
+        this.postingData = jobData && jobData.source === 'postings' ? jobData : null;
+    }
+
+    /**
+     * Posting trend for a skill, if the postings have one. growthRate is the annual
+     * change in the share of postings asking for it, so it stands in for the annual
+     * growth_rate and decline_rate estimates (as a fraction rather than a percent).
+     * @returns {{growthRate: number, postings: number, avgSalary: number|null}|null}
+     */
+    getPostingSignal(skill) {
+        if (!this.postingData) return null;
+        const { emerging, stable, declining } = this.postingData.skillDemand;
+        const found = [...emerging, ...stable, ...declining].find(s => s.skill === skill);
+        return found && found.growthRate !== null ? found : null;
     }
 
     /**
@@ -133,7 +159,12 @@ class SkillsGapAnalyzer {
             transition_paths: transitionPaths,
             training_recommendations: trainingRecommendations,
             gap_metrics: gapMetrics,
-            sector_skill_needs: this.analyzeSectorSkillNeeds(sectorSummary)
+            sector_skill_needs: this.analyzeSectorSkillNeeds(sectorSummary),
+            posting_data: this.postingData ? {
+                postings: this.postingData.totalPostings,
+                first_month: this.postingData.firstMonth,
+                last_month: this.postingData.lastMonth
+            } : null
         };
     }
 
@@ -148,8 +179,12 @@ class SkillsGapAnalyzer {
             // Find sector impact
             const sectorImpact = this.getSectorImpact(data.sector, sectorSummary);
 
+            // A falling share of postings asking for the skill replaces the estimate
+            const signal = this.getPostingSignal(skill);
+            const declineRate = signal ? Math.max(0, -signal.growthRate * 100) : data.decline_rate;
+
             // Calculate projected decline
-            const adjustedDecline = data.decline_rate * (1 + displacementFactor) * (1 + Math.abs(sectorImpact) / 100);
+            const adjustedDecline = declineRate * (1 + displacementFactor) * (1 + Math.abs(sectorImpact) / 100);
             const workersAffected = Math.round(data.current_demand * (adjustedDecline / 100));
 
             results.push({
@@ -160,7 +195,9 @@ class SkillsGapAnalyzer {
                 automation_risk: Math.round(data.automation_risk * 100) + '%',
                 sector: data.sector,
                 urgency: adjustedDecline > 12 ? 'Critical' : adjustedDecline > 8 ? 'High' : 'Moderate',
-                transition_options: this.skillsData.transitions[skill] || []
+                transition_options: this.skillsData.transitions[skill] || [],
+                demand_source: signal ? 'job postings' : 'estimate',
+                postings: signal ? signal.postings : null
             });
         }
 
@@ -175,8 +212,11 @@ class SkillsGapAnalyzer {
         const adoptionFactor = parseFloat(aiImpact.ai_adoption.final) / 100;
 
         for (const [skill, data] of Object.entries(this.skillsData.growing)) {
+            const signal = this.getPostingSignal(skill);
+            const avgSalary = signal?.avgSalary || data.avg_salary;
+
             // AI-related skills grow faster with higher AI adoption
-            let adjustedGrowth = data.growth_rate;
+            let adjustedGrowth = signal ? signal.growthRate * 100 : data.growth_rate;
             if (['AI/ML Engineering', 'Data Science', 'Prompt Engineering', 'Human-AI Collaboration', 'AI Ethics/Governance'].includes(skill)) {
                 adjustedGrowth *= (1 + adoptionFactor * 0.5);
             }
@@ -190,10 +230,12 @@ class SkillsGapAnalyzer {
                 growth_rate: Math.round(adjustedGrowth),
                 projected_demand: projectedDemand,
                 new_positions: newPositions,
-                avg_salary: '$' + data.avg_salary.toLocaleString(),
+                avg_salary: '$' + avgSalary.toLocaleString(),
                 training_months: data.training_months,
                 sector: data.sector,
-                opportunity_score: this.calculateOpportunityScore(adjustedGrowth, data.avg_salary, data.training_months)
+                opportunity_score: this.calculateOpportunityScore(adjustedGrowth, avgSalary, data.training_months),
+                demand_source: signal ? 'job postings' : 'estimate',
+                postings: signal ? signal.postings : null
             });
         }
 
@@ -322,6 +364,18 @@ class SkillsGapAnalyzer {
                 priority_skills: skills,
                 hiring_outlook: impact > 0 ? 'Growing' : impact < -5 ? 'Declining' : 'Stable'
             };
+
+            // Postings show hiring directly, where they cover the sector
+            const postings = this.postingData?.byCategory[sector];
+            if (postings) {
+                sectorNeeds[sector].posting_skills = postings.topSkills;
+                sectorNeeds[sector].ai_mention_rate = postings.aiMentioned;
+                if (postings.growthRate !== null) {
+                    sectorNeeds[sector].posting_growth = postings.growthRate;
+                    sectorNeeds[sector].hiring_outlook = postings.growthRate > 0.05 ? 'Growing'
+                        : postings.growthRate < -0.05 ? 'Declining' : 'Stable';
+                }
+            }
         }
 
         return sectorNeeds;
@@ -410,6 +464,12 @@ class SkillsGapAnalyzer {
 
         return `
             <div class="skills-gap-analysis">
+                ${analysis.posting_data ? `
+                    <p style="font-size: 0.75rem; color: var(--gray-500); margin-bottom: 12px;">
+                        Skill trends from ${analysis.posting_data.postings.toLocaleString()} job postings
+                        (${analysis.posting_data.first_month} to ${analysis.posting_data.last_month}) where they cover a skill
+                    </p>
+                ` : ''}
                 <!-- Gap Metrics Summary -->
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 16px; margin-bottom: 24px;">
                     <div style="background: var(--gray-50); padding: 16px; border-radius: 8px; text-align: center;">
@@ -17,6 +17,8 @@ class URLSharingService {
             'ap': 'automation_pace',
             // AI Parameters
             'ac': 'adoption_curve',
+            'cp': 'curve_parameters',
+            'sc': 'sector_curves',
             'pd': 'productivity_dispersion',
             'njm': 'new_job_multiplier',
             'td': 'transition_delay',
@@ -62,6 +64,10 @@ class URLSharingService {
         // Encode AI parameters
         if (scenario.ai_parameters) {
             params.set('ac', this.encodeAdoptionCurve(scenario.ai_parameters.adoption_curve));
+            const curveParams = this.encodeCurveParams(scenario.ai_parameters.curve_parameters);
+            if (curveParams) params.set('cp', curveParams);
+            const sectorCurves = this.encodeSectorCurves(scenario.ai_parameters.sector_curves);
+            if (sectorCurves) params.set('sc', sectorCurves);
             params.set('pd', scenario.ai_parameters.productivity_dispersion);
             params.set('njm', scenario.ai_parameters.new_job_multiplier);
             params.set('td', scenario.ai_parameters.transition_delay);
@@ -129,6 +135,15 @@ class URLSharingService {
             };
         }
 
+        // Decode custom curve parameters and sector curves
+        const cp = params.get('cp');
+        const sc = params.get('sc');
+        if (cp || sc) {
+            scenario.ai_parameters = scenario.ai_parameters || { adoption_curve: 's_curve' };
+            scenario.ai_parameters.curve_parameters = cp ? this.decodeCurveParams(cp) : {};
+            scenario.ai_parameters.sector_curves = sc ? this.decodeSectorCurves(sc) : {};
+        }
+
         // Decode interventions
         const iv = params.get('iv');
         if (iv) {
@@ -146,7 +161,10 @@ class URLSharingService {
             'linear': 'L',
             'exponential': 'E',
             's_curve': 'S',
-            'step': 'T'
+            'step': 'T',
+            'logistic': 'G',
+            'bass': 'B',
+            'piecewise': 'P'
         };
         return curveMap[curve] || 'S';
     }
@@ -159,11 +177,85 @@ class URLSharingService {
             'L': 'linear',
             'E': 'exponential',
             'S': 's_curve',
-            'T': 'step'
+            'T': 'step',
+            'G': 'logistic',
+            'B': 'bass',
+            'P': 'piecewise'
         };
         return curveMap[code] || 's_curve';
     }
 
+    /**
+     * Encode curve parameters as e.g. m0.3-s8 or p2026:40_2030:75
+     */
+    encodeCurveParams(params) {
+        if (!params) return '';
+
+        const keys = { midpoint: 'm', steepness: 's', innovation: 'i', imitation: 'q', target: 't' };
+        const parts = [];
+        Object.entries(keys).forEach(([name, key]) => {
+            if (params[name] !== undefined) parts.push(key + params[name]);
+        });
+        if (params.points && params.points.length > 0) {
+            parts.push('p' + params.points.map(point => `${point.year}:${point.rate}`).join('_'));
+        }
+        return parts.join('-');
+    }
+
+    /**
+     * Decode curve parameters from compact string
+     */
+    decodeCurveParams(encoded) {
+        const keys = { m: 'midpoint', s: 'steepness', i: 'innovation', q: 'imitation', t: 'target' };
+        const params = {};
+        if (!encoded) return params;
+
+        for (const part of encoded.split('-')) {
+            if (part.length < 2) continue;
+            const key = part.charAt(0);
+            const value = part.substring(1);
+
+            if (key === 'p') {
+                params.points = value.split('_').map(point => {
+                    const [year, rate] = point.split(':').map(parseFloat);
+                    return { year, rate };
+                });
+            } else if (keys[key]) {
+                params[keys[key]] = parseFloat(value);
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Encode sector curves as sector.code~params entries joined by |
+     */
+    encodeSectorCurves(sectorCurves) {
+        return Object.entries(sectorCurves || {}).map(([sector, curve]) => {
+            const params = this.encodeCurveParams(curve);
+            return `${sector}.${this.encodeAdoptionCurve(curve.type)}${params ? '~' + params : ''}`;
+        }).join('|');
+    }
+
+    /**
+     * Decode sector curves from compact string
+     */
+    decodeSectorCurves(encoded) {
+        const sectorCurves = {};
+        if (!encoded) return sectorCurves;
+
+        for (const entry of encoded.split('|')) {
+            // Parameters may hold decimals, so only the first dot ends the sector name
+            const dot = entry.indexOf('.');
+            if (dot <= 0) continue;
+            const sector = entry.substring(0, dot);
+            const spec = entry.substring(dot + 1);
+            const [code, params] = spec.split('~');
+            sectorCurves[sector] = { type: this.decodeAdoptionCurve(code), ...this.decodeCurveParams(params) };
+        }
+        return sectorCurves;
+    }
+
     /**
      * Encode interventions array
      */
@@ -495,8 +587,12 @@ function applyScenarioFromURL() {
     }
 
     if (scenario.ai_parameters) {
-        const acInput = document.getElementById('adoptionCurve');
-        if (acInput) acInput.value = scenario.ai_parameters.adoption_curve;
+        if (typeof window.setAdoptionCurveInputs === 'function') {
+            window.setAdoptionCurveInputs(scenario.ai_parameters);
+        } else {
+            const acInput = document.getElementById('adoptionCurve');
+            if (acInput) acInput.value = scenario.ai_parameters.adoption_curve;
+        }
     }
 
     // Apply interventions
@@ -13,6 +13,10 @@ window.Chart = Chart;
 
 // Import core data and models
 import { EconomicDataService } from './data/economic-data.js';
+import { diffSnapshots, formatVintageLabel } from './data/vintages.js';
+import { importDataset, applyDataset } from './data/datasets.js';
+import { parseJobPostings, aggregateJobPostings } from './data/job-postings.js';
+import { TimeSeriesStore, SERIES_CATALOG } from './data/time-series.js';
 import { EconomicIndicators } from './models/indicators.js';
 import { RealMetricsSystem } from './models/real-metrics.js';
 import { HypotheticalIndicatorsSystem } from './models/hypothetical-indicators.js';
@@ -20,10 +24,15 @@ import { HypotheticalIndicatorsSystem } from './models/hypothetical-indicators.j
 // Import simulation engine
 import { SimulationEngine } from './simulation/engine.js';
 import { InterventionSystem } from './simulation/interventions.js';
+import { FiscalAccounts, FINANCING_RULES, summarizeFiscal } from './simulation/fiscal.js';
+import { InterventionRules, RULE_METRICS, validateRule } from './simulation/intervention-rules.js';
+import { OccupationMatrix, summarizeOccupations } from './simulation/occupations.js';
+import { ADOPTION_CURVES, adoptionAt, validateAdoptionCurve, parseCurvePoints } from './simulation/adoption-curves.js';
 
 // Import utilities
 import { EconomicCalculations } from './utils/calculations.js';
 import * as DOMUtils from './utils/dom-utils.js';
+import { createRNG, normalizeSeed, generateSeed } from './utils/random.js';
 
 // Import visualization
 import { VisualizationManager } from './components/visualizations.js';
@@ -43,11 +52,16 @@ import { PDFExporter } from './features/pdf-export.js';
 import { PDFReportGenerator } from './features/pdf-report.js';
 import { SensitivityAnalysis } from './features/sensitivity-analysis.js';
 import { MonteCarloSimulation } from './features/monte-carlo.js';
+import { GlobalSensitivityAnalysis } from './features/global-sensitivity.js';
+import { PolicyOptimizer } from './features/policy-optimizer.js';
+import { BacktestCalibration, applyCalibrationProfile } from './features/backtest.js';
+import { ForecastTracker, buildProjection } from './features/forecast-tracking.js';
 import { InterventionCostCalculator } from './features/intervention-cost-calculator.js';
 import { TimelinePlayer, TimelineUI, initializeTimeline } from './features/timeline-player.js';
 import { RegionalHeatMap } from './features/regional-heatmap.js';
 import { DemographicsAnalyzer } from './features/demographics-analysis.js';
 import { ABMSensitivityAnalysis } from './features/abm-sensitivity.js';
+import { ABMCalibration } from './features/abm-calibration.js';
 import { SkillsGapAnalyzer } from './features/skills-gap-analysis.js';
 import { showShareModal, hideShareModal, copyShareUrl } from './features/url-sharing.js';
 
@@ -57,14 +71,20 @@ import { FirmAgent, AIAdoptionStatus, FirmSize, LaborStrategy } from './abm/agen
 import { TrainingProgramAgent, ProgramType, ProgramStatus } from './abm/agents/training-program.js';
 import { LaborMarket } from './abm/market/labor-market.js';
 import { WageDynamics } from './abm/market/wage-dynamics.js';
+import { HouseholdDemand, INDUSTRY_SPENDING } from './abm/market/demand.js';
 import { InformationDiffusion, InformationType, MediaEventType } from './abm/market/information.js';
 import { AICapabilityFrontier, TaskCategories, OCCUPATION_AUTOMATION_DATA, INDUSTRY_AUTOMATION } from './abm/environment/ai-frontier.js';
 import { Region, RegionalMarketSystem, US_REGIONS, INDUSTRY_SECTORS } from './abm/environment/regions.js';
+import { CohortDynamics, RETIREMENT_HAZARDS, ENTRANT_EDUCATION } from './abm/environment/demographics.js';
 import { ABMSimulationEngine, AICapabilityFrontierInline } from './abm/engine.js';
+import { compressCheckpoint, decompressCheckpoint } from './abm/checkpoint.js';
+import { PartitionCoordinator } from './abm/partition.js';
+import { BEHAVIOR_PARAMETERS, DEFAULT_BEHAVIOR, resolveBehavior } from './abm/behavior.js';
 import { initializeABM, testABM } from './abm/index.js';
 
 // Import worker manager
-import { WorkerManager, ParallelSimulationManager } from './workers/worker-manager.js';
+import { WorkerManager, PartitionWorker, ParallelSimulationManager } from './workers/worker-manager.js';
+import { WorkerPool } from './workers/worker-pool.js';
 
 // Make DOMUtils globally available
 window.DOMUtils = DOMUtils;
@@ -91,6 +111,14 @@ export {
 
     // Data & Models
     EconomicDataService,
+    diffSnapshots,
+    formatVintageLabel,
+    importDataset,
+    applyDataset,
+    parseJobPostings,
+    aggregateJobPostings,
+    TimeSeriesStore,
+    SERIES_CATALOG,
     EconomicIndicators,
     RealMetricsSystem,
     HypotheticalIndicatorsSystem,
@@ -98,10 +126,25 @@ export {
     // Simulation
     SimulationEngine,
     InterventionSystem,
+    FiscalAccounts,
+    FINANCING_RULES,
+    summarizeFiscal,
+    InterventionRules,
+    RULE_METRICS,
+    validateRule,
+    OccupationMatrix,
+    summarizeOccupations,
+    ADOPTION_CURVES,
+    adoptionAt,
+    validateAdoptionCurve,
+    parseCurvePoints,
 
     // Utilities
     EconomicCalculations,
     DOMUtils,
+    createRNG,
+    normalizeSeed,
+    generateSeed,
 
     // Visualization
     VisualizationManager,
@@ -121,6 +164,12 @@ export {
     PDFReportGenerator,
     SensitivityAnalysis,
     MonteCarloSimulation,
+    GlobalSensitivityAnalysis,
+    PolicyOptimizer,
+    BacktestCalibration,
+    applyCalibrationProfile,
+    ForecastTracker,
+    buildProjection,
     InterventionCostCalculator,
     TimelinePlayer,
     TimelineUI,
@@ -128,6 +177,7 @@ export {
     RegionalHeatMap,
     DemographicsAnalyzer,
     ABMSensitivityAnalysis,
+    ABMCalibration,
     SkillsGapAnalyzer,
     showShareModal,
     hideShareModal,
@@ -147,6 +197,8 @@ export {
     ProgramStatus,
     LaborMarket,
     WageDynamics,
+    HouseholdDemand,
+    INDUSTRY_SPENDING,
     InformationDiffusion,
     InformationType,
     MediaEventType,
@@ -158,12 +210,23 @@ export {
     RegionalMarketSystem,
     US_REGIONS,
     INDUSTRY_SECTORS,
+    CohortDynamics,
+    RETIREMENT_HAZARDS,
+    ENTRANT_EDUCATION,
     ABMSimulationEngine,
     AICapabilityFrontierInline,
+    compressCheckpoint,
+    decompressCheckpoint,
+    PartitionCoordinator,
+    BEHAVIOR_PARAMETERS,
+    DEFAULT_BEHAVIOR,
+    resolveBehavior,
     initializeABM,
     testABM,
 
     // Workers
     WorkerManager,
-    ParallelSimulationManager
+    PartitionWorker,
+    ParallelSimulationManager,
+    WorkerPool
 };
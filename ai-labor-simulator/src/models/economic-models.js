@@ -6,6 +6,7 @@
  * - Solow Growth Model with AI Capital
  * - Task-Based Labor Demand (Acemoglu & Restrepo)
  * - Skill-Biased Technological Change
+ * - Household Demand (consumption out of wages, transfers and savings)
  */
 
 /**
@@ -882,6 +883,9 @@ class RegionalLaborMarketModel {
  * - Indirect effects: Upstream supplier impacts
  * - Induced effects: Downstream customer impacts
  * - Based on Leontief input-output analysis
+ *
+ * propagateJobChanges() is the full Leontief version the simulation loop uses,
+ * where induced effects come from household spending instead.
  */
 class SectorInterdependencyModel {
     constructor() {
@@ -967,9 +971,63 @@ class SectorInterdependencyModel {
                 transportation: 0.05,
                 healthcare: 0.05,
                 education: 0.08
+            },
+            food_services: {
+                technology: 0.05,
+                manufacturing: 0.35,     // Processed food, equipment
+                professional_services: 0.08,
+                finance: 0.05,
+                retail: 0.10,
+                transportation: 0.12,
+                healthcare: 0.01,
+                education: 0.01,
+                food_services: 0.05,
+                construction: 0.03
+            },
+            construction: {
+                technology: 0.05,
+                manufacturing: 0.40,     // Materials, machinery
+                professional_services: 0.15,
+                finance: 0.07,
+                retail: 0.05,
+                transportation: 0.10,
+                construction: 0.10
+            },
+            government: {
+                technology: 0.15,
+                manufacturing: 0.10,
+                professional_services: 0.20,
+                finance: 0.05,
+                retail: 0.03,
+                transportation: 0.05,
+                healthcare: 0.10,
+                education: 0.05,
+                food_services: 0.02,
+                construction: 0.15,      // Infrastructure
+                government: 0.05
             }
         };
 
+        // Intermediate inputs as a share of gross output (roughly 45% economy-wide in BEA accounts).
+        // Scales the input shares above into Leontief technical coefficients.
+        this.intermediateShare = 0.45;
+
+        // How household spending is split across sectors (drives induced effects)
+        this.consumptionShares = {
+            retail: 0.20,
+            healthcare: 0.20,
+            food_services: 0.12,
+            professional_services: 0.10,
+            finance: 0.08,
+            manufacturing: 0.07,
+            education: 0.06,
+            transportation: 0.06,
+            technology: 0.06,
+            construction: 0.05
+        };
+
+        this.leontiefInverse = null;
+
         // Multiplier effects (total impact per unit of direct impact)
         this.multipliers = {
             technology: 2.1,           // High multiplier due to broad impact
@@ -979,7 +1037,10 @@ class SectorInterdependencyModel {
             healthcare: 1.9,
             education: 1.5,
             transportation: 2.0,
-            professional_services: 1.7
+            professional_services: 1.7,
+            food_services: 1.5,
+            construction: 2.2,
+            government: 1.7
         };
 
         // Employment intensity (jobs per $1M output)
@@ -991,7 +1052,10 @@ class SectorInterdependencyModel {
             healthcare: 9.2,
             education: 12.0,
             transportation: 5.5,
-            professional_services: 4.0
+            professional_services: 4.0,
+            food_services: 15.0,
+            construction: 6.5,
+            government: 7.0
         };
     }
 
@@ -1108,6 +1172,90 @@ class SectorInterdependencyModel {
         return economyEffects;
     }
 
+    /**
+     * Leontief inverse (I - A)^-1, where A[i][j] is the output of sector i needed
+     * per unit of sector j's output. Computed once by Gauss-Jordan elimination.
+     * @returns {{sectors: string[], matrix: number[][]}}
+     */
+    getLeontiefInverse() {
+        if (this.leontiefInverse) return this.leontiefInverse;
+
+        const sectors = Object.keys(this.inputOutputMatrix);
+        const n = sectors.length;
+
+        // Augment (I - A) with the identity and reduce the left half to the identity
+        const rows = sectors.map((supplier, i) => [
+            ...sectors.map((buyer, j) =>
+                (i === j ? 1 : 0) - (this.inputOutputMatrix[buyer][supplier] || 0) * this.intermediateShare),
+            ...sectors.map((_, j) => (i === j ? 1 : 0))
+        ]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            const pivotValue = rows[col][col];
+            rows[col] = rows[col].map(v => v / pivotValue);
+
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const factor = rows[r][col];
+                if (factor !== 0) {
+                    rows[r] = rows[r].map((v, k) => v - factor * rows[col][k]);
+                }
+            }
+        }
+
+        this.leontiefInverse = { sectors, matrix: rows.map(row => row.slice(n)) };
+        return this.leontiefInverse;
+    }
+
+    /**
+     * Propagate direct job changes through the input-output table.
+     * A job change is treated as a change in the sector's output; indirect jobs are
+     * the extra supplier output the Leontief inverse requires, and induced jobs are
+     * the rest of the sector's total multiplier, spread by household spending shares.
+     * @param {Object} directChanges - Job change by sector
+     * @returns {Object} { sector: { direct, indirect, induced } } for every sector involved
+     */
+    propagateJobChanges(directChanges) {
+        const { sectors, matrix } = this.getLeontiefInverse();
+        const index = new Map(sectors.map((s, i) => [s, i]));
+        const effects = {};
+        const ensure = (sector) => {
+            if (!effects[sector]) effects[sector] = { direct: 0, indirect: 0, induced: 0 };
+            return effects[sector];
+        };
+
+        for (const [source, change] of Object.entries(directChanges)) {
+            ensure(source).direct += change;
+            if (!change || !index.has(source)) continue;
+
+            const j = index.get(source);
+            const output = change / this.employmentIntensity[source];
+
+            // Type I: direct plus supplier jobs per direct job
+            let typeOneJobs = change;
+            sectors.forEach((supplier, i) => {
+                const jobs = (matrix[i][j] - (i === j ? 1 : 0)) * output * this.employmentIntensity[supplier];
+                ensure(supplier).indirect += jobs;
+                typeOneJobs += jobs;
+            });
+
+            // Household spending makes up the difference to the sector's total multiplier
+            const induced = Math.sign(change) *
+                Math.max(0, Math.abs(change) * (this.multipliers[source] || 1.5) - Math.abs(typeOneJobs));
+            for (const [sector, share] of Object.entries(this.consumptionShares)) {
+                ensure(sector).induced += induced * share;
+            }
+        }
+
+        return effects;
+    }
+
     /**
      * Get sector dependency analysis
      */
@@ -1179,6 +1327,100 @@ class SectorInterdependencyModel {
 }
 
 
+/**
+ * Household Demand Model
+ *
+ * Closes the loop between wages and sector employment. Households spend a share
+ * of wage and transfer income plus a small share of their savings:
+ *   C = mpc * (wages + transfers) + wealthSpendingRate * savings
+ * Savings start at the level where spending equals income, so demand only moves
+ * when income does. A change in spending is split across sectors by household
+ * budget shares and turned into jobs with each sector's employment intensity.
+ */
+class HouseholdDemandModel {
+    constructor(interdependencyModel = new SectorInterdependencyModel()) {
+        this.consumptionShares = interdependencyModel.consumptionShares;
+        this.employmentIntensity = interdependencyModel.employmentIntensity;
+
+        this.mpc = 0.9;                     // Spending per dollar of wage or transfer income
+        this.wealthSpendingRate = 0.03;     // Share of savings spent per month
+        this.hoursPerMonth = 2080 / 12;     // Full-time hours behind the wage bill
+        this.employmentResponse = 0.5;      // Share of a spending change met by hiring (the rest by hours, prices and imports)
+    }
+
+    /**
+     * Monthly household wage income
+     */
+    calculateWageIncome(employment, averageHourly) {
+        return employment * averageHourly * this.hoursPerMonth;
+    }
+
+    /**
+     * Demand state at baseline: savings at the level where spending equals income
+     * @returns {Object}
+     */
+    initializeDemand(employment, averageHourly) {
+        const wageIncome = this.calculateWageIncome(employment, averageHourly);
+        const savings = this.wealthSpendingRate > 0
+            ? (1 - this.mpc) * wageIncome / this.wealthSpendingRate
+            : 0;
+
+        return {
+            wage_income: wageIncome,
+            transfers: 0,
+            savings,
+            consumption: wageIncome,
+            baseline_consumption: wageIncome,
+            consumption_change: 0,
+            demand_index: 1
+        };
+    }
+
+    /**
+     * Advance household spending and savings by one step
+     * @param {Object} demand - Previous demand state
+     * @param {Object} income - { employment, averageHourly, transfers } (transfers per month)
+     * @param {number} months - Months covered by the step
+     * @returns {Object} New demand state
+     */
+    step(demand, income, months = 1) {
+        const wageIncome = this.calculateWageIncome(income.employment, income.averageHourly);
+        const transfers = income.transfers || 0;
+        const consumption = this.mpc * (wageIncome + transfers) +
+            Math.min(1, this.wealthSpendingRate * months) / months * demand.savings;
+        const savings = Math.max(0, demand.savings + (wageIncome + transfers - consumption) * months);
+        const baseline = demand.baseline_consumption;
+
+        return {
+            wage_income: wageIncome,
+            transfers,
+            savings,
+            consumption,
+            baseline_consumption: baseline,
+            consumption_change: consumption - demand.consumption,
+            demand_index: baseline > 0 ? consumption / baseline : 1
+        };
+    }
+
+    /**
+     * Jobs created or lost in each sector by a change in monthly household spending
+     * @param {number} consumptionChange - Change in monthly spending (dollars)
+     * @returns {Object} Job change by sector
+     */
+    calculateSectorJobs(consumptionChange) {
+        const jobs = {};
+        // Employment intensity is jobs per $1M of annual output
+        const annualMillions = consumptionChange * 12 / 1000000;
+
+        for (const [sector, share] of Object.entries(this.consumptionShares)) {
+            jobs[sector] = annualMillions * share * (this.employmentIntensity[sector] || 5) * this.employmentResponse;
+        }
+
+        return jobs;
+    }
+}
+
+
 /**
  * Integrated Economic Model Manager
  * Coordinates all models for simulation use
@@ -1190,6 +1432,7 @@ class EconomicModelManager {
         this.sbtcModel = new SkillBiasedTechModel();
         this.regionalModel = new RegionalLaborMarketModel();
         this.interdependencyModel = new SectorInterdependencyModel();
+        this.demandModel = new HouseholdDemandModel(this.interdependencyModel);
     }
 
     /**
@@ -1291,6 +1534,7 @@ export {
     SkillBiasedTechModel,
     RegionalLaborMarketModel,
     SectorInterdependencyModel,
+    HouseholdDemandModel,
     EconomicModelManager
 };
 
@@ -1301,6 +1545,7 @@ if (typeof window !== 'undefined') {
     window.SkillBiasedTechModel = SkillBiasedTechModel;
     window.RegionalLaborMarketModel = RegionalLaborMarketModel;
     window.SectorInterdependencyModel = SectorInterdependencyModel;
+    window.HouseholdDemandModel = HouseholdDemandModel;
     window.EconomicModelManager = EconomicModelManager;
 }
 
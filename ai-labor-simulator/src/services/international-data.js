@@ -10,6 +10,8 @@
  * - ILO STAT (International Labour Organization)
  */
 
+import { parseJobPostings, aggregateJobPostings } from '../data/job-postings.js';
+
 /**
  * International Labor Data Service
  * Provides unified access to international labor market statistics
@@ -423,15 +425,19 @@ class InternationalDataService {
 
 /**
  * Job Posting Data Service
- * Integrates with job posting APIs for real-time labor demand data
+ * Serves labor demand aggregated from local job-posting dumps (see
+ * data/job-postings.js), or sample figures until a dump is ingested
  */
 class JobPostingDataService {
     constructor() {
         this.cache = new Map();
         this.cacheExpiry = 1800000; // 30 minutes
 
-        // Mock data structure for job postings
-        // In production, would integrate with Indeed, LinkedIn, etc.
+        // Posting records from ingested dumps, and their aggregate
+        this.postings = [];
+        this.jobData = null;
+
+        // Sample figures shown until postings are ingested
         this.mockJobData = {
             totalPostings: 11200000,
             lastUpdated: new Date().toISOString(),
@@ -536,15 +542,79 @@ class JobPostingDataService {
         };
     }
 
+    /**
+     * Read a job-posting dump (CSV or JSON Lines) and add its postings to the
+     * aggregate. Rows that can't be read are skipped and reported; postings whose
+     * id was already ingested are dropped (postings without an id are all kept,
+     * as a dump may list the same job title and place many times).
+     * @param {string} text - File contents
+     * @param {Object} [options] - format: 'csv' or 'jsonl' (guessed when omitted)
+     * @returns {{format: string, read: number, added: number, duplicates: number, errors: string[]}}
+     */
+    ingestPostings(text, options = {}) {
+        const { format, postings, errors } = parseJobPostings(text, options);
+        const seen = new Set(this.postings.filter(p => p.id).map(p => p.id));
+        const added = postings.filter(posting => {
+            if (!posting.id) return true;
+            if (seen.has(posting.id)) return false;
+            seen.add(posting.id);
+            return true;
+        });
+
+        if (added.length > 0) {
+            this.setPostings([...this.postings, ...added]);
+        }
+
+        return {
+            format,
+            read: postings.length,
+            added: added.length,
+            duplicates: postings.length - added.length,
+            errors
+        };
+    }
+
+    /**
+     * Replace the ingested posting records (e.g. ones kept from an earlier visit)
+     * @param {Object[]} postings - Records from parseJobPostings()
+     */
+    setPostings(postings) {
+        this.postings = postings;
+        this.jobData = postings.length > 0 ? aggregateJobPostings(postings) : null;
+        return this.jobData;
+    }
+
+    /**
+     * Drop ingested postings and go back to the sample figures
+     */
+    clearPostings() {
+        this.setPostings([]);
+    }
+
+    /**
+     * Aggregated postings, or the sample figures when none are ingested
+     */
+    getJobData() {
+        return this.jobData || this.mockJobData;
+    }
+
+    isUsingSampleData() {
+        return !this.jobData;
+    }
+
     /**
      * Get job posting summary
      */
     async getJobPostingSummary() {
+        const data = this.getJobData();
         return {
-            totalPostings: this.mockJobData.totalPostings,
-            lastUpdated: this.mockJobData.lastUpdated,
-            categories: Object.keys(this.mockJobData.byCategory),
-            aiJobCount: this.mockJobData.aiJobTrends.aiMentionedRoles
+            totalPostings: data.totalPostings,
+            lastUpdated: data.lastUpdated,
+            categories: Object.keys(data.byCategory),
+            aiJobCount: data.aiJobTrends.aiMentionedRoles,
+            source: this.jobData ? 'postings' : 'sample',
+            firstMonth: data.firstMonth || null,
+            lastMonth: data.lastMonth || null
         };
     }
 
@@ -552,39 +622,65 @@ class JobPostingDataService {
      * Get job data by sector
      */
     async getSectorJobData(sector) {
-        return this.mockJobData.byCategory[sector] || null;
+        return this.getJobData().byCategory[sector] || null;
+    }
+
+    /**
+     * Monthly postings, AI mention rate, remote share and salary of ingested
+     * postings, overall or for one category (empty for the sample figures)
+     * @param {string} [category]
+     * @returns {Promise<Object[]>} { month, postings, aiMentioned, remoteRate, avgSalary }
+     */
+    async getPostingTrends(category = null) {
+        if (!this.jobData) return [];
+        if (!category) return this.jobData.timeline;
+
+        return this.jobData.timeline.map(point => {
+            const inMonth = this.postings.filter(p => p.month === point.month && p.category === category);
+            const salaries = inMonth.filter(p => p.salary !== null).map(p => p.salary);
+            return {
+                month: point.month,
+                postings: inMonth.length,
+                aiMentioned: inMonth.length > 0 ? inMonth.filter(p => p.ai).length / inMonth.length : null,
+                remoteRate: inMonth.length > 0 ? inMonth.filter(p => p.remote).length / inMonth.length : null,
+                avgSalary: salaries.length > 0 ? Math.round(salaries.reduce((a, b) => a + b, 0) / salaries.length) : null
+            };
+        });
     }
 
     /**
      * Get AI-related job trends
      */
     async getAIJobTrends() {
-        return this.mockJobData.aiJobTrends;
+        return this.getJobData().aiJobTrends;
     }
 
     /**
      * Get skill demand data
      */
     async getSkillDemandData() {
-        return this.mockJobData.skillDemand;
+        return this.getJobData().skillDemand;
     }
 
     /**
      * Calculate AI impact on job postings by sector
      */
     async calculateAIImpactOnPostings() {
-        const sectors = this.mockJobData.byCategory;
+        const sectors = this.getJobData().byCategory;
         const impact = {};
 
         for (const [sector, data] of Object.entries(sectors)) {
             impact[sector] = {
                 sector,
+                postings: data.postings,
                 aiMentionRate: data.aiMentioned,
                 potentialDisruption: data.aiMentioned > 0.3 ? 'high' :
                     data.aiMentioned > 0.15 ? 'medium' : 'low',
                 remoteWorkRate: data.remoteRate,
-                growthOutlook: data.growthRate > 0.05 ? 'positive' :
-                    data.growthRate < 0 ? 'negative' : 'stable'
+                // Ingested dumps spanning under two months have no growth to report
+                growthOutlook: data.growthRate === null ? 'unknown' :
+                    data.growthRate > 0.05 ? 'positive' :
+                        data.growthRate < 0 ? 'negative' : 'stable'
             };
         }
 
@@ -595,8 +691,8 @@ class JobPostingDataService {
      * Get required vs available skills comparison
      */
     async getSkillGapAnalysis() {
-        const emerging = this.mockJobData.skillDemand.emerging;
-        const declining = this.mockJobData.skillDemand.declining;
+        const emerging = this.getJobData().skillDemand.emerging;
+        const declining = this.getJobData().skillDemand.declining;
 
         return {
             required: Object.fromEntries(
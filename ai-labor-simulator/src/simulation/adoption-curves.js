@@ -0,0 +1,221 @@
+/**
+ * AI Adoption Curves
+ *
+ * Paths AI adoption can take from today's measured rate toward a scenario's
+ * target. A curve is a type name or an object with the type's parameters:
+ *
+ *   'linear', 'exponential', 's_curve'         - fixed shapes over the timeframe
+ *   { type: 'logistic', midpoint: 0.3, steepness: 8 }
+ *                                               - S-curve with its midpoint as a share
+ *                                                 of the timeframe (0-1)
+ *   { type: 'bass', innovation: 0.03, imitation: 0.38 }
+ *                                               - Bass diffusion; the target is the market
+ *                                                 potential, which need not be reached
+ *   { type: 'piecewise', points: [{ year: 2027, rate: 50 }, ...] }
+ *                                               - straight lines through user points (rates
+ *                                                 in percent); starts from today's rate
+ *
+ * Any curve may carry its own `target` (percent), which sector curves use to
+ * saturate above or below the national target.
+ */
+
+import { splitCSV, quoteCSV } from '../utils/csv.js';
+
+const ADOPTION_CURVES = {
+    linear: 'Linear',
+    s_curve: 'S-Curve (Logistic)',
+    exponential: 'Exponential',
+    logistic: 'Logistic (custom)',
+    bass: 'Bass Diffusion',
+    piecewise: 'Custom Points'
+};
+
+const DEFAULT_CURVE_PARAMETERS = {
+    midpoint: 0.5,
+    steepness: 10,
+    // Bass (1969) averages across consumer technologies
+    innovation: 0.03,
+    imitation: 0.38
+};
+
+/**
+ * Expand a curve type name, or a curve object missing its type, to a full curve
+ * @param {string|Object} curve
+ * @param {Object} [parameters] - Parameters used when the curve does not set them
+ */
+function normalizeCurve(curve, parameters = {}) {
+    const spec = typeof curve === 'string' ? { type: curve } : { ...curve };
+    spec.type = spec.type || 's_curve';
+    return { ...DEFAULT_CURVE_PARAMETERS, ...parameters, ...spec };
+}
+
+/**
+ * Adoption rate (percent) on a curve
+ * @param {string|Object} curve
+ * @param {Object} at
+ * @param {number} at.progress - Share of the timeframe elapsed (0-1)
+ * @param {number} at.year - Calendar year (fractional)
+ * @param {number} at.startYear
+ * @param {number} at.years - Length of the timeframe in years
+ * @param {number} at.initial - Adoption at the start (percent)
+ * @param {number} at.target - Target adoption (percent); a curve's own target wins
+ * @returns {number}
+ */
+function adoptionAt(curve, at) {
+    const spec = normalizeCurve(curve);
+    const initial = at.initial;
+    const target = spec.target ?? at.target;
+    const progress = at.progress;
+
+    switch (spec.type) {
+        case 'linear':
+            return initial + (target - initial) * progress;
+
+        case 'exponential':
+            return initial * Math.pow(target / initial, progress);
+
+        case 'bass': {
+            const p = spec.innovation;
+            const q = spec.imitation;
+            const t = progress * at.years;
+            const decay = Math.exp(-(p + q) * t);
+            const adopted = p > 0 ? (1 - decay) / (1 + (q / p) * decay) : 0;
+            return initial + (target - initial) * adopted;
+        }
+
+        case 'piecewise': {
+            const points = [...(spec.points || [])].sort((a, b) => a.year - b.year);
+            if (points.length === 0 || points[0].year > at.startYear) {
+                points.unshift({ year: at.startYear, rate: initial });
+            }
+            if (at.year <= points[0].year) return points[0].rate;
+            for (let i = 1; i < points.length; i++) {
+                if (at.year <= points[i].year) {
+                    const share = (at.year - points[i - 1].year) / (points[i].year - points[i - 1].year);
+                    return points[i - 1].rate + share * (points[i].rate - points[i - 1].rate);
+                }
+            }
+            return points[points.length - 1].rate;
+        }
+
+        case 'logistic':
+        case 's_curve':
+        default: {
+            const midpoint = spec.type === 'logistic' ? spec.midpoint : DEFAULT_CURVE_PARAMETERS.midpoint;
+            const steepness = spec.type === 'logistic' ? spec.steepness : DEFAULT_CURVE_PARAMETERS.steepness;
+            const sigmoid = 1 / (1 + Math.exp(-steepness * (progress - midpoint)));
+            return initial + (target - initial) * sigmoid;
+        }
+    }
+}
+
+/**
+ * Check a curve and return a list of problems (empty when valid)
+ * @param {string|Object} curve
+ * @returns {string[]}
+ */
+function validateAdoptionCurve(curve) {
+    if (!curve || (typeof curve !== 'string' && typeof curve !== 'object')) {
+        return ['adoption curve must be a type name or an object'];
+    }
+    const spec = typeof curve === 'string' ? { type: curve } : curve;
+    const errors = [];
+
+    if (spec.type !== undefined && !ADOPTION_CURVES[spec.type]) {
+        return [`unknown adoption curve "${spec.type}" (expected ${Object.keys(ADOPTION_CURVES).join(', ')})`];
+    }
+
+    const checkNumber = (key, min, max) => {
+        if (spec[key] === undefined) return;
+        if (!Number.isFinite(spec[key]) || spec[key] < min || spec[key] > max) {
+            errors.push(`${key} must be a number from ${min} to ${max}`);
+        }
+    };
+    checkNumber('midpoint', 0, 1);
+    checkNumber('steepness', 0, 100);
+    checkNumber('innovation', 0, 1);
+    checkNumber('imitation', 0, 5);
+    checkNumber('target', 0, 100);
+
+    if (spec.type === 'bass' && (spec.innovation ?? DEFAULT_CURVE_PARAMETERS.innovation) <= 0) {
+        errors.push('innovation must be above 0');
+    }
+    if (spec.type === 'piecewise' && (!Array.isArray(spec.points) || spec.points.length === 0)) {
+        errors.push('piecewise curve needs at least one point');
+    }
+    if (spec.points !== undefined) {
+        (Array.isArray(spec.points) ? spec.points : []).forEach((point, i) => {
+            if (!point || !Number.isFinite(point.year) || !Number.isFinite(point.rate) || point.rate < 0 || point.rate > 100) {
+                errors.push(`points[${i}] needs a year and a rate from 0 to 100`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Read curve points from CSV text. Rows are `year,rate` for the national curve
+ * or `year,sector,rate` for sector curves; a header row and blank lines are skipped
+ * and cells may be quoted.
+ * @param {string} text
+ * @returns {{points: Array<{year: number, rate: number}>, sectors: Object}} Sector points by sector name
+ */
+function parseCurvePoints(text) {
+    const points = [];
+    const sectors = {};
+
+    splitCSV(String(text || '')).forEach((row, index) => {
+        const cells = row.cells.map(cell => cell.trim());
+        if (index === 0 && !Number.isFinite(parseFloat(cells[0]))) return;
+
+        const year = parseFloat(cells[0]);
+        const rate = parseFloat(cells[cells.length - 1]);
+        if (cells.length < 2 || cells.length > 3 || !Number.isFinite(year) || !Number.isFinite(rate)) {
+            throw new Error(`Line ${row.line}: expected "year,rate" or "year,sector,rate"`);
+        }
+
+        if (cells.length === 3) {
+            (sectors[cells[1]] = sectors[cells[1]] || []).push({ year, rate });
+        } else {
+            points.push({ year, rate });
+        }
+    });
+
+    const byYear = (a, b) => a.year - b.year;
+    points.sort(byYear);
+    Object.values(sectors).forEach(list => list.sort(byYear));
+    return { points, sectors };
+}
+
+/**
+ * Write curve points back to the CSV form parseCurvePoints reads
+ * @param {Array<{year: number, rate: number}>} points
+ * @param {Object} [sectorCurves] - Sector curves; only piecewise ones have rows
+ * @returns {string}
+ */
+function formatCurvePoints(points, sectorCurves = {}) {
+    const rows = (points || []).map(point => `${point.year},${point.rate}`);
+    Object.entries(sectorCurves || {}).forEach(([sector, curve]) => {
+        if (curve && curve.type === 'piecewise') {
+            (curve.points || []).forEach(point => rows.push(`${point.year},${quoteCSV(sector)},${point.rate}`));
+        }
+    });
+    return rows.join('\n');
+}
+
+// Export for ES modules
+export {
+    ADOPTION_CURVES,
+    DEFAULT_CURVE_PARAMETERS,
+    normalizeCurve,
+    adoptionAt,
+    validateAdoptionCurve,
+    parseCurvePoints,
+    formatCurvePoints
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.ADOPTION_CURVES = ADOPTION_CURVES;
+}
@@ -4,6 +4,20 @@
  */
 
 import { EconomicModelManager } from '../models/economic-models.js';
+import { InterventionSystem } from './interventions.js';
+import { FiscalAccounts, summarizeFiscal } from './fiscal.js';
+import { InterventionRules } from './intervention-rules.js';
+import { OccupationMatrix, summarizeOccupations } from './occupations.js';
+import { adoptionAt, normalizeCurve } from './adoption-curves.js';
+
+// Work hours per month, for turning hourly wages into a monthly wage bill
+const HOURS_PER_MONTH = 2080 / 12;
+
+// US working-age population, used when a snapshot has no demographics of its own
+const DEFAULT_WORKING_AGE_POPULATION = 210000000;
+
+// Job openings never fall below this share of the working-age population (1M nationally)
+const MIN_JOB_OPENINGS_SHARE = 1 / 210;
 
 class SimulationEngine {
     constructor(economicData, indicators) {
@@ -15,12 +29,29 @@ class SimulationEngine {
 
         // Initialize advanced economic models
         this.economicModels = new EconomicModelManager();
+
+        // Per-type intervention effect models
+        this.interventionSystem = new InterventionSystem();
+
+        // Trigger rule state and activation log for the current run
+        this.interventionRules = new InterventionRules();
     }
 
     /**
      * Initialize engine with baseline data
+     * @param {Object} [options]
+     * @param {string|null} [options.dataProfile] - Imported data profile to start from
+     *   (null for the bundled data); the data service's current choice when omitted
+     * @param {string|null} [options.startMonth] - Historical month to start from ('YYYY-MM',
+     *   null for the latest data); the data service's current choice when omitted
      */
-    async initialize() {
+    async initialize(options = {}) {
+        if (options.dataProfile !== undefined) {
+            await this.dataService.useDataProfile(options.dataProfile);
+        }
+        if (options.startMonth !== undefined) {
+            await this.dataService.useStartMonth(options.startMonth);
+        }
         this.baselineSnapshot = await this.dataService.getCurrentSnapshot();
         return this.baselineSnapshot;
     }
@@ -29,16 +60,29 @@ class SimulationEngine {
      * Create a simulation scenario
      */
     createScenario(config) {
+        // Runs from a historical month start in its year unless told otherwise
+        const startMonth = this.baselineSnapshot?.startMonth || null;
+        const defaultStartYear = startMonth ? parseInt(startMonth, 10) : new Date().getFullYear();
+
         const scenario = {
             id: Date.now(),
             name: config.name || 'Unnamed Scenario',
             description: config.description || '',
             created: new Date().toISOString(),
 
+            // Data vintage the starting snapshot was built from (see data/vintages.js)
+            data_vintage: this.baselineSnapshot?.vintageId || null,
+
+            // Imported data profile the snapshot came from (null for the bundled data)
+            data_profile: this.baselineSnapshot?.dataProfile || null,
+
+            // Historical month the starting state was taken from (null for the latest data)
+            start_month: startMonth,
+
             // Time parameters
             timeframe: {
-                start_year: new Date().getFullYear(),
-                end_year: config.end_year || new Date().getFullYear() + 5,
+                start_year: config.start_year || defaultStartYear,
+                end_year: config.end_year || (config.start_year || defaultStartYear) + 5,
                 steps_per_year: config.steps_per_year || 12
             },
 
@@ -52,10 +96,13 @@ class SimulationEngine {
 
             // AI adoption curve parameters
             ai_parameters: {
-                adoption_curve: config.adoption_curve || 's_curve', // linear, exponential, s_curve
+                adoption_curve: config.adoption_curve || 's_curve', // linear, exponential, s_curve, logistic, bass, piecewise
+                curve_parameters: config.curve_parameters || {},    // midpoint, steepness, innovation, imitation, points
+                sector_curves: config.sector_curves || {},          // Sector name -> curve; other sectors follow the national curve
                 sector_variation: config.sector_variation !== false,
                 displacement_lag: config.displacement_lag || 6, // months
-                new_job_multiplier: config.new_job_multiplier || 0.3
+                new_job_multiplier: config.new_job_multiplier || 0.3,
+                pace_multipliers: config.pace_multipliers || null // Calibrated overrides by pace
             },
 
             // Economic parameters
@@ -63,7 +110,21 @@ class SimulationEngine {
                 gdp_growth: config.gdp_growth || 2.0,
                 inflation: config.inflation || 2.5,
                 interest_rate: config.interest_rate || 4.0,
-                labor_elasticity: config.labor_elasticity || -0.5
+                labor_elasticity: config.labor_elasticity || -0.5,
+                io_propagation: config.io_propagation !== false, // Input-output ripple effects between sectors
+                indirect_lag: config.indirect_lag ?? 3,         // months until supplier effects land
+                induced_lag: config.induced_lag ?? 6,           // months until household-spending effects land
+                demand_feedback: config.demand_feedback === true // Induced jobs follow household spending out of wages and transfers
+            },
+
+            // Government budget (rates in percent)
+            fiscal_parameters: {
+                financing: config.financing || 'borrow',             // borrow, or tax (income tax surcharge)
+                income_tax_rate: config.income_tax_rate ?? 20,       // federal income tax as a share of wages
+                payroll_tax_rate: config.payroll_tax_rate ?? 14,
+                debt_interest_rate: config.debt_interest_rate ?? 3.3,
+                initial_debt_to_gdp: config.initial_debt_to_gdp ?? 98,
+                max_tax_increase: config.max_tax_increase ?? 25      // cap on the surcharge under tax financing
             },
 
             // Interventions (to be added later)
@@ -93,6 +154,10 @@ class SimulationEngine {
 
         // Initialize state from baseline
         let state = this.initializeState();
+        const fiscal = this.createFiscalAccounts(scenario);
+        this.interventionRules = new InterventionRules();
+        const occupations = new OccupationMatrix();
+        occupations.initialize(state.sectors);
 
         // Run simulation steps
         for (let step = 0; step <= totalSteps; step++) {
@@ -106,11 +171,17 @@ class SimulationEngine {
             const laborImpact = this.calculateLaborImpact(state, aiAdoption, scenario);
 
             // Apply interventions
-            const interventionEffects = this.applyInterventions(state, laborImpact, scenario.interventions);
+            const interventionEffects = this.applyInterventions(state, laborImpact, scenario.interventions, year);
 
             // Update state
             state = this.updateState(state, laborImpact, interventionEffects);
 
+            // Book the government budget for the step
+            state.fiscal = this.updateFiscalAccounts(fiscal, state, interventionEffects);
+
+            // Split the step's sector job changes across occupations
+            state.occupations = occupations.step(laborImpact.sector_impacts, state.sectors);
+
             // Record result
             results.push({
                 step,
@@ -121,6 +192,9 @@ class SimulationEngine {
                 wages: { ...state.wages },
                 productivity: { ...state.productivity },
                 sectors: JSON.parse(JSON.stringify(state.sectors)),
+                demand: { ...state.demand },
+                fiscal: state.fiscal,
+                occupations: state.occupations,
                 interventions: interventionEffects,
                 derived: this.calculateDerivedMetrics(state)
             });
@@ -130,6 +204,7 @@ class SimulationEngine {
         return {
             scenario: this.currentScenario,
             results,
+            rule_log: this.interventionRules.log,
             summary: this.generateSummary(results)
         };
     }
@@ -178,9 +253,22 @@ class SimulationEngine {
                 growth_rate: baseline.productivity.growth_rate,
                 output_per_hour: baseline.productivity.output_per_hour
             },
-            sectors: JSON.parse(JSON.stringify(baseline.sectors)),
+            sectors: this.initializeSectors(baseline.sectors),
+            // Indirect and induced job changes waiting to land, one entry per future step
+            ripple_pipeline: [],
+            // Household income, savings and spending
+            demand: this.economicModels.demandModel.initializeDemand(
+                baseline.labor_market.total_employment,
+                baseline.wages.average_hourly
+            ),
+            // Government budget for the latest step
+            fiscal: null,
+            // Employment, displacement and new jobs by occupation for the latest step
+            occupations: null,
             ai: {
                 adoption_rate: this.getAIAdoptionValue(baseline.ai_indicators),
+                adoption_history: [],
+                sector_adoption_history: {},
                 displaced_workers: 0,
                 new_jobs_created: 0
             },
@@ -200,38 +288,47 @@ class SimulationEngine {
     }
 
     /**
-     * Calculate AI adoption rate based on curve type
+     * Copy baseline sectors and add the per-step and cumulative job change breakdowns
+     */
+    initializeSectors(sectors) {
+        const copy = JSON.parse(JSON.stringify(sectors));
+        Object.values(copy).forEach(sector => {
+            sector.job_changes = { direct: 0, indirect: 0, induced: 0 };
+            sector.cumulative_job_changes = { direct: 0, indirect: 0, induced: 0 };
+        });
+        return copy;
+    }
+
+    /**
+     * Calculate AI adoption rate based on curve type, nationally and for sectors
+     * with their own curve
      */
     calculateAIAdoption(progress, scenario) {
         const initial = this.getAIAdoptionValue(this.baselineSnapshot.ai_indicators);
         const target = scenario.targets.ai_adoption_rate;
         const curve = scenario.ai_parameters.adoption_curve;
+        const timeframe = scenario.timeframe;
+        const at = {
+            progress,
+            year: timeframe.start_year + progress * (timeframe.end_year - timeframe.start_year),
+            startYear: timeframe.start_year,
+            years: timeframe.end_year - timeframe.start_year,
+            initial,
+            target
+        };
 
-        let adoption;
-
-        switch (curve) {
-            case 'linear':
-                adoption = initial + (target - initial) * progress;
-                break;
-
-            case 'exponential':
-                adoption = initial * Math.pow(target / initial, progress);
-                break;
-
-            case 's_curve':
-            default:
-                // Logistic S-curve
-                const midpoint = 0.5;
-                const steepness = 10;
-                const sigmoid = 1 / (1 + Math.exp(-steepness * (progress - midpoint)));
-                adoption = initial + (target - initial) * sigmoid;
-                break;
-        }
+        const adoption = adoptionAt(normalizeCurve(curve, scenario.ai_parameters.curve_parameters), at);
+
+        const sectorRates = {};
+        Object.entries(scenario.ai_parameters.sector_curves || {}).forEach(([sector, sectorCurve]) => {
+            sectorRates[sector] = Math.min(100, Math.max(0, adoptionAt(sectorCurve, at)));
+        });
 
         return {
             rate: Math.min(100, Math.max(0, adoption)),
             change_from_baseline: adoption - initial,
-            curve_type: curve
+            curve_type: curve,
+            sector_rates: sectorRates
         };
     }
 
@@ -241,9 +338,15 @@ class SimulationEngine {
      */
     calculateLaborImpact(state, aiAdoption, scenario) {
         const adoptionChange = aiAdoption.rate - state.ai.adoption_rate;
-        const automationPace = this.getAutomationPaceMultiplier(scenario.targets.automation_pace);
+        const automationPace = this.getAutomationPaceMultiplier(
+            scenario.targets.automation_pace,
+            scenario.ai_parameters.pace_multipliers
+        );
         const productivityGrowth = state.productivity.growth_rate;
 
+        // Reinstatement scales with new_job_multiplier relative to the 0.3 the task model assumes
+        const reinstatementScale = (scenario.ai_parameters.new_job_multiplier ?? 0.3) / 0.3;
+
         // Calculate job displacement by sector using task-based model
         let totalDisplaced = 0;
         let totalNewJobs = 0;
@@ -253,19 +356,30 @@ class SimulationEngine {
         for (const [sector, data] of Object.entries(state.sectors)) {
             const employment = data.employment;
 
+            // Sectors with their own curve adopt at their own rate
+            const sectorAdoption = aiAdoption.sector_rates?.[sector] ?? aiAdoption.rate;
+
+            // Displacement follows adoption after displacement_lag months
+            const displacementAdoption = this.getLaggedAdoption(state, sectorAdoption, scenario, sector);
+
             // Use task-based model for more nuanced displacement calculation
             const taskImpact = this.economicModels.taskModel.calculateNetImpact(
                 sector,
-                aiAdoption.rate,
+                sectorAdoption,
                 productivityGrowth,
                 automationPace
             );
+            const lagged = this.economicModels.taskModel.calculateDisplacementEffect(
+                sector,
+                displacementAdoption,
+                automationPace
+            );
 
             // Calculate displaced based on task-based effective job loss
-            const displaced = Math.round(employment * taskImpact.displacement.effectiveJobLoss);
+            const displaced = Math.round(employment * lagged.effectiveJobLoss);
 
             // New jobs from reinstatement effect
-            const newJobs = Math.round(employment * taskImpact.reinstatement.totalReinstatement);
+            const newJobs = Math.round(employment * taskImpact.reinstatement.totalReinstatement * reinstatementScale);
 
             sectorImpacts[sector] = {
                 displaced,
@@ -283,9 +397,19 @@ class SimulationEngine {
             else if (taskImpact.polarizationRisk === 'medium') aggregatePolarizationRisk += 1;
         }
 
+        // Supply-chain and household-spending effects of earlier direct changes
+        const ripple = this.calculateRippleEffects(state, sectorImpacts, scenario);
+
         // Calculate target-based adjustment
         const targetAdjustment = this.calculateTargetAdjustment(state, scenario);
 
+        // Employment responds to wage growth away from baseline through labor_elasticity
+        const wageGap = state.wages.real_wage_growth - this.baselineSnapshot.wages.real_wage_growth;
+        const elasticityAdjustment = Math.round(
+            (scenario.economic_parameters.labor_elasticity ?? 0) * (wageGap / 100) *
+            state.labor_market.total_employment / scenario.timeframe.steps_per_year
+        );
+
         // Calculate skill-biased wage effects
         const skillPremiums = this.economicModels.sbtcModel.calculateSkillPremiums(
             aiAdoption.rate,
@@ -306,28 +430,101 @@ class SimulationEngine {
         return {
             total_displaced: totalDisplaced,
             total_new_jobs: totalNewJobs,
-            net_job_change: totalNewJobs - totalDisplaced + targetAdjustment,
+            net_job_change: totalNewJobs - totalDisplaced + ripple.total + targetAdjustment + elasticityAdjustment,
+            ripple_job_change: ripple.total,
+            ripple_pipeline: ripple.pipeline,
             sector_impacts: sectorImpacts,
             productivity_gain: adoptionChange * 0.02,
             wage_pressure: avgWageEffect,
             // Enhanced metrics
             skill_effects: skillPremiums,
             labor_share: laborShare,
-            polarization_index: aggregatePolarizationRisk / Object.keys(state.sectors).length
+            polarization_index: aggregatePolarizationRisk / Object.keys(state.sectors).length,
+            adoption_rate: aiAdoption.rate,
+            sector_adoption_rates: aiAdoption.sector_rates || {}
         };
     }
 
+    /**
+     * Propagate this step's direct sector changes through the input-output model and
+     * schedule the indirect and induced jobs to land after their lags. Adds the
+     * changes landing this step to each sector impact. With demand_feedback, induced
+     * jobs come from last step's change in household spending instead of the
+     * fixed multipliers.
+     * @returns {{total: number, pipeline: Object[]}} Jobs landing now and the updated schedule
+     */
+    calculateRippleEffects(state, sectorImpacts, scenario) {
+        const params = scenario.economic_parameters;
+        const pipeline = (state.ripple_pipeline || []).map(entry => ({ ...entry }));
+
+        if (params.io_propagation !== false) {
+            const direct = {};
+            Object.entries(sectorImpacts).forEach(([sector, impact]) => {
+                direct[sector] = impact.net_change;
+            });
+            const effects = this.economicModels.interdependencyModel.propagateJobChanges(direct);
+
+            const toSteps = months => Math.max(0, Math.round(months * scenario.timeframe.steps_per_year / 12));
+            const schedule = (steps, sector, kind, jobs) => {
+                if (!jobs) return;
+                while (pipeline.length <= steps) pipeline.push({});
+                const entry = pipeline[steps][sector] || { indirect: 0, induced: 0 };
+                pipeline[steps][sector] = { ...entry, [kind]: entry[kind] + jobs };
+            };
+
+            Object.entries(effects).forEach(([sector, effect]) => {
+                // Sectors outside this run's data have no employment to change
+                if (!state.sectors[sector]) return;
+                schedule(toSteps(params.indirect_lag ?? 3), sector, 'indirect', effect.indirect);
+                if (!params.demand_feedback) {
+                    schedule(toSteps(params.induced_lag ?? 6), sector, 'induced', effect.induced);
+                }
+            });
+        }
+
+        const landing = pipeline.shift() || {};
+        const demandJobs = params.demand_feedback && state.demand
+            ? this.economicModels.demandModel.calculateSectorJobs(state.demand.consumption_change)
+            : {};
+        let total = 0;
+
+        Object.entries(sectorImpacts).forEach(([sector, impact]) => {
+            const arrived = landing[sector] || { indirect: 0, induced: 0 };
+            impact.indirect = Math.round(arrived.indirect);
+            impact.induced = Math.round(arrived.induced + (demandJobs[sector] || 0));
+            impact.total_change = impact.net_change + impact.indirect + impact.induced;
+            total += impact.indirect + impact.induced;
+        });
+
+        return { total, pipeline };
+    }
+
+    /**
+     * Adoption rate displacement_lag months back, or the earliest rate recorded.
+     * Sectors with their own curve look back along their own history.
+     */
+    getLaggedAdoption(state, currentRate, scenario, sector = null) {
+        const history = (sector && state.ai.sector_adoption_history?.[sector]) || state.ai.adoption_history || [];
+        const lagSteps = Math.round((scenario.ai_parameters.displacement_lag || 0) *
+            scenario.timeframe.steps_per_year / 12);
+
+        if (lagSteps === 0) return currentRate;
+        if (history.length === 0) return state.ai.adoption_rate;
+        return history[Math.max(0, history.length - lagSteps)];
+    }
+
     /**
      * Get automation pace multiplier
      */
-    getAutomationPaceMultiplier(pace) {
+    getAutomationPaceMultiplier(pace, overrides = null) {
         const multipliers = {
             slow: 0.5,
             moderate: 1.0,
             fast: 1.5,
-            accelerating: 2.0
+            accelerating: 2.0,
+            ...(overrides || {})
         };
-        return multipliers[pace] || 1.0;
+        return multipliers[pace] ?? 1.0;
     }
 
     /**
@@ -350,51 +547,97 @@ class SimulationEngine {
     }
 
     /**
-     * Apply intervention effects
+     * Apply intervention effects for interventions in force during this year.
+     * Interventions with a trigger rule also need their conditions met, at the
+     * strength their phase-in or phase-out has reached (see intervention-rules.js).
      */
-    applyInterventions(state, laborImpact, interventions) {
+    applyInterventions(state, laborImpact, interventions, year) {
         if (!interventions || interventions.length === 0) {
             return { applied: [], total_effect: 0 };
         }
 
+        const inWindow = interventions.filter(intervention => {
+            if (!intervention.active) return false;
+            if (year !== undefined && intervention.start_year && year < intervention.start_year) return false;
+            if (year !== undefined && intervention.end_year && year > intervention.end_year) return false;
+            return true;
+        });
+        const logLength = this.interventionRules.log.length;
+        const stepsPerYear = this.currentScenario?.timeframe?.steps_per_year || 12;
+        const scheduled = this.interventionRules.schedule(
+            inWindow,
+            this.getRuleMetrics(state, laborImpact, year),
+            { year: year !== undefined ? parseFloat(year.toFixed(2)) : null },
+            12 / stepsPerYear
+        );
+
         const effects = [];
         let totalJobEffect = 0;
         let totalWageEffect = 0;
+        let totalFiscalCost = 0;
+        let totalEconomicImpact = 0;
+        let totalHouseholdTransfers = 0;
 
-        for (const intervention of interventions) {
-            if (!intervention.active) continue;
+        // With demand feedback, transfers create jobs through household spending instead
+        const demandFeedback = !!this.currentScenario?.economic_parameters?.demand_feedback;
 
+        for (const { intervention, intensity } of scheduled) {
             const effect = this.calculateInterventionEffect(intervention, state, laborImpact);
             effects.push({
                 name: intervention.name,
                 type: intervention.type,
+                intensity,
                 ...effect
             });
 
-            totalJobEffect += effect.job_effect || 0;
+            totalJobEffect += (effect.job_effect || 0) - (demandFeedback ? effect.consumption_jobs || 0 : 0);
             totalWageEffect += effect.wage_effect || 0;
+            totalFiscalCost += effect.fiscal_cost || 0;
+            totalEconomicImpact += effect.economic_impact || 0;
+            totalHouseholdTransfers += effect.household_transfers || 0;
         }
 
         return {
             applied: effects,
             total_job_effect: totalJobEffect,
-            total_wage_effect: totalWageEffect
+            total_wage_effect: totalWageEffect,
+            total_fiscal_cost: totalFiscalCost,
+            total_economic_impact: totalEconomicImpact,
+            total_household_transfers: totalHouseholdTransfers,
+            rule_events: this.interventionRules.eventsSince(logLength)
         };
     }
 
     /**
-     * Calculate effect of a single intervention
+     * Metrics trigger rules read: the standard RULE_METRICS, plus `state` for dotted paths
+     * such as 'sectors.retail.employment'
      */
-    calculateInterventionEffect(intervention, state, laborImpact) {
-        // This is calculated by the Interventions module
-        // Return placeholder for engine-level calculation
+    getRuleMetrics(state, laborImpact, year) {
+        const baseline = this.baselineSnapshot;
+        const startYear = this.currentScenario?.timeframe?.start_year;
+        const percentChange = (value, base) => base ? (value / base - 1) * 100 : 0;
+
         return {
-            job_effect: 0,
-            wage_effect: 0,
-            cost: 0
+            unemployment_rate: state.labor_market.unemployment_rate,
+            labor_force_participation: state.labor_market.labor_force_participation,
+            ai_adoption_rate: laborImpact?.adoption_rate ?? state.ai.adoption_rate,
+            employment_change: percentChange(state.labor_market.total_employment, baseline?.labor_market?.total_employment),
+            wage_growth: percentChange(state.wages.average_hourly, baseline?.wages?.average_hourly),
+            debt_to_gdp: state.fiscal ? state.fiscal.debtToGdp * 100 : null,
+            deficit_to_gdp: state.fiscal ? state.fiscal.deficitToGdp * 100 : null,
+            months_elapsed: year !== undefined && startYear ? Math.round((year - startYear) * 12) : 0,
+            state
         };
     }
 
+    /**
+     * Calculate effect of a single intervention with the Interventions module's
+     * per-type models (monthly job, wage, LFPR, fiscal and economic effects)
+     */
+    calculateInterventionEffect(intervention, state, laborImpact) {
+        return this.interventionSystem.calculateSingleEffect(intervention, state, laborImpact);
+    }
+
     /**
      * Update simulation state
      */
@@ -416,14 +659,17 @@ class SimulationEngine {
         // Update job openings (inverse relationship with unemployment)
         const urChange = newState.labor_market.unemployment_rate - state.labor_market.unemployment_rate;
         newState.labor_market.job_openings = Math.max(
-            1000000,
+            this.getWorkingAgePopulation() * MIN_JOB_OPENINGS_SHARE,
             state.labor_market.job_openings * (1 - urChange * 0.05)
         );
 
-        // Update wages
+        // Update wages. Intervention wage effects shift growth while they are in force,
+        // so last step's effect is swapped out rather than compounded
+        const interventionWageEffect = interventionEffects.total_wage_effect || 0;
         newState.wages.real_wage_growth = state.wages.real_wage_growth +
             laborImpact.wage_pressure +
-            (interventionEffects.total_wage_effect || 0);
+            interventionWageEffect - (state.wages.intervention_wage_effect || 0);
+        newState.wages.intervention_wage_effect = interventionWageEffect;
         newState.wages.average_hourly *= (1 + newState.wages.real_wage_growth / 100 / 12);
         newState.wages.median_weekly *= (1 + newState.wages.real_wage_growth / 100 / 12);
 
@@ -431,26 +677,114 @@ class SimulationEngine {
         newState.productivity.growth_rate = state.productivity.growth_rate + laborImpact.productivity_gain;
         newState.productivity.output_per_hour *= (1 + newState.productivity.growth_rate / 100 / 12);
 
-        // Update sectors
+        // Update sectors with direct changes and the ripple effects landing this step
         for (const [sector, impact] of Object.entries(laborImpact.sector_impacts)) {
-            if (newState.sectors[sector]) {
-                newState.sectors[sector].employment += impact.net_change;
-            }
+            const data = newState.sectors[sector];
+            if (!data) continue;
+
+            data.employment += impact.total_change ?? impact.net_change;
+            data.job_changes = {
+                direct: impact.net_change,
+                indirect: impact.indirect || 0,
+                induced: impact.induced || 0
+            };
+            const cumulative = data.cumulative_job_changes || { direct: 0, indirect: 0, induced: 0 };
+            data.cumulative_job_changes = {
+                direct: cumulative.direct + data.job_changes.direct,
+                indirect: cumulative.indirect + data.job_changes.indirect,
+                induced: cumulative.induced + data.job_changes.induced
+            };
         }
+        newState.ripple_pipeline = laborImpact.ripple_pipeline || [];
+
+        // Household spending out of this step's wages and transfers, net of any tax
+        // increase that financed last step's policies
+        const demandModel = this.economicModels.demandModel;
+        const stepsPerYear = this.currentScenario?.timeframe?.steps_per_year || 12;
+        const taxIncrease = state.fiscal ? state.fiscal.revenues.tax_increase / state.fiscal.months : 0;
+        newState.demand = demandModel.step(
+            state.demand || demandModel.initializeDemand(state.labor_market.total_employment, state.wages.average_hourly),
+            {
+                employment: newState.labor_market.total_employment,
+                averageHourly: newState.wages.average_hourly,
+                transfers: (interventionEffects.total_household_transfers || 0) - taxIncrease
+            },
+            12 / stepsPerYear
+        );
 
         // Update AI metrics
+        if (laborImpact.adoption_rate !== undefined) {
+            newState.ai.adoption_history.push(laborImpact.adoption_rate);
+        }
+        Object.entries(laborImpact.sector_adoption_rates || {}).forEach(([sector, rate]) => {
+            const histories = newState.ai.sector_adoption_history || (newState.ai.sector_adoption_history = {});
+            (histories[sector] = histories[sector] || []).push(rate);
+        });
         newState.ai.displaced_workers += laborImpact.total_displaced;
         newState.ai.new_jobs_created += laborImpact.total_new_jobs;
 
         return newState;
     }
 
+    /**
+     * Government budget for a scenario's fiscal parameters
+     */
+    createFiscalAccounts(scenario) {
+        const params = scenario.fiscal_parameters || {};
+        return new FiscalAccounts({
+            financing: params.financing,
+            incomeTaxRate: params.income_tax_rate !== undefined ? params.income_tax_rate / 100 : undefined,
+            payrollTaxRate: params.payroll_tax_rate !== undefined ? params.payroll_tax_rate / 100 : undefined,
+            interestRate: params.debt_interest_rate !== undefined ? params.debt_interest_rate / 100 : undefined,
+            initialDebtToGdp: params.initial_debt_to_gdp !== undefined ? params.initial_debt_to_gdp / 100 : undefined,
+            maxTaxSurcharge: params.max_tax_increase !== undefined ? params.max_tax_increase / 100 : undefined
+        });
+    }
+
+    /**
+     * Book a step of taxes on the wage bill, unemployment insurance and the fiscal
+     * cost of each intervention in force (negative costs are revenue)
+     */
+    updateFiscalAccounts(fiscal, state, interventionEffects) {
+        const stepsPerYear = this.currentScenario?.timeframe?.steps_per_year || 12;
+        const employment = Math.max(0, state.labor_market.total_employment);
+        const monthlyWage = state.wages.average_hourly * HOURS_PER_MONTH;
+
+        const outlays = {};
+        const revenues = {};
+        (interventionEffects.applied || []).forEach(effect => {
+            const cost = effect.fiscal_cost || 0;
+            if (cost > 0) {
+                outlays[effect.type] = (outlays[effect.type] || 0) + cost;
+            } else if (cost < 0) {
+                revenues[effect.type] = (revenues[effect.type] || 0) - cost;
+            }
+        });
+
+        return fiscal.step({
+            wageBill: employment * monthlyWage,
+            unemployed: Math.max(0, state.labor_market.labor_force - employment),
+            averageWage: monthlyWage,
+            outlays,
+            revenues,
+            months: 12 / stepsPerYear
+        });
+    }
+
+    /**
+     * Working-age population of the data the run started from (an imported
+     * state or company profile has its own)
+     */
+    getWorkingAgePopulation() {
+        return this.baselineSnapshot?.demographics?.working_age_population?.value || DEFAULT_WORKING_AGE_POPULATION;
+    }
+
     /**
      * Calculate derived metrics for a state
      */
     calculateDerivedMetrics(state) {
         return {
-            employment_to_population: (state.labor_market.total_employment / 210000000) * 100,
+            employment_to_population: (state.labor_market.total_employment / this.getWorkingAgePopulation()) * 100,
             jobs_per_unemployed: state.labor_market.job_openings /
                 (state.labor_market.labor_force - state.labor_market.total_employment),
             cumulative_displacement: state.ai.displaced_workers,
@@ -516,7 +850,9 @@ class SimulationEngine {
                 }
             },
             interventions: interventionSummary,
-            sector_summary: this.generateSectorSummary(initial.sectors, final.sectors)
+            fiscal: summarizeFiscal(results.map(r => r.fiscal)),
+            sector_summary: this.generateSectorSummary(initial.sectors, final.sectors),
+            occupation_summary: summarizeOccupations(results.map(r => r.occupations))
         };
     }
 
@@ -559,8 +895,8 @@ class SimulationEngine {
 
         // Get last intervention details for breakdown
         const lastResult = results[results.length - 1];
-        if (lastResult?.interventions?.details) {
-            summary.details = lastResult.interventions.details;
+        if (lastResult?.interventions?.applied) {
+            summary.details = lastResult.interventions.applied;
         }
 
         return summary;
@@ -606,6 +942,7 @@ class SimulationEngine {
             return JSON.stringify({
                 scenario: this.currentScenario,
                 results: this.results,
+                rule_log: this.interventionRules.log,
                 summary: this.generateSummary(this.results)
             }, null, 2);
         }
@@ -621,8 +958,15 @@ class SimulationEngine {
                 'Avg Hourly Wage',
                 'Productivity Growth %',
                 'Cumulative Displaced',
-                'Cumulative New Jobs'
+                'Cumulative New Jobs',
+                'Revenue',
+                'Outlays',
+                'Deficit',
+                'Debt/GDP %'
             ];
+            // Sectors on their own adoption curve get their own column
+            const curveSectors = Object.keys(this.currentScenario?.ai_parameters?.sector_curves || {});
+            curveSectors.forEach(sector => headers.push(`AI Adoption % (${sector})`));
 
             const rows = this.results.map(r => [
                 r.year,
@@ -633,7 +977,12 @@ class SimulationEngine {
                 r.wages.average_hourly.toFixed(2),
                 r.productivity.growth_rate.toFixed(2),
                 r.derived.cumulative_displacement,
-                r.derived.cumulative_new_jobs
+                r.derived.cumulative_new_jobs,
+                r.fiscal ? Math.round(r.fiscal.totalRevenue) : '',
+                r.fiscal ? Math.round(r.fiscal.totalOutlays) : '',
+                r.fiscal ? Math.round(r.fiscal.deficit) : '',
+                r.fiscal ? (r.fiscal.debtToGdp * 100).toFixed(1) : '',
+                ...curveSectors.map(sector => r.ai_adoption.sector_rates?.[sector]?.toFixed(1) ?? '')
             ]);
 
             return [headers, ...rows].map(row => row.join(',')).join('\n');
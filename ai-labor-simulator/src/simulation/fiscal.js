@@ -0,0 +1,207 @@
+/**
+ * Government Fiscal Accounts
+ *
+ * Tracks the federal budget alongside a simulation run. Each step collects
+ * income and payroll taxes on the wage bill and other taxes on output, pays
+ * baseline programs, unemployment insurance, interest and whatever the active
+ * policies cost, and carries the difference into debt. Job losses therefore
+ * show up twice: as lost tax receipts and as benefit outlays.
+ *
+ * Both engines use it. The aggregate engine feeds national totals; the ABM feeds
+ * its agent economy, so its dollar figures are in agent-economy units and only
+ * the ratios (deficit and debt to GDP) compare across engines.
+ *
+ * Financing rules:
+ *   borrow - deficits add to debt
+ *   tax    - an income tax surcharge on wages holds the deficit at its
+ *            pre-policy share of GDP (up to maxTaxSurcharge); the rest is borrowed
+ */
+
+const FINANCING_RULES = ['borrow', 'tax'];
+
+class FiscalAccounts {
+    constructor(config = {}) {
+        // Tax rates (shares of wages) and other revenue (share of GDP); defaults
+        // approximate FY2024 federal receipts
+        this.incomeTaxRate = config.incomeTaxRate ?? 0.2;
+        this.payrollTaxRate = config.payrollTaxRate ?? 0.14;
+        this.otherRevenueShare = config.otherRevenueShare ?? 0.028;
+
+        // Spending before interest and unemployment insurance, as a share of GDP
+        // in the first step; it then follows the wage level, not employment
+        this.baselineSpendingShare = config.baselineSpendingShare ?? 0.205;
+
+        // Unemployment insurance: share of the average wage replaced, and share
+        // of the unemployed who draw benefits
+        this.uiReplacementRate = config.uiReplacementRate ?? 0.45;
+        this.uiRecipiency = config.uiRecipiency ?? 0.3;
+
+        // Average interest rate on the debt (annual)
+        this.interestRate = config.interestRate ?? 0.033;
+
+        // Wages as a share of GDP, used when no GDP figure is supplied
+        this.wageShareOfGdp = config.wageShareOfGdp ?? 0.42;
+
+        this.initialDebtToGdp = config.initialDebtToGdp ?? 0.98;
+
+        this.financing = config.financing || 'borrow';
+        if (!FINANCING_RULES.includes(this.financing)) {
+            throw new Error(`Unknown financing rule "${this.financing}" (expected ${FINANCING_RULES.join(' or ')})`);
+        }
+        this.maxTaxSurcharge = config.maxTaxSurcharge ?? 0.25;
+
+        // Set on the first step
+        this.debt = null;
+        this.referenceGdp = null;
+        this.referenceWage = null;
+        this.targetDeficitShare = null;
+
+        // Income tax surcharge in force (tax financing only)
+        this.taxSurcharge = 0;
+
+        this.current = null;
+    }
+
+    /**
+     * Book one step of revenues and outlays
+     * @param {Object} inputs
+     * @param {number} inputs.wageBill - Wages paid per month
+     * @param {number} inputs.unemployed - Unemployed workers
+     * @param {number} inputs.averageWage - Average monthly wage of the employed
+     * @param {number} [inputs.gdp] - Annual GDP (default: wage bill over wageShareOfGdp)
+     * @param {Object} [inputs.outlays] - Monthly policy outlays by intervention type
+     * @param {Object} [inputs.revenues] - Monthly policy revenues by intervention type
+     * @param {number} [inputs.months=1] - Months covered by the step
+     * @returns {Object} The step's accounts
+     */
+    step(inputs) {
+        const months = inputs.months ?? 1;
+        const wageBill = Math.max(0, inputs.wageBill || 0);
+        const averageWage = inputs.averageWage || 0;
+        const gdp = inputs.gdp ?? wageBill * 12 / this.wageShareOfGdp;
+
+        if (this.debt === null) {
+            this.debt = this.initialDebtToGdp * gdp;
+            this.referenceGdp = gdp;
+            this.referenceWage = averageWage;
+        }
+
+        const wageLevel = this.referenceWage > 0 && averageWage > 0 ? averageWage / this.referenceWage : 1;
+
+        const revenues = {
+            income_tax: this.incomeTaxRate * wageBill * months,
+            payroll_tax: this.payrollTaxRate * wageBill * months,
+            other_taxes: this.otherRevenueShare * gdp / 12 * months,
+            tax_increase: 0
+        };
+        const outlays = {
+            baseline_programs: this.baselineSpendingShare * this.referenceGdp * wageLevel / 12 * months,
+            unemployment_insurance: Math.max(0, inputs.unemployed || 0) * averageWage *
+                this.uiReplacementRate * this.uiRecipiency * months,
+            interest: this.debt * this.interestRate / 12 * months
+        };
+
+        // The deficit share before any policy is the level tax financing holds to
+        const structuralDeficit = sumValues(outlays) - sumValues(revenues);
+        if (this.targetDeficitShare === null) {
+            this.targetDeficitShare = gdp > 0 ? structuralDeficit / (gdp / 12 * months) : 0;
+        }
+
+        addFlows(outlays, inputs.outlays, months);
+        addFlows(revenues, inputs.revenues, months);
+
+        if (this.financing === 'tax') {
+            const gap = sumValues(outlays) - sumValues(revenues) - this.targetDeficitShare * gdp / 12 * months;
+            this.taxSurcharge = wageBill > 0
+                ? Math.max(0, Math.min(this.maxTaxSurcharge, gap / (wageBill * months)))
+                : 0;
+            revenues.tax_increase = this.taxSurcharge * wageBill * months;
+        }
+
+        const totalRevenue = sumValues(revenues);
+        const totalOutlays = sumValues(outlays);
+        const deficit = totalOutlays - totalRevenue;
+        this.debt += deficit;
+
+        this.current = {
+            months,
+            gdp,
+            wageBill,
+            revenues,
+            outlays,
+            totalRevenue,
+            totalOutlays,
+            deficit,
+            debt: this.debt,
+            deficitToGdp: gdp > 0 ? deficit / (gdp / 12 * months) : 0,
+            debtToGdp: gdp > 0 ? this.debt / gdp : 0,
+            incomeTaxRate: this.incomeTaxRate + this.taxSurcharge,
+            taxSurcharge: this.taxSurcharge
+        };
+
+        return this.current;
+    }
+
+    /**
+     * Latest accounts (null before the first step)
+     */
+    getStatistics() {
+        return this.current;
+    }
+}
+
+function sumValues(flows) {
+    return Object.values(flows).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Add monthly policy flows, by intervention type, to a step's accounts
+ */
+function addFlows(target, flows, months) {
+    Object.entries(flows || {}).forEach(([type, amount]) => {
+        if (!amount) return;
+        target[type] = (target[type] || 0) + amount * months;
+    });
+}
+
+/**
+ * Totals over a run's fiscal records (steps without accounts are skipped)
+ * @param {Array<Object|null>} records - FiscalAccounts.step() results in order
+ * @returns {Object|null}
+ */
+function summarizeFiscal(records) {
+    const steps = (records || []).filter(Boolean);
+    if (steps.length === 0) return null;
+
+    const first = steps[0];
+    const last = steps[steps.length - 1];
+    const revenues = {};
+    const outlays = {};
+    steps.forEach(record => {
+        addFlows(revenues, record.revenues, 1);
+        addFlows(outlays, record.outlays, 1);
+    });
+
+    return {
+        totalRevenue: sumValues(revenues),
+        totalOutlays: sumValues(outlays),
+        cumulativeDeficit: steps.reduce((sum, record) => sum + record.deficit, 0),
+        revenues,
+        outlays,
+        debtToGdp: {
+            initial: first.debtToGdp,
+            final: last.debtToGdp,
+            change: last.debtToGdp - first.debtToGdp
+        },
+        finalDeficitToGdp: last.deficitToGdp,
+        finalTaxSurcharge: last.taxSurcharge
+    };
+}
+
+// Export for ES modules
+export { FiscalAccounts, FINANCING_RULES, summarizeFiscal };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.FiscalAccounts = FiscalAccounts;
+}
@@ -0,0 +1,323 @@
+/**
+ * Intervention Trigger Rules
+ *
+ * Lets an intervention switch itself on and off from simulated conditions, the
+ * way automatic stabilizers do, instead of only by start_year / end_year.
+ * A rule sits on the intervention:
+ *
+ *   rule: {
+ *       activate_when: 'unemployment_rate > 7',      // or { metric, op, value }, { all }, { any }, { not }
+ *       deactivate_when: 'unemployment_rate < 5',    // optional; default: activate_when stops holding
+ *       hold_months: 3,                              // condition must have held this long before switching
+ *       phase_in_months: 6,                          // ramp from 0 to full strength
+ *       phase_out_months: 6,                         // ramp back down after deactivation
+ *       max_duration_months: 36                      // sunset: never active longer than this
+ *   }
+ *
+ * A separate deactivate_when gives hysteresis. Ramps scale each type's dose
+ * parameter (DOSE_PARAMETERS); types without one are fully on while ramping.
+ * Both engines evaluate rules once a step, before interventions apply, against
+ * the latest simulated metrics, and log every switch.
+ */
+
+// Metrics both engines provide under the same names and units
+const RULE_METRICS = {
+    unemployment_rate: 'Unemployment rate (%)',
+    labor_force_participation: 'Labor force participation (%)',
+    ai_adoption_rate: 'AI adoption (%)',
+    employment_change: 'Change in employment since the start of the run (%)',
+    wage_growth: 'Change in the average wage since the start of the run (%)',
+    debt_to_gdp: 'Government debt (% of GDP)',
+    deficit_to_gdp: 'Government deficit (% of GDP)',
+    months_elapsed: 'Months since the start of the run'
+};
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+// The parameter a ramp scales, by intervention type
+const DOSE_PARAMETERS = {
+    ubi: 'monthly_amount',
+    job_retraining: 'funding_per_worker',
+    wage_subsidy: 'subsidy_rate',
+    robot_tax: 'tax_rate',
+    education_subsidy: 'subsidy_amount',
+    portable_benefits: 'contribution_rate',
+    transition_assistance: 'replacement_rate',
+    negative_income_tax: 'base_amount',
+    sectoral_bargaining: 'coverage_rate',
+    ai_licensing: 'compliance_cost',
+    worker_ownership: 'tax_credit_rate',
+    skills_based_immigration: 'annual_visa_cap',
+    public_private_retraining: 'government_match_rate'
+};
+
+const CONDITION_PATTERN = /^\s*([\w.]+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Turn a condition string such as 'unemployment_rate > 7' into { metric, op, value };
+ * object conditions are returned unchanged
+ */
+function parseCondition(condition) {
+    if (typeof condition !== 'string') return condition;
+
+    const match = condition.match(CONDITION_PATTERN);
+    if (!match) {
+        throw new Error(`Cannot parse rule condition "${condition}" (expected e.g. "unemployment_rate > 7")`);
+    }
+    return { metric: match[1], op: match[2], value: Number(match[3]) };
+}
+
+/**
+ * Look a metric up by standard name, then as a dotted path into the engine's state
+ * @returns {number|null} null while the metric has no value yet (e.g. no budget before the first step)
+ */
+function resolveMetric(metrics, name) {
+    if (name in metrics) return metrics[name] ?? null;
+
+    let value = metrics.state;
+    for (const part of name.split('.')) {
+        if (value === null || value === undefined || typeof value !== 'object' || !(part in value)) {
+            throw new Error(`Unknown metric "${name}" in intervention rule`);
+        }
+        value = value[part];
+    }
+    return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Whether a condition holds; metrics without a value yet never satisfy one
+ */
+function testCondition(condition, metrics) {
+    const parsed = parseCondition(condition);
+
+    if (parsed.all) return parsed.all.every(c => testCondition(c, metrics));
+    if (parsed.any) return parsed.any.some(c => testCondition(c, metrics));
+    if (parsed.not) return !testCondition(parsed.not, metrics);
+
+    const compare = OPERATORS[parsed.op];
+    if (!compare) {
+        throw new Error(`Unknown operator "${parsed.op}" in intervention rule`);
+    }
+    const value = resolveMetric(metrics, parsed.metric);
+    return value !== null && compare(value, parsed.value);
+}
+
+/**
+ * Metric names a condition reads, for the activation log
+ */
+function conditionMetrics(condition) {
+    const parsed = parseCondition(condition);
+    if (!parsed) return [];
+    if (parsed.all || parsed.any) return (parsed.all || parsed.any).flatMap(conditionMetrics);
+    if (parsed.not) return conditionMetrics(parsed.not);
+    return [parsed.metric];
+}
+
+/**
+ * Check a rule and return a list of problems (empty when valid)
+ * @param {Object} rule
+ * @returns {string[]}
+ */
+function validateRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+
+    const checkCondition = (condition, label) => {
+        try {
+            const parsed = parseCondition(condition);
+            if (!parsed || typeof parsed !== 'object') {
+                errors.push(`${label} must be a condition`);
+            } else if (parsed.all || parsed.any) {
+                (parsed.all || parsed.any).forEach((c, i) => checkCondition(c, `${label}[${i}]`));
+            } else if (parsed.not) {
+                checkCondition(parsed.not, label);
+            } else {
+                if (typeof parsed.metric !== 'string') errors.push(`${label} is missing a metric`);
+                if (!OPERATORS[parsed.op]) errors.push(`${label} has unknown operator "${parsed.op}"`);
+                if (!Number.isFinite(parsed.value)) errors.push(`${label} value must be a number`);
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+    };
+
+    if (rule.activate_when === undefined) {
+        errors.push('rule is missing activate_when');
+    } else {
+        checkCondition(rule.activate_when, 'activate_when');
+    }
+    if (rule.deactivate_when !== undefined) {
+        checkCondition(rule.deactivate_when, 'deactivate_when');
+    }
+
+    ['hold_months', 'phase_in_months', 'phase_out_months', 'max_duration_months'].forEach(key => {
+        if (rule[key] !== undefined && rule[key] !== null && !(Number.isFinite(rule[key]) && rule[key] >= 0)) {
+            errors.push(`${key} must be a number of months`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Copy of an intervention with its dose parameter scaled to a ramp's intensity
+ */
+function scaleIntervention(intervention, intensity) {
+    const dose = DOSE_PARAMETERS[intervention.type];
+    if (intensity >= 1 || !dose || !intervention.parameters || intervention.parameters[dose] === undefined) {
+        return intervention;
+    }
+    return {
+        ...intervention,
+        parameters: { ...intervention.parameters, [dose]: intervention.parameters[dose] * intensity }
+    };
+}
+
+class InterventionRules {
+    constructor(config = {}) {
+        // Rule state by intervention key
+        this.states = config.states || {};
+
+        // Every activation, deactivation, sunset and completed phase-out
+        this.log = config.log || [];
+    }
+
+    /**
+     * Interventions in force this step, at their ramped strength. Interventions
+     * without a rule pass through unchanged.
+     * @param {Object[]} interventions - Interventions inside their start/end window
+     * @param {Object} metrics - RULE_METRICS values, plus `state` for dotted paths
+     * @param {Object} when - Time stamp for the log, e.g. { step, year } or { month, year }
+     * @param {number} [months=1] - Months since the last evaluation
+     * @returns {Array<{intervention: Object, intensity: number, activeMonths: number|null}>}
+     *   activeMonths counts from the latest activation (null without a rule)
+     */
+    schedule(interventions, metrics, when, months = 1) {
+        const scheduled = [];
+
+        interventions.forEach((intervention, index) => {
+            if (!intervention.rule) {
+                scheduled.push({ intervention, intensity: 1, activeMonths: null });
+                return;
+            }
+
+            const key = String(intervention.id ?? `${index}:${intervention.type}`);
+            const intensity = this._evaluate(key, intervention, metrics, when, months);
+            if (intensity > 0) {
+                scheduled.push({
+                    intervention: scaleIntervention(intervention, intensity),
+                    intensity,
+                    activeMonths: this.states[key].activeMonths
+                });
+            }
+        });
+
+        return scheduled;
+    }
+
+    /**
+     * Advance one rule and return the intervention's strength (0-1)
+     */
+    _evaluate(key, intervention, metrics, when, months) {
+        const rule = intervention.rule;
+        const state = this.states[key] || (this.states[key] = {
+            status: 'inactive', intensity: 0, activeMonths: 0, holdMonths: 0, activations: 0
+        });
+        const holdMonths = rule.hold_months || 0;
+        let event = null;
+
+        if (state.status === 'inactive' || state.status === 'phasing_out') {
+            // A policy whose release condition still holds stays off
+            const triggered = testCondition(rule.activate_when, metrics) &&
+                !(rule.deactivate_when !== undefined && testCondition(rule.deactivate_when, metrics));
+            state.holdMonths = triggered ? state.holdMonths + months : 0;
+            if (triggered && state.holdMonths > holdMonths) {
+                state.status = 'active';
+                state.activeMonths = 0;
+                state.holdMonths = 0;
+                state.activations++;
+                event = 'activated';
+            }
+        } else if (state.status === 'active') {
+            state.activeMonths += months;
+            const released = rule.deactivate_when !== undefined
+                ? testCondition(rule.deactivate_when, metrics)
+                : !testCondition(rule.activate_when, metrics);
+            state.holdMonths = released ? state.holdMonths + months : 0;
+
+            if (rule.max_duration_months && state.activeMonths >= rule.max_duration_months) {
+                state.status = 'expiring';
+                event = 'expired';
+            } else if (released && state.holdMonths > holdMonths) {
+                state.status = 'phasing_out';
+                state.holdMonths = 0;
+                event = 'deactivated';
+            }
+        }
+
+        if (state.status === 'active') {
+            state.intensity = rule.phase_in_months > 0
+                ? Math.min(1, state.intensity + months / rule.phase_in_months)
+                : 1;
+        } else if (state.status === 'phasing_out' || state.status === 'expiring') {
+            state.intensity = rule.phase_out_months > 0
+                ? Math.max(0, state.intensity - months / rule.phase_out_months)
+                : 0;
+            if (state.intensity === 0) {
+                state.status = state.status === 'expiring' ? 'expired' : 'inactive';
+                if (!event) event = 'phased_out';
+            }
+        }
+
+        if (event) {
+            this._record(event, intervention, rule, metrics, when, state);
+        }
+        return state.intensity;
+    }
+
+    _record(event, intervention, rule, metrics, when, state) {
+        const values = {};
+        [rule.activate_when, rule.deactivate_when].filter(c => c !== undefined)
+            .flatMap(conditionMetrics)
+            .forEach(name => { values[name] = resolveMetric(metrics, name); });
+
+        this.log.push({
+            ...when,
+            event,
+            intervention: intervention.name || intervention.type,
+            type: intervention.type,
+            intensity: state.intensity,
+            metrics: values
+        });
+    }
+
+    /**
+     * Log entries recorded since a given log length
+     */
+    eventsSince(length) {
+        return this.log.slice(length);
+    }
+}
+
+// Export for ES modules
+export {
+    InterventionRules,
+    RULE_METRICS,
+    DOSE_PARAMETERS,
+    parseCondition,
+    testCondition,
+    validateRule,
+    scaleIntervention
+};
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.InterventionRules = InterventionRules;
+}
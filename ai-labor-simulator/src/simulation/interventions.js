@@ -3,6 +3,8 @@
  * Models various policy interventions to mitigate AI labor market disruption
  */
 
+import { validateRule } from './intervention-rules.js';
+
 class InterventionSystem {
     constructor() {
         this.interventions = [];
@@ -660,6 +662,13 @@ class InterventionSystem {
             throw new Error(`Unknown intervention type: ${type}`);
         }
 
+        if (config.rule) {
+            const errors = validateRule(config.rule);
+            if (errors.length > 0) {
+                throw new Error(`Invalid rule for ${type}: ${errors.join('; ')}`);
+            }
+        }
+
         // Merge default parameters with provided ones
         const finalParams = {};
         for (const [key, paramDef] of Object.entries(interventionType.parameters)) {
@@ -677,7 +686,8 @@ class InterventionSystem {
             cost_model: interventionType.cost_model,
             active: config.active !== false,
             start_year: config.start_year || null,
-            end_year: config.end_year || null
+            end_year: config.end_year || null,
+            rule: config.rule || null // Trigger conditions (see intervention-rules.js)
         };
 
         this.interventions.push(intervention);
@@ -692,11 +702,17 @@ class InterventionSystem {
     }
 
     /**
-     * Update intervention parameters
+     * Update intervention parameters. A new rule is checked as in addIntervention().
      */
     updateIntervention(id, updates) {
         const intervention = this.interventions.find(i => i.id === id);
         if (intervention) {
+            if (updates.rule) {
+                const errors = validateRule(updates.rule);
+                if (errors.length > 0) {
+                    throw new Error(`Invalid rule for ${intervention.type}: ${errors.join('; ')}`);
+                }
+            }
             if (updates.parameters) {
                 Object.assign(intervention.parameters, updates.parameters);
             }
@@ -709,6 +725,9 @@ class InterventionSystem {
             if (updates.end_year !== undefined) {
                 intervention.end_year = updates.end_year;
             }
+            if (updates.rule !== undefined) {
+                intervention.rule = updates.rule;
+            }
         }
         return intervention;
     }
@@ -723,6 +742,7 @@ class InterventionSystem {
             lfpr_effect: 0,
             fiscal_cost: 0,
             economic_impact: 0,
+            household_transfers: 0,
             details: []
         };
 
@@ -737,6 +757,7 @@ class InterventionSystem {
             effects.lfpr_effect += effect.lfpr_effect;
             effects.fiscal_cost += effect.fiscal_cost;
             effects.economic_impact += effect.economic_impact || 0;
+            effects.household_transfers += effect.household_transfers || 0;
             effects.details.push({
                 intervention: intervention.name,
                 type: intervention.type,
@@ -749,6 +770,7 @@ class InterventionSystem {
         effects.total_wage_effect = effects.wage_effect;
         effects.total_fiscal_cost = effects.fiscal_cost;
         effects.total_economic_impact = effects.economic_impact;
+        effects.total_household_transfers = effects.household_transfers;
 
         return effects;
     }
@@ -848,7 +870,9 @@ class InterventionSystem {
             wage_effect: 0.1 * (params.monthly_amount / 1000), // Slight wage floor increase
             lfpr_effect: lfprEffect / 12,
             fiscal_cost: annualCost / 12,
-            economic_impact: economicImpact / 12
+            economic_impact: economicImpact / 12,
+            household_transfers: annualCost / 12,
+            consumption_jobs: Math.round(jobEffect / 12) // All of job_effect comes from spending
         };
     }
 
@@ -993,7 +1017,7 @@ class InterventionSystem {
      */
     calculateJobGuaranteeEffect(params, state) {
         // Calculate unemployed who would take jobs
-        const unemployed = state.labor_market.labor_force - state.labor_market.total_employment;
+        const unemployed = Math.max(0, state.labor_market.labor_force - state.labor_market.total_employment);
         const takeupRate = params.eligibility === 'all_unemployed' ? 0.4 :
             params.eligibility === 'long_term_only' ? 0.2 : 0.3;
         const participants = unemployed * takeupRate;
@@ -1066,7 +1090,8 @@ class InterventionSystem {
             wage_effect: 0.05, // Better matches = better wages
             lfpr_effect: 0.02, // Keeps people searching
             fiscal_cost: annualCost / 12,
-            economic_impact: economicImpact / 12
+            economic_impact: economicImpact / 12,
+            household_transfers: annualCost / 12
         };
     }
 
@@ -1098,7 +1123,9 @@ class InterventionSystem {
             wage_effect: 0.02, // Slight wage floor effect
             lfpr_effect: lfprEffect / 12,
             fiscal_cost: annualCost / 12,
-            economic_impact: economicImpact / 12
+            economic_impact: economicImpact / 12,
+            household_transfers: annualCost / 12,
+            consumption_jobs: Math.round(annualCost * 0.000005)
         };
     }
 
@@ -1382,7 +1409,7 @@ class InterventionSystem {
         const eligiblePool = {
             displaced_only: displacedMonthly * 12,
             at_risk: atRiskWorkers * 0.1, // 10% of at-risk participate
-            any_unemployed: (state.labor_market.labor_force - state.labor_market.total_employment) * 0.1,
+            any_unemployed: Math.max(0, state.labor_market.labor_force - state.labor_market.total_employment) * 0.1,
             incumbent_workers: state.labor_market.total_employment * 0.02 // 2% upskilling
         }[params.eligible_workers] || atRiskWorkers * 0.1;
 
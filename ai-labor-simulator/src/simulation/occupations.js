@@ -0,0 +1,232 @@
+/**
+ * Occupation x Sector Employment Matrix
+ *
+ * Splits each sector's employment across occupations so a run reports jobs by
+ * occupation as well as by sector. Cells start from the occupation catalogue's
+ * employment and sector shares; whatever a sector employs beyond the catalogued
+ * occupations sits in an "all other occupations" cell.
+ *
+ * Each step the sector's direct displacement goes to its occupations in
+ * proportion to employment x automation exposure, its new jobs in proportion to
+ * employment x AI augmentation potential, and any remaining change (supplier and
+ * household-spending ripples) in proportion to employment. The cells of a sector
+ * therefore always add up to the sector's employment.
+ */
+
+import { getOccupationData } from '../data/occupations.js';
+
+const OTHER_OCCUPATIONS = 'other_occupations';
+
+class OccupationMatrix {
+    constructor(config = {}) {
+        // Catalogue by occupation id: { name, employment, automationExposure,
+        // aiAugmentationPotential, sectors: { sector: share of employment } }
+        this.occupations = config.occupations || getOccupationData();
+
+        // Augmentation potential of the residual cell in every sector
+        this.otherAugmentation = config.otherAugmentation ?? 0.5;
+
+        // Employment by occupation and sector, and the residual cell's exposure by sector
+        this.cells = null;
+        this.otherExposure = {};
+
+        this.initialEmployment = {};
+        this.cumulative = {};
+        this.current = null;
+    }
+
+    /**
+     * Fill the matrix from the run's starting sectors
+     * @param {Object} sectors - Sector data by name ({ employment, automation_exposure })
+     */
+    initialize(sectors) {
+        this.cells = {};
+        this.otherExposure = {};
+        this.cumulative = {};
+
+        Object.entries(this.occupations).forEach(([id, occ]) => {
+            // Shares of sectors outside this run are spread over the ones inside it
+            const shares = Object.entries(occ.sectors || {}).filter(([sector]) => sectors[sector]);
+            const total = shares.reduce((sum, [, share]) => sum + share, 0);
+            this.cells[id] = {};
+            shares.forEach(([sector, share]) => {
+                this.cells[id][sector] = (occ.employment || 0) * share / total;
+            });
+        });
+
+        this.cells[OTHER_OCCUPATIONS] = {};
+        Object.entries(sectors).forEach(([sector, data]) => {
+            const employment = Math.max(0, data.employment || 0);
+            const listed = this._catalogued().reduce((sum, id) => sum + (this.cells[id][sector] || 0), 0);
+
+            // Catalogue figures larger than the sector are scaled down to fit it
+            if (listed > employment) {
+                this._catalogued().forEach(id => {
+                    if (this.cells[id][sector]) this.cells[id][sector] *= employment / listed;
+                });
+            }
+            const other = Math.max(0, employment - listed);
+            this.cells[OTHER_OCCUPATIONS][sector] = other;
+
+            // The residual's exposure keeps the sector's average at automation_exposure
+            const listedExposure = this._catalogued()
+                .reduce((sum, id) => sum + (this.cells[id][sector] || 0) * this._exposure(id, sector), 0);
+            this.otherExposure[sector] = other > 0
+                ? Math.max(0, Math.min(1, ((data.automation_exposure ?? 0.5) * employment - listedExposure) / other))
+                : 0;
+        });
+
+        Object.keys(this.cells).forEach(id => {
+            this.initialEmployment[id] = sumValues(this.cells[id]);
+            this.cumulative[id] = { displaced: 0, new_jobs: 0 };
+        });
+        this.current = null;
+    }
+
+    /**
+     * Apply one step of sector job changes
+     * @param {Object} sectorImpacts - Per-sector { displaced, new_jobs } from the engine
+     * @param {Object} sectors - Sector data after the step
+     * @returns {Object} Occupation records by id
+     */
+    step(sectorImpacts, sectors) {
+        if (!this.cells) this.initialize(sectors);
+
+        const changes = {};
+        Object.keys(this.cells).forEach(id => {
+            changes[id] = { displaced: 0, new_jobs: 0, other_change: 0 };
+        });
+
+        Object.entries(sectors).forEach(([sector, data]) => {
+            const ids = Object.keys(this.cells).filter(id => this.cells[id][sector] !== undefined);
+            const before = ids.reduce((sum, id) => sum + this.cells[id][sector], 0);
+            const impact = sectorImpacts[sector] || { displaced: 0, new_jobs: 0 };
+            const displaced = impact.displaced || 0;
+            const newJobs = impact.new_jobs || 0;
+            const other = Math.max(0, data.employment) - before - (newJobs - displaced);
+
+            const displacedShares = this._shares(ids, id => this.cells[id][sector] * this._exposure(id, sector));
+            const newJobShares = this._shares(ids, id => this.cells[id][sector] * this._augmentation(id));
+            const employmentShares = this._shares(ids, id => this.cells[id][sector]);
+
+            ids.forEach(id => {
+                const change = {
+                    displaced: displaced * displacedShares[id],
+                    new_jobs: newJobs * newJobShares[id],
+                    other_change: other * employmentShares[id]
+                };
+                this.cells[id][sector] = Math.max(0,
+                    this.cells[id][sector] - change.displaced + change.new_jobs + change.other_change);
+
+                changes[id].displaced += change.displaced;
+                changes[id].new_jobs += change.new_jobs;
+                changes[id].other_change += change.other_change;
+            });
+        });
+
+        const records = {};
+        Object.keys(this.cells).forEach(id => {
+            const cumulative = this.cumulative[id];
+            cumulative.displaced += changes[id].displaced;
+            cumulative.new_jobs += changes[id].new_jobs;
+
+            const bySector = {};
+            Object.entries(this.cells[id]).forEach(([sector, employment]) => {
+                bySector[sector] = Math.round(employment);
+            });
+
+            records[id] = {
+                name: id === OTHER_OCCUPATIONS ? 'All other occupations' : this.occupations[id].name,
+                employment: Math.round(sumValues(this.cells[id])),
+                initial_employment: Math.round(this.initialEmployment[id]),
+                displaced: Math.round(changes[id].displaced),
+                new_jobs: Math.round(changes[id].new_jobs),
+                other_change: Math.round(changes[id].other_change),
+                net_change: Math.round(changes[id].new_jobs - changes[id].displaced + changes[id].other_change),
+                cumulative_displaced: Math.round(cumulative.displaced),
+                cumulative_new_jobs: Math.round(cumulative.new_jobs),
+                by_sector: bySector
+            };
+        });
+
+        this.current = records;
+        return records;
+    }
+
+    /**
+     * Latest occupation records (null before the first step)
+     */
+    getStatistics() {
+        return this.current;
+    }
+
+    _catalogued() {
+        return Object.keys(this.cells).filter(id => id !== OTHER_OCCUPATIONS);
+    }
+
+    _exposure(id, sector) {
+        return id === OTHER_OCCUPATIONS
+            ? this.otherExposure[sector] ?? 0
+            : this.occupations[id].automationExposure ?? 0;
+    }
+
+    _augmentation(id) {
+        return id === OTHER_OCCUPATIONS
+            ? this.otherAugmentation
+            : this.occupations[id].aiAugmentationPotential ?? 0;
+    }
+
+    /**
+     * Normalize weights by id to shares; all-zero weights share equally
+     */
+    _shares(ids, weight) {
+        const weights = {};
+        ids.forEach(id => { weights[id] = Math.max(0, weight(id)); });
+        const total = sumValues(weights);
+        const shares = {};
+        ids.forEach(id => { shares[id] = total > 0 ? weights[id] / total : 1 / ids.length; });
+        return shares;
+    }
+}
+
+function sumValues(values) {
+    return Object.values(values).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Employment change by occupation over a run
+ * @param {Array<Object|null>} records - OccupationMatrix.step() results in order
+ * @returns {Object|null} By occupation id, most reduced first
+ */
+function summarizeOccupations(records) {
+    const steps = (records || []).filter(Boolean);
+    if (steps.length === 0) return null;
+
+    const last = steps[steps.length - 1];
+    const rows = Object.entries(last).map(([id, record]) => {
+        const change = record.employment - record.initial_employment;
+        return {
+            id,
+            name: record.name,
+            initial: record.initial_employment,
+            final: record.employment,
+            change,
+            change_percent: record.initial_employment > 0 ? change / record.initial_employment * 100 : 0,
+            cumulative_displaced: record.cumulative_displaced,
+            cumulative_new_jobs: record.cumulative_new_jobs
+        };
+    });
+    rows.sort((a, b) => a.change_percent - b.change_percent);
+
+    const summary = {};
+    rows.forEach(({ id, ...row }) => { summary[id] = row; });
+    return summary;
+}
+
+// Export for ES modules
+export { OccupationMatrix, OTHER_OCCUPATIONS, summarizeOccupations };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.OccupationMatrix = OccupationMatrix;
+}
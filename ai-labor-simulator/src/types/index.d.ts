@@ -36,7 +36,13 @@ export interface SectorData {
 
 export interface EconomicSnapshot {
     timestamp: string;
-    dataSource: 'live' | 'baseline';
+    dataSource: 'live' | 'baseline' | 'profile' | 'history';
+    /** Imported data profile the snapshot was built from, or null for the bundled data */
+    dataProfile: string | null;
+    /** Historical month ('YYYY-MM') the snapshot was rewound to, or null for the latest data */
+    startMonth: string | null;
+    /** Data vintage the snapshot was built from, e.g. live-2025-12-27T05-34-01Z or baseline-2024-12 */
+    vintageId: string;
     dataDate: string;
     lastUpdated: string | null;
     labor_market: LaborMarketSnapshot;
@@ -96,19 +102,37 @@ export interface ScenarioConfig {
     ai_adoption_rate: number;
     automation_pace: AutomationPace;
     adoption_curve: AdoptionCurve;
+    curve_parameters?: AdoptionCurveParameters;
+    sector_curves?: Record<string, AdoptionCurveSpec>;
     gdp_growth?: number;
     inflation?: number;
     interest_rate?: number;
 }
 
 export type AutomationPace = 'slow' | 'moderate' | 'fast' | 'accelerating';
-export type AdoptionCurve = 'linear' | 's_curve' | 'exponential';
+export type AdoptionCurve = 'linear' | 's_curve' | 'exponential' | 'logistic' | 'bass' | 'piecewise';
+
+export interface AdoptionCurveParameters {
+    midpoint?: number;
+    steepness?: number;
+    innovation?: number;
+    imitation?: number;
+    target?: number;
+    points?: Array<{ year: number; rate: number }>;
+}
+
+export interface AdoptionCurveSpec extends AdoptionCurveParameters {
+    type: AdoptionCurve;
+}
 
 export interface Scenario {
     id: number;
     name: string;
     description: string;
     created: string;
+    data_vintage: string | null;
+    data_profile: string | null;
+    start_month: string | null;
     timeframe: {
         start_year: number;
         end_year: number;
@@ -122,6 +146,8 @@ export interface Scenario {
     };
     ai_parameters: {
         adoption_curve: AdoptionCurve;
+        curve_parameters: AdoptionCurveParameters;
+        sector_curves: Record<string, AdoptionCurveSpec>;
         sector_variation: boolean;
         displacement_lag: number;
         new_job_multiplier: number;
@@ -418,6 +444,9 @@ declare global {
         ABMSimulationEngine: new (config: ABMConfig) => unknown;
         WorkerAgent: new (config: unknown) => unknown;
         FirmAgent: new (config: unknown) => unknown;
+        compressCheckpoint: (checkpoint: object) => Promise<Uint8Array>;
+        decompressCheckpoint: (data: Uint8Array | ArrayBuffer | Blob) => Promise<object>;
+        PartitionCoordinator: new (config: ABMConfig & { numPartitions?: number }, partitions?: unknown[]) => unknown;
 
         // Utilities
         DOMUtils: {
@@ -0,0 +1,74 @@
+/**
+ * CSV Utilities
+ * Shared reading and quoting for the CSV files users import (datasets, adoption
+ * curves, job postings)
+ */
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may hold commas, doubled
+ * quotes and line breaks; \n and \r\n line endings both work. Rows with only
+ * blank cells are dropped and cells are not trimmed.
+ * @param {string} text
+ * @returns {Array<{cells: string[], line: number}>} line is where each row starts
+ */
+function splitCSV(text) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                if (c === '\n') line++;
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            rows.push({ cells, line: rowLine });
+            cells = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += c;
+        }
+    }
+    cells.push(cell);
+    rows.push({ cells, line: rowLine });
+
+    return rows.filter(row => row.cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Quote a cell for CSV output when it holds a comma, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+function quoteCSV(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export for ES modules
+export { splitCSV, quoteCSV };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.splitCSV = splitCSV;
+    window.quoteCSV = quoteCSV;
+}
@@ -689,7 +689,7 @@ class APIDocumentation {
                     classes: {
                         EconomicDataService: 'US economic data from BLS/FRED',
                         InternationalDataService: 'International labor market data',
-                        JobPostingDataService: 'Real-time job posting analytics',
+                        JobPostingDataService: 'Job posting analytics from imported dumps',
                         SkillsTaxonomyService: 'Skill classification and AI impact'
                     }
                 },
@@ -0,0 +1,69 @@
+/**
+ * Seedable Random Number Generation
+ * Deterministic PRNG so agent-based simulation runs can be replayed from a seed
+ */
+
+/**
+ * Normalize a numeric or string seed to an unsigned 32-bit integer
+ * @param {number|string} seed - Seed value supplied by the caller
+ * @returns {number}
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    // FNV-1a hash so string seeds ("bug-1234") are usable too
+    const str = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Generate a fresh seed for runs that did not request one
+ * @returns {number}
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create a seeded PRNG (mulberry32) with the same contract as Math.random
+ * @param {number|string} seed - Seed value
+ * @returns {(() => number) & {seed?: number, getState?: () => number, setState?: (value: number) => void}} rng() returning a float in [0, 1)
+ */
+function createRNG(seed) {
+    const normalized = normalizeSeed(seed);
+    let state = normalized;
+
+    const rng = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    rng.seed = normalized;
+
+    // Expose the internal state so checkpoints can continue the exact stream
+    rng.getState = () => state;
+    rng.setState = (value) => {
+        state = value | 0;
+    };
+
+    return rng;
+}
+
+// Export for ES modules
+export { createRNG, normalizeSeed, generateSeed };
+
+// Also export to window for backwards compatibility with script tags
+if (typeof window !== 'undefined') {
+    window.createRNG = createRNG;
+    window.normalizeSeed = normalizeSeed;
+    window.generateSeed = generateSeed;
+}
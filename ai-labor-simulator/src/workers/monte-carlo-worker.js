@@ -0,0 +1,30 @@
+/**
+ * Monte Carlo Worker
+ *
+ * Runs Monte Carlo iterations for a MonteCarloSimulation pool. Works as a browser
+ * module worker or a Node worker_thread. Each worker gets the main engine's
+ * baseline snapshot once, then runs one randomized scenario config per request.
+ */
+
+import { SimulationEngine } from '../simulation/engine.js';
+import { EconomicIndicators } from '../models/indicators.js';
+import { MonteCarloSimulation } from '../features/monte-carlo.js';
+import { serveWorkerRequests } from './worker-pool.js';
+
+let monteCarlo = null;
+
+serveWorkerRequests({
+    init({ baselineSnapshot }) {
+        const engine = new SimulationEngine(null, new EconomicIndicators());
+        engine.baselineSnapshot = baselineSnapshot;
+        monteCarlo = new MonteCarloSimulation(engine);
+        return true;
+    },
+
+    run({ config }) {
+        if (!monteCarlo) {
+            throw new Error('Monte Carlo worker not initialized');
+        }
+        return monteCarlo.runIteration(config);
+    }
+});
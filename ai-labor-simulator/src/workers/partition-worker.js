@@ -0,0 +1,54 @@
+/**
+ * Partition Web Worker
+ *
+ * Hosts one ABMPartition of a partitioned simulation. Loaded as a module worker
+ * by ParallelSimulationManager; the PartitionCoordinator on the main thread
+ * drives it one step at a time through 'call' messages.
+ */
+
+import { ABMPartition } from '../abm/partition.js';
+
+// Steps the coordinator may invoke on the partition
+const PARTITION_METHODS = [
+    'initialize',
+    'beginMonth',
+    'searchRemoteJobs',
+    'reviewApplications',
+    'resolveOffers',
+    'admitWorkers',
+    'endMonth',
+    'finalize'
+];
+
+let partition = null;
+
+/**
+ * Message handler
+ */
+self.onmessage = async function(e) {
+    const { type, payload, requestId } = e.data;
+
+    if (type !== 'call') {
+        postMessage({ type: 'error', requestId, error: `Unknown message type: ${type}` });
+        return;
+    }
+
+    try {
+        const { method, args } = payload;
+        let result = null;
+
+        if (method === 'create') {
+            partition = new ABMPartition(args[0]);
+        } else if (!PARTITION_METHODS.includes(method)) {
+            throw new Error(`Unknown partition method: ${method}`);
+        } else if (!partition) {
+            throw new Error('Partition not created');
+        } else {
+            result = await partition[method](...args);
+        }
+
+        postMessage({ type: 'result', requestId, payload: result });
+    } catch (error) {
+        postMessage({ type: 'error', requestId, error: error.message });
+    }
+};
@@ -3,8 +3,12 @@
  *
  * Provides a clean async interface to the simulation worker,
  * handling initialization, communication, and result collection.
+ * The worker hosts ABMSimulationEngine itself, so results match a
+ * main-thread run with the same seed.
  */
 
+import { PartitionCoordinator, partitionRegions } from '../abm/partition.js';
+
 class WorkerManager {
     constructor() {
         this.worker = null;
@@ -38,7 +42,7 @@ class WorkerManager {
         return new Promise((resolve, reject) => {
             try {
                 // Create the worker
-                this.worker = new Worker('src/workers/simulation-worker.js');
+                this.worker = new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
 
                 // Setup message handler
                 this.worker.onmessage = (e) => this._handleMessage(e);
@@ -56,7 +60,7 @@ class WorkerManager {
                 this.worker.postMessage({
                     type: 'init',
                     requestId,
-                    payload: { config, scenario }
+                    payload: { config: this._cloneableConfig(config), scenario }
                 });
 
             } catch (error) {
@@ -128,6 +132,30 @@ class WorkerManager {
         });
     }
 
+    /**
+     * Snapshot the worker's simulation (see ABMSimulationEngine.createCheckpoint)
+     */
+    async createCheckpoint() {
+        if (!this.isInitialized) {
+            throw new Error('Worker not initialized');
+        }
+        return this._request('checkpoint');
+    }
+
+    /**
+     * Replace the worker's simulation with a checkpoint
+     * @param {Object} checkpoint - Checkpoint object (parsed JSON)
+     * @param {Object} overrides - Config to change, e.g. a longer durationMonths
+     */
+    async restoreCheckpoint(checkpoint, overrides = {}) {
+        if (!this.worker) {
+            throw new Error('Worker not initialized');
+        }
+        const state = await this._request('restore', { checkpoint, config: this._cloneableConfig(overrides) });
+        this.isInitialized = true;
+        return state;
+    }
+
     /**
      * Set progress callback
      */
@@ -185,10 +213,8 @@ class WorkerManager {
                 break;
 
             case 'state':
-                this._resolveRequest(requestId, payload);
-                break;
-
-            case 'chunkComplete':
+            case 'checkpoint':
+            case 'restored':
                 this._resolveRequest(requestId, payload);
                 break;
 
@@ -201,6 +227,28 @@ class WorkerManager {
         }
     }
 
+    /**
+     * Send a request and wait for its reply
+     */
+    _request(type, payload) {
+        return new Promise((resolve, reject) => {
+            const requestId = this._getRequestId();
+            this.pendingRequests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ type, requestId, payload });
+        });
+    }
+
+    /**
+     * Config without callbacks, which cannot be posted to a worker
+     */
+    _cloneableConfig(config) {
+        const cloneable = {};
+        Object.entries(config).forEach(([key, value]) => {
+            if (typeof value !== 'function') cloneable[key] = value;
+        });
+        return cloneable;
+    }
+
     /**
      * Get a unique request ID
      */
@@ -231,16 +279,72 @@ class WorkerManager {
     }
 }
 
+/**
+ * PartitionWorker - Hosts one ABMPartition in a module Web Worker
+ *
+ * Exposes the same call(method, ...args) interface as LocalPartition, so the
+ * PartitionCoordinator can drive worker-hosted and in-process partitions alike.
+ */
+class PartitionWorker {
+    constructor() {
+        this.worker = new Worker(new URL('./partition-worker.js', import.meta.url), { type: 'module' });
+        this.pendingRequests = new Map();
+        this.requestId = 0;
+
+        this.worker.onmessage = (e) => {
+            const { type, requestId, payload, error } = e.data;
+            const request = this.pendingRequests.get(requestId);
+            if (!request) return;
+
+            this.pendingRequests.delete(requestId);
+            if (type === 'result') {
+                request.resolve(payload);
+            } else {
+                request.reject(new Error(error || `Unexpected message from partition worker: ${type}`));
+            }
+        };
+
+        // A crashed worker fails every call that is still waiting on it
+        this.worker.onerror = (e) => {
+            const error = new Error(e.message || 'Partition worker failed');
+            this.pendingRequests.forEach(request => request.reject(error));
+            this.pendingRequests.clear();
+        };
+    }
+
+    /**
+     * Invoke a partition method in the worker
+     */
+    call(method, ...args) {
+        return new Promise((resolve, reject) => {
+            const requestId = `req_${++this.requestId}`;
+            this.pendingRequests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ type: 'call', requestId, payload: { method, args } });
+        });
+    }
+
+    /**
+     * Terminate the worker
+     */
+    terminate() {
+        this.worker.terminate();
+        this.pendingRequests.clear();
+    }
+}
+
 /**
  * ParallelSimulationManager - Coordinates multiple workers for large simulations
  *
- * Splits agent processing across multiple Web Workers for better performance
- * on multi-core systems.
+ * Partitions the agent population by region across one Web Worker per core.
+ * A PartitionCoordinator on the main thread exchanges job postings, cross-partition
+ * applications, offers and hires every month, then merges the partitions' results.
+ * With a single core (or a single region) it falls back to one WorkerManager.
  */
 class ParallelSimulationManager {
     constructor(numWorkers = navigator.hardwareConcurrency || 4) {
         this.numWorkers = numWorkers;
         this.workers = [];
+        this.coordinator = null;
         this.isInitialized = false;
     }
 
@@ -252,28 +356,46 @@ class ParallelSimulationManager {
             throw new Error('Web Workers are not supported');
         }
 
-        // For now, use single worker (full parallel implementation would
-        // require splitting agent data across workers)
-        const manager = new WorkerManager();
-        await manager.initialize(config, scenario);
+        this.terminate();
+
+        const regionGroups = partitionRegions(config.numRegions || 10, this.numWorkers);
+
+        if (regionGroups.length <= 1) {
+            const manager = new WorkerManager();
+            await manager.initialize(config, scenario);
+            this.workers = [manager];
+        } else {
+            this.workers = regionGroups.map(() => new PartitionWorker());
+            this.coordinator = new PartitionCoordinator({
+                ...config,
+                numPartitions: regionGroups.length
+            }, this.workers);
+            await this.coordinator.initialize(scenario);
+        }
 
-        this.workers = [manager];
         this.isInitialized = true;
 
         return {
             workerCount: this.workers.length,
+            partitions: regionGroups.length > 1 ? regionGroups : null,
             ready: true
         };
     }
 
     /**
-     * Run simulation with optional parallelization
+     * Run simulation across the partition workers
      */
     async runSimulation(scenario = {}, callbacks = {}) {
         if (!this.isInitialized || this.workers.length === 0) {
             throw new Error('Workers not initialized');
         }
 
+        if (this.coordinator) {
+            this.coordinator.onProgress = callbacks.onProgress || null;
+            this.coordinator.onComplete = callbacks.onComplete || null;
+            return this.coordinator.runSimulation(scenario);
+        }
+
         const mainWorker = this.workers[0];
 
         if (callbacks.onProgress) {
@@ -295,12 +417,13 @@ class ParallelSimulationManager {
             worker.terminate();
         }
         this.workers = [];
+        this.coordinator = null;
         this.isInitialized = false;
     }
 }
 
 // Export for ES modules
-export { WorkerManager, ParallelSimulationManager };
+export { WorkerManager, PartitionWorker, ParallelSimulationManager };
 
 // Also export to window for backwards compatibility with script tags
 if (typeof window !== 'undefined') {
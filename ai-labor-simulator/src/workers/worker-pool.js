@@ -0,0 +1,217 @@
+/**
+ * WorkerPool - Fans independent tasks across a pool of module workers
+ *
+ * Runs on browser Web Workers, or on worker_threads under Node (the CLI and tests),
+ * behind one interface. Each worker script serves requests with serveWorkerRequests(),
+ * so the same file works in both hosts.
+ */
+
+// Kept in a variable so browser bundlers leave the Node-only import alone
+const NODE_WORKER_THREADS = 'node:worker_threads';
+
+function isNode() {
+    return typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+}
+
+/**
+ * One worker and its pending requests
+ */
+class PooledWorker {
+    constructor(worker, isNodeWorker) {
+        this.worker = worker;
+        this.pendingRequests = new Map();
+        this.requestId = 0;
+        this.exitError = null;
+
+        const onMessage = (data) => {
+            const { type, requestId, payload, error } = data;
+            const request = this.pendingRequests.get(requestId);
+            if (!request) return;
+
+            this.pendingRequests.delete(requestId);
+            if (type === 'result') {
+                request.resolve(payload);
+            } else {
+                request.reject(new Error(error || `Unexpected message from worker: ${type}`));
+            }
+        };
+
+        // A crashed worker fails every request still waiting on it
+        const onError = (e) => {
+            const error = new Error(e.message || 'Worker failed');
+            this.pendingRequests.forEach(request => request.reject(error));
+            this.pendingRequests.clear();
+        };
+
+        // worker_threads workers that call process.exit() or are terminated emit
+        // only 'exit', so it fails the waiting requests and any sent afterwards
+        const onExit = (code) => {
+            this.exitError = new Error(`Worker exited with code ${code}`);
+            onError(this.exitError);
+        };
+
+        if (isNodeWorker) {
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.on('exit', onExit);
+        } else {
+            worker.onmessage = (e) => onMessage(e.data);
+            worker.onerror = onError;
+        }
+    }
+
+    request(type, payload) {
+        return new Promise((resolve, reject) => {
+            if (this.exitError) {
+                reject(this.exitError);
+                return;
+            }
+            const requestId = `req_${++this.requestId}`;
+            this.pendingRequests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ type, requestId, payload });
+        });
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.pendingRequests.clear();
+    }
+}
+
+class WorkerPool {
+    /**
+     * @param {URL} scriptURL - Module worker script (built with new URL(..., import.meta.url))
+     * @param {number} size - Number of workers
+     * @param {Function|null} createWebWorker - Browser factory written as
+     *     new Worker(new URL(...), { type: 'module' }) so Vite bundles the script
+     */
+    constructor(scriptURL, size = WorkerPool.defaultSize(), createWebWorker = null) {
+        this.scriptURL = scriptURL;
+        this.size = Math.max(1, size);
+        this.createWebWorker = createWebWorker || (() => new Worker(this.scriptURL, { type: 'module' }));
+        this.workers = [];
+    }
+
+    /**
+     * Check whether this host can run worker threads
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' || isNode();
+    }
+
+    /**
+     * One worker per core, leaving a core for the main thread when there are several
+     */
+    static defaultSize() {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+            ? navigator.hardwareConcurrency
+            : 4;
+        return Math.max(1, cores - 1);
+    }
+
+    /**
+     * Start the workers and send each the same init payload
+     * @param {Object} initPayload
+     */
+    async start(initPayload = {}) {
+        if (!WorkerPool.isSupported()) {
+            throw new Error('Worker threads are not supported in this environment');
+        }
+
+        this.terminate();
+
+        if (typeof Worker !== 'undefined') {
+            for (let i = 0; i < this.size; i++) {
+                this.workers.push(new PooledWorker(this.createWebWorker(), false));
+            }
+        } else {
+            const { Worker: NodeWorker } = await import(/* @vite-ignore */ NODE_WORKER_THREADS);
+            for (let i = 0; i < this.size; i++) {
+                this.workers.push(new PooledWorker(new NodeWorker(this.scriptURL), true));
+            }
+        }
+
+        try {
+            await Promise.all(this.workers.map(worker => worker.request('init', initPayload)));
+        } catch (error) {
+            this.terminate();
+            throw error;
+        }
+        return this;
+    }
+
+    /**
+     * Run tasks across the pool. Each worker takes the next task as soon as it is free.
+     * @param {number} count - Number of tasks
+     * @param {Function} payloadFor - (index) => request payload for task index
+     * @param {Function} onResult - (result, index) => false to stop handing out tasks
+     * @param {string} type - Request type the worker serves
+     * @returns {Promise<number>} Number of tasks handed out
+     */
+    async run(count, payloadFor, onResult, type = 'run') {
+        if (this.workers.length === 0) {
+            throw new Error('Worker pool not started');
+        }
+
+        let next = 0;
+        let stopped = false;
+
+        const drain = async (worker) => {
+            while (!stopped && next < count) {
+                const index = next++;
+                let result;
+                try {
+                    result = await worker.request(type, payloadFor(index));
+                } catch (error) {
+                    stopped = true;
+                    throw error;
+                }
+                if (onResult(result, index) === false) {
+                    stopped = true;
+                }
+            }
+        };
+
+        await Promise.all(this.workers.map(drain));
+        return next;
+    }
+
+    /**
+     * Terminate all workers
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+    }
+}
+
+/**
+ * Serve pool requests inside a worker script
+ * @param {Object} handlers - Async handlers by request type: (payload) => result
+ */
+async function serveWorkerRequests(handlers) {
+    const isWebWorker = typeof self !== 'undefined' && typeof self.postMessage === 'function';
+    const port = isWebWorker ? self : (await import(/* @vite-ignore */ NODE_WORKER_THREADS)).parentPort;
+
+    const handle = async (data) => {
+        const { type, requestId, payload } = data;
+        try {
+            const handler = handlers[type];
+            if (!handler) {
+                throw new Error(`Unknown message type: ${type}`);
+            }
+            port.postMessage({ type: 'result', requestId, payload: await handler(payload) });
+        } catch (error) {
+            port.postMessage({ type: 'error', requestId, error: error.message });
+        }
+    };
+
+    if (isWebWorker) {
+        self.onmessage = (e) => handle(e.data);
+    } else {
+        port.on('message', handle);
+    }
+}
+
+// Export for ES modules
+export { WorkerPool, serveWorkerRequests };
@@ -4,7 +4,7 @@
  * Run with: npm run test
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 // Mock fetch for data loading
 global.fetch = vi.fn();
@@ -219,6 +219,57 @@ describe('SimulationEngine', () => {
             expect(results.results).toBeInstanceOf(Array);
             expect(results.results.length).toBeGreaterThan(0);
         });
+
+        it('should apply intervention effects once their start year is reached', async () => {
+            const { InterventionSystem } = await import('../src/simulation/interventions.js');
+            const engine = new SimulationEngine(mockDataService, {});
+            await engine.initialize();
+            const startYear = new Date().getFullYear();
+            const scenario = engine.createScenario({ name: 'Intervention test', end_year: startYear + 2 });
+
+            const interventions = new InterventionSystem();
+            interventions.addIntervention('ubi', { monthly_amount: 1000 }, { start_year: startYear + 1 });
+            scenario.interventions = interventions.interventions;
+
+            const { results, summary } = await engine.runSimulation();
+            const before = results.filter(r => r.year < startYear + 1);
+            const after = results.filter(r => r.year >= startYear + 1);
+
+            expect(before.every(r => r.interventions.applied.length === 0)).toBe(true);
+            expect(after.every(r => r.interventions.total_fiscal_cost > 0)).toBe(true);
+            expect(after[0].interventions.total_wage_effect).toBeCloseTo(0.1, 6);
+            expect(summary.interventions.total_fiscal_cost).toBeGreaterThan(0);
+        });
+
+        it('should move aggregate results when an intervention is active', async () => {
+            const { InterventionSystem } = await import('../src/simulation/interventions.js');
+            const endYear = new Date().getFullYear() + 2;
+            const run = async (active) => {
+                const engine = new SimulationEngine(mockDataService, {});
+                await engine.initialize();
+                const scenario = engine.createScenario({ name: 'Job guarantee', end_year: endYear });
+                const interventions = new InterventionSystem();
+                interventions.addIntervention('job_guarantee');
+                interventions.interventions[0].active = active;
+                scenario.interventions = interventions.interventions;
+                return engine.runSimulation();
+            };
+
+            const without = await run(false);
+            const withGuarantee = await run(true);
+            const last = (output) => output.results[output.results.length - 1];
+
+            expect(last(withGuarantee).labor_market.total_employment)
+                .toBeGreaterThan(last(without).labor_market.total_employment);
+            expect(last(withGuarantee).labor_market.unemployment_rate)
+                .toBeLessThan(last(without).labor_market.unemployment_rate);
+
+            const applied = last(withGuarantee).interventions.applied[0];
+            expect(applied).toMatchObject({ name: 'Federal Job Guarantee', type: 'job_guarantee' });
+            expect(applied).not.toHaveProperty('intervention');
+            expect(last(withGuarantee).interventions).not.toHaveProperty('details');
+            expect(withGuarantee.summary.interventions.details).toEqual([applied]);
+        });
     });
 });
 
@@ -360,3 +411,2055 @@ describe('EconomicIndicators', () => {
         });
     });
 });
+
+describe('SectorInterdependencyModel', () => {
+    let SectorInterdependencyModel;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/models/economic-models.js');
+        SectorInterdependencyModel = module.SectorInterdependencyModel;
+    });
+
+    it('should invert the input-output table', () => {
+        const model = new SectorInterdependencyModel();
+        const { sectors, matrix } = model.getLeontiefInverse();
+
+        // (I - A) L = I
+        sectors.forEach((supplier, i) => {
+            sectors.forEach((_, j) => {
+                const product = sectors.reduce((sum, buyer, k) => {
+                    const a = (model.inputOutputMatrix[buyer][supplier] || 0) * model.intermediateShare;
+                    return sum + ((i === k ? 1 : 0) - a) * matrix[k][j];
+                }, 0);
+                expect(product).toBeCloseTo(i === j ? 1 : 0, 10);
+            });
+        });
+    });
+
+    it('should spread a job loss to suppliers and household spending', () => {
+        const model = new SectorInterdependencyModel();
+        const effects = model.propagateJobChanges({ manufacturing: -1000 });
+        const total = kind => Object.values(effects).reduce((sum, e) => sum + e[kind], 0);
+
+        expect(effects.manufacturing.direct).toBe(-1000);
+        expect(total('indirect')).toBeLessThan(0);
+        expect(total('induced')).toBeLessThan(0);
+        expect(total('direct') + total('indirect') + total('induced')).toBeCloseTo(-1000 * model.multipliers.manufacturing, 6);
+        expect(model.propagateJobChanges({ manufacturing: 1000 }).retail.induced).toBeCloseTo(-effects.retail.induced, 6);
+    });
+
+    it('should feed lagged indirect and induced jobs into every simulation step', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+
+        const run = async (config) => {
+            const engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+            await engine.initialize();
+            engine.createScenario({ name: 'Ripple', end_year: new Date().getFullYear() + 1, ...config });
+            return (await engine.runSimulation()).results;
+        };
+
+        const rippled = await run({ indirect_lag: 3, induced_lag: 6 });
+        const isolated = await run({ io_propagation: false });
+
+        const retail = rippled.map(r => r.sectors.retail.job_changes);
+        expect(retail.slice(0, 3).every(c => c.indirect === 0)).toBe(true);
+        expect(retail[3].indirect).not.toBe(0);
+        expect(retail.slice(0, 6).every(c => c.induced === 0)).toBe(true);
+        expect(retail[6].induced).not.toBe(0);
+
+        const last = rippled[rippled.length - 1].sectors.retail;
+        expect(last.cumulative_job_changes.indirect).toBe(retail.reduce((sum, c) => sum + c.indirect, 0));
+        expect(isolated.every(r => r.sectors.retail.job_changes.indirect === 0)).toBe(true);
+        expect(last.employment).not.toBe(isolated[isolated.length - 1].sectors.retail.employment);
+    });
+});
+
+describe('HouseholdDemandModel', () => {
+    let HouseholdDemandModel;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/models/economic-models.js');
+        HouseholdDemandModel = module.HouseholdDemandModel;
+    });
+
+    it('should hold spending at income in the baseline and cushion job losses with savings', () => {
+        const model = new HouseholdDemandModel();
+        const baseline = model.initializeDemand(1000000, 30);
+        const steady = model.step(baseline, { employment: 1000000, averageHourly: 30 });
+        expect(steady.consumption).toBeCloseTo(baseline.consumption, 6);
+        expect(steady.demand_index).toBeCloseTo(1, 10);
+
+        const slump = model.step(baseline, { employment: 900000, averageHourly: 30 });
+        const incomeDrop = 1 - slump.wage_income / baseline.wage_income;
+        expect(slump.demand_index).toBeLessThan(1);
+        expect(1 - slump.demand_index).toBeLessThan(incomeDrop);
+
+        const supported = model.step(baseline, { employment: 900000, averageHourly: 30, transfers: 1e8 });
+        expect(supported.consumption - slump.consumption).toBeCloseTo(model.mpc * 1e8, 4);
+
+        const jobs = model.calculateSectorJobs(slump.consumption_change);
+        expect(Object.values(jobs).every(j => j < 0)).toBe(true);
+        expect(jobs.retail).toBeLessThan(jobs.technology);
+    });
+
+    it('should replace multiplier-based induced jobs with spending-driven ones', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        const { InterventionSystem } = await import('../src/simulation/interventions.js');
+
+        const run = async (config, monthlyAmount = 0) => {
+            const engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+            await engine.initialize();
+            const scenario = engine.createScenario({ name: 'Demand', end_year: new Date().getFullYear() + 1, ...config });
+            if (monthlyAmount) {
+                const interventions = new InterventionSystem();
+                interventions.addIntervention('ubi', { monthly_amount: monthlyAmount });
+                scenario.interventions = interventions.interventions;
+            }
+            return (await engine.runSimulation()).results;
+        };
+
+        const feedback = await run({ demand_feedback: true, induced_lag: 0 });
+        const stimulus = await run({ demand_feedback: true, induced_lag: 0 }, 500);
+
+        expect(feedback[0].sectors.retail.job_changes.induced).toBe(0);
+        expect(feedback[1].sectors.retail.job_changes.induced).not.toBe(0);
+        expect(feedback.every(r => r.demand.transfers === 0)).toBe(true);
+
+        expect(stimulus[0].demand.transfers).toBeGreaterThan(0);
+        expect(stimulus[0].demand.consumption).toBeGreaterThan(feedback[0].demand.consumption);
+        expect(stimulus[1].sectors.retail.job_changes.induced)
+            .toBeGreaterThan(feedback[1].sectors.retail.job_changes.induced);
+        // UBI's own spending-driven job effect is not counted twice
+        expect(stimulus[0].interventions.total_job_effect).toBe(0);
+    });
+});
+
+describe('FiscalAccounts', () => {
+    let FiscalAccounts;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/simulation/fiscal.js');
+        FiscalAccounts = module.FiscalAccounts;
+    });
+
+    it('should lose tax receipts and pay benefits as employment drops', () => {
+        const base = { wageBill: 1e9, unemployed: 4000, averageWage: 5000 };
+        const full = new FiscalAccounts().step(base);
+        const slump = new FiscalAccounts().step({ ...base, wageBill: 0.9e9, unemployed: 24000 });
+
+        expect(full.debtToGdp).toBeGreaterThan(0.98);
+        expect(slump.revenues.income_tax).toBeCloseTo(full.revenues.income_tax * 0.9, 2);
+        expect(slump.revenues.payroll_tax).toBeLessThan(full.revenues.payroll_tax);
+        expect(slump.outlays.unemployment_insurance).toBeCloseTo(full.outlays.unemployment_insurance * 6, 2);
+        expect(slump.deficitToGdp).toBeGreaterThan(full.deficitToGdp);
+        expect(full.totalOutlays - full.totalRevenue).toBeCloseTo(full.deficit, 2);
+    });
+
+    it('should borrow for policy costs or raise taxes to cover them', () => {
+        const base = { wageBill: 1e9, unemployed: 4000, averageWage: 5000 };
+        const borrow = new FiscalAccounts();
+        const tax = new FiscalAccounts({ financing: 'tax' });
+        borrow.step(base);
+        tax.step(base);
+
+        const borrowed = borrow.step({ ...base, outlays: { ubi: 5e7 }, revenues: { robot_tax: 1e7 } });
+        const taxed = tax.step({ ...base, outlays: { ubi: 5e7 }, revenues: { robot_tax: 1e7 } });
+
+        expect(borrowed.outlays.ubi).toBe(5e7);
+        expect(borrowed.revenues.robot_tax).toBe(1e7);
+        expect(borrowed.taxSurcharge).toBe(0);
+        expect(taxed.revenues.tax_increase).toBeGreaterThan(0);
+        expect(taxed.taxSurcharge).toBeGreaterThan(0);
+        expect(taxed.incomeTaxRate).toBeCloseTo(0.2 + taxed.taxSurcharge, 10);
+        expect(taxed.deficit).toBeLessThan(borrowed.deficit);
+        expect(taxed.debt).toBeLessThan(borrowed.debt);
+
+        // The surcharge is capped; beyond it the rest is borrowed
+        const capped = new FiscalAccounts({ financing: 'tax', maxTaxSurcharge: 0.01 });
+        capped.step(base);
+        expect(capped.step({ ...base, outlays: { ubi: 5e8 } }).taxSurcharge).toBe(0.01);
+
+        expect(() => new FiscalAccounts({ financing: 'print' })).toThrow('Unknown financing rule');
+    });
+
+    it('should report the aggregate engine budget alongside labor results', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        const { InterventionSystem } = await import('../src/simulation/interventions.js');
+
+        const run = async (config, withUBI) => {
+            const engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+            await engine.initialize();
+            const scenario = engine.createScenario({ name: 'Fiscal', end_year: new Date().getFullYear() + 1, ...config });
+            if (withUBI) {
+                const interventions = new InterventionSystem();
+                interventions.addIntervention('ubi', { monthly_amount: 500 });
+                scenario.interventions = interventions.interventions;
+            }
+            const output = await engine.runSimulation();
+            return { engine, ...output };
+        };
+
+        const plain = await run({}, false);
+        const borrowed = await run({}, true);
+        const taxed = await run({ financing: 'tax' }, true);
+
+        expect(plain.results.every(r => r.fiscal && r.fiscal.outlays.ubi === undefined)).toBe(true);
+        expect(borrowed.results[0].fiscal.outlays.ubi).toBeCloseTo(borrowed.results[0].interventions.total_fiscal_cost, 0);
+        expect(borrowed.results[0].fiscal.deficit).toBeGreaterThan(plain.results[0].fiscal.deficit);
+        expect(taxed.results[0].fiscal.taxSurcharge).toBeGreaterThan(0);
+        expect(taxed.results[0].fiscal.deficitToGdp).toBeCloseTo(plain.results[0].fiscal.deficitToGdp, 2);
+        expect(borrowed.summary.fiscal.outlays.ubi).toBeGreaterThan(0);
+        expect(borrowed.summary.fiscal.cumulativeDeficit).toBeGreaterThan(plain.summary.fiscal.cumulativeDeficit);
+
+        const [header, firstRow] = String(borrowed.engine.exportResults('csv')).split('\n');
+        expect(header.split(',').slice(-4)).toEqual(['Revenue', 'Outlays', 'Deficit', 'Debt/GDP %']);
+        expect(firstRow.split(',').slice(-4).every(cell => cell !== '')).toBe(true);
+    });
+});
+
+describe('InterventionRules', () => {
+    let InterventionRules;
+    let validateRule;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/simulation/intervention-rules.js');
+        InterventionRules = module.InterventionRules;
+        validateRule = module.validateRule;
+    });
+
+    const run = (rules, intervention, unemploymentPath) => unemploymentPath.map((rate, month) => {
+        const scheduled = rules.schedule([intervention], { unemployment_rate: rate, state: {} }, { month });
+        return scheduled.length > 0 ? scheduled[0].intensity : 0;
+    });
+
+    it('should switch on and off with hysteresis and a holding period', () => {
+        const rules = new InterventionRules();
+        const ubi = {
+            id: 'ubi', type: 'ubi', name: 'UBI', parameters: { monthly_amount: 1000 },
+            rule: { activate_when: 'unemployment_rate > 7', deactivate_when: 'unemployment_rate < 5', hold_months: 1 }
+        };
+
+        const path = [6, 8, 8, 6, 6, 4, 4, 6, 8];
+        expect(run(rules, ubi, path)).toEqual([0, 0, 1, 1, 1, 1, 0, 0, 0]);
+        expect(rules.log.map(e => [e.month, e.event])).toEqual([[2, 'activated'], [6, 'deactivated']]);
+        expect(rules.log[0].metrics).toEqual({ unemployment_rate: 8 });
+    });
+
+    it('should ramp dose parameters in and out and honor a maximum duration', () => {
+        const rules = new InterventionRules();
+        const ubi = {
+            id: 'ubi', type: 'ubi', name: 'UBI', parameters: { monthly_amount: 1000 },
+            rule: { activate_when: { metric: 'unemployment_rate', op: '>', value: 7 }, phase_in_months: 2, phase_out_months: 2, max_duration_months: 3 }
+        };
+
+        const first = rules.schedule([ubi], { unemployment_rate: 8, state: {} }, { month: 0 });
+        expect(first[0].intensity).toBe(0.5);
+        expect(first[0].intervention.parameters.monthly_amount).toBe(500);
+        expect(ubi.parameters.monthly_amount).toBe(1000);
+
+        expect(run(rules, ubi, [8, 8, 8, 8, 8, 8])).toEqual([1, 1, 0.5, 0, 0, 0]);
+        expect(rules.log.map(e => e.event)).toEqual(['activated', 'expired', 'phased_out']);
+    });
+
+    it('should pass rule-free interventions through and reject malformed rules', async () => {
+        const rules = new InterventionRules();
+        const plain = { type: 'robot_tax', parameters: { tax_rate: 5 } };
+        expect(rules.schedule([plain], { state: {} }, {})[0].intervention).toBe(plain);
+
+        expect(validateRule({ activate_when: 'unemployment_rate > 7', phase_in_months: 6 })).toEqual([]);
+        expect(validateRule({ deactivate_when: 'unemployment_rate >> 7' }).length).toBe(2);
+        expect(() => rules.schedule([{ type: 'ubi', rule: { activate_when: 'no_such.metric > 1' } }], { state: {} }, {}))
+            .toThrow('Unknown metric');
+
+        const { InterventionSystem } = await import('../src/simulation/interventions.js');
+        expect(() => new InterventionSystem().addIntervention('ubi', {}, { rule: { phase_in_months: 3 } }))
+            .toThrow('Invalid rule for ubi');
+
+        const { validateScenarioDefinition } = await import('../src/cli/scenario-runner.js');
+        expect(validateScenarioDefinition({ interventions: [{ type: 'ubi', rule: {} }] }))
+            .toEqual(['interventions[0].rule is missing activate_when']);
+    });
+
+    it('should reject malformed rules on update and in the agent-based engine', async () => {
+        const { InterventionSystem } = await import('../src/simulation/interventions.js');
+        const system = new InterventionSystem();
+        const ubi = system.addIntervention('ubi', { monthly_amount: 500 });
+        expect(() => system.updateIntervention(ubi.id, { rule: { deactivate_when: 'unemployment_rate < 5' } }))
+            .toThrow('Invalid rule for ubi: rule is missing activate_when');
+        expect(ubi.rule).toBeNull();
+
+        const { applyABMInterventions } = await import('../src/abm/interventions.js');
+        const engine = { firms: [], workers: [] };
+        expect(() => applyABMInterventions(engine, [{ type: 'ubi', parameters: {}, rule: { hold_months: 2 } }], 0, 2030))
+            .toThrow('Invalid rule for ubi: rule is missing activate_when');
+    });
+
+    it('should trigger interventions in the aggregate engine and log activations', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        const { InterventionSystem } = await import('../src/simulation/interventions.js');
+
+        const engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+        await engine.initialize();
+        const scenario = engine.createScenario({ name: 'Rules', end_year: new Date().getFullYear() + 2 });
+        const interventions = new InterventionSystem();
+        interventions.addIntervention('ubi', { monthly_amount: 500 }, {
+            rule: { activate_when: 'months_elapsed >= 6', deactivate_when: 'months_elapsed >= 12', phase_in_months: 3 }
+        });
+        scenario.interventions = interventions.interventions;
+
+        const output = await engine.runSimulation();
+        const intensities = output.results.map(r => r.interventions.applied[0]?.intensity ?? 0);
+
+        expect(intensities.slice(0, 6).every(i => i === 0)).toBe(true);
+        expect(intensities.slice(6, 9)).toEqual([1 / 3, 2 / 3, 1]);
+        expect(intensities.slice(12).every(i => i === 0)).toBe(true);
+        expect(output.results[6].interventions.rule_events.map(e => e.event)).toEqual(['activated']);
+        expect(output.rule_log.map(e => e.event)).toEqual(['activated', 'deactivated']);
+        expect(output.results[6].fiscal.outlays.ubi).toBeCloseTo(output.results[8].fiscal.outlays.ubi / 3, -3);
+        expect(JSON.parse(String(engine.exportResults('json'))).rule_log).toHaveLength(2);
+    });
+});
+
+describe('OccupationMatrix', () => {
+    let OccupationMatrix;
+    let OTHER_OCCUPATIONS;
+
+    const occupations = {
+        clerks: { name: 'Clerks', employment: 100, automationExposure: 0.9, aiAugmentationPotential: 0.1, sectors: { retail: 0.5, finance: 0.5 } },
+        analysts: { name: 'Analysts', employment: 100, automationExposure: 0.1, aiAugmentationPotential: 0.9, sectors: { finance: 1 } }
+    };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/simulation/occupations.js');
+        OccupationMatrix = module.OccupationMatrix;
+        OTHER_OCCUPATIONS = module.OTHER_OCCUPATIONS;
+    });
+
+    it('should split sector changes by exposure, augmentation and employment', () => {
+        const matrix = new OccupationMatrix({ occupations, otherAugmentation: 0 });
+        matrix.initialize({
+            retail: { employment: 1000, automation_exposure: 0.5 },
+            finance: { employment: 100, automation_exposure: 0.5 }
+        });
+
+        // Finance holds more catalogued workers than it employs, so they are scaled to fit
+        expect(matrix.cells.clerks.finance + matrix.cells.analysts.finance).toBeCloseTo(100);
+        expect(matrix.cells[OTHER_OCCUPATIONS].finance).toBe(0);
+
+        const records = matrix.step(
+            { retail: { displaced: 0, new_jobs: 0 }, finance: { displaced: 44, new_jobs: 19 } },
+            { retail: { employment: 1100 }, finance: { employment: 80 } }
+        );
+
+        expect(records.clerks.displaced).toBe(36);
+        expect(records.analysts.displaced).toBe(8);
+        expect(records.clerks.new_jobs).toBe(1);
+        expect(records.analysts.new_jobs).toBe(18);
+        expect(records[OTHER_OCCUPATIONS].other_change).toBe(95);
+        ['retail', 'finance'].forEach(sector => {
+            const total = Object.values(records).reduce((sum, record) => sum + (record.by_sector[sector] || 0), 0);
+            expect(total).toBe(sector === 'retail' ? 1100 : 80);
+        });
+    });
+
+    it('should report occupations in every aggregate engine step and drive the drilldown', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        const { OccupationDrilldown } = await import('../src/features/occupation-drilldown.js');
+
+        const engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+        await engine.initialize();
+        const startYear = new Date().getFullYear();
+        engine.createScenario({ name: 'Occupations', start_year: startYear, end_year: startYear + 2, ai_adoption_rate: 80 });
+        const output = await engine.runSimulation();
+
+        output.results.forEach(result => {
+            const total = Object.values(result.occupations).reduce((sum, record) => sum + (record.by_sector.finance || 0), 0);
+            expect(Math.abs(total - result.sectors.finance.employment)).toBeLessThanOrEqual(Object.keys(result.occupations).length);
+        });
+        const first = output.results[0].occupations;
+        expect(first.data_entry_clerks.initial_employment).toBe(152000);
+        expect(first.data_entry_clerks.displaced / first.data_entry_clerks.employment)
+            .toBeGreaterThan(first.software_developers.displaced / first.software_developers.employment);
+        expect(output.summary.occupation_summary.data_entry_clerks.cumulative_displaced)
+            .toBe(output.results[output.results.length - 1].occupations.data_entry_clerks.cumulative_displaced);
+
+        const drilldown = new OccupationDrilldown();
+        const projection = drilldown.projectFromRun('data_entry_clerks', output.results, startYear + 1);
+        const atYear = output.results.filter(r => r.year <= startYear + 1).pop();
+        expect(projection.projectedEmployment).toBe(atYear.occupations.data_entry_clerks.employment);
+        expect(projection.trajectory).toHaveLength(output.results.length);
+        expect(drilldown.projectFromRun('data_entry_clerks', null, startYear + 1)).toBeNull();
+        expect(drilldown.generateDetailedViewHTML('data_entry_clerks', 70, startYear + 1, output.results))
+            .toContain('From the current simulation run');
+    });
+});
+
+describe('AdoptionCurves', () => {
+    let adoptionAt;
+    let validateAdoptionCurve;
+    let parseCurvePoints;
+    let formatCurvePoints;
+
+    const at = progress => ({ progress, year: 2025 + progress * 10, startYear: 2025, years: 10, initial: 20, target: 80 });
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/simulation/adoption-curves.js');
+        adoptionAt = module.adoptionAt;
+        validateAdoptionCurve = module.validateAdoptionCurve;
+        parseCurvePoints = module.parseCurvePoints;
+        formatCurvePoints = module.formatCurvePoints;
+    });
+
+    it('should follow logistic, Bass and piecewise shapes', () => {
+        expect(adoptionAt({ type: 'logistic', midpoint: 0.3, steepness: 8 }, at(0.3))).toBeCloseTo(50);
+        expect(adoptionAt('s_curve', at(0.5))).toBeCloseTo(50);
+
+        const bass = [0, 0.2, 0.5, 1].map(p => adoptionAt({ type: 'bass', innovation: 0.03, imitation: 0.38 }, at(p)));
+        expect(bass[0]).toBe(20);
+        bass.slice(1).forEach((rate, i) => expect(rate).toBeGreaterThan(bass[i]));
+        expect(bass[3]).toBeLessThan(80);
+        expect(adoptionAt({ type: 'bass', innovation: 0.03, imitation: 0.38, target: 60 }, at(1))).toBeLessThan(bass[3]);
+
+        const piecewise = { type: 'piecewise', points: [{ year: 2030, rate: 70 }, { year: 2027, rate: 40 }] };
+        expect(adoptionAt(piecewise, at(0))).toBe(20);
+        expect(adoptionAt(piecewise, at(0.1))).toBeCloseTo(30);
+        expect(adoptionAt(piecewise, at(0.35))).toBeCloseTo(55);
+        expect(adoptionAt(piecewise, at(1))).toBe(70);
+    });
+
+    it('should validate curves and read points from CSV', () => {
+        expect(validateAdoptionCurve({ type: 'bass', innovation: 0.02, imitation: 0.4 })).toEqual([]);
+        expect(validateAdoptionCurve('gompertz')[0]).toContain('unknown adoption curve');
+        expect(validateAdoptionCurve({ type: 'piecewise', points: [] })).toEqual(['piecewise curve needs at least one point']);
+        expect(validateAdoptionCurve({ type: 'logistic', midpoint: 2 })).toEqual(['midpoint must be a number from 0 to 1']);
+
+        const parsed = parseCurvePoints('year,rate\n2028,60\n2026,40\n\n2027,retail,75');
+        expect(parsed.points).toEqual([{ year: 2026, rate: 40 }, { year: 2028, rate: 60 }]);
+        expect(parsed.sectors).toEqual({ retail: [{ year: 2027, rate: 75 }] });
+        expect(() => parseCurvePoints('2026,40\n2027;50')).toThrow('Line 2');
+    });
+
+    it('should read quoted curve CSV and keep commas in sector names', () => {
+        const parsed = parseCurvePoints('"year","rate"\r\n"2030","12.5"\r\n2031,"Arts, Entertainment",30\r\n');
+        expect(parsed.points).toEqual([{ year: 2030, rate: 12.5 }]);
+        expect(parsed.sectors).toEqual({ 'Arts, Entertainment': [{ year: 2031, rate: 30 }] });
+
+        const csv = formatCurvePoints(parsed.points, { 'Arts, Entertainment': { type: 'piecewise', points: [{ year: 2031, rate: 30 }] } });
+        expect(csv).toBe('2030,12.5\n2031,"Arts, Entertainment",30');
+        expect(parseCurvePoints(csv)).toEqual(parsed);
+    });
+
+    it('should drive sectors from their own curves in the aggregate engine', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService, validateScenarioDefinition } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+
+        const startYear = new Date().getFullYear();
+        const run = async sectorCurves => {
+            const engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+            await engine.initialize();
+            engine.createScenario({
+                name: 'Curves', start_year: startYear, end_year: startYear + 2, ai_adoption_rate: 60,
+                adoption_curve: 'bass', curve_parameters: { innovation: 0.05, imitation: 0.5 }, sector_curves: sectorCurves
+            });
+            return { engine, output: await engine.runSimulation() };
+        };
+
+        const national = await run({});
+        const { engine, output } = await run({
+            retail: { type: 'piecewise', points: [{ year: startYear + 1, rate: 95 }] }
+        });
+
+        const step = output.results[12];
+        expect(step.ai_adoption.rate).toBeCloseTo(national.output.results[12].ai_adoption.rate);
+        expect(step.ai_adoption.sector_rates.retail).toBeCloseTo(95);
+        expect(step.ai_adoption.sector_rates.finance).toBeUndefined();
+        expect(step.derived.cumulative_displacement).toBeGreaterThan(national.output.results[12].derived.cumulative_displacement);
+
+        const csv = String(engine.exportResults('csv')).split('\n');
+        expect(csv[0]).toContain('AI Adoption % (retail)');
+        expect(csv[13].split(',').pop()).toBe('95.0');
+
+        expect(validateScenarioDefinition({ adoption_curve: 'bass', curve_parameters: { innovation: -1 } }))
+            .toEqual(['innovation must be a number from 0 to 1', 'innovation must be above 0']);
+        expect(validateScenarioDefinition({ sector_curves: { retail: { type: 'piecewise' } } }))
+            .toEqual(['sector_curves.retail: piecewise curve needs at least one point']);
+    });
+
+    it('should carry custom and sector curves through shared URLs', async () => {
+        const { URLSharingService } = await import('../src/features/url-sharing.js');
+        const sharing = new URLSharingService();
+        const aiParameters = {
+            adoption_curve: 'piecewise',
+            curve_parameters: { points: [{ year: 2026.5, rate: 40 }, { year: 2030, rate: 72.5 }] },
+            sector_curves: {
+                retail: { type: 'bass', innovation: 0.04, imitation: 0.5, target: 90 },
+                professional_services: { type: 'logistic', midpoint: 0.25, steepness: 6 }
+            }
+        };
+
+        const decoded = sharing.decodeScenario(sharing.encodeScenario({ name: 'Shared', ai_parameters: aiParameters }));
+        expect(decoded.ai_parameters.adoption_curve).toBe('piecewise');
+        expect(decoded.ai_parameters.curve_parameters).toEqual(aiParameters.curve_parameters);
+        expect(decoded.ai_parameters.sector_curves).toEqual(aiParameters.sector_curves);
+    });
+
+    it('should keep loaded sector curves through the curve inputs', async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        document.body.innerHTML = `
+            <select id="adoptionCurve"><option value="s_curve"></option><option value="bass"></option></select>
+            <input id="curveInnovation"><input id="curveImitation"><textarea id="curvePoints"></textarea>`;
+        // The app's theme setup reads matchMedia and the Chart.js global on import
+        vi.stubGlobal('matchMedia', () => ({ matches: false }));
+        vi.stubGlobal('Chart', { defaults: {}, instances: {} });
+        await import('../src/app.js');
+
+        const aiParameters = {
+            adoption_curve: 'bass',
+            curve_parameters: { innovation: 0.02, imitation: 0.4 },
+            sector_curves: {
+                retail: { type: 'bass', innovation: 0.04, imitation: 0.5, target: 90 },
+                finance: { type: 'piecewise', points: [{ year: 2028, rate: 80 }] }
+            }
+        };
+        window.setAdoptionCurveInputs(aiParameters);
+        expect(window.getAdoptionCurveConfig()).toEqual({
+            adoption_curve: 'bass',
+            curve_parameters: { innovation: 0.02, imitation: 0.4 },
+            sector_curves: aiParameters.sector_curves
+        });
+
+        window.setAdoptionCurveInputs({ adoption_curve: 's_curve' });
+        expect(window.getAdoptionCurveConfig().sector_curves).toEqual({});
+        document.body.innerHTML = '';
+        vi.unstubAllGlobals();
+    });
+});
+
+describe('importDataset', () => {
+    let importDataset;
+    let applyDataset;
+    let formatDatasetCSV;
+    let baselineData;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const fs = await import('fs');
+        baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const module = await import('../src/data/datasets.js');
+        importDataset = module.importDataset;
+        applyDataset = module.applyDataset;
+        formatDatasetCSV = module.formatDatasetCSV;
+    });
+
+    it('should read CSV and JSON datasets and list problems by line or path', () => {
+        const csv = importDataset([
+            'section,item,field,value',
+            'labor_market,unemployment_rate,,3.6',
+            'sectors,retail,employment,410000',
+            'age,25_34,lfpr,84.1'
+        ].join('\n'), { baseline: baselineData, name: 'Ohio' });
+
+        expect(csv.errors).toEqual([]);
+        expect(csv).toMatchObject({ name: 'Ohio', format: 'csv', values: 3 });
+        expect(csv.dataset).toEqual({
+            labor_market: { unemployment_rate: 3.6 },
+            sectors: { retail: { employment: 410000 } },
+            demographics: { employment_by_age: { '25_34': { lfpr: 84.1 } } }
+        });
+
+        const bad = importDataset([
+            'labor_market,unemployment_rate,,130',
+            'sectors,mining,employment,5',
+            'sectors,retail,employment,n/a',
+            'sectors,retail,headcount,5',
+            'wages,average_hourly_earnings,,30',
+            'wages,average_hourly_earnings,,31'
+        ].join('\n'), { baseline: baselineData });
+
+        expect(bad.dataset).toBeNull();
+        expect(bad.errors).toHaveLength(5);
+        expect(bad.errors[0]).toBe('Line 1: labor_market.unemployment_rate must be from 0 to 100 (got 130)');
+        expect(bad.errors.map(error => error.split(':')[0])).toEqual(['Line 1', 'Line 2', 'Line 3', 'Line 4', 'Line 6']);
+        expect(bad.errors[4]).toContain('given twice (first on line 5)');
+
+        const json = importDataset(JSON.stringify({
+            name: 'Acme',
+            labor_market: { total_employment: { value: 12000 } },
+            sectors: { technology: { automation_exposure: 1.4 } }
+        }), { baseline: baselineData });
+        expect(json.name).toBe('Acme');
+        expect(json.errors).toEqual(['sectors.technology.automation_exposure must be from 0 to 1 (got 1.4)']);
+
+        // The baseline file itself and the CSV template are valid datasets
+        expect(importDataset(JSON.stringify(baselineData), { baseline: baselineData }).errors).toEqual([]);
+        expect(importDataset(formatDatasetCSV(baselineData), { baseline: baselineData }).errors).toEqual([]);
+    });
+
+    it('should read quoted cells and CRLF line endings', () => {
+        const template = formatDatasetCSV(baselineData);
+        const quoted = template.split('\n')
+            .map(line => line.split(',').map(cell => `"${cell}"`).join(','))
+            .join('\r\n') + '\r\n';
+
+        const plain = importDataset(template, { baseline: baselineData });
+        const result = importDataset(quoted, { baseline: baselineData });
+        expect(result.errors).toEqual([]);
+        expect(result.dataset).toEqual(plain.dataset);
+
+        // A comma inside a quoted cell stays in that cell
+        const bad = importDataset('section,item,field,value\r\n"sectors","retail","employment","410,000"\r\n',
+            { baseline: baselineData });
+        expect(bad.errors).toEqual(['Line 2: "410,000" is not a number']);
+    });
+
+    it('should apply a dataset over the baseline and scale the counts it leaves out', () => {
+        const total = baselineData.labor_market.total_employment.value;
+        const data = applyDataset(baselineData, {
+            labor_market: { total_employment: total / 10, unemployment_rate: 3.6 },
+            sectors: { retail: { employment: 5000, automation_exposure: 0.9 } }
+        }, 'Small');
+
+        expect(data.metadata.data_profile).toBe('Small');
+        expect(data.labor_market.unemployment_rate).toMatchObject({ value: 3.6, source_type: 'imported' });
+        expect(data.sectors.retail).toMatchObject({ employment: 5000, automation_exposure: 0.9, source_type: 'imported' });
+        expect(data.sectors.technology.employment).toBe(Math.round(baselineData.sectors.technology.employment / 10));
+        expect(data.sectors.technology.automation_exposure).toBe(baselineData.sectors.technology.automation_exposure);
+        expect(data.demographics.working_age_population.value)
+            .toBe(Math.round(baselineData.demographics.working_age_population.value / 10));
+        expect(baselineData.sectors.retail.employment).not.toBe(5000);
+    });
+});
+
+describe('TimeSeriesStore', () => {
+    let TimeSeriesStore;
+    let blsObservations;
+    let fredObservations;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/data/time-series.js');
+        TimeSeriesStore = module.TimeSeriesStore;
+        blsObservations = module.blsObservations;
+        fredObservations = module.fredObservations;
+    });
+
+    it('should accumulate fetches and keep revised values', () => {
+        const store = new TimeSeriesStore();
+        const first = store.record('total_employment', blsObservations('total_employment', [
+            { year: '2024', period: 'M13', value: '158000' },
+            { year: '2024', period: 'M10', value: '161200' },
+            { year: '2024', period: 'M09', value: '161000' }
+        ]), { recordedAt: '2024-11-01T06:00:00.000Z' });
+        const second = store.record('total_employment', [
+            { month: '2024-10', value: 161100000 },
+            { month: '2024-11', value: 161300000 }
+        ], { recordedAt: '2024-12-06T06:00:00.000Z' });
+
+        expect(first).toEqual({ added: 2, revised: 0 });
+        expect(second).toEqual({ added: 1, revised: 1 });
+        expect(store.getSeries('total_employment').map(o => o.value)).toEqual([161000000, 161100000, 161300000]);
+        expect(store.getRevisions('total_employment', '2024-10').map(r => r.value)).toEqual([161200000, 161100000]);
+
+        // Read as known before the revision, and by range
+        expect(store.getSeries('total_employment', { asOf: '2024-11-15' })).toEqual([
+            { month: '2024-09', value: 161000000 },
+            { month: '2024-10', value: 161200000 }
+        ]);
+        expect(store.getSeries('total_employment', { from: '2024-10', to: '2024-10' })).toHaveLength(1);
+        expect(store.listSeries()[0]).toMatchObject({ seriesId: 'CES0000000001', first: '2024-09', last: '2024-11', count: 3, revisedMonths: 1 });
+
+        // Quarterly series are read at any month from their latest quarter
+        store.record('real_gdp_growth', fredObservations([{ date: '2024-07-01', value: '2.8' }, { date: '2024-10-01', value: '.' }]));
+        expect(store.getObservation('real_gdp_growth', '2024-11')).toEqual({ month: '2024-07', value: 2.8 });
+    });
+
+    it('should merge stores so the later recording of a month wins', () => {
+        const cached = new TimeSeriesStore();
+        cached.record('unemployment_rate', [{ month: '2024-10', value: 4.0 }], { recordedAt: '2024-11-01T06:00:00.000Z' });
+        const fetched = new TimeSeriesStore();
+        fetched.record('unemployment_rate', [{ month: '2024-10', value: 4.1 }, { month: '2024-11', value: 4.2 }], { recordedAt: '2024-12-06T06:00:00.000Z' });
+
+        const merged = new TimeSeriesStore({ data: JSON.parse(JSON.stringify(fetched.toJSON())) }).merge(cached.toJSON());
+
+        expect(merged.getSeries('unemployment_rate').map(o => o.value)).toEqual([4.1, 4.2]);
+        expect(merged.getRevisions('unemployment_rate', '2024-10').map(r => r.value)).toEqual([4.0, 4.1]);
+        expect(merged.updated).toBe('2024-12-06T06:00:00.000Z');
+        expect(() => merged.merge({ version: 99, series: {} })).toThrow('newer than this app understands');
+    });
+});
+
+describe('ForecastTracker', () => {
+    let ForecastTracker;
+    let buildProjection;
+    let EconomicDataService;
+    let TimeSeriesStore;
+
+    // A run from December 2024 projecting unemployment up 0.1 points a month
+    const simulation = (overrides = {}) => ({
+        scenario: {
+            name: 'Slow Rise',
+            created: '2025-01-10T12:00:00.000Z',
+            start_month: '2024-12',
+            data_profile: null,
+            timeframe: { start_year: 2024, end_year: 2025, steps_per_year: 12 },
+            ...overrides
+        },
+        results: Array.from({ length: 13 }, (_, i) => ({
+            step: i,
+            year: 2024 + i / 12,
+            labor_market: { unemployment_rate: 4.0 + 0.1 * i, total_employment: 160000000 },
+            wages: { average_hourly: 35 }
+        }))
+    });
+
+    // Releases of unemployment: on the projection through March, a point above it from April
+    const dataService = () => {
+        const store = new TimeSeriesStore();
+        store.record('unemployment_rate', [
+            { month: '2024-12', value: 4.0 },
+            { month: '2025-01', value: 4.1 },
+            { month: '2025-02', value: 4.25 },
+            { month: '2025-03', value: 4.3 }
+        ], { recordedAt: '2025-04-05T06:00:00.000Z' });
+        store.record('unemployment_rate', [
+            { month: '2025-04', value: 5.4 },
+            { month: '2025-05', value: 5.5 },
+            { month: '2025-06', value: 5.6 }
+        ], { recordedAt: '2025-07-05T06:00:00.000Z' });
+        const service = new EconomicDataService();
+        service.setTimeSeries(store.toJSON());
+        return service;
+    };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        global.fetch = vi.fn();
+        const module = await import('../src/features/forecast-tracking.js');
+        ForecastTracker = module.ForecastTracker;
+        buildProjection = module.buildProjection;
+        ({ EconomicDataService } = await import('../src/data/economic-data.js'));
+        ({ TimeSeriesStore } = await import('../src/data/time-series.js'));
+    });
+
+    it('should score releases since the run and flag a diverged projection', async () => {
+        const tracker = new ForecastTracker(dataService());
+        const entry = { id: 1, name: 'Slow Rise', simulation: simulation() };
+
+        const early = await tracker.track(entry, { asOf: '2025-05-01' });
+        expect(early.status).toBe('on_track');
+        expect(early.firstForecast).toBe('2025-01');
+        expect(early.series.unemployment_rate.count).toBe(3);
+        expect(early.series.unemployment_rate.coverage).toBe(1);
+        expect(early.series.unemployment_rate.direction_accuracy).toBe(1);
+        expect(early.series.total_employment.status).toBe('pending');
+
+        const card = await tracker.track(entry);
+        const unemployment = card.series.unemployment_rate;
+        expect(card.status).toBe('diverged');
+        expect(card.lastActual).toBe('2025-06');
+        expect(unemployment.points.map(p => p.within)).toEqual([true, true, true, false, false, false]);
+        expect(unemployment.bias).toBeLessThan(0);
+        expect(unemployment.calibration.map(c => c.coverage)).toEqual([1, 1, 1, 0.75, 0.6, 0.5]);
+        expect(card.reasons[0]).toContain('above the projection');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should interpolate coarse runs, skip imported profiles and render the scorecard', async () => {
+        const quarterly = simulation({ timeframe: { start_year: 2024, end_year: 2025, steps_per_year: 4 } });
+        quarterly.results = quarterly.results.filter((_, i) => i % 3 === 0);
+        const projection = buildProjection(quarterly);
+        expect(projection.months).toHaveLength(13);
+        expect(projection.values.unemployment_rate[1]).toBeCloseTo(4.1);
+
+        const tracker = new ForecastTracker(dataService());
+        const scorecard = await tracker.trackAll([
+            { id: 1, simulation: simulation() },
+            { id: 'shared-abc', source: 'shared', projection },
+            { id: 2, simulation: simulation({ data_profile: 'Ohio' }) },
+            { id: 3, simulation: simulation({ start_month: null, created: '2025-09-01T00:00:00.000Z' }) }
+        ]);
+
+        expect(scorecard.scenarios.map(s => s.status)).toEqual(['diverged', 'diverged', 'untracked', 'pending']);
+        expect(scorecard.counts).toMatchObject({ diverged: 2, untracked: 1, pending: 1 });
+        expect(scorecard.latestData).toBe('2025-06');
+
+        const html = tracker.generateHTML(scorecard, { actions: (card) => (card.source === 'shared' ? '<button>Stop</button>' : '') });
+        expect(html).toContain('Slow Rise');
+        expect(html).toContain('Diverged');
+        expect(html).toContain('<button>Stop</button>');
+    });
+});
+
+describe('JobPostingDataService', () => {
+    let JobPostingDataService;
+    let SkillsGapAnalyzer;
+
+    // Six months of postings: ML engineer openings double from April while
+    // data entry openings fall to a third
+    const dump = () => {
+        const rows = ['title,sector,location,salary,date,description'];
+        for (let m = 1; m <= 6; m++) {
+            const month = `2025-0${m}`;
+            for (let i = 0; i < (m <= 3 ? 2 : 4); i++) {
+                rows.push(`Machine Learning Engineer,Tech,${m % 2 === 0 ? 'Remote' : '"Austin, TX"'},$150k,${month}-10,"Python, prompt engineering and LLMs"`);
+            }
+            for (let i = 0; i < (m <= 3 ? 3 : 1); i++) {
+                rows.push(`Data Entry Clerk,Retail,"Columbus, OH",$18/hr,${month}-03,"Data entry and filing.\nCustomer service a plus, ""fast"" typing"`);
+            }
+        }
+        rows.push('Cashier,Retail,"Columbus, OH",$15/hr,soon,Register work');
+        return rows.join('\n');
+    };
+
+    const summary = {
+        sector_summary: { most_affected: [], least_affected: [] },
+        ai_impact: { cumulative_displacement: 1000000, ai_adoption: { final: '60' } }
+    };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        global.fetch = vi.fn();
+        ({ JobPostingDataService } = await import('../src/services/international-data.js'));
+        ({ SkillsGapAnalyzer } = await import('../src/features/skills-gap-analysis.js'));
+    });
+
+    it('should ingest CSV and JSONL dumps into postings by category over time', async () => {
+        const service = new JobPostingDataService();
+        expect(service.isUsingSampleData()).toBe(true);
+
+        const result = service.ingestPostings(dump());
+        expect(result).toMatchObject({ format: 'csv', read: 30, added: 30 });
+        // Line numbers count the line breaks inside quoted descriptions
+        expect(result.errors).toEqual(['Line 44: "soon" is not a date']);
+
+        const tech = await service.getSectorJobData('technology');
+        const retail = await service.getSectorJobData('retail');
+        // Growth is annual: openings doubling from one quarter to the next is 2^4 - 1
+        expect(tech).toMatchObject({ postings: 18, avgSalary: 150000, growthRate: 15, aiMentioned: 1 });
+        expect(tech.remoteRate).toBeCloseTo(10 / 18);
+        expect(tech.topSkills).toContain('Prompt Engineering');
+        expect(retail.avgSalary).toBe(37440);
+        expect(retail.growthRate).toBeCloseTo((1 / 3) ** 4 - 1);
+        expect(retail.topSkills).toEqual(expect.arrayContaining(['Data Entry', 'Filing/Records Management', 'Basic Customer Service']));
+
+        const trends = await service.getPostingTrends('technology');
+        expect(trends.map(t => t.postings)).toEqual([2, 2, 2, 4, 4, 4]);
+
+        // JSON Lines, with ids dropping a repeated posting
+        const jsonl = [
+            JSON.stringify({ id: 'a1', title: 'Prompt Engineer', industry: 'Consulting', date: '2025-06-20', salary: '$120,000 - $140,000' }),
+            JSON.stringify({ id: 'a1', title: 'Prompt Engineer', industry: 'Consulting', date: '2025-06-20' }),
+            '{not json'
+        ].join('\n');
+        const second = service.ingestPostings(jsonl);
+        expect(second).toMatchObject({ format: 'jsonl', read: 2, added: 1, duplicates: 1 });
+        expect(second.errors).toEqual(['Line 3: not valid JSON']);
+        expect(await service.getSectorJobData('professional_services')).toMatchObject({ postings: 1, avgSalary: 130000 });
+        expect((await service.getAIJobTrends()).promptEngineer).toBe(1);
+        expect((await service.getJobPostingSummary())).toMatchObject({ source: 'postings', totalPostings: 31, firstMonth: '2025-01', lastMonth: '2025-06' });
+
+        service.clearPostings();
+        expect((await service.getJobPostingSummary()).source).toBe('sample');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should report posting growth as an annual rate', async () => {
+        const { aggregateJobPostings } = await import('../src/data/job-postings.js');
+        const postings = (counts) => Object.entries(counts).flatMap(([month, count]) => Array.from({ length: count }, () => ({
+            title: 'Nurse', category: 'healthcare', month, salary: null, ai: false, remote: false, skills: []
+        })));
+
+        // A quarter-on-quarter rise of 25% compounds to 1.25^4 - 1 a year
+        const quarterly = aggregateJobPostings(postings({ '2025-01': 4, '2025-02': 4, '2025-03': 4, '2025-04': 5, '2025-05': 5, '2025-06': 5 }));
+        expect(quarterly.byCategory.healthcare.growthRate).toBeCloseTo(1.25 ** 4 - 1);
+
+        // Windows are a month long here but three months apart
+        const sparse = aggregateJobPostings(postings({ '2025-01': 4, '2025-04': 5 }));
+        expect(sparse.byCategory.healthcare.growthRate).toBeCloseTo(1.25 ** 4 - 1);
+        expect(aggregateJobPostings(postings({ '2025-01': 4, '2025-02': 5 })).byCategory.healthcare.growthRate)
+            .toBeCloseTo(1.25 ** 12 - 1);
+    });
+
+    it('should feed skill demand, AI impact and the skills-gap analysis', async () => {
+        const service = new JobPostingDataService();
+        service.ingestPostings(dump());
+
+        const demand = await service.getSkillDemandData();
+        expect(demand.emerging.map(s => s.skill)).toContain('Prompt Engineering');
+        expect(demand.declining.map(s => s.skill)).toContain('Data Entry');
+
+        const impact = await service.calculateAIImpactOnPostings();
+        expect(impact.technology).toMatchObject({ potentialDisruption: 'high', growthOutlook: 'positive' });
+        expect(impact.retail.growthOutlook).toBe('negative');
+
+        const analyzer = new SkillsGapAnalyzer();
+        analyzer.setJobPostingData(service.getJobData());
+        const analysis = analyzer.analyzeSkillsGap({ summary });
+        const prompt = analysis.growing_skills.find(s => s.name === 'Prompt Engineering');
+        const dataEntry = analysis.declining_skills.find(s => s.name === 'Data Entry');
+        expect(prompt).toMatchObject({ demand_source: 'job postings', avg_salary: '$150,000' });
+        expect(dataEntry.demand_source).toBe('job postings');
+        expect(analysis.growing_skills.find(s => s.name === 'Cybersecurity').demand_source).toBe('estimate');
+        expect(analysis.sector_skill_needs.technology.hiring_outlook).toBe('Growing');
+        expect(analysis.sector_skill_needs.retail.hiring_outlook).toBe('Declining');
+        expect(analysis.posting_data).toEqual({ postings: 30, first_month: '2025-01', last_month: '2025-06' });
+
+        // Sample figures leave the built-in estimates in place
+        analyzer.setJobPostingData(new JobPostingDataService().getJobData());
+        expect(analyzer.analyzeSkillsGap({ summary }).posting_data).toBeNull();
+    });
+});
+
+describe('WorkerPool', () => {
+    let WorkerPool;
+
+    // Answers init, then exits without an error on the first task
+    const exitingWorker = new URL('data:text/javascript,' + encodeURIComponent(`
+        import { parentPort } from 'node:worker_threads';
+        parentPort.on('message', ({ type, requestId }) => {
+            if (type === 'init') parentPort.postMessage({ type: 'result', requestId, payload: null });
+            else process.exit(3);
+        });
+    `));
+
+    beforeEach(async () => {
+        vi.resetModules();
+        WorkerPool = (await import('../src/workers/worker-pool.js')).WorkerPool;
+    });
+
+    it('should fail requests when their worker exits', async () => {
+        const pool = await new WorkerPool(exitingWorker, 1).start();
+        try {
+            await expect(pool.run(2, index => ({ index }), () => {})).rejects.toThrow('Worker exited with code 3');
+            await expect(pool.run(1, index => ({ index }), () => {})).rejects.toThrow('Worker exited with code 3');
+        } finally {
+            pool.terminate();
+        }
+    });
+});
+
+describe('createRNG', () => {
+    let createRNG;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        const module = await import('../src/utils/random.js');
+        createRNG = module.createRNG;
+    });
+
+    it('should produce the same sequence for the same seed', () => {
+        const a = createRNG(42);
+        const b = createRNG(42);
+        const seqA = Array.from({ length: 10 }, () => a());
+        const seqB = Array.from({ length: 10 }, () => b());
+
+        expect(seqA).toEqual(seqB);
+        seqA.forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+
+    it('should accept string seeds', () => {
+        expect(createRNG('bug-1234')()).toBe(createRNG('bug-1234')());
+        expect(createRNG('bug-1234')()).not.toBe(createRNG('bug-1235')());
+    });
+});
+
+describe('ABMSimulationEngine', () => {
+    let ABMSimulationEngine;
+
+    const smallConfig = { numWorkers: 200, numFirms: 10, numRegions: 5, numTrainingPrograms: 5, durationMonths: 6 };
+    const scenario = { initialUnemploymentRate: 0.05, initialAIAdoption: 0.2, adoptionCurve: 's_curve', automationPace: 'fast' };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const module = await import('../src/abm/engine.js');
+        ABMSimulationEngine = module.ABMSimulationEngine;
+    });
+
+    describe('seed', () => {
+        it('should replay a run exactly for the same seed', async () => {
+            const first = await new ABMSimulationEngine({ ...smallConfig, seed: 1234 }).runSimulation(scenario);
+            const second = await new ABMSimulationEngine({ ...smallConfig, seed: 1234 }).runSimulation(scenario);
+
+            expect(first.summary.seed).toBe(1234);
+            expect(JSON.stringify(second.monthly)).toBe(JSON.stringify(first.monthly));
+        });
+
+        it('should diverge for different seeds', async () => {
+            const first = await new ABMSimulationEngine({ ...smallConfig, seed: 1 }).runSimulation(scenario);
+            const second = await new ABMSimulationEngine({ ...smallConfig, seed: 2 }).runSimulation(scenario);
+
+            expect(JSON.stringify(second.monthly)).not.toBe(JSON.stringify(first.monthly));
+        });
+
+        it('should assign a seed when none is given', () => {
+            const engine = new ABMSimulationEngine(smallConfig);
+            expect(typeof engine.seed).toBe('number');
+        });
+    });
+
+    describe('checkpoint', () => {
+        it('should continue a restored run exactly like an uninterrupted one', async () => {
+            const full = await new ABMSimulationEngine({ ...smallConfig, seed: 42 }).runSimulation(scenario);
+
+            const firstHalf = new ABMSimulationEngine({ ...smallConfig, seed: 42, durationMonths: 3 });
+            await firstHalf.runSimulation(scenario);
+            const checkpoint = JSON.parse(JSON.stringify(firstHalf.createCheckpoint()));
+
+            expect(checkpoint.month).toBe(3);
+
+            const resumed = ABMSimulationEngine.fromCheckpoint(checkpoint, { durationMonths: 6 });
+            const results = await resumed.runSimulation();
+
+            expect(JSON.stringify(results.monthly)).toBe(JSON.stringify(full.monthly));
+        });
+
+        it('should preserve shared references between agents', async () => {
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 7, durationMonths: 2 });
+            await engine.runSimulation(scenario);
+
+            const restored = ABMSimulationEngine.fromCheckpoint(engine.createCheckpoint());
+            const employed = restored.workers.find(w => w.employer);
+
+            expect(restored.laborMarket.workers).toBe(restored.workers);
+            expect(employed.employer.employees).toContain(employed);
+            expect(restored.results.monthlyData).toBe(restored.results.monthly);
+        });
+
+        it('should fork policy branches from the same month', async () => {
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 5, durationMonths: 3 });
+            await engine.runSimulation(scenario);
+            const checkpoint = engine.createCheckpoint();
+
+            const baseline = await ABMSimulationEngine.fromCheckpoint(checkpoint, { durationMonths: 6 })
+                .runSimulation({ ...scenario, interventions: [] });
+            const withUBI = await ABMSimulationEngine.fromCheckpoint(checkpoint, { durationMonths: 6 })
+                .runSimulation({ ...scenario, interventions: [{ type: 'ubi', active: true, universal: true, amount: 2000 }] });
+
+            expect(withUBI.monthly.slice(0, 3)).toEqual(baseline.monthly.slice(0, 3));
+            expect(JSON.stringify(withUBI.monthly.slice(3))).not.toBe(JSON.stringify(baseline.monthly.slice(3)));
+        });
+
+        it('should reject objects that are not checkpoints', () => {
+            expect(() => ABMSimulationEngine.fromCheckpoint({ format: 'something-else' })).toThrow('Not an ABM checkpoint');
+        });
+    });
+
+    describe('interventions', () => {
+        const runState = async (interventions) => {
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 11 });
+            await engine.runSimulation({ ...scenario, interventions });
+            return engine;
+        };
+
+        it('should apply every InterventionSystem type', async () => {
+            const { InterventionSystem } = await import('../src/simulation/interventions.js');
+            const { INTERVENTION_HANDLERS } = await import('../src/abm/interventions.js');
+            const system = new InterventionSystem();
+            const baseline = JSON.stringify((await runState([])).createCheckpoint().state);
+
+            for (const { type } of system.getAvailableTypes()) {
+                expect(INTERVENTION_HANDLERS[type], type).toBeTypeOf('function');
+
+                const engine = await runState([system.addIntervention(type)]);
+                expect(JSON.stringify(engine.createCheckpoint().state), type).not.toBe(baseline);
+            }
+        });
+
+        it('should move unemployed workers into guaranteed jobs until the program ends', async () => {
+            const { InterventionSystem } = await import('../src/simulation/interventions.js');
+            const system = new InterventionSystem();
+
+            const baseline = await runState([]);
+            const guaranteed = await runState([system.addIntervention('job_guarantee')]);
+            const ended = await runState([system.addIntervention('job_guarantee', {}, { end_year: 2024 })]);
+
+            const unemployment = engine => engine.results.monthly[engine.results.monthly.length - 1].unemploymentRate;
+            expect(unemployment(guaranteed)).toBeLessThan(unemployment(baseline));
+            expect(guaranteed.workers.some(w => w.publicJob && w.isEmployed())).toBe(true);
+            expect(ended.workers.some(w => w.publicJob)).toBe(false);
+            expect(ended.results.monthly).toEqual(baseline.results.monthly);
+        });
+
+        it('should read the ABM panel\'s flat intervention form', async () => {
+            const engine = await runState([{ type: 'retraining', active: true, subsidyRate: 0.75 }]);
+            expect(engine.trainingPrograms.every(p => p.subsidyAvailable >= 0.75)).toBe(true);
+        });
+    });
+
+    describe('behavior', () => {
+        it('should hand behavioral overrides to every agent', async () => {
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 9, behavior: { searchThreshold: 0.1, maxOffersPerPosition: 1 } });
+            await engine.initialize(scenario);
+
+            expect(engine.config.behavior.searchThreshold).toBe(0.1);
+            expect(engine.config.behavior.applicationLimit).toBe(5);
+            expect(engine.workers.every(w => w.behavior === engine.config.behavior)).toBe(true);
+            expect(engine.firms.every(f => f.behavior === engine.config.behavior)).toBe(true);
+            expect(engine.laborMarket.behavior).toBe(engine.config.behavior);
+        });
+
+        it('should change outcomes when behavior changes', async () => {
+            const base = await new ABMSimulationEngine({ ...smallConfig, seed: 9 }).runSimulation(scenario);
+            const restless = await new ABMSimulationEngine({ ...smallConfig, seed: 9, behavior: { searchThreshold: 0 } }).runSimulation(scenario);
+
+            const quits = results => results.monthly.reduce((sum, m) => sum + m.monthlyQuits, 0);
+            expect(quits(restless)).toBeGreaterThan(quits(base));
+        });
+
+        it('should reject unknown or non-numeric parameters', () => {
+            expect(() => new ABMSimulationEngine({ ...smallConfig, behavior: { patience: 1 } })).toThrow('Unknown behavioral parameter "patience"');
+            expect(() => new ABMSimulationEngine({ ...smallConfig, behavior: { searchThreshold: '0.3' } })).toThrow('must be a number');
+        });
+    });
+
+    describe('migration', () => {
+        it('should move a worker, their search area and network to the new region', async () => {
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 21 });
+            await engine.initialize(scenario);
+            engine.regionalSystem.updateAllRegions(engine.workers, engine.firms);
+
+            const worker = engine.workers.find(w => w.region === 1);
+            const origin = engine.regionalSystem.getRegion(1);
+            const destination = engine.regionalSystem.getRegion(2);
+
+            expect(engine.regionalSystem.relocateWorker(worker, 2, 'search')).toBe(true);
+            expect(worker.region).toBe(2);
+            expect(origin.localWorkers).not.toContain(worker);
+            expect(destination.localWorkers).toContain(worker);
+            expect(worker.network.some(contact => contact.region === 2)).toBe(true);
+            expect(engine.regionalSystem.getMigrationFlows()).toMatchObject({
+                moves: 1, search: 1,
+                pairs: [{ regionA: 1, regionB: 2, aToB: 1, bToA: 0, gross: 1, net: 1 }]
+            });
+        });
+
+        it('should report monthly gross and net flows between region pairs', async () => {
+            const engine = new ABMSimulationEngine({
+                ...smallConfig,
+                seed: 21,
+                householdMigration: true,
+                behavior: { migrationProbability: 0.2, movingCostMonths: 0.25, householdMoveProbability: 1 }
+            });
+            const results = await engine.runSimulation({ ...scenario, initialUnemploymentRate: 0.12 });
+
+            const moves = results.monthly.reduce((sum, m) => sum + m.migration.moves, 0);
+            expect(moves).toBeGreaterThan(0);
+            results.monthly.forEach(({ migration }) => {
+                expect(migration.pairs.reduce((sum, p) => sum + p.gross, 0)).toBe(migration.moves);
+                expect(migration.job + migration.search + migration.household).toBe(migration.moves);
+                migration.pairs.forEach(p => expect(p.net).toBe(p.aToB - p.bToA));
+            });
+
+            const regionIds = engine.regionalSystem.regions.map(r => r.id);
+            expect(engine.workers.every(w => regionIds.includes(w.region))).toBe(true);
+            expect(engine.regionalSystem.regions.reduce((sum, r) => sum + r.localWorkers.length, 0)).toBe(engine.workers.length);
+        });
+    });
+
+    describe('demand feedback', () => {
+        it('should scale firm revenue, staffing targets and hiring with demand', async () => {
+            const { FirmAgent } = await import('../src/abm/agents/firm.js');
+            const firm = new FirmAgent({ rng: () => 0.5, targetHeadcount: 100, revenue: 1000000 });
+
+            firm.applyDemand(0.8);
+            expect(firm.revenue).toBeCloseTo(800000, 6);
+            expect(firm.targetHeadcount).toBe(80);
+            expect(firm._hiringAppetite()).toBeCloseTo(0.4, 10);
+
+            firm.applyDemand(0.5);
+            expect(firm._hiringAppetite()).toBe(0);
+
+            firm.applyDemand(1.1);
+            expect(firm.targetHeadcount).toBe(110);
+            expect(firm._hiringAppetite()).toBeCloseTo(1.3, 10);
+        });
+
+        it('should lower demand when workers lose their wages', async () => {
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 13 });
+            await engine.initialize(scenario);
+
+            engine.workers.filter(w => w.status === 'employed').slice(0, 60).forEach(worker => {
+                worker.status = 'unemployed';
+                worker.savings = 0;
+            });
+            const stats = engine.demand.update(engine.workers, engine.firms);
+
+            expect(stats.spendingIndex).toBeLessThan(1);
+            expect(stats.demandIndex).toBeLessThan(1);
+            expect(stats.demandIndex).toBeGreaterThan(stats.spendingIndex);
+            expect(engine.firms.every(f => f.demandIndex < 1)).toBe(true);
+            const sectorTotal = Object.values(stats.bySector).reduce((sum, sector) => sum + sector.spending, 0);
+            expect(sectorTotal).toBeCloseTo(stats.householdSpending, 6);
+        });
+
+        it('should count transfers as household income and leave firms alone unless enabled', async () => {
+            const ubi = [{ type: 'ubi', active: true, monthlyAmount: 1000, universal: true }];
+            const run = async (config, interventions) => {
+                const engine = new ABMSimulationEngine({ ...smallConfig, seed: 13, ...config });
+                const results = await engine.runSimulation({ ...scenario, interventions });
+                return { engine, results };
+            };
+
+            const off = await run({}, []);
+            expect(off.results.monthly.every(m => m.demand && m.demand.transferIncome === 0)).toBe(true);
+            expect(off.engine.firms.every(f => f.demandIndex === 1)).toBe(true);
+
+            const plain = await run({ demandFeedback: true }, []);
+            const stimulus = await run({ demandFeedback: true }, ubi);
+            expect(stimulus.results.monthly[0].demand.transferIncome).toBe(1000 * smallConfig.numWorkers);
+            expect(stimulus.results.monthly[0].demand.demandIndex).toBeGreaterThan(plain.results.monthly[0].demand.demandIndex);
+            stimulus.engine.firms.forEach(firm => {
+                expect(firm.revenue).toBeCloseTo(firm.baseRevenue * firm.demandIndex, 6);
+            });
+        });
+    });
+
+    describe('trigger rules', () => {
+        it('should switch interventions on national conditions and keep the log in results', async () => {
+            const ubi = [{
+                type: 'ubi', active: true, parameters: { monthly_amount: 400 },
+                rule: { activate_when: 'months_elapsed >= 2', deactivate_when: 'months_elapsed >= 4', phase_in_months: 2 }
+            }];
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 13 });
+            const results = await engine.runSimulation({ ...scenario, interventions: ubi });
+
+            const paid = results.monthly.map(m => (m.fiscal.outlays.ubi || 0) / smallConfig.numWorkers);
+            expect(paid).toEqual([0, 0, 200, 400, 0, 0]);
+            expect(results.monthly[2].ruleEvents.map(e => e.event)).toEqual(['activated']);
+            expect(results.ruleLog.map(e => [e.month, e.event])).toEqual([[2, 'activated'], [4, 'deactivated']]);
+
+            const restored = new ABMSimulationEngine().restoreCheckpoint(JSON.parse(JSON.stringify(engine.createCheckpoint())));
+            expect(restored.interventionState.rules.states).toEqual(engine.interventionState.rules.states);
+            expect(typeof restored.interventionState.rules.schedule).toBe('function');
+        });
+    });
+
+    describe('fiscal accounts', () => {
+        it('should book monthly policy outlays and keep the budget across checkpoints', async () => {
+            const ubi = [{ type: 'ubi', active: true, monthlyAmount: 1000, universal: true }];
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 13 });
+            const results = await engine.runSimulation({ ...scenario, interventions: ubi });
+
+            results.monthly.forEach(m => {
+                expect(m.fiscal.outlays.ubi).toBe(1000 * smallConfig.numWorkers);
+                expect(m.fiscal.revenues.income_tax).toBeGreaterThan(0);
+            });
+            expect(results.summary.fiscal.outlays.ubi).toBeGreaterThan(0);
+            expect(engine.exportResults('csv').split('\n')[0]).toContain('Debt/GDP %');
+
+            // A restored run carries on with the same debt
+            const checkpoint = JSON.parse(JSON.stringify(engine.createCheckpoint()));
+            const restored = new ABMSimulationEngine().restoreCheckpoint(checkpoint);
+            expect(restored.fiscal.debt).toBeCloseTo(engine.fiscal.debt, 6);
+        });
+
+        it('should take a tax-financed surcharge out of household spending', async () => {
+            const ubi = [{ type: 'ubi', active: true, monthlyAmount: 1000, universal: true }];
+            const run = async (fiscal) => {
+                const engine = new ABMSimulationEngine({ ...smallConfig, seed: 13, fiscal });
+                return engine.runSimulation({ ...scenario, interventions: ubi });
+            };
+
+            const borrowed = await run({ financing: 'borrow' });
+            const taxed = await run({ financing: 'tax' });
+
+            expect(taxed.monthly[0].fiscal.taxSurcharge).toBeGreaterThan(0);
+            expect(taxed.monthly[0].fiscal.deficit).toBeLessThan(borrowed.monthly[0].fiscal.deficit);
+            expect(taxed.monthly[0].demand.householdSpending).toBeLessThan(borrowed.monthly[0].demand.householdSpending);
+        });
+    });
+
+    describe('demographics', () => {
+        it('should retire by age, and tilt entrants toward more schooling as perceived risk rises', async () => {
+            const { CohortDynamics, ENTRANT_EDUCATION } = await import('../src/abm/environment/demographics.js');
+            const cohorts = new CohortDynamics({ rng: () => 0.5 });
+
+            expect(cohorts.getMonthlyHazard(40)).toBeLessThan(cohorts.getMonthlyHazard(58));
+            expect(cohorts.getMonthlyHazard(65)).toBeCloseTo(1 - Math.pow(0.7, 1 / 12), 10);
+
+            const calm = cohorts.getEntrantEducation(0);
+            const anxious = cohorts.getEntrantEducation(0.4);
+            expect(calm.bachelors).toBeCloseTo(ENTRANT_EDUCATION.bachelors.share, 10);
+            expect(anxious.advanced + anxious.bachelors).toBeGreaterThan(calm.advanced + calm.bachelors);
+            expect(anxious.no_degree).toBeLessThan(calm.no_degree);
+            expect(Object.values(anxious).reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+        });
+
+        it('should replace retirees with a yearly entrant cohort and count participation by cohort', async () => {
+            const config = {
+                ...smallConfig, seed: 31, durationMonths: 8,
+                demographics: { entryRate: 0.1, retirementHazards: [{ age: 0, rate: 0 }, { age: 55, rate: 0.5 }] }
+            };
+            const engine = new ABMSimulationEngine(config);
+            const results = await engine.runSimulation(scenario);
+
+            const last = results.monthly[results.monthly.length - 1].demographics;
+            expect(last.cumulativeEntrants).toBe(20);
+            expect(last.cumulativeRetirements).toBeGreaterThan(0);
+            expect(engine.workers.length).toBe(200 - last.cumulativeRetirements + 20);
+            expect(last.population).toBe(engine.workers.length);
+            expect(results.monthly[5].demographics.entrants).toBe(20);
+            expect(last.byCohort['2025'].population).toBe(20);
+            expect(last.byCohort.initial.population + 20).toBe(last.population);
+
+            const workers = new Set(engine.workers);
+            engine.firms.forEach(firm => firm.employees.forEach(e => expect(workers.has(e)).toBe(true)));
+            engine.workers.forEach(w => w.network.forEach(contact => expect(workers.has(contact)).toBe(true)));
+            expect(engine.workers.filter(w => w.cohort === 2025).every(w => w.age <= 26)).toBe(true);
+            expect(results.summary.demographics.totalEntrants).toBe(20);
+
+            // A restored run draws the same retirements and entrants
+            const firstHalf = new ABMSimulationEngine({ ...config, durationMonths: 4 });
+            await firstHalf.runSimulation(scenario);
+            const resumed = ABMSimulationEngine.fromCheckpoint(JSON.parse(JSON.stringify(firstHalf.createCheckpoint())), { durationMonths: 8 });
+            expect(JSON.stringify((await resumed.runSimulation()).monthly)).toBe(JSON.stringify(results.monthly));
+        });
+
+        it('should date entrant cohorts from the scenario start year', async () => {
+            const engine = new ABMSimulationEngine({ ...smallConfig, seed: 31, durationMonths: 8, demographics: { entryRate: 0.1 } });
+            const results = await engine.runSimulation({ ...scenario, timeframe: { start_year: 2031 } });
+
+            const last = results.monthly[results.monthly.length - 1].demographics;
+            expect(last.byCohort['2031'].population).toBe(20);
+            expect(last.byCohort['2025']).toBeUndefined();
+        });
+
+        it('should age workers a year every twelve months', async () => {
+            const { WorkerAgent } = await import('../src/abm/agents/worker.js');
+            const worker = new WorkerAgent({ rng: () => 0.5, age: 30 });
+
+            for (let i = 0; i < 11; i++) worker._ageOneMonth();
+            expect(worker.age).toBe(30);
+            worker._ageOneMonth();
+            expect(worker.age).toBe(31);
+        });
+    });
+});
+
+describe('simulation worker', () => {
+    let messages;
+    let send;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        messages = [];
+        vi.stubGlobal('postMessage', (message) => messages.push(structuredClone(message)));
+        await import('../src/workers/simulation-worker.js');
+        const handler = /** @type {Function} */ (self.onmessage);
+        send = async (type, payload) => {
+            await handler({ data: { type, payload, requestId: type } });
+            return messages.filter(m => m.requestId === type).pop();
+        };
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should match a main-thread run with the same seed', async () => {
+        const { ABMSimulationEngine } = await import('../src/abm/engine.js');
+        const { InterventionSystem } = await import('../src/simulation/interventions.js');
+        const system = new InterventionSystem();
+        const config = { numWorkers: 200, numFirms: 10, numRegions: 5, numTrainingPrograms: 5, durationMonths: 6, seed: 3 };
+        const scenario = {
+            initialUnemploymentRate: 0.05,
+            automationPace: 'fast',
+            interventions: [system.addIntervention('negative_income_tax'), system.addIntervention('robot_tax')]
+        };
+
+        await send('init', { config, scenario });
+        const complete = await send('runSimulation', { scenario });
+        const local = await new ABMSimulationEngine(config).runSimulation(scenario);
+
+        expect(complete.type).toBe('simulationComplete');
+        expect(messages.filter(m => m.type === 'progress')).toHaveLength(6);
+        expect(complete.payload.monthly).toEqual(structuredClone(local.monthly));
+    });
+
+    it('should checkpoint and restore inside the worker', async () => {
+        const config = { numWorkers: 200, numFirms: 10, numRegions: 5, numTrainingPrograms: 5, durationMonths: 4, seed: 8 };
+
+        await send('init', { config, scenario: {} });
+        await send('runMonth', { month: 0 });
+        const { payload: checkpoint } = await send('checkpoint');
+        const restored = await send('restore', { checkpoint });
+
+        expect(checkpoint.month).toBe(1);
+        expect(restored.payload.workerCount).toBe(200);
+        expect((await send('runMonth', {})).payload.month).toBe(1);
+        expect((await send('bogus')).error).toContain('Unknown message type');
+    });
+});
+
+describe('PartitionCoordinator', () => {
+    let PartitionCoordinator;
+    let ABMPartition;
+    let partitionRegions;
+
+    const config = { numWorkers: 600, numFirms: 20, numRegions: 6, numTrainingPrograms: 4, durationMonths: 6, numPartitions: 3 };
+    const scenario = { initialUnemploymentRate: 0.1, initialAIAdoption: 0.2, adoptionCurve: 's_curve', automationPace: 'fast' };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const module = await import('../src/abm/partition.js');
+        PartitionCoordinator = module.PartitionCoordinator;
+        ABMPartition = module.ABMPartition;
+        partitionRegions = module.partitionRegions;
+    });
+
+    it('should split regions into contiguous blocks', () => {
+        const groups = partitionRegions(10, 3);
+
+        expect(groups).toHaveLength(3);
+        expect(groups.flat()).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        expect(partitionRegions(3, 8)).toEqual([[1], [2], [3]]);
+    });
+
+    it('should replay a partitioned run exactly and conserve the population', async () => {
+        const first = await new PartitionCoordinator({ ...config, seed: 5 }).runSimulation(scenario);
+        const second = await new PartitionCoordinator({ ...config, seed: 5 }).runSimulation(scenario);
+
+        expect(JSON.stringify(second.monthly)).toBe(JSON.stringify(first.monthly));
+        expect(first.monthly).toHaveLength(6);
+        expect(first.monthly.every(m => m.totalWorkers === 600)).toBe(true);
+        expect(first.summary.partitions).toHaveLength(3);
+        expect(first.summary.final.employed + first.summary.final.unemployed).toBeLessThanOrEqual(600);
+    });
+
+    it('should move a worker hired across partitions', async () => {
+        const origin = new ABMPartition({ index: 0, seed: 'a', config: { ...config, numWorkers: 200, regionIds: [1] } });
+        const destination = new ABMPartition({ index: 1, seed: 'b', config: { ...config, numWorkers: 200, regionIds: [2] } });
+        await origin.initialize(scenario);
+        await destination.initialize(scenario);
+
+        const worker = origin.engine.workers.find(w => w.status === 'unemployed');
+        const firm = destination.engine.firms[0];
+
+        const departures = origin.resolveOffers([{
+            workerId: worker.id,
+            workerPartition: 0,
+            firmPartition: 1,
+            firmId: firm.id,
+            postingId: 'job_test',
+            wage: 1000000,
+            region: firm.region,
+            occupation: 5
+        }]);
+
+        expect(departures).toHaveLength(1);
+        expect(origin.engine.workers.includes(worker)).toBe(false);
+        expect(origin.engine.workers.some(w => w.network.includes(worker))).toBe(false);
+
+        destination.admitWorkers(JSON.parse(JSON.stringify(departures)));
+        const arrived = destination.engine.workers.find(w => w.id === worker.id);
+
+        expect(arrived.employer).toBe(firm);
+        expect(arrived.region).toBe(2);
+        expect(firm.employees.includes(arrived)).toBe(true);
+        expect(destination.engine.laborMarket.hires).toHaveLength(1);
+    });
+});
+
+describe('MonteCarloSimulation', () => {
+    let MonteCarloSimulation;
+    let engine;
+
+    const scenario = { name: 'Monte Carlo test', end_year: new Date().getFullYear() + 3 };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        MonteCarloSimulation = (await import('../src/features/monte-carlo.js')).MonteCarloSimulation;
+
+        engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+        await engine.initialize();
+    });
+
+    it('should give the same distributions serially and on a worker pool', async () => {
+        const serial = new MonteCarloSimulation(engine);
+        serial.configure({ iterations: 60, seed: 7, workers: 0 });
+        const parallel = new MonteCarloSimulation(engine);
+        parallel.configure({ iterations: 60, seed: 7, workers: 2 });
+
+        const a = await serial.run(scenario);
+        const b = await parallel.run(scenario);
+
+        expect(a.iterations).toBe(60);
+        expect(JSON.stringify(b.distributions)).toBe(JSON.stringify(a.distributions));
+    });
+
+    it('should stop once the intervals converge and stream partial results', async () => {
+        const mc = new MonteCarloSimulation(engine);
+        mc.configure({ iterations: 2000, seed: 5, workers: 0, tolerance: 0.05, check_interval: 50, min_iterations: 100 });
+        const partials = [];
+
+        const results = await mc.run(scenario, null, partial => partials.push(partial.iterations));
+
+        expect(results.convergence.converged).toBe(true);
+        expect(results.iterations).toBe(results.convergence.stoppedAt);
+        expect(results.iterations).toBeLessThan(2000);
+        expect(partials).toEqual(results.convergence.checks.map(c => c.iterations));
+        expect(partials[0]).toBe(50);
+    });
+});
+
+describe('ABMSensitivityAnalysis', () => {
+    let ABMSensitivityAnalysis;
+    let ABMSimulationEngine;
+
+    const baseConfig = {
+        numWorkers: 200, numFirms: 10, numRegions: 5, numTrainingPrograms: 5, durationMonths: 3,
+        initialUnemploymentRate: 0.08, initialAIAdoption: 0.2
+    };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        ABMSensitivityAnalysis = (await import('../src/features/abm-sensitivity.js')).ABMSensitivityAnalysis;
+        ABMSimulationEngine = (await import('../src/abm/engine.js')).ABMSimulationEngine;
+    });
+
+    it('should report replicated engine runs with confidence bands', async () => {
+        const sensitivity = new ABMSensitivityAnalysis();
+        sensitivity.configure({ replicates: 2, seed: 3 });
+
+        const analysis = await sensitivity.runSingleParameterAnalysis('laborMarketFriction', null, baseConfig);
+        const metrics = sensitivity.calculateMetrics(analysis);
+
+        expect(analysis.source).toBe('abm');
+        expect(analysis.results).toHaveLength(6);
+        expect(analysis.results.every(r => r.replicates.length === 2)).toBe(true);
+        expect(analysis.results[0].bands.finalUnemployment.n).toBe(2);
+        expect(metrics.finalUnemployment.elasticityBand.n).toBe(2);
+        expect(metrics.finalUnemployment.elasticityBand.low).toBeLessThanOrEqual(metrics.finalUnemployment.elasticityBand.high);
+    });
+
+    it('should match a direct engine run with the replicate seed', async () => {
+        const sensitivity = new ABMSensitivityAnalysis();
+        sensitivity.configure({ replicates: 1, seed: 'sweep' });
+        sensitivity.parameters.initialAIAdoption.range = { min: 0.3, max: 0.3, step: 0.1 };
+
+        const analysis = await sensitivity.runSingleParameterAnalysis('initialAIAdoption', null, baseConfig);
+        const { numWorkers, numFirms, numRegions, numTrainingPrograms, durationMonths, ...scenario } = baseConfig;
+        const direct = await new ABMSimulationEngine({ numWorkers, numFirms, numRegions, numTrainingPrograms, durationMonths, seed: 'sweep/0' })
+            .runSimulation({ ...scenario, initialAIAdoption: 0.3 });
+
+        expect(analysis.results[0].outcomes.finalUnemployment).toBe(direct.summary.final.unemploymentRate);
+        expect(analysis.results[0].outcomes.totalDisplacement).toBe(direct.summary.totalLayoffs);
+    });
+});
+
+describe('GlobalSensitivityAnalysis', () => {
+    let GlobalSensitivityAnalysis;
+    let engine;
+
+    // y = x1 + x2 * x3 on the unit cube: S1 = 0.63 / 0.16 / 0.16, ST(x2) = ST(x3) = 0.21
+    const unit = (value, min, max) => (value - min) / (max - min);
+    const factors = ['ai_adoption_rate', 'gdp_growth', 'inflation', 'interest_rate'];
+
+    beforeEach(async () => {
+        vi.resetModules();
+        GlobalSensitivityAnalysis = (await import('../src/features/global-sensitivity.js')).GlobalSensitivityAnalysis;
+
+        engine = {
+            currentScenario: null,
+            economicModels: null,
+            createScenario(config) {
+                this.currentScenario = { config, interventions: [] };
+                return this.currentScenario;
+            },
+            async runSimulation() {
+                const c = this.currentScenario.config;
+                const y = unit(c.ai_adoption_rate, 20, 95) + unit(c.gdp_growth, 0.5, 4) * unit(c.inflation, 1, 5);
+                return {
+                    summary: {
+                        labor_market_changes: { unemployment_rate: { final: y } },
+                        ai_impact: { net_impact: 0, cumulative_displacement: 0, cumulative_new_jobs: 0 },
+                        wages: { average_hourly: { final: '0' } }
+                    }
+                };
+            }
+        };
+    });
+
+    it('should recover known Sobol indices', async () => {
+        const analysis = new GlobalSensitivityAnalysis(engine);
+        analysis.configure({ seed: 11, samples: 1024, bootstrap: 20, outputs: ['final_unemployment'] });
+
+        const results = await analysis.runSobol({ name: 'Sobol test' }, { factors });
+        const indices = results.outputs.final_unemployment.indices;
+
+        expect(results.runs).toBe(1024 * 6);
+        expect(indices.ai_adoption_rate.firstOrder).toBeCloseTo(0.63, 1);
+        expect(indices.gdp_growth.firstOrder).toBeCloseTo(0.16, 1);
+        expect(indices.gdp_growth.totalEffect).toBeCloseTo(0.21, 1);
+        expect(indices.inflation.interaction).toBeGreaterThan(0.02);
+        expect(indices.interest_rate.totalEffect).toBe(0);
+        expect(indices.ai_adoption_rate.totalEffectInterval.low).toBeLessThan(indices.ai_adoption_rate.totalEffectInterval.high);
+    });
+
+    it('should screen factors with Morris elementary effects', async () => {
+        const analysis = new GlobalSensitivityAnalysis(engine);
+        analysis.configure({ seed: 2, trajectories: 8, outputs: ['final_unemployment'] });
+
+        const results = await analysis.runMorris({ name: 'Morris test' }, { factors });
+        const effects = results.outputs.final_unemployment.effects;
+
+        expect(results.runs).toBe(8 * 5);
+        expect(effects.ai_adoption_rate.muStar).toBeCloseTo(1, 6);
+        expect(effects.ai_adoption_rate.sigma).toBeCloseTo(0, 6);
+        expect(effects.gdp_growth.sigma).toBeGreaterThan(0);
+        expect(effects.interest_rate.muStar).toBe(0);
+    });
+
+    it('should sample intervention parameters as factors', () => {
+        const analysis = new GlobalSensitivityAnalysis(engine);
+        const ids = analysis.getFactors({ interventions: [{ type: 'ubi', parameters: {} }] }).map(f => f.id);
+
+        expect(ids).toContain('automation_pace');
+        expect(ids).toContain('ubi.monthly_amount');
+    });
+});
+
+describe('InterventionCostCalculator', () => {
+    let InterventionCostCalculator;
+    let InterventionSystem;
+
+    // Two simulated years with 1M workers displaced by the end of each
+    const startYear = 2030;
+    const simulationResults = {
+        scenario: { timeframe: { start_year: startYear, end_year: startYear + 2 } },
+        summary: { ai_impact: { cumulative_displacement: 2000000 } },
+        results: Array.from({ length: 25 }, (_, step) => ({
+            year: startYear + step / 12,
+            derived: { cumulative_displacement: Math.ceil(step / 12) * 1000000 }
+        }))
+    };
+
+    beforeEach(async () => {
+        vi.resetModules();
+        InterventionCostCalculator = (await import('../src/features/intervention-cost-calculator.js')).InterventionCostCalculator;
+        InterventionSystem = (await import('../src/simulation/interventions.js')).InterventionSystem;
+    });
+
+    it('should price every intervention type', () => {
+        const system = new InterventionSystem();
+        Object.keys(system.interventionTypes).forEach(type => system.addIntervention(type));
+
+        const analysis = new InterventionCostCalculator().calculateAllCosts(system.interventions, simulationResults);
+
+        expect(analysis.unpriced).toEqual([]);
+        analysis.interventions.forEach(i => {
+            expect(i.priced).toBe(true);
+            expect(i.annualCost + i.annualRevenue).toBeGreaterThan(0);
+        });
+        expect(analysis.netFiscalBalance).toBeCloseTo(analysis.totalRevenue - analysis.totalCost, 0);
+    });
+
+    it('should build yearly cash flows from the start year', () => {
+        const system = new InterventionSystem();
+        system.addIntervention('ubi', { monthly_amount: 500 });
+        system.addIntervention('robot_tax', { tax_rate: 10 }, { start_year: startYear + 1 });
+        const calculator = new InterventionCostCalculator();
+
+        const analysis = calculator.calculateAllCosts(system.interventions, simulationResults);
+        const [first, second] = analysis.cashFlows;
+
+        expect(analysis.cashFlows.map(y => y.year)).toEqual([startYear, startYear + 1]);
+        expect(first.revenue).toBe(0);
+        expect(second.revenue).toBeCloseTo(calculator.calculateRobotTaxRevenue({ tax_rate: 10 }, 2000000).revenue, 0);
+        expect(second.cumulativeNet).toBeCloseTo(first.net + second.net, 0);
+        expect(analysis.totalCost).toBeCloseTo(first.cost + second.cost, 0);
+        expect(analysis.interventions[1].totalRevenue).toBeCloseTo(second.revenue, 0);
+    });
+
+    it('should count jobs saved only for the years an intervention is in force', () => {
+        const calculator = new InterventionCostCalculator();
+        const retraining = { type: 'job_retraining', name: 'Retraining', parameters: { funding_per_worker: 10000 } };
+
+        const full = calculator.calculateAllCosts([retraining], simulationResults);
+        const late = calculator.calculateAllCosts([{ ...retraining, start_year: startYear + 1 }], simulationResults);
+
+        expect(late.totalCost).toBeCloseTo(full.totalCost / 2, 0);
+        expect(late.totalJobsSaved).toBe(full.totalJobsSaved / 2);
+        expect(late.costPerJobSaved).toBeCloseTo(full.costPerJobSaved, 0);
+    });
+
+    it('should flag intervention types it cannot price', () => {
+        const analysis = new InterventionCostCalculator().calculateAllCosts(
+            [{ type: 'carbon_dividend', name: 'Carbon Dividend', parameters: {} }],
+            simulationResults
+        );
+
+        expect(analysis.unpriced).toEqual(['Carbon Dividend']);
+    });
+});
+
+describe('PolicyOptimizer', () => {
+    let PolicyOptimizer;
+    let engine;
+
+    const baseConfig = { name: 'Optimizer test', end_year: new Date().getFullYear() + 3 };
+    const types = ['ubi', 'job_retraining', 'wage_subsidy', 'job_guarantee', 'sectoral_bargaining'];
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        PolicyOptimizer = (await import('../src/features/policy-optimizer.js')).PolicyOptimizer;
+
+        engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+        await engine.initialize();
+    });
+
+    it('should return a reproducible Pareto frontier of packages within budget', async () => {
+        const options = { seed: 3, budget: 5e11, types, populationSize: 12, generations: 4 };
+        const optimizer = new PolicyOptimizer(engine);
+        optimizer.configure(options);
+
+        const results = await optimizer.optimize(baseConfig);
+
+        expect(results.frontier.length).toBeGreaterThan(0);
+        results.frontier.forEach(pkg => {
+            expect(pkg.cost.total).toBeLessThanOrEqual(5e11);
+            expect(pkg.interventions.length).toBeLessThanOrEqual(3);
+            pkg.interventions.forEach(i => {
+                expect(types).toContain(i.type);
+                expect(i.start_year).toBeGreaterThanOrEqual(new Date().getFullYear());
+                expect(i.start_year).toBeLessThan(baseConfig.end_year);
+            });
+            results.frontier.forEach(other => {
+                expect(optimizer.dominates({ ...other, violation: 0 }, { ...pkg, violation: 0 })).toBe(false);
+            });
+        });
+        expect(results.baseline.interventions).toEqual([]);
+        expect(engine.currentScenario).toBeNull();
+
+        const again = new PolicyOptimizer(engine);
+        again.configure(options);
+        expect(JSON.stringify(await again.optimize(baseConfig))).toBe(JSON.stringify(results));
+    });
+
+    it('should rank packages within budget above packages over it', () => {
+        const optimizer = new PolicyOptimizer(engine);
+        const outcomes = { peak_unemployment: 4, wage_growth: 2, gini: 0.3 };
+        const better = { outcomes: { ...outcomes, wage_growth: 3 }, violation: 0 };
+
+        expect(optimizer.dominates(better, { outcomes, violation: 0 })).toBe(true);
+        expect(optimizer.dominates({ outcomes, violation: 0 }, { ...better, violation: 1 })).toBe(true);
+        expect(optimizer.dominates({ outcomes, violation: 0 }, { outcomes, violation: 0 })).toBe(false);
+    });
+});
+
+describe('BacktestCalibration', () => {
+    let BacktestCalibration;
+    let applyCalibrationProfile;
+    let engine;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        const baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        const module = await import('../src/features/backtest.js');
+        BacktestCalibration = module.BacktestCalibration;
+        applyCalibrationProfile = module.applyCalibrationProfile;
+
+        engine = new SimulationEngine(createHeadlessDataService(baselineData), new EconomicIndicators());
+        await engine.initialize();
+    });
+
+    it('should replay history from the first year and score every series', async () => {
+        const snapshot = engine.baselineSnapshot;
+        const results = await new BacktestCalibration(engine).backtest();
+
+        expect(results.years).toEqual([2019, 2020, 2021, 2022, 2023, 2024]);
+        expect(Object.keys(results.series)).toEqual(['unemployment_rate', 'real_wage_growth', 'productivity_growth', 'job_openings']);
+        expect(results.series.unemployment_rate.observed[0]).toBe(3.7);
+        Object.values(results.series).forEach(series => {
+            expect(series.simulated).toHaveLength(6);
+            expect(series.rmse).toBeGreaterThanOrEqual(0);
+            expect(series.rmse).toBeGreaterThanOrEqual(Math.abs(series.bias));
+            expect(series.turning_point_accuracy).toBeGreaterThanOrEqual(0);
+            expect(series.turning_point_accuracy).toBeLessThanOrEqual(1);
+        });
+
+        // The engine is left on today's baseline
+        expect(engine.baselineSnapshot).toBe(snapshot);
+    });
+
+    it('should fit parameters that do no worse than the defaults and save them as a profile', async () => {
+        const calibration = new BacktestCalibration(engine);
+        calibration.configure({ seed: 7, samples: 10, refinementRounds: 1 });
+
+        const { initial, best, profile } = await calibration.calibrate();
+        expect(best.objective).toBeLessThanOrEqual(initial.objective);
+        expect(profile.fitted_on).toMatchObject({ start_year: 2019, end_year: 2024 });
+        expect(Object.keys(profile.parameters)).toEqual(['labor_elasticity', 'displacement_lag', 'new_job_multiplier', 'pace_multipliers']);
+
+        // A saved profile reproduces the calibrated fit
+        const saved = JSON.parse(JSON.stringify(profile));
+        const replay = await calibration.backtest(applyCalibrationProfile({}, saved));
+        expect(replay.objective).toBeCloseTo(best.objective, 6);
+
+        const scenario = engine.createScenario(applyCalibrationProfile({ name: 'Calibrated' }, saved));
+        expect(scenario.ai_parameters.displacement_lag).toBe(profile.parameters.displacement_lag);
+        expect(scenario.ai_parameters.pace_multipliers).toEqual(profile.parameters.pace_multipliers);
+    });
+});
+
+describe('ABMCalibration', () => {
+    let ABMCalibration;
+    let ABMSimulationEngine;
+    let BEHAVIOR_PARAMETERS;
+    let baselineData;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        ABMCalibration = (await import('../src/features/abm-calibration.js')).ABMCalibration;
+        ABMSimulationEngine = (await import('../src/abm/engine.js')).ABMSimulationEngine;
+        BEHAVIOR_PARAMETERS = (await import('../src/abm/behavior.js')).BEHAVIOR_PARAMETERS;
+    });
+
+    const options = { seed: 4, samples: 6, acceptanceRate: 0.5, numWorkers: 200, numFirms: 10, numRegions: 5, durationMonths: 6, burnIn: 2 };
+
+    it('should read BLS targets from baseline data', () => {
+        const calibration = new ABMCalibration();
+        expect(calibration.getTargets(baselineData)).toEqual({
+            unemployment_rate: baselineData.labor_market.unemployment_rate.value / 100,
+            job_finding_rate: baselineData.labor_market.job_finding_rate.value / 100,
+            quits_rate: baselineData.labor_market.quits_rate.value / 100,
+            wage_dispersion: baselineData.wages.p90_p10_ratio.value
+        });
+        expect(() => calibration.getTargets({ labor_market: {} })).toThrow('Baseline data has no target');
+    });
+
+    it('should return a reproducible posterior inside the priors that the engine accepts', async () => {
+        const calibration = new ABMCalibration();
+        calibration.configure(options);
+        const results = await calibration.run(baselineData);
+
+        expect(results.accepted).toBe(3);
+        expect(results.draws.filter(d => d.accepted).every(d => d.distance <= results.tolerance)).toBe(true);
+        Object.entries(results.posterior).forEach(([id, summary]) => {
+            const prior = BEHAVIOR_PARAMETERS[id];
+            expect(summary.low).toBeGreaterThanOrEqual(prior.min);
+            expect(summary.high).toBeLessThanOrEqual(prior.max);
+            expect(summary.histogram.reduce((a, b) => a + b, 0)).toBe(3);
+        });
+        expect(Number.isInteger(results.behavior.applicationLimit)).toBe(true);
+        expect(() => new ABMSimulationEngine({ behavior: results.behavior })).not.toThrow();
+
+        const again = new ABMCalibration();
+        again.configure(options);
+        expect((await again.run(baselineData)).behavior).toEqual(results.behavior);
+    });
+});
+
+describe('runScenario', () => {
+    let runScenario;
+    let validateScenarioDefinition;
+    let baselineData;
+
+    beforeEach(async () => {
+        vi.resetModules();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const fs = await import('fs');
+        baselineData = JSON.parse(fs.readFileSync('public/data/baseline-data.json', 'utf8'));
+        const module = await import('../src/cli/scenario-runner.js');
+        runScenario = module.runScenario;
+        validateScenarioDefinition = module.validateScenarioDefinition;
+    });
+
+    it('should run the aggregate engine from on-disk baseline data without fetch', async () => {
+        const run = await runScenario({
+            name: 'CLI test',
+            end_year: new Date().getFullYear() + 1,
+            interventions: [{ type: 'ubi', parameters: { monthly_amount: 500 } }]
+        }, { baselineData, format: 'csv' });
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(run.engine).toBe('aggregate');
+        expect(run.results.scenario.interventions[0].parameters.monthly_amount).toBe(500);
+        expect(run.output.split('\n')[0]).toContain('Unemployment Rate %');
+        expect(run.output.split('\n')).toHaveLength(run.results.results.length + 1);
+    });
+
+    it('should run the ABM and honor the seed override', async () => {
+        const definition = {
+            name: 'ABM CLI test',
+            engine: 'abm',
+            seed: 1,
+            abm: { numWorkers: 200, numFirms: 10, numRegions: 5, numTrainingPrograms: 5, durationMonths: 3 }
+        };
+
+        const run = await runScenario(definition, { baselineData, seed: 99 });
+        const exported = JSON.parse(run.output);
+
+        expect(exported.config.seed).toBe(99);
+        expect(exported.monthly).toHaveLength(3);
+    });
+
+    it('should reject malformed scenarios', async () => {
+        expect(validateScenarioDefinition({ engine: 'spreadsheet', interventions: [{}] })).toHaveLength(2);
+        await expect(runScenario([], { baselineData })).rejects.toThrow('Invalid scenario');
+    });
+
+    it('should re-run a scenario on its pinned data vintage or on the latest one', async () => {
+        const { diffSnapshots, baselineVintageId } = await import('../src/data/vintages.js');
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const latestId = 'live-2026-01-02T06-00-00Z';
+        const vintages = {
+            index: { latest: latestId, vintages: [{ id: latestId, file: `${latestId}.json`, fetchedAt: '2026-01-02T06:00:00.000Z' }] },
+            read: () => ({
+                lastUpdated: '2026-01-02T06:00:00.000Z',
+                sources: { bls: 'success', fred: 'failed' },
+                summary: { unemployment_rate: 6.1 }
+            })
+        };
+        const baselineId = baselineVintageId(baselineData);
+        const definition = { name: 'Pinned', end_year: new Date().getFullYear() + 1, data_vintage: baselineId };
+
+        const original = await runScenario(definition, { baselineData, vintages });
+        const latest = await runScenario(definition, { baselineData, vintages, vintage: 'latest' });
+
+        expect(original.dataVintage).toBe(baselineId);
+        expect(original.results.scenario.data_vintage).toBe(baselineId);
+        expect(latest.dataVintage).toBe(latestId);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        const dataService = createHeadlessDataService(baselineData, null, vintages);
+        const diff = diffSnapshots(await dataService.getVintageSnapshot(baselineId), await dataService.getVintageSnapshot('latest'));
+        const unemployment = diff.changes.find(c => c.path === 'labor_market.unemployment_rate');
+        expect(diff).toMatchObject({ from: baselineId, to: latestId });
+        expect(unemployment.to).toBe(6.1);
+        expect(unemployment.change).toBeCloseTo(6.1 - baselineData.labor_market.unemployment_rate.value, 10);
+        expect(diff.changes.find(c => c.path === 'wages.median_weekly').changed).toBe(false);
+
+        await expect(runScenario({ ...definition, data_vintage: 'live-1999-01-01T00-00-00Z' }, { baselineData, vintages }))
+            .rejects.toThrow('Unknown data vintage');
+        expect(validateScenarioDefinition({ data_vintage: 5 })).toEqual(['data_vintage must be a vintage id']);
+    });
+
+    it('should run on an imported data profile instead of the bundled data', async () => {
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const { SimulationEngine } = await import('../src/simulation/engine.js');
+        const { EconomicIndicators } = await import('../src/models/indicators.js');
+        const liveData = { lastUpdated: '2026-01-02T06:00:00.000Z', sources: { bls: 'success' }, summary: { unemployment_rate: 6.1 } };
+        const dataset = { labor_market: { total_employment: 2400000, unemployment_rate: 3.6 } };
+        const definition = { name: 'Ohio run', end_year: new Date().getFullYear() + 1, data_profile: 'Ohio' };
+
+        const run = await runScenario(definition, { baselineData, liveData, dataProfiles: { Ohio: dataset } });
+        expect(run.dataProfile).toBe('Ohio');
+        expect(run.results.scenario.data_profile).toBe('Ohio');
+        expect(run.results.results[0].labor_market.total_employment).toBeLessThan(2400000 * 1.5);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        // Live national data does not override the profile; switching back restores it
+        const dataService = createHeadlessDataService(baselineData, liveData);
+        dataService.addDataProfile('Ohio', dataset);
+        const engine = new SimulationEngine(dataService, new EconomicIndicators());
+
+        const profiled = await engine.initialize({ dataProfile: 'Ohio' });
+        expect(profiled).toMatchObject({ dataSource: 'profile', dataProfile: 'Ohio' });
+        expect(profiled.labor_market).toMatchObject({ total_employment: 2400000, unemployment_rate: 3.6 });
+        expect(engine.createScenario({}).data_profile).toBe('Ohio');
+
+        const national = await engine.initialize({ dataProfile: null });
+        expect(national.dataProfile).toBeNull();
+        expect(national.labor_market.unemployment_rate).toBe(6.1);
+
+        expect(() => dataService.addDataProfile('Broken', { sectors: { mining: { employment: 1 } } }))
+            .toThrow('Data profile "Broken" is invalid: sectors.mining.employment is not in the baseline');
+        await expect(runScenario({ ...definition, data_profile: 'Texas' }, { baselineData }))
+            .rejects.toThrow('Unknown data profile "Texas"');
+    });
+
+    it('should start from a historical month of the time-series history', async () => {
+        const { TimeSeriesStore } = await import('../src/data/time-series.js');
+        const store = new TimeSeriesStore();
+        store.record('unemployment_rate', [{ month: '2020-03', value: 4.4 }, { month: '2020-04', value: 14.8 }]);
+        store.record('total_employment', [{ month: '2020-04', value: 130400000 }]);
+        const timeSeries = store.toJSON();
+
+        const run = await runScenario({ name: 'Pandemic start', end_year: 2022, start_month: '2020-04' }, { baselineData, timeSeries });
+        const scenario = run.results.scenario;
+        const start = run.results.results[0];
+
+        expect(run.startMonth).toBe('2020-04');
+        expect(scenario.start_month).toBe('2020-04');
+        expect(scenario.timeframe.start_year).toBe(2020);
+        expect(start.labor_market.total_employment).toBeLessThan(baselineData.labor_market.total_employment.value);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        const { createHeadlessDataService } = await import('../src/cli/scenario-runner.js');
+        const dataService = createHeadlessDataService(baselineData, null, null, timeSeries);
+        await dataService.useStartMonth('2020-04');
+        const snapshot = await dataService.getCurrentSnapshot();
+        const scale = 130400000 / baselineData.labor_market.total_employment.value;
+        expect(snapshot).toMatchObject({ dataSource: 'history', startMonth: '2020-04', dataDate: '2020-04' });
+        expect(snapshot.labor_market).toMatchObject({ unemployment_rate: 14.8, total_employment: 130400000 });
+        expect(snapshot.labor_market.job_openings).toBe(baselineData.labor_market.job_openings.value);
+        expect(snapshot.sectors.retail.employment).toBe(Math.round(baselineData.sectors.retail.employment * scale));
+
+        await expect(dataService.useStartMonth('1990-01')).rejects.toThrow('No history for 1990-01 (history starts 2020-03)');
+        await expect(runScenario({ name: 'x', start_month: '2020-04' }, { baselineData })).rejects.toThrow('No time series history');
+        expect(validateScenarioDefinition({ start_month: 'April 2020' })).toEqual(['start_month must be a month (YYYY-MM)']);
+    });
+});
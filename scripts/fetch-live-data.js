@@ -1,10 +1,20 @@
 /**
  * Script to fetch live economic data from BLS and FRED APIs
  * Run by GitHub Actions to update the live-data.json file
+ *
+ * Every fetch is also kept as a dated vintage in public/data/vintages/ and listed
+ * in vintages/index.json, so a simulation run can name the exact data it started
+ * from. A fetch that returns the same data as the latest vintage reuses it.
+ *
+ * Full monthly histories, with every revision the agencies make, accumulate in
+ * public/data/time-series.json (see src/data/time-series.js). The first run
+ * fetches back to HISTORY_START_YEAR; later runs re-fetch the recent years that
+ * still get revised.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 
 // API Keys from environment variables (set by GitHub Secrets)
 const BLS_API_KEY = process.env.BLS_API_KEY;
@@ -21,6 +31,15 @@ const BLS_SERIES = {
     hires_rate: 'JTS000000000000000HIR'
 };
 
+// First year fetched when a series has no history yet
+const HISTORY_START_YEAR = 2000;
+
+// Years re-fetched on later runs to pick up revisions (BLS benchmarks reach back ~2 years)
+const REVISION_YEARS = 3;
+
+// BLS API v2 returns at most 20 years per request
+const BLS_MAX_YEARS = 20;
+
 // FRED Series IDs
 const FRED_SERIES = {
     real_gdp_growth: 'A191RL1Q225SBEA',
@@ -33,47 +52,60 @@ const FRED_SERIES = {
 };
 
 /**
- * Fetch data from BLS API
+ * Fetch data from BLS API, in 20-year windows from startYear
+ * @returns {Promise<Object[]|null>} Series with observations newest first
  */
-async function fetchBLSData() {
+async function fetchBLSData(startYear) {
     if (!BLS_API_KEY) {
         console.log('BLS_API_KEY not set, skipping BLS data fetch');
         return null;
     }
 
     const currentYear = new Date().getFullYear();
-    const startYear = currentYear - 2;
-
     const seriesIds = Object.values(BLS_SERIES);
 
-    console.log(`Fetching BLS data for ${seriesIds.length} series...`);
+    console.log(`Fetching BLS data for ${seriesIds.length} series from ${startYear}...`);
 
     try {
-        const response = await fetch('https://api.bls.gov/publicAPI/v2/timeseries/data/', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                seriesid: seriesIds,
-                startyear: startYear.toString(),
-                endyear: currentYear.toString(),
-                registrationkey: BLS_API_KEY
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`BLS API error: ${response.status} ${response.statusText}`);
-        }
+        const byId = {};
+
+        for (let from = startYear; from <= currentYear; from += BLS_MAX_YEARS) {
+            const to = Math.min(currentYear, from + BLS_MAX_YEARS - 1);
+            const response = await fetch('https://api.bls.gov/publicAPI/v2/timeseries/data/', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    seriesid: seriesIds,
+                    startyear: from.toString(),
+                    endyear: to.toString(),
+                    registrationkey: BLS_API_KEY
+                })
+            });
 
-        const data = await response.json();
+            if (!response.ok) {
+                throw new Error(`BLS API error: ${response.status} ${response.statusText}`);
+            }
 
-        if (data.status !== 'REQUEST_SUCCEEDED') {
-            throw new Error(`BLS API request failed: ${data.message || 'Unknown error'}`);
+            const data = await response.json();
+
+            if (data.status !== 'REQUEST_SUCCEEDED') {
+                throw new Error(`BLS API request failed: ${data.message || 'Unknown error'}`);
+            }
+
+            data.Results.series.forEach(series => {
+                byId[series.seriesID] = byId[series.seriesID] || { seriesID: series.seriesID, data: [] };
+                byId[series.seriesID].data.push(...(series.data || []));
+            });
         }
 
-        console.log(`Successfully fetched ${data.Results.series.length} BLS series`);
-        return data.Results.series;
+        // Windows arrive oldest first; keep each series newest first as the API does
+        const series = Object.values(byId);
+        series.forEach(s => s.data.sort((a, b) => (b.year + b.period).localeCompare(a.year + a.period)));
+
+        console.log(`Successfully fetched ${series.length} BLS series`);
+        return series;
     } catch (error) {
         console.error('Error fetching BLS data:', error.message);
         return null;
@@ -82,8 +114,9 @@ async function fetchBLSData() {
 
 /**
  * Fetch data from FRED API
+ * @param {Function} startDateFor - (name) => first date to fetch for a series, or null for all of it
  */
-async function fetchFREDData() {
+async function fetchFREDData(startDateFor) {
     if (!FRED_API_KEY) {
         console.log('FRED_API_KEY not set, skipping FRED data fetch');
         return null;
@@ -95,7 +128,9 @@ async function fetchFREDData() {
 
     for (const [name, seriesId] of Object.entries(FRED_SERIES)) {
         try {
-            const url = `https://api.stlouisfed.org/fred/series/observations?series_id=${seriesId}&api_key=${FRED_API_KEY}&file_type=json&sort_order=desc&limit=24`;
+            const startDate = startDateFor(name);
+            const url = `https://api.stlouisfed.org/fred/series/observations?series_id=${seriesId}&api_key=${FRED_API_KEY}&file_type=json&sort_order=desc` +
+                (startDate ? `&observation_start=${startDate}` : '');
 
             const response = await fetch(url);
 
@@ -168,6 +203,138 @@ function processBLSData(blsData) {
     return processed;
 }
 
+/**
+ * FRED series cut to their latest 24 observations; live-data.json and its
+ * vintages stay small while full histories go to time-series.json
+ */
+function recentFREDData(fredData) {
+    const recent = {};
+    for (const [name, series] of Object.entries(fredData || {})) {
+        recent[name] = { ...series, data: series.data.slice(0, 24) };
+    }
+    return recent;
+}
+
+const DATA_DIR = path.join(__dirname, '..', 'ai-labor-simulator', 'public', 'data');
+const VINTAGE_DIR = path.join(DATA_DIR, 'vintages');
+const TIME_SERIES_PATH = path.join(DATA_DIR, 'time-series.json');
+const TIME_SERIES_MODULE = path.join(__dirname, '..', 'ai-labor-simulator', 'src', 'data', 'time-series.js');
+
+/**
+ * Load the time-series store the app reads, from time-series.json if present
+ */
+async function loadTimeSeries() {
+    const { TimeSeriesStore, blsObservations, fredObservations } = await import(pathToFileURL(TIME_SERIES_MODULE).href);
+    const data = fs.existsSync(TIME_SERIES_PATH) ? JSON.parse(fs.readFileSync(TIME_SERIES_PATH, 'utf8')) : null;
+    return { store: new TimeSeriesStore({ data }), blsObservations, fredObservations };
+}
+
+/**
+ * Add a fetch's observations to the time-series store and save it if anything changed
+ */
+function recordTimeSeries({ store, blsObservations, fredObservations }, blsRawData, fredData, timestamp) {
+    const nameOf = {};
+    for (const [name, id] of Object.entries(BLS_SERIES)) {
+        nameOf[id] = name;
+    }
+
+    let added = 0;
+    let revised = 0;
+    const count = (result) => {
+        added += result.added;
+        revised += result.revised;
+    };
+
+    (blsRawData || []).forEach(series => {
+        const name = nameOf[series.seriesID];
+        if (!name) return;
+        count(store.record(name, blsObservations(name, series.data), {
+            recordedAt: timestamp, source: 'bls', seriesId: series.seriesID
+        }));
+    });
+
+    Object.entries(fredData || {}).forEach(([name, series]) => {
+        count(store.record(name, fredObservations(series.data), {
+            recordedAt: timestamp, source: 'fred', seriesId: series.seriesId
+        }));
+    });
+
+    if (added + revised === 0) {
+        console.log('Time series unchanged');
+        return;
+    }
+
+    fs.writeFileSync(TIME_SERIES_PATH, JSON.stringify(store.toJSON()));
+    console.log(`Time series: ${added} new observations, ${revised} revised -> ${TIME_SERIES_PATH}`);
+}
+
+/**
+ * Vintage id for a fetch time, safe to use as a file name
+ * (same format as liveVintageId in src/data/vintages.js)
+ */
+function vintageIdFor(timestamp) {
+    return `live-${timestamp.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-')}`;
+}
+
+/**
+ * Read the vintage index, or start an empty one
+ */
+function readVintageIndex() {
+    const indexPath = path.join(VINTAGE_DIR, 'index.json');
+    if (!fs.existsSync(indexPath)) {
+        return { latest: null, vintages: [] };
+    }
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+}
+
+/**
+ * Whether two fetches returned the same data (fetch times aside)
+ */
+function sameData(a, b) {
+    const content = (data) => JSON.stringify({
+        sources: data.sources, bls: data.bls, fred: data.fred, summary: data.summary || null
+    });
+    return content(a) === content(b);
+}
+
+/**
+ * Store a fetch as a new vintage unless it repeats the latest one
+ * @returns {Object} The live data, stamped with its vintage id
+ */
+function saveVintage(liveData) {
+    if (!fs.existsSync(VINTAGE_DIR)) {
+        fs.mkdirSync(VINTAGE_DIR, { recursive: true });
+    }
+
+    const index = readVintageIndex();
+    const latest = index.vintages.find(v => v.id === index.latest);
+    if (latest) {
+        const latestData = JSON.parse(fs.readFileSync(path.join(VINTAGE_DIR, latest.file), 'utf8'));
+        if (sameData(latestData, liveData)) {
+            console.log(`Data unchanged since vintage ${latest.id}`);
+            return null;
+        }
+    }
+
+    const id = vintageIdFor(liveData.lastUpdated);
+    const vintage = { vintageId: id, ...liveData };
+    const file = `${id}.json`;
+    fs.writeFileSync(path.join(VINTAGE_DIR, file), JSON.stringify(vintage, null, 2));
+
+    index.vintages.push({
+        id,
+        file,
+        fetchedAt: liveData.lastUpdated,
+        sources: liveData.sources,
+        summary: liveData.summary || null
+    });
+    index.latest = id;
+    fs.writeFileSync(path.join(VINTAGE_DIR, 'index.json'), JSON.stringify(index, null, 2));
+
+    console.log(`Saved vintage ${id}`);
+    return vintage;
+}
+
 /**
  * Main function to fetch and save data
  */
@@ -178,12 +345,22 @@ async function main() {
 
     const timestamp = new Date().toISOString();
 
+    // Series with history only need the years that may still be revised
+    const timeSeries = await loadTimeSeries();
+    const revisionStart = new Date().getFullYear() - REVISION_YEARS;
+    const blsStart = Object.keys(BLS_SERIES).every(name => timeSeries.store.has(name))
+        ? revisionStart
+        : HISTORY_START_YEAR;
+    const fredStart = (name) => timeSeries.store.has(name) ? `${revisionStart}-01-01` : null;
+
     // Fetch data from both sources
     const [blsRawData, fredData] = await Promise.all([
-        fetchBLSData(),
-        fetchFREDData()
+        fetchBLSData(blsStart),
+        fetchFREDData(fredStart)
     ]);
 
+    recordTimeSeries(timeSeries, blsRawData, fredData, timestamp);
+
     // Process BLS data
     const blsData = processBLSData(blsRawData);
 
@@ -195,7 +372,7 @@ async function main() {
             fred: fredData ? 'success' : 'failed'
         },
         bls: blsData || {},
-        fred: fredData || {}
+        fred: recentFREDData(fredData)
     };
 
     // Compute summary metrics for easy access
@@ -224,16 +401,14 @@ async function main() {
         }
     }
 
-    // Write to file
-    const outputPath = path.join(__dirname, '..', 'ai-labor-simulator', 'public', 'data', 'live-data.json');
-
-    // Ensure directory exists
-    const dir = path.dirname(outputPath);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+    // Keep the fetch as a vintage; live-data.json always holds the latest one
+    const vintage = saveVintage(liveData);
+    if (!vintage) {
+        return;
     }
 
-    fs.writeFileSync(outputPath, JSON.stringify(liveData, null, 2));
+    const outputPath = path.join(DATA_DIR, 'live-data.json');
+    fs.writeFileSync(outputPath, JSON.stringify(vintage, null, 2));
 
     console.log(`\nLive data saved to: ${outputPath}`);
     console.log(`Last updated: ${timestamp}`);